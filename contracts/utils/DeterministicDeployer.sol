@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title DeterministicDeployer
+ * @dev CREATE2 factory used by the deterministic deployment mode (scripts/utils/deterministicDeployment.js)
+ * @notice Deployed through the canonical CREATE2 proxy, so its address depends only on its owner.
+ *         Contracts it deploys see it as msg.sender, so it also holds whatever their constructors
+ *         grant the deployer; the owner exercises those rights through execute().
+ *         The deployment scripts use the creation code pinned in scripts/config/deterministicDeployer.js:
+ *         editing this file does not change the deployed factory until it is pinned again, which
+ *         moves every address.
+ */
+contract DeterministicDeployer {
+    address public immutable owner;
+
+    event Deployed(address indexed deployed, bytes32 indexed salt);
+
+    error NotOwner();
+    error SaltAlreadyUsed(bytes32 salt, address deployed);
+    error DeploymentFailed(bytes32 salt);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    /**
+     * @dev Constructor
+     * @param _owner Account allowed to deploy and to execute calls
+     */
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    /**
+     * @dev Computes the address a deployment with the given salt and creation code gets
+     * @param salt CREATE2 salt
+     * @param initCodeHash keccak256 of the creation code including constructor arguments
+     * @return Predicted address
+     */
+    function computeAddress(bytes32 salt, bytes32 initCodeHash) public view returns (address) {
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, initCodeHash)))));
+    }
+
+    /**
+     * @dev Deploys creation code with CREATE2
+     * @param salt CREATE2 salt
+     * @param initCode Creation code including constructor arguments
+     * @return deployed Address of the new contract
+     */
+    function deploy(bytes32 salt, bytes calldata initCode) external onlyOwner returns (address deployed) {
+        bytes memory code = initCode;
+        address predicted = computeAddress(salt, keccak256(code));
+        if (predicted.code.length > 0) revert SaltAlreadyUsed(salt, predicted);
+
+        assembly {
+            deployed := create2(0, add(code, 0x20), mload(code), salt)
+            // Bubble up the constructor's revert
+            if and(iszero(deployed), gt(returndatasize(), 0)) {
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+        if (deployed == address(0)) revert DeploymentFailed(salt);
+        emit Deployed(deployed, salt);
+    }
+
+    /**
+     * @dev Calls a contract as this factory, bubbling up any revert
+     * @param target Contract to call
+     * @param data Calldata
+     * @return result Returned data
+     */
+    function execute(address target, bytes calldata data) external payable onlyOwner returns (bytes memory result) {
+        bool success;
+        (success, result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+    }
+}
@@ -10,13 +10,18 @@ const path = require('path');
 
 // Get environment variables
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/ca485bd6567e4c5fb5693ee66a5885d8";
-const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
+// Encrypted deployment keystore in keystores/ (see scripts/deployment/manage-deployment-keys.js).
+// Deploy scripts decrypt it through getDeployer() in scripts/utils/keystore.js.
+const DEPLOYER_KEYSTORE = process.env.DEPLOYER_KEYSTORE || "deployer";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "HG7DAYXKN5B6AZE35WRDVQRSNN5IDC3ZG6";
 
 // Register the ethers-shim for global usage
 // This is done without importing hardhat to avoid circular dependencies
 require('./test/utils/register-ethers-shim');
 
+// dloop: tasks for day-to-day operations (npx hardhat help)
+require('./scripts/tasks');
+
 module.exports = {
   etherscan: {
     apiKey: {
@@ -37,6 +42,18 @@ module.exports = {
       }
     ],
     overrides: {
+      // Pinned in scripts/config/deterministicDeployer.js: the factory's creation code fixes every
+      // deterministic address, so its build must not follow changes to the settings above
+      "contracts/utils/DeterministicDeployer.sol": {
+        version: "0.8.24",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          evmVersion: "paris"
+        }
+      },
       "test/mocks/*.sol": {
         version: "0.8.24",
         settings: {
@@ -73,7 +90,8 @@ module.exports = {
     },
     sepolia: {
       url: SEPOLIA_RPC_URL,
-      accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
+      accounts: [],
+      keystore: DEPLOYER_KEYSTORE,
       chainId: 11155111,
       gasPrice: 'auto',
       gas: 6000000,
@@ -83,7 +101,8 @@ module.exports = {
     },
     sepolina: {
       url: SEPOLIA_RPC_URL,
-      accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
+      accounts: [],
+      keystore: DEPLOYER_KEYSTORE,
       chainId: 11155111,  // Same as Sepolia for compatibility
       gasPrice: 'auto',
       gas: 6000000,
@@ -97,6 +116,10 @@ module.exports = {
     tests: "./test",
     artifacts: "./artifacts"
   },
+  mocha: {
+    // Decodes the custom error of a failed test's revert (scripts/utils/revertDecoder.js)
+    rootHooks: require('./test/helpers/revertReporter').mochaHooks
+  },
   contractSizer: {
     alphaSort: true,
     runOnCompile: true
@@ -0,0 +1,106 @@
+/**
+ * @title D-Loop Protocol Deployment Manifest
+ * @dev Single source of truth for what gets deployed and how it is wired together
+ * @notice Every deploy, dry-run and verify script consumes this manifest through
+ *         scripts/utils/manifestResolver.js. Contracts may be listed in any order; the
+ *         resolver deploys each one after the contracts its constructor references.
+ *
+ * Argument forms:
+ *   ref('Name')        - address of another contract in this manifest
+ *   account('deployer') - address of a named account supplied by the script
+ *   role('MINTER_ROLE') - keccak256 role identifier
+ *   param('fees.invest') - value from the selected parameter profile (scripts/config/parameterProfiles.js)
+ *   anything else      - passed to the constructor/method as-is
+ */
+
+const { ref, account, role, param } = require('../utils/manifestResolver');
+
+const DEPLOYMENT_MANIFEST = {
+  name: 'd-loop-protocol',
+  version: '1.0.0',
+
+  contracts: [
+    // Identity
+    { name: 'SoulboundNFT', args: [] },
+
+    // Tokens
+    { name: 'DLoopToken', args: [
+      'D-Loop Protocol Token', // name
+      'DLOOP', // symbol
+      param('token.initialSupply'), // initialSupply
+      18, // tokenDecimals
+      param('token.maxSupply'), // maxSupply
+      account('deployer') // admin
+    ] },
+    { name: 'DAIToken', args: [] },
+
+    // Governance
+    { name: 'ProtocolDAO', artifact: 'contracts/core/ProtocolDAO.sol:ProtocolDAO', args: [
+      account('deployer'), // admin
+      account('deployer'), // treasury (rewired to Treasury in postDeployment)
+      param('governance.votingPeriod'),
+      param('governance.executionDelay'),
+      param('governance.quorum')
+    ] },
+    { name: 'AINodeRegistry', args: [
+      account('deployer'), // admin
+      ref('ProtocolDAO'), // governanceContract
+      ref('SoulboundNFT') // soulboundNFT
+    ] },
+    { name: 'AINodeGovernance', args: [ref('DLoopToken'), ref('AINodeRegistry')] },
+
+    // Treasury, oracle and rewards
+    { name: 'Treasury', args: [account('deployer'), ref('ProtocolDAO')] },
+    { name: 'PriceOracle', args: [
+      account('deployer'), // admin
+      account('deployer') // price updater
+    ] },
+    { name: 'GovernanceRewards', args: [
+      account('deployer'), // owner
+      account('deployer'), // admin
+      ref('Treasury'),
+      ref('DLoopToken'), // rewardToken
+      ref('PriceOracle'),
+      param('rewards.epochDuration')
+    ] },
+
+    // Fees
+    { name: 'FeeCalculator', args: [
+      account('deployer'), // feeAdmin
+      ref('Treasury'),
+      ref('GovernanceRewards'), // rewardDistributor
+      param('fees.invest'), // investFeePercentage
+      param('fees.divest'), // divestFeePercentage
+      param('fees.ragequit') // ragequitFeePercentage
+    ] },
+    { name: 'FeeProcessor', args: [
+      ref('Treasury'),
+      ref('GovernanceRewards'), // rewardDistributor
+      ref('FeeCalculator'),
+      account('deployer'), // feeAdmin
+      param('fees.treasuryShare'), // treasuryPercentage
+      param('fees.rewardShare') // rewardDistPercentage
+    ] },
+
+    // Asset management
+    { name: 'AssetDAO', args: [
+      ref('DAIToken'),
+      ref('DLoopToken'),
+      ref('PriceOracle'),
+      ref('FeeProcessor'),
+      ref('ProtocolDAO')
+    ] }
+  ],
+
+  // Post-deployment configuration steps, executed in order once every contract exists
+  postDeployment: [
+    { contract: 'SoulboundNFT', method: 'grantMinterRole', args: [ref('AINodeRegistry')] },
+    { contract: 'DLoopToken', method: 'grantRole', args: [role('MINTER_ROLE'), ref('ProtocolDAO')] },
+    { contract: 'ProtocolDAO', method: 'updateTreasury', args: [ref('Treasury')] },
+    { contract: 'ProtocolDAO', method: 'whitelistToken', args: [ref('DAIToken'), true] },
+    { contract: 'ProtocolDAO', method: 'whitelistToken', args: [ref('DLoopToken'), true] },
+    { contract: 'FeeProcessor', method: 'grantRole', args: [role('AUTHORIZED_CONTRACT_ROLE'), ref('AssetDAO')] }
+  ]
+};
+
+module.exports = DEPLOYMENT_MANIFEST;
@@ -0,0 +1,98 @@
+/**
+ * @title D-Loop Protocol Desired Configuration State
+ * @dev What a correctly wired deployment looks like once every manifest step has run
+ * @notice Consumed by scripts/utils/configReconciler.js, which reads the live state of a
+ *         deployment, reports every difference from this spec and sends only the calls needed
+ *         to converge. Contract names and ref()/account()/role() arguments are those of
+ *         scripts/config/deploymentManifest.js.
+ *
+ * roles:  holders is the complete set of known addresses (the deployer and every manifest
+ *         contract) that must hold the role. Missing holders are granted with `grant`
+ *         (default grantRole) and unexpected ones revoked with `revoke` (default revokeRole).
+ * values: `read` (with optional `args`) must return `expect`; `set` is the call that fixes it.
+ *
+ * The deployer holdings below are those before the governance handoff. After it, role checks
+ * also listed in scripts/config/governanceHandoffPolicy.js take the policy's holders instead
+ * (followHandoff in scripts/utils/governanceHandoff.js).
+ */
+
+const { ref, account } = require('../utils/manifestResolver');
+
+const DESIRED_STATE = {
+  roles: [
+    { contract: 'DLoopToken', role: 'DEFAULT_ADMIN_ROLE', holders: [account('deployer')] },
+    { contract: 'DLoopToken', role: 'MINTER_ROLE', holders: [account('deployer'), ref('ProtocolDAO')] },
+    {
+      contract: 'SoulboundNFT',
+      role: 'MINTER_ROLE',
+      holders: [account('deployer'), ref('AINodeRegistry')],
+      grant: 'grantMinterRole',
+      revoke: 'revokeMinterRole'
+    },
+    { contract: 'FeeProcessor', role: 'AUTHORIZED_CONTRACT_ROLE', holders: [ref('AssetDAO')] }
+  ],
+
+  values: [
+    // Governance wiring
+    { contract: 'ProtocolDAO', read: 'treasury', expect: ref('Treasury'), set: { method: 'updateTreasury', args: [ref('Treasury')] } },
+    {
+      contract: 'ProtocolDAO',
+      read: 'isTokenWhitelisted',
+      args: [ref('DAIToken')],
+      expect: true,
+      set: { method: 'whitelistToken', args: [ref('DAIToken'), true] }
+    },
+    {
+      contract: 'ProtocolDAO',
+      read: 'isTokenWhitelisted',
+      args: [ref('DLoopToken')],
+      expect: true,
+      set: { method: 'whitelistToken', args: [ref('DLoopToken'), true] }
+    },
+    {
+      contract: 'AINodeRegistry',
+      read: 'getSoulboundNFTAddress',
+      expect: ref('SoulboundNFT'),
+      set: { method: 'updateSoulboundNFT', args: [ref('SoulboundNFT')] }
+    },
+    {
+      contract: 'AINodeRegistry',
+      read: 'governanceContract',
+      expect: ref('ProtocolDAO'),
+      set: { method: 'updateGovernanceContract', args: [ref('ProtocolDAO')] }
+    },
+
+    // Treasury and fee routing
+    { contract: 'Treasury', read: 'protocolDAO', expect: ref('ProtocolDAO'), set: { method: 'updateProtocolDAO', args: [ref('ProtocolDAO')] } },
+    { contract: 'FeeProcessor', read: 'treasury', expect: ref('Treasury'), set: { method: 'updateTreasury', args: [ref('Treasury')] } },
+    {
+      contract: 'FeeProcessor',
+      read: 'feeCalculator',
+      expect: ref('FeeCalculator'),
+      set: { method: 'updateFeeCalculator', args: [ref('FeeCalculator')] }
+    },
+    {
+      contract: 'FeeProcessor',
+      read: 'rewardDistributor',
+      expect: ref('GovernanceRewards'),
+      set: { method: 'updateRewardDistributor', args: [ref('GovernanceRewards')] }
+    },
+    { contract: 'FeeCalculator', read: 'treasury', expect: ref('Treasury'), set: { method: 'updateTreasury', args: [ref('Treasury')] } },
+
+    // Asset management
+    {
+      contract: 'AssetDAO',
+      read: 'feeProcessor',
+      expect: ref('FeeProcessor'),
+      set: { method: 'updateFeeProcessor', args: [ref('FeeProcessor')] }
+    },
+    {
+      contract: 'AssetDAO',
+      read: 'priceOracle',
+      expect: ref('PriceOracle'),
+      set: { method: 'updatePriceOracle', args: [ref('PriceOracle')] }
+    }
+  ]
+};
+
+module.exports = DESIRED_STATE;
@@ -0,0 +1,63 @@
+/**
+ * @title D-Loop Protocol Pinned DeterministicDeployer Build
+ * @dev Creation code and ABI of contracts/utils/DeterministicDeployer.sol used by the deterministic
+ *      deployment mode (scripts/utils/deterministicDeployment.js)
+ * @notice The factory address is derived from this exact creation code, and every contract address
+ *         from the factory address, so the code is pinned here rather than read from artifacts/:
+ *         recompiling with another compiler or touching a comment in the source must not move
+ *         deployed addresses. Re-pinning moves the factory and every contract it deploys.
+ *         hardhat.config.js builds the source with the compiler and settings below, and a unit
+ *         test checks that the build still matches this code.
+ */
+
+const DETERMINISTIC_DEPLOYER = {
+  source: 'contracts/utils/DeterministicDeployer.sol',
+  compiler: 'v0.8.24+commit.e11b9ed9',
+  settings: { optimizer: { enabled: true, runs: 200 }, evmVersion: 'paris' },
+  abi: [
+    'constructor(address _owner)',
+    'error DeploymentFailed(bytes32 salt)',
+    'error NotOwner()',
+    'error SaltAlreadyUsed(bytes32 salt, address deployed)',
+    'event Deployed(address indexed deployed, bytes32 indexed salt)',
+    'function computeAddress(bytes32 salt, bytes32 initCodeHash) view returns (address)',
+    'function deploy(bytes32 salt, bytes initCode) returns (address deployed)',
+    'function execute(address target, bytes data) payable returns (bytes result)',
+    'function owner() view returns (address)'
+  ],
+  bytecode: [
+    '0x60a060405234801561001057600080fd5b506040516105a53803806105a583398101604081905261002f91610040565b',
+    '6001600160a01b0316608052610070565b60006020828403121561005257600080fd5b81516001600160a01b03811681',
+    '1461006957600080fd5b9392505050565b60805161050d6100986000396000818160b701528181610106015261022001',
+    '5261050d6000f3fe60806040526004361061003f5760003560e01c80631cff79cd14610044578063481286e61461006d',
+    '5780638da5cb5b146100a5578063cdcb760a146100d9575b600080fd5b6100576100523660046103c2565b6100f9565b',
+    '6040516100649190610423565b60405180910390f35b34801561007957600080fd5b5061008d61008836600461047256',
+    '5b6101bd565b6040516001600160a01b039091168152602001610064565b3480156100b157600080fd5b5061008d7f00',
+    '0000000000000000000000000000000000000000000000000000000000000081565b3480156100e557600080fd5b5061',
+    '008d6100f4366004610494565b610213565b6060336001600160a01b037f000000000000000000000000000000000000',
+    '00000000000000000000000000001614610144576040516330cd747160e01b815260040160405180910390fd5b600084',
+    '6001600160a01b03163485856040516101619291906104c7565b60006040518083038185875af1925050503d80600081',
+    '1461019e576040519150601f19603f3d011682016040523d82523d6000602084013e6101a3565b606091505b50925090',
+    '50806101b557815160208301fd5b509392505050565b604080516001600160f81b03196020808301919091523060601b',
+    '6bffffffffffffffffffffffff1916602183015260358201949094526055808201939093528151808203909301835260',
+    '75019052805191012090565b6000336001600160a01b037f000000000000000000000000000000000000000000000000',
+    '0000000000000000161461025e576040516330cd747160e01b815260040160405180910390fd5b600083838080601f01',
+    '602080910402602001604051908101604052809392919081815260200183838082843760009201829052508451602086',
+    '0120949550936102ac935089925090506101bd565b90506001600160a01b0381163b156102ee5760405163102bf2eb60',
+    'e21b8152600481018790526001600160a01b03821660248201526044015b60405180910390fd5b858251602084016000',
+    'f5925060003d1183151615610310573d6000803e3d6000fd5b6001600160a01b03831661033a576040516383d2279b60',
+    'e01b8152600481018790526024016102e5565b60405186906001600160a01b038516907f94bfd9af14ef450884c8a7dd',
+    'b5734e2e1e14e70a1c84f0801cc5a29e34d2642890600090a350509392505050565b60008083601f84011261038b5760',
+    '0080fd5b50813567ffffffffffffffff8111156103a357600080fd5b6020830191508360208285010111156103bb5760',
+    '0080fd5b9250929050565b6000806000604084860312156103d757600080fd5b83356001600160a01b03811681146103',
+    'ee57600080fd5b9250602084013567ffffffffffffffff81111561040a57600080fd5b61041686828701610379565b94',
+    '97909650939450505050565b60006020808352835180602085015260005b818110156104515785810183015185820160',
+    '4001528201610435565b506000604082860101526040601f19601f8301168501019250505092915050565b6000806040',
+    '838503121561048557600080fd5b50508035926020909101359150565b6000806000604084860312156104a957600080',
+    'fd5b83359250602084013567ffffffffffffffff81111561040a57600080fd5b818382376000910190815291905056fe',
+    'a264697066735822122085cb2523f7b6cec0723d9fa04a4318ba409915c4915754ffccec8e3d0adfd27464736f6c6343',
+    '0008180033'
+  ].join('')
+};
+
+module.exports = DETERMINISTIC_DEPLOYER;
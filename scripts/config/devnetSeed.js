@@ -0,0 +1,106 @@
+/**
+ * @title D-Loop Protocol Devnet Seed
+ * @dev Protocol state created by `devnet up` on top of a fresh local deployment
+ * @notice Consumed by scripts/utils/devnet.js. Accounts are named here and referenced by name
+ *         everywhere else; each is the Hardhat node account with that index (0 is the
+ *         deployer). Contracts are referenced by their manifest name. Token amounts are decimal
+ *         strings in whole tokens (18 decimals); feed prices are raw answers in the feed's
+ *         decimals.
+ *
+ * feeds:       one MockAggregatorV3 per token, registered in ChainlinkPriceOracle with its
+ *              maxStaleness and heartbeat (seconds)
+ * balances:    D-AI is minted, DLOOP is transferred from the deployer's initial supply
+ * proposals:   AssetDAO proposals left in `state` Active, Executed or Canceled (the only states
+ *              AssetDAO assigns). Executed proposals move the chain past their timelock, so
+ *              the seeder creates them first.
+ */
+
+const DEVNET_SEED = {
+  accounts: {
+    alice: 1,
+    bob: 2,
+    carol: 3,
+    dave: 4,
+    node1: 5,
+    node2: 6
+  },
+
+  feeds: [
+    { token: 'DAIToken', description: 'D-AI / USD', decimals: 8, price: '100000000', maxStaleness: 604800, heartbeat: 3600 },
+    { token: 'DLoopToken', description: 'DLOOP / USD', decimals: 8, price: '250000000', maxStaleness: 604800, heartbeat: 3600 }
+  ],
+
+  balances: {
+    alice: { DAIToken: '50000', DLoopToken: '40000' },
+    bob: { DAIToken: '25000', DLoopToken: '15000' },
+    carol: { DAIToken: '10000', DLoopToken: '5000' },
+    dave: { DAIToken: '5000' },
+    node1: { DLoopToken: '10000' },
+    node2: { DLoopToken: '10000' }
+  },
+
+  assets: [
+    {
+      name: 'Renewable Energy Basket',
+      description: 'Solar and wind infrastructure exposure',
+      investments: { alice: '12000', bob: '8000' }
+    },
+    {
+      name: 'AI Compute Index',
+      description: 'GPU capacity and inference networks',
+      investments: { carol: '4000', dave: '1500' }
+    }
+  ],
+
+  nodes: [
+    { node: 'node1', owner: 'node1', metadata: 'ipfs://devnet/ai-node-1' },
+    { node: 'node2', owner: 'carol', metadata: 'ipfs://devnet/ai-node-2' }
+  ],
+
+  delegations: [
+    { from: 'alice', to: 'node1', amount: '10000' },
+    { from: 'bob', to: 'node1', amount: '5000' },
+    { from: 'carol', to: 'node2', amount: '2500' }
+  ],
+
+  proposals: [
+    {
+      proposer: 'alice',
+      type: 'Investment',
+      asset: 'DAIToken',
+      amount: '5000',
+      description: 'Allocate 5,000 D-AI to the Renewable Energy Basket',
+      votes: { alice: true, bob: true, carol: false },
+      state: 'Executed'
+    },
+    {
+      proposer: 'bob',
+      type: 'ParameterChange',
+      asset: 'DLoopToken',
+      amount: '0',
+      description: 'Lower the invest fee to 0.05%',
+      votes: { bob: true },
+      state: 'Canceled'
+    },
+    {
+      proposer: 'carol',
+      type: 'Divestment',
+      asset: 'DAIToken',
+      amount: '1500',
+      description: 'Trim the AI Compute Index position',
+      votes: { alice: false, carol: true },
+      state: 'Active'
+    },
+    {
+      proposer: 'alice',
+      type: 'Investment',
+      asset: 'DAIToken',
+      amount: '2000',
+      description: 'Add GPU capacity to the AI Compute Index',
+      votes: {},
+      state: 'Active'
+    }
+  ]
+};
+
+module.exports = DEVNET_SEED;
@@ -0,0 +1,110 @@
+/**
+ * @title D-Loop Protocol Governance Handoff Policy
+ * @dev Where every admin power held by the deployer goes once the protocol is live
+ * @notice Consumed by scripts/utils/governanceHandoff.js. Contract names and
+ *         ref()/account() arguments are those of scripts/config/deploymentManifest.js.
+ *         ProtocolDAO receives ownership and DEFAULT_ADMIN_ROLE (changes need a proposal);
+ *         SimplifiedAdminControls receives the operational admin positions and roles.
+ *
+ * recipients: contracts outside the manifest that receive powers. They are deployed (and
+ *             recorded in the registry) with --deploy-recipients, and always in a rehearsal.
+ * roles:      same format as scripts/config/desiredState.js: the complete set of holders each
+ *             role must have after the handoff. Any other role the deployer still holds once
+ *             these are applied is renounced.
+ * values:     same format as scripts/config/desiredState.js, sent in the order listed. Admin
+ *             positions come before ownership because updateAdmin/updateFeeAdmin are onlyOwner.
+ * accepted:   deployer privileges no contract function can move. They are reported instead of
+ *             failing the verification; each needs a reason.
+ */
+
+const { ref, account } = require('../utils/manifestResolver');
+
+const GOVERNANCE_HANDOFF_POLICY = {
+  recipients: [
+    { name: 'SimplifiedAdminControls', args: [
+      account('deployer'), // initial admin, renounced during the handoff
+      1, // approvalThreshold
+      0 // timelock
+    ] }
+  ],
+
+  roles: [
+    { contract: 'DLoopToken', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'DLoopToken', role: 'MINTER_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'DLoopToken', role: 'PAUSER_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    { contract: 'DAIToken', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'DAIToken', role: 'PAUSER_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    { contract: 'SoulboundNFT', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'SoulboundNFT', role: 'ADMIN_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    {
+      contract: 'SoulboundNFT',
+      role: 'MINTER_ROLE',
+      holders: [ref('AINodeRegistry')],
+      grant: 'grantMinterRole',
+      revoke: 'revokeMinterRole'
+    },
+    { contract: 'PriceOracle', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'PriceOracle', role: 'ADMIN_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    { contract: 'GovernanceRewards', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'GovernanceRewards', role: 'ADMIN_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    { contract: 'AINodeGovernance', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'AINodeGovernance', role: 'GOVERNANCE_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'AINodeGovernance', role: 'ADMIN_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    // FeeCalculator.transferOwnership also grants it to the new owner
+    { contract: 'FeeCalculator', role: 'PARAMETER_SETTER_ROLE', holders: [ref('ProtocolDAO'), ref('SimplifiedAdminControls')] },
+    { contract: 'FeeProcessor', role: 'ADMIN_ROLE', holders: [ref('SimplifiedAdminControls')] },
+    { contract: 'SimplifiedAdminControls', role: 'DEFAULT_ADMIN_ROLE', holders: [ref('ProtocolDAO')] },
+    { contract: 'SimplifiedAdminControls', role: 'GOVERNANCE_ROLE', holders: [ref('ProtocolDAO')] }
+  ],
+
+  values: [
+    // The deployer stops updating prices while it still administers the oracle
+    {
+      contract: 'PriceOracle',
+      read: 'priceUpdaters',
+      args: [account('deployer')],
+      expect: false,
+      set: { method: 'removePriceUpdater', args: [account('deployer')] }
+    },
+
+    // Operational admins
+    { contract: 'AssetDAO', read: 'admin', expect: ref('SimplifiedAdminControls'), set: { method: 'updateAdmin', args: [ref('SimplifiedAdminControls')] } },
+    { contract: 'Treasury', read: 'admin', expect: ref('SimplifiedAdminControls'), set: { method: 'updateAdmin', args: [ref('SimplifiedAdminControls')] } },
+    {
+      contract: 'FeeCalculator',
+      read: 'feeAdmin',
+      expect: ref('SimplifiedAdminControls'),
+      set: { method: 'updateFeeAdmin', args: [ref('SimplifiedAdminControls')] }
+    },
+    {
+      contract: 'FeeProcessor',
+      read: 'feeAdmin',
+      expect: ref('SimplifiedAdminControls'),
+      set: { method: 'updateFeeAdmin', args: [ref('SimplifiedAdminControls')] }
+    },
+    {
+      contract: 'AINodeRegistry',
+      read: 'admin',
+      expect: ref('SimplifiedAdminControls'),
+      set: { method: 'updateAdmin', args: [ref('SimplifiedAdminControls')] }
+    },
+    { contract: 'ProtocolDAO', read: 'admin', expect: ref('SimplifiedAdminControls'), set: { method: 'updateAdmin', args: [ref('SimplifiedAdminControls')] } },
+
+    // Ownership
+    { contract: 'AssetDAO', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } },
+    { contract: 'Treasury', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } },
+    { contract: 'FeeCalculator', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } },
+    { contract: 'FeeProcessor', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } },
+    { contract: 'AINodeRegistry', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } },
+    { contract: 'ProtocolDAO', read: 'owner', expect: ref('ProtocolDAO'), set: { method: 'transferOwnership', args: [ref('ProtocolDAO')] } }
+  ],
+
+  accepted: [
+    { contract: 'PriceOracle', read: 'owner', reason: 'set to the deployer in the constructor; PriceOracle has no transferOwnership' },
+    { contract: 'PriceOracle', read: 'admin', reason: 'set to the deployer in the constructor; PriceOracle has no updateAdmin' },
+    { contract: 'AINodeGovernance', read: 'owner', reason: 'set to the deployer in the constructor; AINodeGovernance has no transferOwnership' },
+    { contract: 'AINodeGovernance', read: 'admin', reason: 'set to the deployer in the constructor; AINodeGovernance has no updateAdmin' }
+  ]
+};
+
+module.exports = GOVERNANCE_HANDOFF_POLICY;
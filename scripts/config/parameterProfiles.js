@@ -0,0 +1,64 @@
+/**
+ * @title D-Loop Protocol Parameter Profiles
+ * @dev Named sets of governance, fee, reward and token parameters for deployments
+ * @notice The deployment manifest references these values with param('group.name'); deploy scripts
+ *         pick a profile with --profile <name> (or DEPLOY_PROFILE), defaulting to the network's
+ *         entry in `defaults`. A profile can only be deployed to the networks it lists.
+ *         Constructor arguments are part of a CREATE2 address, so deterministic deployments only
+ *         share addresses across networks when they use the same profile.
+ *         Profiles are validated against the schema in scripts/utils/parameterProfiles.js.
+ *
+ *         Durations are in seconds, fees and shares in basis points, quorum in percent of the
+ *         votes, token amounts in wei as decimal strings.
+ */
+
+const PARAMETER_PROFILES = {
+  // Profile used when --profile is not given
+  defaults: {
+    hardhat: 'local-fast',
+    localhost: 'local-fast',
+    sepolia: 'testnet',
+    sepolina: 'testnet'
+  },
+
+  profiles: {
+    // Short periods and a low quorum so whole proposal lifecycles fit in a test run
+    'local-fast': {
+      description: 'Development chains: minutes-long governance periods and a low quorum',
+      networks: ['hardhat', 'localhost'],
+      parameters: {
+        governance: { votingPeriod: 300, executionDelay: 60, quorum: 10 },
+        fees: { invest: 10, divest: 5, ragequit: 30, treasuryShare: 7000, rewardShare: 3000 },
+        rewards: { epochDuration: 3600 },
+        token: { initialSupply: '100000000000000000000000000', maxSupply: '1000000000000000000000000000' }
+      }
+    },
+
+    // The parameters the Sepolia deployments have used so far. Also allowed locally, so a
+    // deterministic rehearsal resolves the same constructor arguments and CREATE2 addresses
+    testnet: {
+      description: 'Public testnets: week-long voting, two-day execution delay',
+      networks: ['hardhat', 'localhost', 'sepolia', 'sepolina'],
+      parameters: {
+        governance: { votingPeriod: 604800, executionDelay: 172800, quorum: 51 },
+        fees: { invest: 10, divest: 5, ragequit: 30, treasuryShare: 7000, rewardShare: 3000 },
+        rewards: { epochDuration: 604800 },
+        token: { initialSupply: '1000000000000000000000000', maxSupply: '100000000000000000000000000' }
+      }
+    },
+
+    // Mainnet-like timings, for rehearsals on any chain
+    'production-like': {
+      description: 'Rehearsal of mainnet parameters: longer delays, monthly reward epochs',
+      networks: ['hardhat', 'localhost', 'sepolia', 'sepolina'],
+      parameters: {
+        governance: { votingPeriod: 604800, executionDelay: 259200, quorum: 51 },
+        fees: { invest: 10, divest: 5, ragequit: 30, treasuryShare: 7000, rewardShare: 3000 },
+        rewards: { epochDuration: 2592000 },
+        token: { initialSupply: '1000000000000000000000000', maxSupply: '100000000000000000000000000' }
+      }
+    }
+  }
+};
+
+module.exports = PARAMETER_PROFILES;
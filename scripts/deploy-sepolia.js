@@ -1,76 +1,89 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
 const { deployContract, verifyContract, initializeContract } = require("./utils/deploymentUtils");
-const DEPLOYMENT_CONFIG = require("./config/deploymentConfig");
+const DEPLOYMENT_MANIFEST = require("./config/deploymentManifest");
+const { resolveManifest, resolveArgs } = require("./utils/manifestResolver");
+const { DeploymentRegistry } = require("./utils/deploymentRegistry");
+const { summarizeReceipt } = require("./utils/manifestDeployer");
+const { getDeployer } = require("./utils/keystore");
+const { selectProfile } = require("./utils/parameterProfiles");
 
 async function main() {
     console.log("Starting deployment to Sepolia...");
-    
+
+    const profile = selectProfile(hre.network.name);
+    console.log(`Parameter profile: ${profile.name}`);
+
+    const deployer = await getDeployer(hre);
+    const accounts = { deployer: await deployer.getAddress() };
+    const addresses = {};
     const deployments = {};
     const deploymentInfo = {
-        network: "sepolia",
-        timestamp: new Date().toISOString(),
-        contracts: {}
+        network: {
+            name: hre.network.name,
+            chainId: hre.network.config.chainId,
+            deployer: accounts.deployer,
+            timestamp: new Date().toISOString()
+        },
+        manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+        profile: { name: profile.name, parameters: profile.parameters },
+        contracts: {},
+        transactions: []
     };
 
     try {
-        // Deploy all contracts in order
-        for (const contractName of DEPLOYMENT_CONFIG.deploymentOrder) {
-            const initParams = DEPLOYMENT_CONFIG.initParams[contractName] 
-                ? DEPLOYMENT_CONFIG.initParams[contractName](deployments) 
-                : [];
-            
-            const contract = await deployContract(contractName, initParams);
-            deployments[contractName] = contract;
-            
+        // Resolve and validate the manifest before anything is sent
+        const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+
+        // Deploy all contracts in dependency order
+        for (const entry of plan.contracts) {
+            const constructorArgs = resolveArgs(entry.args, { accounts, addresses });
+
+            const contract = await deployContract(entry.artifact, constructorArgs, deployer);
+            const receipt = await contract.deploymentTransaction().wait();
+            deployments[entry.name] = contract;
+            addresses[entry.name] = await contract.getAddress();
+
             // Save deployment info
-            deploymentInfo.contracts[contractName] = {
-                address: await contract.getAddress(),
-                constructorArgs: initParams
+            deploymentInfo.contracts[entry.name] = {
+                address: addresses[entry.name],
+                artifact: entry.artifact,
+                args: constructorArgs,
+                transaction: receipt.hash,
+                blockNumber: receipt.blockNumber
             };
+            deploymentInfo.transactions.push({
+                ...summarizeReceipt(receipt),
+                type: "deploy",
+                contract: entry.name,
+                timestamp: new Date().toISOString()
+            });
         }
 
         // Post-deployment initialization
         console.log("\nPerforming post-deployment initialization...");
 
-        // Initialize AINodeRegistry with initial parameters
-        await initializeContract(
-            deployments.AINodeRegistry,
-            "initialize",
-            [true, // isTestnet
-             1000] // minStakeAmount (for testnet)
-        );
-
-        // Set up Treasury permissions
-        await initializeContract(
-            deployments.Treasury,
-            "setFeeDistributor",
-            [await deployments.FeeDistributor.getAddress()]
-        );
-
-        // Configure TokenOptimizer
-        await initializeContract(
-            deployments.TokenOptimizer,
-            "setTokens",
-            [[await deployments.DAIToken.getAddress(),
-              await deployments.GovernanceToken.getAddress()]]
-        );
-
-        // Save deployment information
-        const deploymentPath = path.join(__dirname, "../deployments");
-        if (!fs.existsSync(deploymentPath)) {
-            fs.mkdirSync(deploymentPath);
+        for (const step of plan.postDeployment) {
+            const args = resolveArgs(step.args, { accounts, addresses });
+            const receipt = await initializeContract(deployments[step.contract], step.signature, args);
+            deploymentInfo.transactions.push({
+                ...summarizeReceipt(receipt),
+                type: "configure",
+                contract: step.contract,
+                method: step.method,
+                args,
+                timestamp: new Date().toISOString()
+            });
         }
-        
-        fs.writeFileSync(
-            path.join(deploymentPath, `sepolia-deployment-${Date.now()}.json`),
-            JSON.stringify(deploymentInfo, null, 2)
-        );
+
+        // Record the deployment in the network's registry
+        const registry = DeploymentRegistry.load(hre.network.name, { chainId: hre.network.config.chainId });
+        const stored = registry.record(deploymentInfo);
+        console.log(`\nRecorded as ${stored.id} in deployments/${hre.network.name}.json`);
 
         console.log("\nVerifying contracts on Etherscan...");
         for (const [name, info] of Object.entries(deploymentInfo.contracts)) {
-            await verifyContract(info.address, info.constructorArgs);
+            // Fully qualified names pick the source when several files declare the contract
+            await verifyContract(info.address, info.args, info.artifact.includes(":") ? info.artifact : undefined);
         }
 
         console.log("\nDeployment completed successfully!");
@@ -0,0 +1,80 @@
+/**
+ * @title D-Loop Protocol Bytecode Check Script
+ * @dev Confirms that the contracts recorded for a network run the code in artifacts/
+ * @notice Reads the runtime code of every contract in deployments/<network>.json with eth_getCode
+ *         and compares it with the compiled deployedBytecode, ignoring the metadata hash and
+ *         immutable values (see scripts/utils/bytecodeCheck.js):
+ *
+ *         npx hardhat run scripts/deployment/check-bytecode.js --network sepolia
+ *         HARDHAT_NETWORK=localhost node scripts/deployment/check-bytecode.js [deploymentId] [--json] [--strict]
+ *
+ *         Without a deployment id the current address of every contract is checked; with one,
+ *         the contracts of that deployment. The script exits non-zero if any contract has no code,
+ *         really differs or cannot be checked; with --strict a metadata-only difference fails too.
+ */
+
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { STATUS, checkDeployedBytecode } = require('../utils/bytecodeCheck');
+
+const JSON_OUTPUT = process.argv.includes('--json');
+const STRICT = process.argv.includes('--strict');
+const [DEPLOYMENT_ID] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+async function main() {
+  const { network } = hre;
+  const registry = DeploymentRegistry.load(network.name);
+
+  let recorded;
+  if (DEPLOYMENT_ID) {
+    const deployment = registry.get(DEPLOYMENT_ID);
+    if (!deployment) {
+      console.error(`No deployment ${DEPLOYMENT_ID} recorded in deployments/${network.name}.json`);
+      process.exit(1);
+    }
+    recorded = deployment.contracts;
+  } else {
+    recorded = registry.contracts();
+  }
+  if (Object.keys(recorded).length === 0) {
+    console.error(`No contracts recorded for ${network.name} in deployments/${network.name}.json`);
+    process.exit(1);
+  }
+
+  // Records migrated from legacy files may lack the artifact; the manifest knows it
+  const contracts = {};
+  for (const [name, info] of Object.entries(recorded)) {
+    const manifestEntry = DEPLOYMENT_MANIFEST.contracts.find(entry => entry.name === name);
+    contracts[name] = { address: info.address, artifact: info.artifact || (manifestEntry && manifestEntry.artifact) || name };
+  }
+
+  const results = await checkDeployedBytecode({ provider: hre.ethers.provider, artifacts: hre.artifacts, contracts });
+  const failing = results.filter(result =>
+    result.status !== STATUS.MATCH && (STRICT || result.status !== STATUS.METADATA_ONLY)
+  );
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify({ network: network.name, deploymentId: DEPLOYMENT_ID || null, results }, null, 2));
+  } else {
+    console.log(`Checking deployed bytecode on ${network.name} against artifacts/...\n`);
+    for (const result of results) {
+      console.log(`${result.status.padEnd(14)} ${result.name.padEnd(24)} ${result.address}  ${result.detail}`);
+    }
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`\n${count(STATUS.MATCH)} match, ${count(STATUS.METADATA_ONLY)} metadata-only, ` +
+      `${count(STATUS.MISMATCH)} mismatch, ${count(STATUS.NO_CODE)} without code, ${count(STATUS.ERROR)} not checked`);
+  }
+
+  if (failing.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Execute the check
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error('Bytecode check failed:', error.message);
+    process.exit(1);
+  });
@@ -1,53 +1,47 @@
 /**
  * @title D-Loop Protocol Sepolia Testnet Deployment Script (ethers.js v6 compatible)
  * @dev Script to deploy the D-Loop Protocol to the Sepolia Testnet
- * @notice This script handles the deployment and verification of all protocol contracts
+ * @notice This script handles the deployment and verification of all protocol contracts.
+ *         Progress is checkpointed to deployments/<network>-journal.json after every confirmed
+ *         transaction; rerun with --resume (or DEPLOY_RESUME=true) to continue a failed run:
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/deploy-sepolia-v6.js --resume
+ *
+ *         Governance, fee, reward and token parameters come from the network's default profile in
+ *         scripts/config/parameterProfiles.js; --profile <name> (or DEPLOY_PROFILE) picks another
+ *         one, on any network the profile lists:
+ *
+ *         HARDHAT_NETWORK=localhost node scripts/deployment/deploy-sepolia-v6.js --profile production-like
+ *
+ *         With --deterministic (or DEPLOY_DETERMINISTIC=true) every contract is deployed with CREATE2
+ *         through the deployer's DeterministicDeployer, at the addresses printed by
+ *         scripts/deployment/deterministic-deployment.js predict. A journal only resumes in the
+ *         mode it was started in.
  */
 
 const hre = require('hardhat');
-const fs = require('fs');
-const path = require('path');
 
-// Deployment configuration
-const config = {
-  // Contract deployment order matters due to dependencies
-  contracts: [
-    { name: 'SoulboundNFT', args: ['$ADMIN_ADDRESS'] }, // Requires admin address
-    { name: 'DLoopToken', args: [
-      'D-Loop Protocol Token', // name
-      'DLOOP', // symbol
-      '1000000000000000000000000', // initialSupply (1 million tokens with 18 decimals)
-      18, // tokenDecimals
-      '100000000000000000000000000', // maxSupply (100 million tokens with 18 decimals)
-      '$ADMIN_ADDRESS' // admin address
-    ]},
-    { name: 'ProtocolDAO', args: [
-      '$ADMIN_ADDRESS', // admin
-      '$ADMIN_ADDRESS', // treasury (will be updated later)
-      '604800', // votingPeriod (7 days in seconds)
-      '172800', // executionDelay (2 days in seconds)
-      '51' // quorum (51%)
-    ] },
-    { name: 'AINodeRegistry', args: ['$ADMIN_ADDRESS', '$DAO_ADDRESS', '$SOULBOUND_ADDRESS'] },
-    { name: 'Treasury', args: ['$ADMIN_ADDRESS', '$DAO_ADDRESS'] },
-    { name: 'GovernanceRewards', args: ['$TOKEN_ADDRESS', '$DAO_ADDRESS'] },
-    { name: 'PriceOracle', args: ['$DAO_ADDRESS'] }
-  ],
-  // Post-deployment configuration steps
-  postDeployment: [
-    { contract: 'SoulboundNFT', method: 'grantMinterRole', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'DLoopToken', method: 'grantMinterRole', args: ['$DAO_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setTreasury', args: ['$TREASURY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRegistry', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRewards', args: ['$REWARDS_ADDRESS'] }
-  ]
-};
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { DeploymentJournal, defaultJournalPath, findMissingCode } = require('../utils/deploymentJournal');
+const { executePlan, summarizeGas } = require('../utils/manifestDeployer');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer } = require('../utils/keystore');
+const { selectProfile } = require('../utils/parameterProfiles');
+const { explainError } = require('../utils/revertDecoder');
+const { prepareDeterministic } = require('../utils/deterministicDeployment');
+
+const RESUME = process.argv.includes('--resume') || process.env.DEPLOY_RESUME === 'true';
+const DETERMINISTIC = process.argv.includes('--deterministic') || process.env.DEPLOY_DETERMINISTIC === 'true';
 
 // Deployment results storage
 const deploymentResults = {
   network: '',
+  manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
   contracts: {},
-  transactions: []
+  transactions: [],
+  gasUsed: {},
+  steps: []
 };
 
 /**
@@ -56,23 +50,19 @@ const deploymentResults = {
 async function main() {
   const { ethers, network } = hre;
   
-  // Ensure we're on the Sepolia network
-  if (network.name !== 'sepolia' && network.name !== 'sepolina') {
-    console.error('This script is intended to be run on the Sepolia testnet only');
-    console.error(`Current network: ${network.name}`);
+  // The parameter profile decides which networks this deployment may go to
+  let profile;
+  try {
+    profile = selectProfile(network.name);
+  } catch (error) {
+    console.error(error.message);
     process.exit(1);
   }
   
-  console.log(`Deploying D-Loop Protocol to ${network.name} testnet...`);
-  
-  // Get deployer account
-  const signers = await ethers.getSigners();
-  if (!signers || signers.length === 0) {
-    console.error('No signers available. Check your network configuration.');
-    process.exit(1);
-  }
+  console.log(`Deploying D-Loop Protocol to ${network.name} with the ${profile.name} parameter profile...`);
   
-  const deployer = signers[0];
+  // Get deployer account from the network's keystore
+  const deployer = await getDeployer(hre);
   const deployerAddress = await deployer.getAddress();
   console.log(`Deployer address: ${deployerAddress}`);
   
@@ -80,10 +70,55 @@ async function main() {
   const balance = await ethers.provider.getBalance(deployerAddress);
   console.log(`Deployer balance: ${ethers.formatEther(balance)} ETH`);
   
-  // Ensure deployer has enough ETH
-  if (balance < ethers.parseEther('0.4')) {
-    console.error(`Insufficient ETH balance for deployment. Need at least 0.4 ETH`);
-    process.exit(1);
+  // Resolve and validate the manifest before anything is sent
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  
+  // Open the journal: a fresh one, or the one left behind by a failed run
+  const journalPath = defaultJournalPath(network.name);
+  let journal;
+  if (RESUME) {
+    journal = DeploymentJournal.load(journalPath);
+    console.log(`Resuming deployment from ${journalPath} (${journal.data.steps.length} step(s) already confirmed)`);
+    
+    if (journal.data.chainId !== network.config.chainId) {
+      console.error(`Journal was written for chain ${journal.data.chainId}, not ${network.config.chainId}`);
+      process.exit(1);
+    }
+    if (journal.data.deployer.toLowerCase() !== deployerAddress.toLowerCase()) {
+      console.error(`Journal was written by deployer ${journal.data.deployer}, not ${deployerAddress}`);
+      process.exit(1);
+    }
+    if (journal.data.profile && journal.data.profile !== profile.name) {
+      console.error(`Journal was written with the ${journal.data.profile} parameter profile, not ${profile.name}`);
+      process.exit(1);
+    }
+    if (Boolean(journal.data.deterministic) !== DETERMINISTIC) {
+      console.error(`Journal was written ${journal.data.deterministic ? 'with' : 'without'} --deterministic; rerun ${journal.data.deterministic ? 'with' : 'without'} it to resume`);
+      process.exit(1);
+    }
+    
+    const missing = await findMissingCode(journal, ethers.provider);
+    if (missing.length > 0) {
+      console.error(`Recorded contracts have no code on-chain: ${missing.join(', ')}`);
+      console.error('The journal does not match this network; refusing to resume.');
+      process.exit(1);
+    }
+  } else {
+    // Ensure deployer has enough ETH for a full deployment
+    if (balance < ethers.parseEther('0.4')) {
+      console.error(`Insufficient ETH balance for deployment. Need at least 0.4 ETH`);
+      process.exit(1);
+    }
+    
+    journal = DeploymentJournal.create(journalPath, {
+      network: network.name,
+      chainId: network.config.chainId,
+      deployer: deployerAddress,
+      manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+      profile: profile.name,
+      deterministic: DETERMINISTIC
+    });
+    console.log(`Checkpointing progress to ${journalPath}`);
   }
   
   // Store network info
@@ -91,152 +126,60 @@ async function main() {
     name: network.name,
     chainId: network.config.chainId,
     deployer: deployerAddress,
-    timestamp: new Date().toISOString()
+    timestamp: journal.data.startedAt
   };
+  deploymentResults.profile = { name: profile.name, parameters: profile.parameters };
   
-  // Deploy all contracts in order
-  const deployedContracts = {};
+  // In deterministic mode the deployer acts through its CREATE2 factory
+  let signer = deployer;
+  let create2Salts;
+  let factoryTransaction;
+  if (DETERMINISTIC) {
+    let record;
+    ({ signer, create2Salts, record, transaction: factoryTransaction } = await prepareDeterministic({
+      deployer, manifest: DEPLOYMENT_MANIFEST, plan, networkName: network.name
+    }));
+    // The factory holds the deployer's rights, so the tools that follow act through it
+    deploymentResults.network.deployer = record.factory;
+    deploymentResults.deterministic = record;
+  }
   
-  for (const contractConfig of config.contracts) {
-    const { name, args } = contractConfig;
-    console.log(`Deploying ${name}...`);
-    
-    // Replace placeholder args with actual addresses
-    const resolvedArgs = [];
-    for (const arg of args) {
-      if (typeof arg !== 'string') {
-        resolvedArgs.push(arg);
-        continue;
-      }
-      
-      if (arg === '$ADMIN_ADDRESS') {
-        resolvedArgs.push(deployerAddress);
-      } else if (arg === '$TOKEN_ADDRESS' && deployedContracts.DLoopToken) {
-        const tokenAddress = await deployedContracts.DLoopToken.getAddress();
-        resolvedArgs.push(tokenAddress);
-      } else if (arg === '$DAO_ADDRESS' && deployedContracts.ProtocolDAO) {
-        const daoAddress = await deployedContracts.ProtocolDAO.getAddress();
-        resolvedArgs.push(daoAddress);
-      } else if (arg === '$SOULBOUND_ADDRESS' && deployedContracts.SoulboundNFT) {
-        const soulboundAddress = await deployedContracts.SoulboundNFT.getAddress();
-        resolvedArgs.push(soulboundAddress);
-      } else if (arg === '$REGISTRY_ADDRESS' && deployedContracts.AINodeRegistry) {
-        const registryAddress = await deployedContracts.AINodeRegistry.getAddress();
-        resolvedArgs.push(registryAddress);
-      } else if (arg === '$TREASURY_ADDRESS' && deployedContracts.Treasury) {
-        const treasuryAddress = await deployedContracts.Treasury.getAddress();
-        resolvedArgs.push(treasuryAddress);
-      } else if (arg === '$REWARDS_ADDRESS' && deployedContracts.GovernanceRewards) {
-        const rewardsAddress = await deployedContracts.GovernanceRewards.getAddress();
-        resolvedArgs.push(rewardsAddress);
-      } else {
-        resolvedArgs.push(arg);
-      }
-    }
-    
-    // Deploy the contract
-    const ContractFactory = await ethers.getContractFactory(name);
-    console.log(`Deploying ${name} with args:`, resolvedArgs);
-    
-    // Deploy with proper error handling
-    let contract;
-    try {
-      contract = await ContractFactory.deploy(...resolvedArgs);
-      // Wait for deployment to complete
-      await contract.waitForDeployment();
-      const receipt = await contract.deploymentTransaction().wait(2); // Wait for 2 confirmations
-      console.log(`${name} deployed to: ${await contract.getAddress()} in tx: ${receipt.hash}`);
-    } catch (error) {
-      console.error(`Error deploying ${name}:`, error.message);
-      process.exit(1);
-    }
-    
-    // Store deployment info
-    deployedContracts[name] = contract;
-    deploymentResults.contracts[name] = {
-      address: await contract.getAddress(),
-      args: resolvedArgs,
-      transaction: contract.deploymentTransaction().hash
-    };
-    
-    // Add deployment transaction to list
-    deploymentResults.transactions.push({
-      hash: contract.deploymentTransaction().hash,
-      type: 'deploy',
-      contract: name,
-      timestamp: new Date().toISOString()
+  let result;
+  try {
+    result = await executePlan({
+      ethers,
+      plan,
+      signer,
+      journal,
+      deployConfirmations: 2,
+      configureConfirmations: 1,
+      create2Salts
     });
+  } catch (error) {
+    console.error(explainError(error));
+    console.error(`Progress so far is saved in ${journalPath}. Rerun with --resume to continue.`);
+    process.exit(1);
   }
   
-  console.log('All contracts deployed successfully!');
-  console.log('Running post-deployment configuration...');
-  
-  // Execute post-deployment configuration
-  for (const step of config.postDeployment) {
-    const { contract, method, args } = step;
-    console.log(`Configuring ${contract}.${method}...`);
-    
-    // Replace placeholder args with actual addresses
-    const resolvedArgs = [];
-    for (const arg of args) {
-      if (typeof arg !== 'string') {
-        resolvedArgs.push(arg);
-        continue;
-      }
-      
-      if (arg === '$ADMIN_ADDRESS') {
-        resolvedArgs.push(deployerAddress);
-      } else if (arg === '$TOKEN_ADDRESS' && deployedContracts.DLoopToken) {
-        resolvedArgs.push(await deployedContracts.DLoopToken.getAddress());
-      } else if (arg === '$DAO_ADDRESS' && deployedContracts.ProtocolDAO) {
-        resolvedArgs.push(await deployedContracts.ProtocolDAO.getAddress());
-      } else if (arg === '$SOULBOUND_ADDRESS' && deployedContracts.SoulboundNFT) {
-        resolvedArgs.push(await deployedContracts.SoulboundNFT.getAddress());
-      } else if (arg === '$REGISTRY_ADDRESS' && deployedContracts.AINodeRegistry) {
-        resolvedArgs.push(await deployedContracts.AINodeRegistry.getAddress());
-      } else if (arg === '$TREASURY_ADDRESS' && deployedContracts.Treasury) {
-        resolvedArgs.push(await deployedContracts.Treasury.getAddress());
-      } else if (arg === '$REWARDS_ADDRESS' && deployedContracts.GovernanceRewards) {
-        resolvedArgs.push(await deployedContracts.GovernanceRewards.getAddress());
-      } else {
-        resolvedArgs.push(arg);
-      }
-    }
-    
-    // Execute the configuration method
-    try {
-      const tx = await deployedContracts[contract][method](...resolvedArgs);
-      const receipt = await tx.wait(1);
-      console.log(`${contract}.${method} executed in tx: ${receipt.hash}`);
-      
-      // Store transaction info
-      deploymentResults.transactions.push({
-        hash: receipt.hash,
-        type: 'configure',
-        contract: contract,
-        method: method,
-        args: resolvedArgs,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error(`Error executing ${contract}.${method}:`, error.message);
-      // Continue with other steps even if one fails
-    }
-  }
+  deploymentResults.contracts = result.record.contracts;
+  deploymentResults.transactions = [...(factoryTransaction ? [factoryTransaction] : []), ...result.record.transactions];
+  deploymentResults.gasUsed = summarizeGas(result.record.transactions);
+  deploymentResults.steps = result.steps;
   
-  // Save deployment results to file
-  const deploymentPath = path.join(__dirname, '..', '..', 'deployments');
-  if (!fs.existsSync(deploymentPath)) {
-    fs.mkdirSync(deploymentPath, { recursive: true });
+  if (result.failures.length > 0) {
+    console.error(`${result.failures.length} configuration step(s) failed:`);
+    result.failures.forEach(failure => console.error(`  - ${failure.contract}.${failure.method}: ${failure.error}`));
+    console.error(`Rerun with --resume to retry them; confirmed steps are kept in ${journalPath}.`);
+  } else {
+    console.log('All contracts deployed and configured successfully!');
   }
   
-  const filename = `${network.name}-deployment-${new Date().toISOString().replace(/:/g, '-')}.json`;
-  fs.writeFileSync(
-    path.join(deploymentPath, filename),
-    JSON.stringify(deploymentResults, null, 2)
-  );
+  // Record the deployment in the network's registry
+  const registry = DeploymentRegistry.load(network.name, { chainId: network.config.chainId });
+  const stored = registry.record(deploymentResults);
   
-  console.log(`Deployment complete! Results saved to deployments/${filename}`);
+  console.log(`Deployment complete! Recorded as ${stored.id} in deployments/${network.name}.json`);
+  console.log(`Cost report: node scripts/deployment/deployment-costs.js ${network.name} ${stored.id}`);
   
   // Verify contracts on Etherscan if API key is available
   if (process.env.ETHERSCAN_API_KEY) {
@@ -248,7 +191,8 @@ async function main() {
       try {
         await hre.run('verify:verify', {
           address: contractInfo.address,
-          constructorArguments: contractInfo.args
+          constructorArguments: contractInfo.args,
+          contract: contractInfo.artifact.includes(':') ? contractInfo.artifact : undefined
         });
         console.log(`${name} verified successfully!`);
       } catch (error) {
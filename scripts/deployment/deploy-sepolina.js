@@ -4,35 +4,21 @@
  * @notice This script handles the deployment and verification of all protocol contracts
  */
 
-const { ethers, network, run } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const hre = require('hardhat');
+const { ethers, network, run } = hre;
 
-// Deployment configuration
-const config = {
-  // Contract deployment order matters due to dependencies
-  contracts: [
-    { name: 'SoulboundNFT', args: ['$ADMIN_ADDRESS'] }, // Requires admin address
-    { name: 'DLoopToken', args: ['$ADMIN_ADDRESS'] }, // $ADMIN_ADDRESS will be replaced with actual address
-    { name: 'ProtocolDAO', args: ['$TOKEN_ADDRESS'] },
-    { name: 'AINodeRegistry', args: ['$ADMIN_ADDRESS', '$DAO_ADDRESS', '$SOULBOUND_ADDRESS'] },
-    { name: 'Treasury', args: ['$DAO_ADDRESS'] },
-    { name: 'GovernanceRewards', args: ['$TOKEN_ADDRESS', '$DAO_ADDRESS'] },
-    { name: 'PriceOracle', args: ['$DAO_ADDRESS'] }
-  ],
-  // Post-deployment configuration steps
-  postDeployment: [
-    { contract: 'SoulboundNFT', method: 'grantMinterRole', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'DLoopToken', method: 'grantMinterRole', args: ['$DAO_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setTreasury', args: ['$TREASURY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRegistry', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRewards', args: ['$REWARDS_ADDRESS'] }
-  ]
-};
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest, resolveArgs } = require('../utils/manifestResolver');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer } = require('../utils/keystore');
+const { summarizeReceipt } = require('../utils/manifestDeployer');
+const { selectProfile } = require('../utils/parameterProfiles');
+const { explainError } = require('../utils/revertDecoder');
 
 // Deployment results storage
 const deploymentResults = {
   network: '',
+  manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
   contracts: {},
   transactions: []
 };
@@ -41,18 +27,19 @@ const deploymentResults = {
  * Main deployment function
  */
 async function main() {
-  // Ensure we're on the Sepolina network
-  if (network.name !== 'sepolina' && network.name !== 'sepolia') {
-    console.error('This script is intended to be run on the Sepolina/Sepolia testnet only');
-    console.error(`Current network: ${network.name}`);
+  // The parameter profile decides which networks this deployment may go to
+  let profile;
+  try {
+    profile = selectProfile(network.name);
+  } catch (error) {
+    console.error(error.message);
     process.exit(1);
   }
   
-  console.log(`Deploying D-Loop Protocol to ${network.name} testnet...`);
+  console.log(`Deploying D-Loop Protocol to ${network.name} with the ${profile.name} parameter profile...`);
   
-  // Get deployer account
-  const signers = await ethers.getSigners();
-  const deployer = signers[0];
+  // Get deployer account from the network's keystore
+  const deployer = await getDeployer(hre);
   const deployerAddress = await deployer.getAddress();
   console.log(`Deployer address: ${deployerAddress}`);
   
@@ -73,55 +60,54 @@ async function main() {
     deployer: deployerAddress,
     timestamp: new Date().toISOString()
   };
+  deploymentResults.profile = { name: profile.name, parameters: profile.parameters };
+  
+  // Resolve and validate the manifest before anything is sent
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  const accounts = { deployer: deployerAddress };
+  const addresses = {};
   
-  // Deploy all contracts in order
+  // Deploy all contracts in dependency order
   const deployedContracts = {};
   
-  for (const contractConfig of config.contracts) {
-    const { name, args } = contractConfig;
+  for (const entry of plan.contracts) {
+    const { name, artifact } = entry;
     console.log(`Deploying ${name}...`);
     
-    // Replace placeholder args with actual addresses
-    const resolvedArgs = args.map(arg => {
-      if (typeof arg !== 'string') return arg;
-      if (arg === '$ADMIN_ADDRESS') return deployerAddress;
-      if (arg === '$TOKEN_ADDRESS' && deployedContracts.DLoopToken) return deployedContracts.DLoopToken.target;
-      if (arg === '$DAO_ADDRESS' && deployedContracts.ProtocolDAO) return deployedContracts.ProtocolDAO.target;
-      if (arg === '$SOULBOUND_ADDRESS' && deployedContracts.SoulboundNFT) return deployedContracts.SoulboundNFT.target;
-      if (arg === '$REGISTRY_ADDRESS' && deployedContracts.AINodeRegistry) return deployedContracts.AINodeRegistry.target;
-      if (arg === '$TREASURY_ADDRESS' && deployedContracts.Treasury) return deployedContracts.Treasury.target;
-      if (arg === '$REWARDS_ADDRESS' && deployedContracts.GovernanceRewards) return deployedContracts.GovernanceRewards.target;
-      return arg;
-    });
+    const resolvedArgs = resolveArgs(entry.args, { accounts, addresses });
     
     // Deploy the contract
-    const Contract = await ethers.getContractFactory(name);
+    const Contract = await ethers.getContractFactory(artifact, deployer);
     console.log(`Deploying ${name} with args:`, resolvedArgs);
     
     // Deploy with proper error handling
     let contract;
+    let receipt;
     try {
       contract = await Contract.deploy(...resolvedArgs);
       // Wait for deployment to complete (ethers v6 syntax)
-      const receipt = await contract.deploymentTransaction().wait(2); // Wait for 2 confirmations
+      receipt = await contract.deploymentTransaction().wait(2); // Wait for 2 confirmations
       console.log(`${name} deployed to: ${contract.target} in tx: ${receipt.hash}`);
     } catch (error) {
-      console.error(`Error deploying ${name}:`, error.message);
+      console.error(`Error deploying ${name}:`, explainError(error));
       process.exit(1);
     }
     
     // Store deployment info
     deployedContracts[name] = contract;
+    addresses[name] = contract.target;
     deploymentResults.contracts[name] = {
       address: contract.target,
+      artifact,
       args: resolvedArgs,
-      transaction: contract.deploymentTransaction().hash
+      transaction: contract.deploymentTransaction().hash,
+      blockNumber: receipt.blockNumber
     };
     
     // Add deployment transaction to list
     deploymentResults.transactions.push({
-      hash: contract.deploymentTransaction().hash,
-      type: 'deployment',
+      ...summarizeReceipt(receipt),
+      type: 'deploy',
       contract: name,
       timestamp: new Date().toISOString()
     });
@@ -134,7 +120,8 @@ async function main() {
       console.log(`Verifying ${name} on Etherscan...`);
       await run('verify:verify', {
         address: contract.target,
-        constructorArguments: resolvedArgs
+        constructorArguments: resolvedArgs,
+        contract: artifact.includes(':') ? artifact : undefined
       });
       console.log(`${name} verified successfully`);
     } catch (error) {
@@ -149,42 +136,31 @@ async function main() {
   // Execute post-deployment configuration
   console.log('\nExecuting post-deployment configuration...');
   
-  for (const step of config.postDeployment) {
-    const { contract, method, args } = step;
+  for (const step of plan.postDeployment) {
+    const { contract, method } = step;
     console.log(`Configuring ${contract}.${method}...`);
     
-    // Replace placeholder args with actual addresses
-    const resolvedArgs = args.map(arg => {
-      if (typeof arg !== 'string') return arg;
-      if (arg === '$ADMIN_ADDRESS') return deployerAddress;
-      if (arg === '$TOKEN_ADDRESS' && deployedContracts.DLoopToken) return deployedContracts.DLoopToken.target;
-      if (arg === '$DAO_ADDRESS' && deployedContracts.ProtocolDAO) return deployedContracts.ProtocolDAO.target;
-      if (arg === '$SOULBOUND_ADDRESS' && deployedContracts.SoulboundNFT) return deployedContracts.SoulboundNFT.target;
-      if (arg === '$REGISTRY_ADDRESS' && deployedContracts.AINodeRegistry) return deployedContracts.AINodeRegistry.target;
-      if (arg === '$TREASURY_ADDRESS' && deployedContracts.Treasury) return deployedContracts.Treasury.target;
-      if (arg === '$REWARDS_ADDRESS' && deployedContracts.GovernanceRewards) return deployedContracts.GovernanceRewards.target;
-      return arg;
-    });
+    const resolvedArgs = resolveArgs(step.args, { accounts, addresses });
     
     // Execute the configuration method with proper error handling
     try {
       console.log(`Executing ${contract}.${method} with args:`, resolvedArgs);
-      const tx = await deployedContracts[contract][method](...resolvedArgs);
+      const tx = await deployedContracts[contract][step.signature](...resolvedArgs);
       const receipt = await tx.wait(1); // Wait for 1 confirmation
       
       console.log(`${contract}.${method} executed successfully in tx: ${receipt.hash}`);
       
       // Add configuration transaction to list
       deploymentResults.transactions.push({
-        hash: receipt.hash,
-        type: 'configuration',
+        ...summarizeReceipt(receipt),
+        type: 'configure',
         contract: contract,
         method: method,
         args: resolvedArgs,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      console.error(`Error executing ${contract}.${method}:`, error.message);
+      console.error(`Error executing ${contract}.${method}:`, explainError(error));
       // Continue with other configuration steps even if one fails
     }
     
@@ -192,19 +168,11 @@ async function main() {
     await new Promise(resolve => setTimeout(resolve, 2000));
   }
   
-  // Save deployment results to file
-  const deploymentPath = path.join(__dirname, '../../deployments');
-  if (!fs.existsSync(deploymentPath)) {
-    fs.mkdirSync(deploymentPath, { recursive: true });
-  }
-  
-  const filename = `deployment-${network.name}-${new Date().toISOString().replace(/:/g, '-')}.json`;
-  fs.writeFileSync(
-    path.join(deploymentPath, filename),
-    JSON.stringify(deploymentResults, null, 2)
-  );
+  // Record the deployment in the network's registry
+  const registry = DeploymentRegistry.load(network.name, { chainId: network.config.chainId });
+  const stored = registry.record(deploymentResults);
   
-  console.log(`\nDeployment complete! Results saved to deployments/${filename}`);
+  console.log(`\nDeployment complete! Recorded as ${stored.id} in deployments/${network.name}.json`);
   console.log('\nDeployed Contracts:');
   Object.entries(deploymentResults.contracts).forEach(([name, info]) => {
     console.log(`${name}: ${info.address}`);
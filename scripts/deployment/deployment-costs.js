@@ -0,0 +1,119 @@
+/**
+ * @title D-Loop Protocol Deployment Cost Report
+ * @dev Renders what a recorded deployment cost, per contract and per phase, against its dry-run estimate
+ * @notice Usage:
+ *
+ *         node scripts/deployment/deployment-costs.js <network> [deploymentId] [--dry-run <id>]
+ *              [--gas-price <gwei>] [--threshold <percent>] [--json] [--out <file>]
+ *
+ *         Without a deployment id the latest deployment of the network is reported. It is compared
+ *         with the latest dry run of the same manifest version recorded before it, or with the dry
+ *         run given by --dry-run. Steps whose gas exceeds the estimate by more than --threshold
+ *         percent (default 10) are flagged. Reporting a dry run itself gives a budget: pass
+ *         --gas-price to price it, e.g. to work out how much faucet ETH a deployment needs:
+ *
+ *         npx hardhat run scripts/deployment/dry-run-deployment.js
+ *         node scripts/deployment/deployment-costs.js sepolia <dryRunId> --gas-price 20
+ *
+ *         Deployments recorded before costs were tracked have no gas usage or price. Run the
+ *         script through Hardhat with --fetch-receipts to fill them in from the transaction
+ *         receipts and save them in deployments/<network>.json:
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/deployment-costs.js sepolia --fetch-receipts
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const {
+  DEFAULT_REGRESSION_THRESHOLD,
+  findMatchingDryRun,
+  buildCostReport,
+  formatCostReport,
+  backfillCosts
+} = require('../utils/deploymentCosts');
+
+const OPTIONS_WITH_VALUES = ['--dry-run', '--gas-price', '--threshold', '--out'];
+
+/**
+ * Reads the value following a command line option
+ * @param {string} name - Option name
+ * @returns {string|undefined} Option value
+ */
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const [networkName, deploymentId] = process.argv.slice(2)
+  .filter((arg, index, args) => !arg.startsWith('--') && !OPTIONS_WITH_VALUES.includes(args[index - 1]));
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: deployment-costs.js <network> [deploymentId] [--dry-run <id>] [--gas-price <gwei>] ' +
+    '[--threshold <percent>] [--json] [--out <file>] [--fetch-receipts]');
+  process.exit(1);
+}
+
+async function main() {
+  if (!networkName) usage();
+  const registry = DeploymentRegistry.load(networkName);
+
+  // By default the latest entry that deployed contracts, not a later reconciliation or handoff
+  const deployment = deploymentId ? registry.get(deploymentId) : registry.latest({ withContracts: true });
+  if (!deployment) {
+    console.error(deploymentId
+      ? `No deployment ${deploymentId} recorded in deployments/${networkName}.json`
+      : `No deployments recorded for ${networkName} in deployments/${networkName}.json`);
+    process.exit(1);
+  }
+
+  if (process.argv.includes('--fetch-receipts')) {
+    const hre = require('hardhat');
+    if (hre.network.name !== networkName || deployment.dryRun) {
+      console.error(`--fetch-receipts needs HARDHAT_NETWORK=${networkName} and a deployment that is not a dry run`);
+      process.exit(1);
+    }
+    const updated = await backfillCosts(deployment, hash => hre.ethers.provider.getTransactionReceipt(hash));
+    registry.save();
+    console.error(`Filled in the costs of ${updated} transaction(s) from their receipts`);
+  }
+
+  const dryRunId = option('--dry-run');
+  const dryRun = dryRunId ? registry.get(dryRunId) : deployment.dryRun ? null : findMatchingDryRun(registry, deployment);
+  if (dryRunId && (!dryRun || !dryRun.dryRun)) {
+    console.error(`No dry run ${dryRunId} recorded in deployments/${networkName}.json`);
+    process.exit(1);
+  }
+
+  const gasPrice = option('--gas-price');
+  const threshold = option('--threshold');
+  const report = buildCostReport({
+    network: networkName,
+    deployment,
+    dryRun,
+    gasPrice: gasPrice !== undefined ? ethers.parseUnits(gasPrice, 'gwei') : undefined,
+    threshold: threshold !== undefined ? Number(threshold) / 100 : DEFAULT_REGRESSION_THRESHOLD
+  });
+
+  const output = process.argv.includes('--json') ? `${JSON.stringify(report, null, 2)}\n` : formatCostReport(report);
+  const outFile = option('--out');
+  if (outFile) {
+    fs.writeFileSync(outFile, output);
+    console.log(`Cost report written to ${outFile}`);
+  } else {
+    process.stdout.write(output);
+  }
+  if (!deployment.dryRun && !dryRun) {
+    console.error(`No dry run recorded for ${networkName} before ${deployment.id}; nothing to compare with`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,107 @@
+/**
+ * @title D-Loop Protocol Deployment Registry CLI
+ * @dev Queries the per-network deployment registry and migrates legacy deployment files
+ * @notice Usage:
+ *
+ *         node scripts/deployment/deployment-registry.js address <network> <Contract>
+ *         node scripts/deployment/deployment-registry.js history <network> <Contract>
+ *         node scripts/deployment/deployment-registry.js book <network>
+ *         node scripts/deployment/deployment-registry.js at-block <network> <blockNumber>
+ *         node scripts/deployment/deployment-registry.js migrate [--prune]
+ *
+ *         migrate converts <network>-deployment-*, deployment-<network>-* and dry-run-<network>-*
+ *         files into deployments/<network>.json. With --prune the converted files are removed.
+ *         Run it through Hardhat with --fetch-blocks to look up the block numbers legacy files
+ *         did not record (needed for at-block queries):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/deployment-registry.js migrate --fetch-blocks
+ */
+
+const { DeploymentRegistry, migrateDirectory } = require('../utils/deploymentRegistry');
+
+const [command, ...args] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: deployment-registry.js <address|history|book|at-block> <network> [...] | migrate [--prune] [--fetch-blocks]');
+  process.exit(1);
+}
+
+/**
+ * Builds a block lookup for --fetch-blocks using the Hardhat network provider
+ * @returns {Function} async (networkName, txHash) => block number or null
+ */
+function hardhatBlockLookup() {
+  const hre = require('hardhat');
+  return async (networkName, txHash) => {
+    if (networkName !== hre.network.name) return null;
+    const receipt = await hre.ethers.provider.getTransactionReceipt(txHash);
+    return receipt ? receipt.blockNumber : null;
+  };
+}
+
+async function main() {
+  if (command === 'migrate') {
+    const results = await migrateDirectory({
+      prune: process.argv.includes('--prune'),
+      lookupBlock: process.argv.includes('--fetch-blocks') ? hardhatBlockLookup() : undefined
+    });
+    console.log(`${results.filter(result => !result.skipped).length} file(s) migrated, ${results.filter(result => result.skipped).length} already migrated`);
+    return;
+  }
+
+  const [networkName, subject] = args;
+  if (!networkName) usage();
+  const registry = DeploymentRegistry.load(networkName);
+
+  switch (command) {
+    case 'address': {
+      if (!subject) usage();
+      const address = registry.currentAddress(subject);
+      if (!address) {
+        console.error(`${subject} has no deployment recorded on ${networkName}`);
+        process.exit(1);
+      }
+      console.log(address);
+      break;
+    }
+    case 'history': {
+      if (!subject) usage();
+      const history = registry.history(subject);
+      if (history.length === 0) {
+        console.error(`${subject} has no deployment recorded on ${networkName}`);
+        process.exit(1);
+      }
+      history.forEach(record => {
+        console.log(`${record.deploymentId}  ${record.address}  block ${record.blockNumber ?? 'unknown'}  tx ${record.transaction || 'unknown'}`);
+      });
+      break;
+    }
+    case 'book':
+      console.log(JSON.stringify(registry.addressBook(), null, 2));
+      break;
+    case 'at-block': {
+      const blockNumber = Number(subject);
+      if (!Number.isInteger(blockNumber)) usage();
+      const deployment = registry.deploymentAtBlock(blockNumber);
+      if (!deployment) {
+        console.error(`No deployment with a known block number was live on ${networkName} at block ${blockNumber}`);
+        process.exit(1);
+      }
+      console.log(`Latest deployment at block ${blockNumber}: ${deployment.id} (block ${deployment.blockNumber})`);
+      console.log(JSON.stringify(registry.addressBookAtBlock(blockNumber), null, 2));
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+/**
+ * @title D-Loop Protocol Deterministic Deployment CLI
+ * @dev Predicts CREATE2 addresses and installs the deployer's factory (see scripts/utils/deterministicDeployment.js)
+ * @notice Usage (DEPLOYER_ADDRESS, like in the dry run, overrides the configured deployer):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/deterministic-deployment.js predict [--owner <address>] [--profile <name>] [--json] [--offline] [--strict]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/deterministic-deployment.js install
+ *
+ *         predict prints the factory address and the address of every manifest contract for a
+ *         deployer (the network's configured deployer by default). The addresses are the same on
+ *         every chain. Unless --offline is given, each address is also checked on the network: an
+ *         address that already has code means its salt is used, and deploying the same manifest
+ *         version again would fail. --strict exits non-zero in that case. Constructor arguments
+ *         are part of the address, so the prediction is for the network's parameter profile
+ *         unless --profile names another, with a warning when that is not the profile recorded
+ *         for the network in deployments/<network>.json.
+ *
+ *         install deploys the deployer's factory (and, on hardhat/localhost, the CREATE2 proxy).
+ *         The deploy scripts do this themselves when run with --deterministic.
+ */
+
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { configuredDeployerAddress, getDeployer } = require('../utils/keystore');
+const {
+  CREATE2_PROXY,
+  predictAddresses,
+  findCollisions,
+  installFactory
+} = require('../utils/deterministicDeployment');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { selectProfile } = require('../utils/parameterProfiles');
+
+const [command] = process.argv.slice(2).filter((arg, index, all) => !arg.startsWith('--') && !['--owner', '--profile'].includes(all[index - 1]));
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: deterministic-deployment.js predict [--owner <address>] [--profile <name>] [--json] [--offline] [--strict] | install');
+  process.exit(1);
+}
+
+/**
+ * Works out whose factory to predict for
+ * @returns {Promise<string>} Owner address
+ */
+async function resolveOwner() {
+  const ownerIndex = process.argv.indexOf('--owner');
+  if (ownerIndex !== -1) return hre.ethers.getAddress(process.argv[ownerIndex + 1]);
+  // Same precedence as the dry run, so both agree on the addresses
+  if (process.env.DEPLOYER_ADDRESS) return hre.ethers.getAddress(process.env.DEPLOYER_ADDRESS);
+
+  let configured;
+  try {
+    configured = configuredDeployerAddress(hre.network.config);
+  } catch (error) {
+    throw new Error(`${error.message}; pass --owner <address> to predict for another deployer`);
+  }
+  if (configured) return configured;
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) throw new Error(`No deployer configured for ${hre.network.name}; pass --owner <address>`);
+  return signer.address;
+}
+
+/**
+ * Prints the predicted addresses and whether their salts are already used
+ */
+async function predict() {
+  const owner = await resolveOwner();
+  const profile = selectProfile(hre.network.name);
+  // A different profile means different constructor arguments, so different addresses
+  const recorded = (DeploymentRegistry.load(hre.network.name).latest({ withContracts: true }) || {}).profile;
+  if (recorded && (recorded.name !== profile.name || JSON.stringify(recorded.parameters) !== JSON.stringify(profile.parameters))) {
+    console.warn(`Warning: ${hre.network.name} was deployed with the ${recorded.name} profile${recorded.name === profile.name ? ' and other values' : ''}; ` +
+      `these addresses are for ${profile.name} and differ from the recorded deployment's. Pass --profile ${recorded.name} to match it.`);
+  }
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  const prediction = await predictAddresses({ artifacts: hre.artifacts, plan, manifest: DEPLOYMENT_MANIFEST, owner });
+
+  const checked = !process.argv.includes('--offline');
+  const collisions = checked ? await findCollisions(hre.ethers.provider, prediction.contracts) : [];
+  const used = new Set(collisions.map(contract => contract.name));
+  const factoryDeployed = checked ? (await hre.ethers.provider.getCode(prediction.factory)) !== '0x' : null;
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({
+      network: checked ? hre.network.name : null,
+      manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+      profile: profile.name,
+      owner,
+      proxy: CREATE2_PROXY.address,
+      factory: { address: prediction.factory, deployed: factoryDeployed },
+      contracts: prediction.contracts.map(contract => ({
+        ...contract,
+        inUse: checked ? used.has(contract.name) : null
+      }))
+    }, null, 2));
+  } else {
+    console.log(`Deterministic addresses of ${DEPLOYMENT_MANIFEST.name}@${DEPLOYMENT_MANIFEST.version} (${profile.name} profile) for ${owner}\n`);
+    const factoryStatus = checked ? (factoryDeployed ? ' (deployed)' : ' (not deployed yet)') : '';
+    console.log(`${'DeterministicDeployer'.padEnd(24)} ${prediction.factory}${factoryStatus}`);
+    for (const contract of prediction.contracts) {
+      const status = checked ? (used.has(contract.name) ? '  in use' : '  free') : '';
+      console.log(`${contract.name.padEnd(24)} ${contract.address}${status}`);
+    }
+    if (collisions.length > 0) {
+      console.log(`\n${collisions.length} address(es) already have code on ${hre.network.name}. ` +
+        'Deploying this manifest version again would fail; bump the manifest version for new salts.');
+    }
+  }
+
+  if (collisions.length > 0 && process.argv.includes('--strict')) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Deploys the deployer's factory on the network
+ */
+async function install() {
+  const deployer = await getDeployer(hre);
+  const { address, receipt } = await installFactory({ signer: deployer, networkName: hre.network.name });
+  if (!receipt) {
+    console.log(`DeterministicDeployer for ${await deployer.getAddress()} is already deployed at ${address}`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'predict':
+      await predict();
+      break;
+    case 'install':
+      await install();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,292 @@
+/**
+ * @title D-Loop Protocol Local Devnet
+ * @dev Starts a Hardhat node with the full protocol deployed and seeded, and manages its snapshots
+ *      (see scripts/utils/devnet.js)
+ * @notice Usage:
+ *
+ *         node scripts/deployment/devnet.js up [--seed <file>] [--profile <name>]
+ *         node scripts/deployment/devnet.js snapshot <name>
+ *         node scripts/deployment/devnet.js restore <name>
+ *         node scripts/deployment/devnet.js reset
+ *         node scripts/deployment/devnet.js status
+ *
+ *         up starts `hardhat node` on the localhost network, deploys the manifest with the
+ *         local-fast parameter profile (plus ChainlinkPriceOracle and mock feeds), seeds it from
+ *         scripts/config/devnetSeed.js (or --seed, a .js or .json file of the same shape) and
+ *         stays attached until Ctrl+C, which stops the node. It writes to devnet/:
+ *         addresses.json (address book), accounts.json (named accounts with their keys and
+ *         balances), node.log and state.json (snapshot ids of the running node).
+ *
+ *         From another terminal, snapshot and restore save and return to named chain states;
+ *         reset returns to the state right after seeding. The keys in accounts.json are the
+ *         public Hardhat test keys; never fund them on a real network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The devnet is the localhost network of hardhat.config.js; select it before Hardhat loads
+if (process.env.HARDHAT_NETWORK && process.env.HARDHAT_NETWORK !== 'localhost') {
+  console.error(`The devnet runs on the localhost network, not ${process.env.HARDHAT_NETWORK}`);
+  process.exit(1);
+}
+process.env.HARDHAT_NETWORK = 'localhost';
+
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const DEVNET_SEED = require('../config/devnetSeed');
+const { ManifestError, resolveManifest } = require('../utils/manifestResolver');
+const { DeploymentJournal } = require('../utils/deploymentJournal');
+const { executePlan } = require('../utils/manifestDeployer');
+const { selectProfile } = require('../utils/parameterProfiles');
+const {
+  devnetManifest,
+  validateSeed,
+  seedDevnet,
+  accountKeys,
+  takeSnapshot,
+  restoreSnapshot
+} = require('../utils/devnet');
+const { explainError } = require('../utils/revertDecoder');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DEVNET_DIRECTORY = path.join(ROOT, 'devnet');
+const STATE_FILE = path.join(DEVNET_DIRECTORY, 'state.json');
+const SEEDED_SNAPSHOT = 'seeded';
+const NODE_START_TIMEOUT = 120000;
+
+const VALUE_OPTIONS = ['--seed', '--profile'];
+const [command, target] = process.argv.slice(2).filter((arg, index, all) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.includes(all[index - 1])
+);
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: devnet.js up [--seed <file>] [--profile <name>]');
+  console.error('       devnet.js snapshot <name> | restore <name> | reset | status');
+  process.exit(1);
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(path.join(DEVNET_DIRECTORY, file), `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a node answers on the localhost network
+ */
+async function nodeRunning() {
+  try {
+    await hre.network.provider.send('eth_chainId', []);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Loads the state of the running devnet
+ * @returns {Promise<Object>} State written by up
+ * @throws {Error} If no devnet is running
+ */
+async function runningDevnet() {
+  if (!fs.existsSync(STATE_FILE)) {
+    throw new Error('No devnet state in devnet/state.json; start one with: node scripts/deployment/devnet.js up');
+  }
+  if (!(await nodeRunning())) {
+    throw new Error(`No node answers on ${hre.network.config.url}; start the devnet again with up`);
+  }
+  return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+}
+
+/**
+ * Starts `hardhat node` and waits until it answers
+ * @returns {Promise<ChildProcess>} Node process
+ */
+async function startNode() {
+  const logFile = fs.openSync(path.join(DEVNET_DIRECTORY, 'node.log'), 'w');
+  // hardhat node serves the in-process network and refuses any other HARDHAT_NETWORK
+  const env = { ...process.env };
+  delete env.HARDHAT_NETWORK;
+  const node = spawn(process.execPath, [require.resolve('hardhat/internal/cli/cli'), 'node'], {
+    cwd: ROOT,
+    env,
+    stdio: ['ignore', logFile, logFile]
+  });
+
+  let exited = null;
+  node.on('exit', code => { exited = code; });
+  const deadline = Date.now() + NODE_START_TIMEOUT;
+  while (!(await nodeRunning())) {
+    if (exited !== null) throw new Error(`hardhat node exited with code ${exited}; see devnet/node.log`);
+    if (Date.now() > deadline) {
+      node.kill();
+      throw new Error(`hardhat node did not answer within ${NODE_START_TIMEOUT / 1000}s; see devnet/node.log`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  return node;
+}
+
+/**
+ * Writes the funded account list: the deployer and every seed account with its key and balances
+ * @param {Object} seed - Devnet seed
+ * @param {Object[]} signers - Node accounts
+ * @param {Object<string, Object>} instances - Deployed contracts
+ */
+async function writeAccounts(seed, signers, instances) {
+  const named = [['deployer', 0], ...Object.entries(seed.accounts)];
+  const keys = accountKeys(hre.config.networks.hardhat.accounts, named.map(([, index]) => index));
+  const accounts = [];
+  for (const [name, index] of named) {
+    const { address } = signers[index];
+    accounts.push({
+      name,
+      index,
+      address,
+      privateKey: keys[index],
+      balances: {
+        ETH: hre.ethers.formatEther(await hre.ethers.provider.getBalance(address)),
+        DAIToken: hre.ethers.formatEther(await instances.DAIToken.balanceOf(address)),
+        DLoopToken: hre.ethers.formatEther(await instances.DLoopToken.balanceOf(address))
+      }
+    });
+  }
+  writeJson('accounts.json', accounts);
+  return accounts;
+}
+
+/**
+ * Starts the node, deploys and seeds the protocol, then stays attached until the node stops
+ */
+async function up() {
+  if (await nodeRunning()) {
+    throw new Error(`A node is already listening on ${hre.network.config.url}; use snapshot/restore/reset, or stop it first`);
+  }
+
+  // Everything is validated before the node starts
+  const profile = selectProfile('localhost');
+  const seedFile = option('--seed');
+  const seed = seedFile ? require(path.resolve(seedFile)) : DEVNET_SEED;
+  const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, seed), hre.artifacts, { parameters: profile.parameters });
+  const issues = validateSeed(seed, plan, hre.config.networks.hardhat.accounts.count);
+  if (issues.length > 0) throw new ManifestError(issues, 'devnet seed');
+
+  fs.mkdirSync(DEVNET_DIRECTORY, { recursive: true });
+  if (fs.existsSync(STATE_FILE)) fs.unlinkSync(STATE_FILE);
+  console.log('Starting hardhat node...');
+  const node = await startNode();
+  const stopped = new Promise(resolve => node.on('exit', resolve));
+  const stop = () => node.kill();
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    const signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    console.log(`Deploying ${plan.contracts.length} contracts with the ${profile.name} profile...`);
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: 'localhost', chainId: Number(chainId), deployer: deployer.address }),
+      log: () => {}
+    });
+    if (deployment.failures.length > 0) {
+      throw new Error(`Deployment failed: ${deployment.failures.map(failure => `${failure.contract}: ${failure.error}`).join('; ')}`);
+    }
+
+    console.log(`Seeding from ${seedFile || 'scripts/config/devnetSeed.js'}...`);
+    const summary = await seedDevnet({ ethers: hre.ethers, seed, instances: deployment.instances, signers });
+    const accounts = await writeAccounts(seed, signers, deployment.instances);
+    writeJson('addresses.json', {
+      network: 'localhost',
+      chainId: Number(chainId),
+      rpcUrl: hre.network.config.url,
+      manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+      profile: profile.name,
+      contracts: deployment.addresses,
+      assets: summary.assets,
+      proposals: summary.proposals
+    });
+
+    const state = { rpcUrl: hre.network.config.url, pid: node.pid, startedAt: new Date().toISOString(), profile: profile.name, snapshots: {} };
+    await takeSnapshot(hre.network.provider, state, SEEDED_SNAPSHOT);
+    writeJson('state.json', state);
+
+    console.log('\nContracts:');
+    Object.entries(deployment.addresses).forEach(([name, address]) => console.log(`  ${name.padEnd(24)} ${address}`));
+    console.log('\nAccounts:');
+    accounts.forEach(entry => console.log(`  ${entry.name.padEnd(10)} ${entry.address}  ${entry.balances.DAIToken} D-AI  ${entry.balances.DLoopToken} DLOOP`));
+    console.log(`\nDevnet running at ${state.rpcUrl} (chain ${chainId}); address book and accounts in devnet/.`);
+    console.log('Use snapshot/restore/reset from another terminal. Press Ctrl+C to stop.');
+  } catch (error) {
+    node.kill();
+    throw error;
+  }
+
+  await stopped;
+  if (fs.existsSync(STATE_FILE)) fs.unlinkSync(STATE_FILE);
+  console.log('\nDevnet stopped.');
+}
+
+async function snapshot() {
+  if (!target) usage();
+  const state = await runningDevnet();
+  const id = await takeSnapshot(hre.network.provider, state, target);
+  writeJson('state.json', state);
+  console.log(`Saved snapshot ${target} (${id})`);
+}
+
+async function restore(name) {
+  const state = await runningDevnet();
+  const dropped = await restoreSnapshot(hre.network.provider, state, name);
+  writeJson('state.json', state);
+  console.log(`Restored snapshot ${name} at block ${await hre.ethers.provider.getBlockNumber()}`);
+  if (dropped.length > 0) console.log(`Snapshots taken after it no longer exist: ${dropped.join(', ')}`);
+}
+
+async function status() {
+  const state = await runningDevnet();
+  console.log(`Devnet at ${state.rpcUrl} (node pid ${state.pid}, started ${state.startedAt}, ${state.profile} profile)`);
+  console.log(`Block: ${await hre.ethers.provider.getBlockNumber()}`);
+  console.log(`Snapshots: ${Object.keys(state.snapshots).join(', ') || 'none'}`);
+}
+
+async function main() {
+  switch (command) {
+    case 'up':
+      await up();
+      break;
+    case 'snapshot':
+      await snapshot();
+      break;
+    case 'restore':
+      if (!target) usage();
+      await restore(target);
+      break;
+    case 'reset':
+      await restore(SEEDED_SNAPSHOT);
+      break;
+    case 'status':
+      await status();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(explainError(error));
+    process.exit(1);
+  });
@@ -1,249 +1,179 @@
 /**
  * @title D-Loop Protocol Deployment Dry Run
- * @dev Script to simulate deployment without actually deploying contracts
- * @notice This script performs a dry run of the deployment process
+ * @dev Runs the full deployment and configuration sequence on the in-process Hardhat network
+ * @notice Nothing is sent to a live network. The deployer configured for the target network
+ *         (sepolia by default) is impersonated and funded on an ephemeral chain, so constructor
+ *         reverts and failing post-deployment calls surface exactly as they would live.
+ *
+ *         npx hardhat run scripts/deployment/dry-run-deployment.js
+ *         DRY_RUN_TARGET=sepolina npx hardhat run scripts/deployment/dry-run-deployment.js
+ *         node scripts/deployment/dry-run-deployment.js --target sepolina
+ *         DEPLOYER_ADDRESS=0x... npx hardhat run scripts/deployment/dry-run-deployment.js
+ *         node scripts/deployment/dry-run-deployment.js --deterministic
+ *         node scripts/deployment/dry-run-deployment.js --target localhost --profile production-like
+ *
+ *         The report is recorded in the target network's registry (deployments/<network>.json) with
+ *         the same schema as a real deployment, flagged dryRun and with per-step results and a
+ *         final state summary. Dry runs never appear in the network's address book. With
+ *         --deterministic (or DEPLOY_DETERMINISTIC=true) the CREATE2 mode is rehearsed, and the
+ *         contracts get the addresses they will have on the target network. The parameter profile
+ *         is chosen for the target network, as the real deployment would choose it.
  */
 
-const { ethers, network } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
-
-// Deployment configuration
-const config = {
-  // Contract deployment order matters due to dependencies
-  contracts: [
-    { name: 'SoulboundNFT', args: ['$ADMIN_ADDRESS'] }, // Requires admin address
-    { name: 'DLoopToken', args: ['$ADMIN_ADDRESS'] }, // $ADMIN_ADDRESS will be replaced with actual address
-    { name: 'ProtocolDAO', args: ['$TOKEN_ADDRESS'] },
-    { name: 'AINodeRegistry', args: ['$ADMIN_ADDRESS', '$DAO_ADDRESS', '$SOULBOUND_ADDRESS'] },
-    { name: 'Treasury', args: ['$DAO_ADDRESS'] },
-    { name: 'GovernanceRewards', args: ['$TOKEN_ADDRESS', '$DAO_ADDRESS'] },
-    { name: 'PriceOracle', args: ['$DAO_ADDRESS'] }
-  ],
-  // Post-deployment configuration steps
-  postDeployment: [
-    { contract: 'SoulboundNFT', method: 'grantMinterRole', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'DLoopToken', method: 'grantMinterRole', args: ['$DAO_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setTreasury', args: ['$TREASURY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRegistry', args: ['$REGISTRY_ADDRESS'] },
-    { contract: 'ProtocolDAO', method: 'setRewards', args: ['$REWARDS_ADDRESS'] }
-  ]
-};
+const hre = require('hardhat');
+const { ethers, network } = hre;
+
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { DeploymentJournal } = require('../utils/deploymentJournal');
+const { executePlan, summarizeGas } = require('../utils/manifestDeployer');
+const { readDeploymentState } = require('../utils/contractState');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { configuredDeployerAddress } = require('../utils/keystore');
+const { prepareDeterministic } = require('../utils/deterministicDeployment');
+const { selectProfile } = require('../utils/parameterProfiles');
+
+const targetIndex = process.argv.indexOf('--target');
+const TARGET_NETWORK = targetIndex !== -1
+  ? process.argv[targetIndex + 1]
+  : process.env.DRY_RUN_TARGET || 'sepolia';
+const DEPLOYER_BALANCE = ethers.parseEther(process.env.DRY_RUN_BALANCE || '100');
+const DETERMINISTIC = process.argv.includes('--deterministic') || process.env.DEPLOY_DETERMINISTIC === 'true';
 
 // Deployment results storage
 const deploymentResults = {
   network: '',
+  dryRun: true,
+  manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
   contracts: {},
   transactions: [],
-  gasUsed: {
-    deployment: {},
-    configuration: {},
-    total: 0n
-  }
+  gasUsed: {},
+  steps: [],
+  state: {}
 };
 
 /**
- * Main deployment function
+ * Works out which address would deploy on the target network
+ * @param {string} targetNetwork - Network whose deployer is simulated
+ * @returns {Promise<string>} Deployer address
+ */
+async function resolveDeployerAddress(targetNetwork) {
+  if (process.env.DEPLOYER_ADDRESS) {
+    return ethers.getAddress(process.env.DEPLOYER_ADDRESS);
+  }
+
+  // The keystore address is stored unencrypted, so no password is needed
+  try {
+    const address = configuredDeployerAddress(hre.config.networks[targetNetwork]);
+    if (address) return address;
+  } catch (error) {
+    console.log(error.message);
+  }
+
+  const [fallback] = await ethers.getSigners();
+  console.log(`No deployer configured for ${targetNetwork}; using the first Hardhat account`);
+  return fallback.address;
+}
+
+/**
+ * Main dry run function
  */
 async function main() {
+  if (network.name !== 'hardhat') {
+    console.error('The dry run executes on the in-process Hardhat network only');
+    console.error(`Current network: ${network.name}. Use DRY_RUN_TARGET to pick the network being rehearsed.`);
+    process.exit(1);
+  }
+
   console.log(`\n=== D-Loop Protocol Deployment Dry Run ===`);
-  console.log(`Network: ${network.name}`);
-  console.log(`Chain ID: ${network.config.chainId}`);
+  const profile = selectProfile(TARGET_NETWORK);
+  console.log(`Rehearsing: ${TARGET_NETWORK}`);
+  console.log(`Parameter profile: ${profile.name}`);
   console.log(`Time: ${new Date().toISOString()}`);
-  console.log(`\nThis is a DRY RUN - No contracts will be deployed\n`);
-  
-  // Get deployer account
-  const [deployer] = await ethers.getSigners();
-  console.log(`Deployer address: ${deployer.address}`);
-  const balance = await ethers.provider.getBalance(deployer.address);
-  console.log(`Deployer balance: ${ethers.formatEther(balance)} ETH`);
-  
+  console.log(`\nThis is a DRY RUN - transactions run on an ephemeral Hardhat chain\n`);
+
+  // Impersonate and fund the deployer of the target network
+  const deployerAddress = await resolveDeployerAddress(TARGET_NETWORK);
+  await network.provider.request({ method: 'hardhat_impersonateAccount', params: [deployerAddress] });
+  await network.provider.request({ method: 'hardhat_setBalance', params: [deployerAddress, ethers.toQuantity(DEPLOYER_BALANCE)] });
+  const deployer = await ethers.getSigner(deployerAddress);
+  console.log(`Deployer address: ${deployerAddress}`);
+  console.log(`Deployer balance: ${ethers.formatEther(DEPLOYER_BALANCE)} ETH (simulated)`);
+
   // Store network info
+  const targetConfig = hre.config.networks[TARGET_NETWORK] || {};
   deploymentResults.network = {
-    name: network.name,
-    chainId: network.config.chainId,
-    deployer: deployer.address,
+    name: TARGET_NETWORK,
+    chainId: targetConfig.chainId || null,
+    deployer: deployerAddress,
     timestamp: new Date().toISOString()
   };
-  
-  // Mock deployed contracts with random addresses
-  const deployedContracts = {};
-  let totalGasUsed = 0n;
-  
-  console.log(`\n=== Contract Deployments ===`);
-  
-  // First create all mock addresses to resolve dependencies
-  for (const contractConfig of config.contracts) {
-    const { name } = contractConfig;
-    const mockAddress = ethers.Wallet.createRandom().address;
-    deployedContracts[name] = { address: mockAddress };
-    console.log(`Created mock address for ${name}: ${mockAddress}`);
-  }
-  
-  // Now simulate deployments with proper arguments
-  for (const contractConfig of config.contracts) {
-    const { name, args } = contractConfig;
-    console.log(`\nSimulating deployment of ${name}...`);
-    
-    // Replace placeholder args with mock addresses
-    const resolvedArgs = args.map(arg => {
-      if (typeof arg !== 'string') return arg;
-      if (arg === '$ADMIN_ADDRESS') return deployer.address;
-      if (arg === '$TOKEN_ADDRESS') return deployedContracts.DLoopToken.address;
-      if (arg === '$DAO_ADDRESS') return deployedContracts.ProtocolDAO.address;
-      if (arg === '$SOULBOUND_ADDRESS') return deployedContracts.SoulboundNFT.address;
-      if (arg === '$REGISTRY_ADDRESS') return deployedContracts.AINodeRegistry.address;
-      if (arg === '$TREASURY_ADDRESS') return deployedContracts.Treasury.address;
-      if (arg === '$REWARDS_ADDRESS') return deployedContracts.GovernanceRewards.address;
-      return arg;
-    });
-    
-    console.log(`Arguments: ${JSON.stringify(resolvedArgs)}`);
-    
-    try {
-      // Get the contract factory
-      const Contract = await ethers.getContractFactory(name);
-      
-      // Create a mock contract instance
-      const contract = await Contract.attach(deployedContracts[name].address);
-      deployedContracts[name] = contract;
-      
-      // Estimate deployment gas (this is just an approximation)
-      let deploymentGasEstimate;
-      try {
-        // Try to estimate deployment gas
-        const deployTx = await Contract.getDeployTransaction(...resolvedArgs);
-        deploymentGasEstimate = await ethers.provider.estimateGas(deployTx);
-      } catch (error) {
-        // If estimation fails, use a reasonable default
-        console.log(`Could not estimate gas for ${name} deployment: ${error.message}`);
-        console.log(`Using default gas estimate of 3,000,000`);
-        deploymentGasEstimate = 3000000n;
-      }
-      
-      console.log(`Estimated gas for deployment: ${deploymentGasEstimate.toString()}`);
-      
-      // Store deployment info
-      deploymentResults.contracts[name] = {
-        address: contract.target,
-        args: resolvedArgs,
-        gasEstimate: deploymentGasEstimate.toString()
-      };
-      
-      // Track gas usage
-      deploymentResults.gasUsed.deployment[name] = deploymentGasEstimate.toString();
-      totalGasUsed = totalGasUsed + deploymentGasEstimate;
-      
-      // Add deployment transaction to list
-      deploymentResults.transactions.push({
-        type: 'deployment',
-        contract: name,
-        gasEstimate: deploymentGasEstimate.toString(),
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error(`Error simulating deployment of ${name}:`, error.message);
-      // Continue with other deployments even if one fails
-    }
-  }
-  
-  // Execute post-deployment configuration
-  console.log(`\n=== Post-Deployment Configuration ===`);
-  
-  for (const step of config.postDeployment) {
-    const { contract, method, args } = step;
-    console.log(`\nSimulating ${contract}.${method}...`);
-    
-    // Replace placeholder args with mock addresses
-    const resolvedArgs = args.map(arg => {
-      if (typeof arg !== 'string') return arg;
-      if (arg === '$ADMIN_ADDRESS') return deployer.address;
-      if (arg === '$TOKEN_ADDRESS') return deployedContracts.DLoopToken.target;
-      if (arg === '$DAO_ADDRESS') return deployedContracts.ProtocolDAO.target;
-      if (arg === '$SOULBOUND_ADDRESS') return deployedContracts.SoulboundNFT.target;
-      if (arg === '$REGISTRY_ADDRESS') return deployedContracts.AINodeRegistry.target;
-      if (arg === '$TREASURY_ADDRESS') return deployedContracts.Treasury.target;
-      if (arg === '$REWARDS_ADDRESS') return deployedContracts.GovernanceRewards.target;
-      return arg;
-    });
-    
-    console.log(`Arguments: ${JSON.stringify(resolvedArgs)}`);
-    
-    try {
-      // Estimate gas for configuration (use a default if estimation fails)
-      let configGasEstimate;
-      try {
-        // Try to encode function data and estimate gas
-        const data = deployedContracts[contract].interface.encodeFunctionData(method, resolvedArgs);
-        configGasEstimate = await ethers.provider.estimateGas({
-          from: deployer.address,
-          to: deployedContracts[contract].target,
-          data: data
-        });
-      } catch (error) {
-        // If estimation fails, use a reasonable default
-        console.log(`Could not estimate gas for ${contract}.${method}: ${error.message}`);
-        console.log(`Using default gas estimate of 100,000`);
-        configGasEstimate = 100000n;
-      }
-      
-      console.log(`Estimated gas for ${method}: ${configGasEstimate.toString()}`);
-      
-      // Track gas usage
-      const configKey = `${contract}.${method}`;
-      deploymentResults.gasUsed.configuration[configKey] = configGasEstimate.toString();
-      totalGasUsed = totalGasUsed + configGasEstimate;
-      
-      // Add configuration transaction to list
-      deploymentResults.transactions.push({
-        type: 'configuration',
-        contract: contract,
-        method: method,
-        args: resolvedArgs,
-        gasEstimate: configGasEstimate.toString(),
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error(`Error simulating ${contract}.${method}:`, error.message);
-      // Continue with other steps even if one fails
-    }
-  }
-  
-  // Calculate total gas used
-  deploymentResults.gasUsed.total = totalGasUsed.toString();
-  // Use a default gas price for the dry run
-  const gasPrice = 20000000000n; // 20 gwei
-  const totalCost = totalGasUsed * gasPrice;
-  
-  // Save deployment results to file
-  const deploymentPath = path.join(__dirname, '../../deployments');
-  if (!fs.existsSync(deploymentPath)) {
-    fs.mkdirSync(deploymentPath, { recursive: true });
+  deploymentResults.profile = { name: profile.name, parameters: profile.parameters };
+
+  // Resolve and validate the manifest before anything is sent
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  const journal = DeploymentJournal.inMemory({
+    network: TARGET_NETWORK,
+    chainId: network.config.chainId,
+    deployer: deployerAddress,
+    manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+    deterministic: DETERMINISTIC
+  });
+
+  // In deterministic mode the deployer acts through its CREATE2 factory
+  let signer = deployer;
+  let create2Salts;
+  let factoryTransaction;
+  if (DETERMINISTIC) {
+    let record;
+    ({ signer, create2Salts, record, transaction: factoryTransaction } = await prepareDeterministic({
+      deployer, manifest: DEPLOYMENT_MANIFEST, plan, networkName: network.name
+    }));
+    // The factory holds the deployer's rights, so the tools that follow act through it
+    deploymentResults.network.deployer = record.factory;
+    deploymentResults.deterministic = record;
   }
-  
-  const filename = `dry-run-${network.name}-${new Date().toISOString().replace(/:/g, '-')}.json`;
-  fs.writeFileSync(
-    path.join(deploymentPath, filename),
-    JSON.stringify(deploymentResults, null, 2)
-  );
-  
+
+  const result = await executePlan({
+    ethers,
+    plan,
+    signer,
+    journal,
+    stopOnDeployFailure: false,
+    create2Salts
+  });
+
+  deploymentResults.contracts = result.record.contracts;
+  deploymentResults.transactions = [...(factoryTransaction ? [factoryTransaction] : []), ...result.record.transactions];
+  deploymentResults.gasUsed = summarizeGas(result.record.transactions);
+  deploymentResults.steps = result.steps;
+  deploymentResults.state = await readDeploymentState(result.instances, { deployer: await signer.getAddress() });
+
+  await network.provider.request({ method: 'hardhat_stopImpersonatingAccount', params: [deployerAddress] });
+
+  // Record the dry run in the target network's registry
+  const registry = DeploymentRegistry.load(TARGET_NETWORK);
+  const stored = registry.record(deploymentResults);
+
   // Print summary
+  const count = status => result.steps.filter(step => step.status === status).length;
   console.log(`\n=== Deployment Dry Run Summary ===`);
-  console.log(`Total contracts: ${Object.keys(deploymentResults.contracts).length}`);
-  console.log(`Total gas used: ${totalGasUsed.toString()}`);
-  console.log(`Estimated cost: ${ethers.formatEther(totalCost)} ETH`);
-  console.log(`Current gas price: ${ethers.formatUnits(gasPrice, 'gwei')} gwei`);
-  console.log(`\nResults saved to deployments/${filename}`);
-  
-  console.log(`\nDeployed Contracts (Mock Addresses):`);
-  Object.entries(deploymentResults.contracts).forEach(([name, info]) => {
-    console.log(`${name}: ${info.address}`);
-  });
-  
+  console.log(`Steps: ${count('success')} succeeded, ${count('failed')} failed, ${count('skipped')} skipped`);
+  console.log(`Total gas used: ${deploymentResults.gasUsed.total}`);
+  console.log(`\nRecorded as dry run ${stored.id} in deployments/${TARGET_NETWORK}.json`);
+  console.log(`Budget it with: node scripts/deployment/deployment-costs.js ${TARGET_NETWORK} ${stored.id} --gas-price <gwei>`);
+
+  const problems = result.steps.filter(step => step.status !== 'success');
+  if (problems.length > 0) {
+    console.error(`\nDry run found ${problems.length} problem(s):`);
+    problems.forEach(step => console.error(`  - [${step.status}] ${step.id}: ${step.error}`));
+    process.exit(1);
+  }
+
   console.log(`\nDry run completed successfully!`);
 }
 
-// Execute the deployment
+// Execute the dry run
 main()
   .then(() => process.exit(0))
   .catch((error) => {
@@ -0,0 +1,181 @@
+/**
+ * @title D-Loop Protocol Governance Handoff Script
+ * @dev Moves every admin power from the deployer to the DAO according to
+ *      scripts/config/governanceHandoffPolicy.js, then verifies the deployer has none left
+ * @notice Rehearse first on an in-process chain: the full manifest and the policy recipients are
+ *         deployed fresh, handed off and verified, and nothing is recorded:
+ *
+ *         npx hardhat run scripts/deployment/governance-handoff.js --network hardhat
+ *
+ *         (HANDOFF_REHEARSAL=true is implied on the hardhat network.) Then run it for real with
+ *         the deployer key; --deploy-recipients deploys recipients that are not yet recorded in
+ *         deployments/<network>.json:
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/governance-handoff.js --deploy-recipients
+ *
+ *         With --check (or HANDOFF_CHECK=true) nothing is sent; the script only verifies and
+ *         exits non-zero if the deployer still holds any privilege the policy does not accept.
+ *         Once the handoff is done the deployer can no longer reconcile the configuration
+ *         against scripts/config/desiredState.js, so run post-deployment-configuration.js first.
+ */
+
+const hre = require('hardhat');
+const { ethers } = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const HANDOFF_POLICY = require('../config/governanceHandoffPolicy');
+const { formatDrift, toRegistryTransactions } = require('../utils/configReconciler');
+const { DeploymentJournal } = require('../utils/deploymentJournal');
+const { executePlan, summarizeReceipt } = require('../utils/manifestDeployer');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer, configuredDeployerAddress } = require('../utils/keystore');
+const { deployComponent } = require('../utils/componentRedeployer');
+const { contractSalt, actingSigner } = require('../utils/deterministicDeployment');
+const { resolveHandoffPolicy, applyHandoff, verifyHandoff } = require('../utils/governanceHandoff');
+const { deploymentProfile } = require('../utils/parameterProfiles');
+const { explainError } = require('../utils/revertDecoder');
+
+const CHECK_ONLY = process.argv.includes('--check') || process.env.HANDOFF_CHECK === 'true';
+const DEPLOY_RECIPIENTS = process.argv.includes('--deploy-recipients');
+
+/**
+ * Prints the verification result
+ * @param {Object} verification - Result of verifyHandoff
+ * @returns {boolean} Whether the handoff is complete
+ */
+function report(verification) {
+  const { drift, privileges, accepted } = verification;
+  if (drift.length > 0) {
+    console.log(`\n${drift.length} policy check(s) not satisfied (- live, + policy):`);
+    console.log(formatDrift(drift));
+  }
+  if (accepted.length > 0) {
+    console.log('\nDeployer privileges accepted by the policy:');
+    accepted.forEach(entry => console.log(`  - ${entry.privilege}: ${entry.reason}`));
+  }
+  if (privileges.length > 0) {
+    console.error('\nThe deployer still holds:');
+    privileges.forEach(privilege => console.error(`  - ${privilege}`));
+  }
+  return drift.length === 0 && privileges.length === 0;
+}
+
+async function main() {
+  const { network } = hre;
+  const rehearsal = network.name === 'hardhat' || process.env.HANDOFF_REHEARSAL === 'true';
+  if (rehearsal && network.name !== 'hardhat') {
+    console.error('A rehearsal runs on the in-process chain: use --network hardhat');
+    process.exit(1);
+  }
+
+  // A rehearsal deploys with the network's profile; a live handoff uses the one recorded with the deployment
+  const recorded = rehearsal ? null : DeploymentRegistry.load(network.name, { chainId: network.config.chainId }).latest({ withContracts: true });
+  const profile = deploymentProfile(network.name, recorded);
+  const handoff = resolveHandoffPolicy(HANDOFF_POLICY, DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  // A check sends nothing, so the keystore is not decrypted
+  let signer = CHECK_ONLY && !rehearsal ? null : await getDeployer(hre);
+  let signerAddress = signer ? await signer.getAddress() : configuredDeployerAddress(network.config);
+  let addresses;
+  let accounts;
+  let registry = null;
+  let deterministic;
+
+  if (rehearsal) {
+    console.log('Rehearsing the governance handoff on a fresh in-process deployment...');
+    accounts = { deployer: signerAddress };
+    const deployment = await executePlan({
+      ethers,
+      plan: { ...handoff.plan, contracts: handoff.plan.contracts.filter(entry => !handoff.recipients.includes(entry)) },
+      signer,
+      journal: DeploymentJournal.inMemory({ network: network.name, chainId: network.config.chainId, deployer: signerAddress }),
+      log: () => {}
+    });
+    if (deployment.failures.length > 0) {
+      throw new Error(`Rehearsal deployment failed: ${deployment.failures.map(failure => failure.error).join('; ')}`);
+    }
+    addresses = { ...deployment.addresses };
+  } else {
+    registry = DeploymentRegistry.load(network.name, { chainId: network.config.chainId });
+    const latestDeployment = registry.latest();
+    if (!latestDeployment) {
+      console.error(`No deployments recorded for ${network.name} in deployments/${network.name}.json`);
+      process.exit(1);
+    }
+    // After a deterministic deployment the deployer's rights are held by its factory
+    ({ deterministic } = registry.latest({ withContracts: true }) || {});
+    if (deterministic) {
+      signer = actingSigner(signer, { deterministic });
+      signerAddress = signer ? await signer.getAddress() : deterministic.factory;
+    }
+    accounts = { deployer: latestDeployment.deployer || signerAddress };
+    addresses = registry.addressBook();
+    console.log(`${CHECK_ONLY ? 'Checking' : 'Running'} the governance handoff on ${network.name} (deployer ${accounts.deployer})...`);
+    if (!CHECK_ONLY && signerAddress.toLowerCase() !== accounts.deployer.toLowerCase()) {
+      console.error(`The handoff must be sent by the deployer ${accounts.deployer}, not ${signerAddress}`);
+      process.exit(1);
+    }
+  }
+
+  // Recipients outside the manifest
+  for (const entry of handoff.recipients) {
+    if (addresses[entry.name]) continue;
+    if (!rehearsal && !DEPLOY_RECIPIENTS) {
+      console.error(`${entry.name} is not recorded in deployments/${network.name}.json; rerun with --deploy-recipients`);
+      process.exit(1);
+    }
+    const salt = deterministic ? contractSalt(DEPLOYMENT_MANIFEST, entry.name) : undefined;
+    const deployed = await deployComponent({ ethers, entry, signer, addresses, accounts, salt });
+    addresses[entry.name] = deployed.address;
+    console.log(`${entry.name} deployed to: ${deployed.address}`);
+    if (registry) {
+      const stored = registry.record({
+        network: { name: network.name, chainId: network.config.chainId, deployer: signerAddress, timestamp: new Date().toISOString() },
+        contracts: {
+          [entry.name]: {
+            address: deployed.address,
+            artifact: entry.artifact,
+            args: deployed.args,
+            transaction: deployed.receipt.hash,
+            blockNumber: deployed.receipt.blockNumber,
+            ...(salt && { salt })
+          }
+        },
+        transactions: [{ ...summarizeReceipt(deployed.receipt), type: 'deploy', contract: entry.name }],
+        deterministic
+      });
+      console.log(`Recorded as ${stored.id} in deployments/${network.name}.json`);
+    }
+  }
+
+  if (!CHECK_ONLY) {
+    console.log(`\nHanding off from ${signerAddress}:`);
+    const { sent, failures } = await applyHandoff({ ethers, handoff, addresses, accounts, signer });
+    if (registry && sent.length > 0) {
+      const stored = registry.record({
+        network: { name: network.name, chainId: network.config.chainId, deployer: signerAddress, timestamp: new Date().toISOString() },
+        contracts: {},
+        transactions: toRegistryTransactions(sent, 'handoff')
+      });
+      console.log(`Handoff transactions recorded as ${stored.id} in deployments/${network.name}.json`);
+    }
+    if (failures.length > 0) {
+      console.error(`\n${failures.length} call(s) failed:`);
+      failures.forEach(failure => console.error(`  - ${failure.contract}.${failure.method}: ${failure.error}`));
+    }
+  }
+
+  // The deployer must have no privileges left
+  if (!report(await verifyHandoff({ ethers, handoff, addresses, accounts }))) {
+    console.error('\nGovernance handoff is incomplete.');
+    process.exit(1);
+  }
+
+  console.log(`\nGovernance handoff ${rehearsal ? 'rehearsal ' : ''}complete: the deployer holds no privileges beyond those the policy accepts.`);
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Governance handoff failed:', explainError(error));
+    process.exit(1);
+  });
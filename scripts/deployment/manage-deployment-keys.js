@@ -1,135 +1,175 @@
 /**
  * @title D-Loop Protocol Deployment Key Management
  * @dev Script to securely manage deployment keys for testnet deployments
- * @notice This script helps generate and validate deployment keys
+ * @notice Keys are kept in encrypted JSON keystores under keystores/ (see scripts/utils/keystore.js);
+ *         networks select theirs with DEPLOYER_KEYSTORE (default: deployer). Private keys and
+ *         mnemonics are never printed unless --reveal is passed.
+ *
+ *         node scripts/deployment/manage-deployment-keys.js create [name] [--reveal]
+ *         node scripts/deployment/manage-deployment-keys.js import [name] [--from-env]
+ *         node scripts/deployment/manage-deployment-keys.js list
+ *         node scripts/deployment/manage-deployment-keys.js rotate [name] [--reveal]
+ *         node scripts/deployment/manage-deployment-keys.js show [name] [--reveal]
+ *         node scripts/deployment/manage-deployment-keys.js balance [name]
+ *         node scripts/deployment/manage-deployment-keys.js validate [name]
+ *
+ *         import --from-env moves a plaintext PRIVATE_KEY out of .env into a keystore.
  */
 
 const { ethers } = require('hardhat');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const crypto = require('crypto');
+const {
+  createKeystore,
+  importKeystore,
+  keystoreAddress,
+  keystorePath,
+  listKeystores,
+  loadKeystore,
+  rotateKeystore,
+  promptHidden,
+  readKeystorePassword
+} = require('../utils/keystore');
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const REVEAL = process.argv.includes('--reveal');
+const FROM_ENV = process.argv.includes('--from-env');
+const ENV_PATH = path.join(__dirname, '../../.env');
 
-// Function to generate a new wallet
-async function generateWallet() {
-  console.log('\nGenerating new deployment wallet...');
-  
-  // Generate a random wallet
-  const wallet = ethers.Wallet.createRandom();
-  
-  console.log(`\n===== WALLET DETAILS =====`);
-  console.log(`Address: ${wallet.address}`);
-  console.log(`Private Key: ${wallet.privateKey}`);
-  console.log(`Mnemonic: ${wallet.mnemonic.phrase}`);
-  console.log(`===========================\n`);
-  
-  console.log('⚠️  IMPORTANT: Store this information securely!');
-  console.log('Never share your private key or mnemonic with anyone.');
-  
-  // Ask if user wants to save to .env file
-  rl.question('\nDo you want to save the private key to .env file? (y/n): ', (answer) => {
-    if (answer.toLowerCase() === 'y') {
-      saveToEnvFile(wallet);
-    } else {
-      console.log('Private key not saved to .env file.');
+// Function to ask a question with a visible answer
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
       rl.close();
-    }
+      resolve(answer);
+    });
   });
 }
 
-// Function to save wallet info to .env file
-function saveToEnvFile(wallet) {
-  const envPath = path.join(__dirname, '../../.env');
-  
-  // Check if .env file exists
-  let envContent = '';
-  if (fs.existsSync(envPath)) {
-    envContent = fs.readFileSync(envPath, 'utf8');
-    
-    // Replace existing private key if present
-    if (envContent.includes('PRIVATE_KEY=')) {
-      envContent = envContent.replace(/PRIVATE_KEY=.*$/m, `PRIVATE_KEY=${wallet.privateKey}`);
-    } else {
-      envContent += `\nPRIVATE_KEY=${wallet.privateKey}`;
-    }
-    
-    // Replace existing deployer address if present
-    if (envContent.includes('DEPLOYER_ADDRESS=')) {
-      envContent = envContent.replace(/DEPLOYER_ADDRESS=.*$/m, `DEPLOYER_ADDRESS=${wallet.address}`);
-    } else {
-      envContent += `\nDEPLOYER_ADDRESS=${wallet.address}`;
+// Function to ask for a new keystore password twice
+async function promptNewPassword(name) {
+  const password = await promptHidden(`New password for keystore ${name}: `);
+  const confirmation = await promptHidden('Repeat the password: ');
+  if (password !== confirmation) {
+    throw new Error('The passwords do not match');
+  }
+  if (password.length < 8) {
+    throw new Error('Use a password of at least 8 characters');
+  }
+  return password;
+}
+
+// Function to print the secrets of a wallet, only with --reveal
+function printSecrets(wallet) {
+  if (!REVEAL) {
+    console.log('The private key is stored only in the encrypted keystore. Pass --reveal to print it.');
+    return;
+  }
+  console.log(`\n===== WALLET SECRETS =====`);
+  console.log(`Private Key: ${wallet.privateKey}`);
+  if (wallet.mnemonic) {
+    console.log(`Mnemonic: ${wallet.mnemonic.phrase}`);
+  }
+  console.log(`==========================\n`);
+  console.log('⚠️  IMPORTANT: Never share your private key or mnemonic with anyone.');
+}
+
+// Function to generate a new wallet into a keystore
+async function generateKeystore(name) {
+  console.log(`\nGenerating new deployment wallet in keystore ${name}...`);
+  const password = await promptNewPassword(name);
+  const keystore = await createKeystore(name, password);
+
+  console.log(`\nAddress: ${keystore.address}`);
+  console.log(`Keystore: ${keystore.path}`);
+  printSecrets(keystore.wallet);
+  console.log('\n⚠️  Back up the keystore file and its password. Neither can be recovered.');
+}
+
+// Function to import an existing key into a keystore
+async function importExistingKey(name) {
+  let secret;
+  if (FROM_ENV) {
+    const envContent = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
+    const privateKeyMatch = envContent.match(/^PRIVATE_KEY=(.*)$/m);
+    if (!privateKeyMatch || !privateKeyMatch[1].trim()) {
+      throw new Error('No PRIVATE_KEY found in .env');
     }
+    secret = privateKeyMatch[1].trim();
   } else {
-    // Create new .env file
-    envContent = `# D-Loop Protocol Environment Configuration\n\n`;
-    envContent += `# Network RPC URLs\n`;
-    envContent += `SEPOLINA_RPC_URL=https://rpc.sepolina.dev\n\n`;
-    envContent += `# Deployment keys\n`;
-    envContent += `PRIVATE_KEY=${wallet.privateKey}\n`;
-    envContent += `DEPLOYER_ADDRESS=${wallet.address}\n`;
+    secret = await promptHidden('Private key or mnemonic to import: ');
+  }
+
+  const password = await promptNewPassword(name);
+  const keystore = await importKeystore(name, secret, password);
+  console.log(`\nImported ${keystore.address} into ${keystore.path}`);
+
+  if (FROM_ENV) {
+    // The plaintext key is no longer needed
+    const envContent = fs.readFileSync(ENV_PATH, 'utf8').replace(/^PRIVATE_KEY=.*(\r?\n)?/m, '');
+    fs.writeFileSync(ENV_PATH, envContent);
+    console.log('PRIVATE_KEY removed from .env.');
   }
-  
-  // Write to .env file
-  fs.writeFileSync(envPath, envContent);
-  console.log(`Private key and address saved to .env file.`);
-  
-  // Remind user about security
-  console.log('\n⚠️  IMPORTANT: The .env file contains sensitive information.');
-  console.log('Make sure it is added to .gitignore and never committed to your repository.');
-  
-  rl.close();
 }
 
-// Function to check wallet balance
-async function checkWalletBalance() {
-  // Load private key from .env file
-  const envPath = path.join(__dirname, '../../.env');
-  if (!fs.existsSync(envPath)) {
-    console.log('Error: .env file not found. Please run the generate command first.');
-    rl.close();
+// Function to list keystores
+function printKeystores() {
+  const keystores = listKeystores();
+  if (keystores.length === 0) {
+    console.log('No keystores found. Create one with: manage-deployment-keys.js create [name]');
     return;
   }
-  
-  const envContent = fs.readFileSync(envPath, 'utf8');
-  const privateKeyMatch = envContent.match(/PRIVATE_KEY=(.*)$/m);
-  
-  if (!privateKeyMatch || !privateKeyMatch[1]) {
-    console.log('Error: Private key not found in .env file.');
-    rl.close();
-    return;
+  keystores.forEach(keystore => console.log(`${keystore.name.padEnd(20)} ${keystore.address}`));
+}
+
+// Function to replace the key of a keystore
+async function rotateKey(name) {
+  console.log(`\nRotating keystore ${name}...`);
+  const password = await promptNewPassword(name);
+  const keystore = await rotateKeystore(name, password);
+
+  console.log(`\nPrevious address: ${keystore.previous} (keystore archived to ${keystore.archivedTo})`);
+  console.log(`New address:      ${keystore.address}`);
+  printSecrets(keystore.wallet);
+  console.log('\nMove any remaining funds and privileges from the previous address to the new one.');
+}
+
+// Function to show a keystore, decrypting it only with --reveal
+async function showKeystore(name) {
+  console.log(`Address: ${keystoreAddress(name)}`);
+  console.log(`Keystore: ${keystorePath(name)}`);
+  if (REVEAL) {
+    printSecrets(await loadKeystore(name, await readKeystorePassword(name)));
   }
-  
-  const privateKey = privateKeyMatch[1].trim();
-  const wallet = new ethers.Wallet(privateKey);
-  
-  console.log(`\nChecking balance for address: ${wallet.address}`);
+}
+
+// Function to check wallet balance
+async function checkWalletBalance(name) {
+  const address = keystoreAddress(name);
+
+  console.log(`\nChecking balance for address: ${address}`);
   console.log(`\nIMPORTANT: To fund this wallet for Sepolina Testnet deployment, send ETH to:`);
-  console.log(`\n${wallet.address}\n`);
-  
+  console.log(`\n${address}\n`);
+
   // Check balance on different networks
   try {
     // Hardhat local network
     try {
       const hardhatProvider = new ethers.JsonRpcProvider('http://127.0.0.1:8545');
-      const hardhatBalance = await hardhatProvider.getBalance(wallet.address);
+      const hardhatBalance = await hardhatProvider.getBalance(address);
       console.log(`Hardhat Local: ${ethers.formatEther(hardhatBalance)} ETH`);
     } catch (error) {
       console.log(`Hardhat Local: Error connecting to network`);
     }
-    
+
     // Sepolina testnet
     try {
       const sepolinaRpcUrl = process.env.SEPOLINA_RPC_URL || 'https://rpc.sepolina.dev';
       const sepolinaProvider = new ethers.JsonRpcProvider(sepolinaRpcUrl);
-      const sepolinaBalance = await sepolinaProvider.getBalance(wallet.address);
+      const sepolinaBalance = await sepolinaProvider.getBalance(address);
       console.log(`Sepolina Testnet: ${ethers.formatEther(sepolinaBalance)} ETH`);
-      
+
       // Check if balance is sufficient for deployment
       if (sepolinaBalance < ethers.parseEther('0.1')) {
         console.log(`⚠️  Warning: Balance on Sepolina is low. Consider funding the wallet before deployment.`);
@@ -137,13 +177,13 @@ async function checkWalletBalance() {
     } catch (error) {
       console.log(`Sepolina Testnet: Error connecting to network`);
     }
-    
+
     // Sepolia testnet
     const sepoliaRpcUrl = process.env.SEPOLIA_RPC_URL;
     if (sepoliaRpcUrl) {
       try {
         const sepoliaProvider = new ethers.JsonRpcProvider(sepoliaRpcUrl);
-        const sepoliaBalance = await sepoliaProvider.getBalance(wallet.address);
+        const sepoliaBalance = await sepoliaProvider.getBalance(address);
         console.log(`Sepolia Testnet: ${ethers.formatEther(sepoliaBalance)} ETH`);
       } catch (error) {
         console.log(`Sepolia Testnet: Error connecting to network`);
@@ -154,130 +194,118 @@ async function checkWalletBalance() {
   } catch (error) {
     console.log(`Error checking balances: ${error.message}`);
   }
-  
+
   console.log(`\nTo fund this wallet for deployment, send ETH to the address above.`);
   console.log(`You'll need approximately 0.2 ETH for a full protocol deployment.`);
-  
-  rl.close();
 }
 
 // Function to validate environment setup
-async function validateEnvironment() {
+async function validateEnvironment(name) {
   console.log('\nValidating deployment environment...');
-  
-  const envPath = path.join(__dirname, '../../.env');
-  if (!fs.existsSync(envPath)) {
-    console.log('❌ .env file not found. Please create one based on .env.example.');
-    rl.close();
-    return;
-  }
-  
-  const envContent = fs.readFileSync(envPath, 'utf8');
-  
-  // Check required variables
-  const requiredVars = [
-    { name: 'PRIVATE_KEY', message: 'Deployment private key' },
-    { name: 'SEPOLINA_RPC_URL', message: 'Sepolina RPC URL' }
-  ];
-  
+
   let allValid = true;
-  
-  for (const variable of requiredVars) {
-    const match = envContent.match(new RegExp(`${variable.name}=(.*)$`, 'm'));
-    if (!match || !match[1].trim()) {
-      console.log(`❌ ${variable.message} not configured in .env file.`);
-      allValid = false;
+
+  // Check the keystore
+  let address = null;
+  try {
+    address = keystoreAddress(name);
+    console.log(`✅ Keystore ${name} found. Deployment wallet address: ${address}`);
+  } catch (error) {
+    console.log(`❌ ${error.message}. Create it with: manage-deployment-keys.js create ${name}`);
+    allValid = false;
+  }
+
+  const envContent = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
+
+  // A plaintext key must not be left behind
+  if (/^PRIVATE_KEY=.+$/m.test(envContent)) {
+    console.log(`❌ .env still contains a plaintext PRIVATE_KEY. Move it with: manage-deployment-keys.js import ${name} --from-env`);
+    allValid = false;
+  } else {
+    console.log(`✅ No plaintext private key in .env.`);
+  }
+
+  // Check if DEPLOYER_ADDRESS is set correctly
+  const deployerMatch = envContent.match(/DEPLOYER_ADDRESS=(.*)$/m);
+  if (address && deployerMatch && deployerMatch[1].trim()) {
+    const deployerAddress = deployerMatch[1].trim();
+    if (deployerAddress.toLowerCase() === address.toLowerCase()) {
+      console.log(`✅ DEPLOYER_ADDRESS matches the keystore.`);
     } else {
-      console.log(`✅ ${variable.message} configured.`);
+      console.log(`❌ DEPLOYER_ADDRESS does not match the keystore.`);
+      console.log(`   Expected: ${address}`);
+      console.log(`   Found: ${deployerAddress}`);
+      allValid = false;
     }
   }
-  
-  // Validate private key format if present
-  const privateKeyMatch = envContent.match(/PRIVATE_KEY=(.*)$/m);
-  if (privateKeyMatch && privateKeyMatch[1].trim()) {
-    const privateKey = privateKeyMatch[1].trim();
+
+  // Try to connect to Sepolia RPC
+  const sepoliaRpcUrl = process.env.SEPOLIA_RPC_URL;
+  if (!sepoliaRpcUrl) {
+    console.log(`❌ Sepolia RPC URL not configured in .env file.`);
+    allValid = false;
+  } else {
     try {
-      new ethers.Wallet(privateKey);
-      console.log(`✅ Private key format is valid.`);
-      
-      // Display the wallet address for reference
-      const wallet = new ethers.Wallet(privateKey);
-      console.log(`✅ Deployment wallet address: ${wallet.address}`);
-      
-      // Check if DEPLOYER_ADDRESS is set correctly
-      const deployerMatch = envContent.match(/DEPLOYER_ADDRESS=(.*)$/m);
-      if (deployerMatch && deployerMatch[1].trim()) {
-        const deployerAddress = deployerMatch[1].trim();
-        if (deployerAddress.toLowerCase() === wallet.address.toLowerCase()) {
-          console.log(`✅ DEPLOYER_ADDRESS matches the private key.`);
-        } else {
-          console.log(`❌ DEPLOYER_ADDRESS does not match the private key.`);
-          console.log(`   Expected: ${wallet.address}`);
-          console.log(`   Found: ${deployerAddress}`);
-          allValid = false;
-        }
-      } else {
-        console.log(`❌ DEPLOYER_ADDRESS not configured in .env file.`);
-        allValid = false;
-      }
-      
-      // Try to connect to Sepolina RPC
-      try {
-        const sepolinaRpcUrl = envContent.match(/SEPOLINA_RPC_URL=(.*)$/m)[1].trim();
-        console.log(`✅ Attempting to connect to Sepolina RPC: ${sepolinaRpcUrl}`);
-        const provider = new ethers.JsonRpcProvider(sepolinaRpcUrl);
-        const network = await provider.getNetwork();
-        console.log(`✅ Successfully connected to network: ${network.name} (Chain ID: ${network.chainId})`);
-      } catch (error) {
-        console.log(`❌ Failed to connect to Sepolina RPC: ${error.message}`);
-        allValid = false;
-      }
+      console.log(`✅ Attempting to connect to Sepolia RPC: ${sepoliaRpcUrl}`);
+      const provider = new ethers.JsonRpcProvider(sepoliaRpcUrl);
+      const network = await provider.getNetwork();
+      console.log(`✅ Successfully connected to network: ${network.name} (Chain ID: ${network.chainId})`);
     } catch (error) {
-      console.log(`❌ Private key format is invalid.`);
+      console.log(`❌ Failed to connect to Sepolia RPC: ${error.message}`);
       allValid = false;
     }
   }
-  
+
   if (allValid) {
     console.log('\n✅ Environment validation passed. Ready for deployment!');
   } else {
     console.log('\n❌ Environment validation failed. Please fix the issues before deploying.');
+    process.exitCode = 1;
   }
-  
-  rl.close();
 }
 
 // Main function
 async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
-  
-  if (!command) {
-    console.log('Please specify a command: generate, balance, or validate');
-    rl.close();
-    return;
-  }
-  
+  const [command, nameArgument] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const name = nameArgument || process.env.DEPLOYER_KEYSTORE || 'deployer';
+
   switch (command) {
-    case 'generate':
-      await generateWallet();
+    case 'create':
+      await generateKeystore(name);
+      break;
+    case 'import':
+      await importExistingKey(name);
+      break;
+    case 'list':
+      printKeystores();
+      break;
+    case 'rotate': {
+      const answer = await prompt(`Replace the key of keystore ${name} (${keystoreAddress(name)}) with a new one? (y/n): `);
+      if (answer.toLowerCase() !== 'y') {
+        console.log('Keystore not rotated.');
+        break;
+      }
+      await rotateKey(name);
+      break;
+    }
+    case 'show':
+      await showKeystore(name);
       break;
     case 'balance':
-      await checkWalletBalance();
+      await checkWalletBalance(name);
       break;
     case 'validate':
-      await validateEnvironment();
+      await validateEnvironment(name);
       break;
     default:
-      console.log(`Unknown command: ${command}`);
-      console.log('Available commands: generate, balance, validate');
-      rl.close();
+      console.log(command ? `Unknown command: ${command}` : 'Please specify a command.');
+      console.log('Available commands: create, import, list, rotate, show, balance, validate');
+      process.exitCode = 1;
   }
 }
 
 // Run the script
 main().catch((error) => {
-  console.error(error);
-  rl.close();
+  console.error(error.message);
   process.exit(1);
 });
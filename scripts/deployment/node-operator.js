@@ -0,0 +1,230 @@
+/**
+ * @title D-Loop Protocol AI Node Operator Script
+ * @dev Registers, stakes and monitors an AI node through the SDK's NodeOperator (sdk/nodeOperator.js)
+ * @notice Usage (hardhat run cannot pass arguments, so run the script through node):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js status [node] [--json] [--warn-days <n>]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js requirement <id>
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js register <requirementId>
+ *             [--node <address>] [--metadata <uri>] [--approval standard|safe|optimized] [--optimizer <address>]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js stake <amount>
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js unstake <amount>
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js deregister
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/node-operator.js governance-register <GovernanceNode|InvestmentNode> <stake>
+ *
+ *         Contract addresses come from deployments/<network>.json. Transactions are sent from
+ *         the operator keystore named by --keystore (see manage-deployment-keys.js), from the
+ *         Hardhat account with the index given by --account on local networks, or else from
+ *         the network's deployer. Amounts are in whole tokens of the staked token.
+ *
+ *         status shows the node in AINodeRegistry and AINodeGovernance, with its delegations,
+ *         and exits non-zero when there is a warning, e.g. the registration expires within
+ *         --warn-days (7 by default), so it can run from cron.
+ */
+
+const hre = require('hardhat');
+const { parseUnits } = require('ethers');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { explainError } = require('../utils/revertDecoder');
+const { NodeOperator } = require('../../sdk');
+const { formatDuration } = require('../../sdk/proposals');
+const { TaskContext, time, toJson } = require('../tasks/common');
+
+const VALUE_OPTIONS = ['--node', '--metadata', '--approval', '--optimizer', '--keystore', '--account', '--warn-days'];
+const [command, ...args] = process.argv.slice(2).filter((arg, index, all) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.includes(all[index - 1])
+);
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: node-operator.js status [node] [--json] [--warn-days <n>]');
+  console.error('       node-operator.js requirement <id>');
+  console.error('       node-operator.js register <requirementId> [--node <address>] [--metadata <uri>]');
+  console.error('                                 [--approval standard|safe|optimized] [--optimizer <address>]');
+  console.error('       node-operator.js stake|unstake <amount>');
+  console.error('       node-operator.js deregister');
+  console.error('       node-operator.js governance-register <GovernanceNode|InvestmentNode> <stake>');
+  console.error('Signer: --keystore <name>, or --account <index> on local networks; the deployer otherwise');
+  process.exit(1);
+}
+
+// Signer and token details, chosen and cached as in the dloop:* tasks (scripts/tasks/common.js)
+const context = new TaskContext({
+  keystore: option('--keystore') || undefined,
+  account: option('--account') === null ? undefined : Number(option('--account'))
+}, hre);
+
+/**
+ * Connects a NodeOperator to the AINodeRegistry and AINodeGovernance recorded for the network
+ * @param {Object} runner - Signer, or provider for read-only commands
+ * @returns {Promise<NodeOperator>} Operator
+ */
+async function connect(runner) {
+  const addresses = DeploymentRegistry.load(hre.network.name).addressBook();
+  if (!addresses.AINodeRegistry) throw new Error(`No AINodeRegistry recorded for ${hre.network.name}`);
+  return NodeOperator.connect(addresses.AINodeRegistry, runner, { governance: addresses.AINodeGovernance });
+}
+
+function formatAmount(amount, token) {
+  return context.formatAmount(amount, token);
+}
+
+async function parseAmount(value, token) {
+  if (!value) usage();
+  return parseUnits(value, (await context.tokenInfo(token)).decimals);
+}
+
+/**
+ * Throws the issues of a preview, if any
+ */
+function assertNoIssues(issues) {
+  if (issues.length > 0) throw new Error(issues.map(issue => `${issue.code}: ${issue.message}`).join('\n'));
+}
+
+async function status() {
+  const runner = args[0] ? hre.ethers.provider : await context.signer();
+  const operator = await connect(runner);
+  const warnDays = option('--warn-days');
+  const result = await operator.status(args[0], warnDays ? { warnWithin: Number(warnDays) * 86400 } : {});
+
+  if (process.argv.includes('--json')) {
+    console.log(toJson(result));
+  } else {
+    const { registry, governance } = result;
+    console.log(`Node ${result.node}`);
+    if (registry) {
+      console.log('  AINodeRegistry');
+      console.log(`    owner           ${registry.owner}`);
+      console.log(`    state           ${registry.state}${registry.active ? '' : ' (not active)'}`);
+      console.log(`    reputation      ${registry.reputation}`);
+      console.log(`    registered      ${time(registry.registeredAt)}`);
+      console.log(`    active until    ${time(registry.activeUntil)} (${result.expiresIn >= 0 ? `in ${formatDuration(result.expiresIn)}` : `${formatDuration(-result.expiresIn)} ago`})`);
+      console.log(`    soulbound token ${registry.soulboundTokenId}${registry.soulboundValid ? '' : ' (revoked)'}`);
+      console.log(`    metadata        ${registry.metadata || '-'}`);
+      if (registry.stakedAmount > 0n) {
+        console.log(`    stake           ${await formatAmount(registry.stakedAmount, registry.stakedToken)} (minimum ${await formatAmount(registry.minimumStake, registry.stakedToken)})`);
+      } else {
+        console.log('    stake           none');
+      }
+    } else {
+      console.log('  Not registered in AINodeRegistry');
+    }
+    if (governance) {
+      const dloop = await operator.governance.dloopToken();
+      console.log(`  AINodeGovernance ${governance.nodeType}${governance.active ? '' : ' (inactive)'}`);
+      console.log(`    stake           ${await formatAmount(governance.stake, dloop)}`);
+      console.log(`    delegated       ${await formatAmount(governance.delegatedAmount, dloop)} from ${governance.delegations.length} delegator(s)`);
+      console.log(`    voting power    ${await formatAmount(governance.votingPower, dloop)}`);
+      console.log(`    reputation      ${governance.reputation}`);
+      console.log(`    last activity   ${time(governance.lastActivity)}`);
+      for (const delegation of governance.delegations) {
+        console.log(`    - ${delegation.delegator} ${await formatAmount(delegation.amount, dloop)}, withdrawable from ${time(delegation.withdrawableAt)}`);
+      }
+    } else if (operator.governance) {
+      console.log('  Not an AINodeGovernance node');
+    }
+    result.warnings.forEach(warning => console.error(`WARNING ${warning.code}: ${warning.message}`));
+  }
+  if (result.warnings.length > 0) process.exitCode = 1;
+}
+
+async function requirement() {
+  if (!args[0]) usage();
+  const operator = await connect(hre.ethers.provider);
+  const result = await operator.requirement(args[0]);
+  if (!result.isActive) {
+    console.log(`Token requirement ${args[0]} is not active`);
+    return;
+  }
+  console.log(`Token requirement ${args[0]}: stake ${await formatAmount(result.amount, result.token)} (${result.token})`);
+}
+
+async function register() {
+  if (!args[0]) usage();
+  const operator = await connect(await context.signer());
+  const options = {
+    requirementId: args[0],
+    node: option('--node') || undefined,
+    approval: option('--approval') || 'standard',
+    optimizer: option('--optimizer') || undefined,
+    metadata: option('--metadata') || ''
+  };
+  const preview = await operator.previewRegistration(options);
+  preview.warnings.forEach(warning => console.error(`WARNING ${warning.code}: ${warning.message}`));
+  assertNoIssues(preview.issues.filter(issue => issue.code !== 'INSUFFICIENT_ALLOWANCE'));
+
+  const result = await operator.register(options);
+  if (result.approval) console.log(`Approved AINodeRegistry in ${result.approval}`);
+  console.log(`Registered node ${result.node} with ${await formatAmount(result.staked, result.token)} staked in ${result.hash}`);
+  console.log(`SoulboundNFT token ${result.soulboundTokenId}`);
+  if (result.cleared) console.log(`Reset the leftover AINodeRegistry allowance in ${result.cleared}`);
+}
+
+async function changeStake(decrease) {
+  const operator = await connect(await context.signer());
+  const node = await operator.registryNode(await operator.account());
+  if (!node) throw new Error(`${await operator.account()} is not a registered node`);
+  const amount = await parseAmount(args[0], node.stakedToken);
+  const result = decrease ? await operator.decreaseStake(amount) : await operator.increaseStake(amount);
+  if (result.approval) console.log(`Approved AINodeRegistry in ${result.approval}`);
+  console.log(`${decrease ? 'Withdrew' : 'Added'} ${await formatAmount(amount, result.token)} in ${result.hash}; the node now stakes ${await formatAmount(result.staked, result.token)}`);
+}
+
+async function deregister() {
+  const operator = await connect(await context.signer());
+  const result = await operator.deregister();
+  const refund = result.refunded > 0n ? await formatAmount(result.refunded, result.token) : 'nothing';
+  console.log(`Deregistered node ${result.node} in ${result.hash}: refunded ${refund}, revoked SoulboundNFT token ${result.soulboundTokenId}`);
+}
+
+async function governanceRegister() {
+  if (args.length < 2) usage();
+  const operator = await connect(await context.signer());
+  if (!operator.governance) throw new Error(`No AINodeGovernance recorded for ${hre.network.name}`);
+  const dloop = await operator.governance.dloopToken();
+  const result = await operator.registerGovernanceNode(args[0], await parseAmount(args[1], dloop));
+  if (result.approval) console.log(`Approved AINodeGovernance in ${result.approval}`);
+  console.log(`Registered ${result.node} as an AINodeGovernance ${result.nodeType} staking ${await formatAmount(result.stake, dloop)} in ${result.hash}`);
+}
+
+async function main() {
+  switch (command) {
+    case 'status':
+      await status();
+      break;
+    case 'requirement':
+      await requirement();
+      break;
+    case 'register':
+      await register();
+      break;
+    case 'stake':
+      await changeStake(false);
+      break;
+    case 'unstake':
+      await changeStake(true);
+      break;
+    case 'deregister':
+      await deregister();
+      break;
+    case 'governance-register':
+      await governanceRegister();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(explainError(error));
+    process.exit(1);
+  });
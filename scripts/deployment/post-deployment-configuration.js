@@ -1,153 +1,116 @@
 /**
  * @title D-Loop Protocol Post-Deployment Configuration Script
- * @dev Script to execute post-deployment configuration steps that failed during initial deployment
+ * @dev Reconciles a deployed protocol with the desired configuration in scripts/config/desiredState.js
+ * @notice Reads the live role assignments and wiring of the contracts currently recorded for the
+ *         network in deployments/<network>.json, prints a diff and sends only the transactions
+ *         needed to converge.
+ *
+ *         npx hardhat run scripts/deployment/post-deployment-configuration.js --network sepolia
+ *
+ *         With --check (or RECONCILE_CHECK=true) nothing is sent and the script exits non-zero
+ *         if any drift is found, e.g. in CI against a local node:
+ *
+ *         HARDHAT_NETWORK=localhost node scripts/deployment/post-deployment-configuration.js --check
+ *
+ *         Once the registry records a governance handoff, the roles it moved are checked against
+ *         their holders in scripts/config/governanceHandoffPolicy.js instead.
  */
 
 const hre = require('hardhat');
-const fs = require('fs');
-const path = require('path');
 const { ethers } = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const DESIRED_STATE = require('../config/desiredState');
+const HANDOFF_POLICY = require('../config/governanceHandoffPolicy');
+const { resolveManifest } = require('../utils/manifestResolver');
+const {
+  resolveDesiredState,
+  detectDrift,
+  formatDrift,
+  applyDrift,
+  toRegistryTransactions
+} = require('../utils/configReconciler');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer } = require('../utils/keystore');
+const { actingSigner } = require('../utils/deterministicDeployment');
+const { explainError } = require('../utils/revertDecoder');
+const { deploymentProfile } = require('../utils/parameterProfiles');
+const { followHandoff, isHandedOff } = require('../utils/governanceHandoff');
+
+const CHECK_ONLY = process.argv.includes('--check') || process.env.RECONCILE_CHECK === 'true';
 
 async function main() {
   const { network } = hre;
-  
-  console.log(`Executing post-deployment configuration for D-Loop Protocol on ${network.name} testnet...`);
-  
-  // Find the latest deployment file for the current network
-  const deploymentPath = path.join(__dirname, '..', '..', 'deployments');
-  const deploymentFiles = fs.readdirSync(deploymentPath)
-    .filter(file => file.startsWith(`${network.name}-deployment-`))
-    .sort()
-    .reverse(); // Sort in reverse to get the latest file first
-  
-  if (deploymentFiles.length === 0) {
-    console.error(`No deployment files found for ${network.name}`);
+
+  console.log(`${CHECK_ONLY ? 'Checking' : 'Reconciling'} D-Loop Protocol configuration on ${network.name}...`);
+
+  const registry = DeploymentRegistry.load(network.name);
+  // Later entries may only record configuration (e.g. a governance handoff); the deployer is the
+  // one that deployed the contracts
+  const latestDeployment = registry.latest({ withContracts: true });
+  if (!latestDeployment) {
+    console.error(`No deployments recorded for ${network.name} in deployments/${network.name}.json`);
     process.exit(1);
   }
-  
-  const latestDeploymentFile = deploymentFiles[0];
-  console.log(`Using deployment file: ${latestDeploymentFile}`);
-  
-  // Load the deployment data
-  const deploymentData = JSON.parse(
-    fs.readFileSync(path.join(deploymentPath, latestDeploymentFile), 'utf8')
-  );
-  
-  // Get deployer signer
-  const [deployer] = await ethers.getSigners();
-  console.log(`Using deployer address: ${await deployer.getAddress()}`);
-  
-  // Get contract instances
-  const dloopToken = await ethers.getContractAt(
-    'DLoopToken',
-    deploymentData.contracts.DLoopToken.address,
-    deployer
-  );
-  
-  const protocolDAO = await ethers.getContractAt(
-    'ProtocolDAO',
-    deploymentData.contracts.ProtocolDAO.address,
-    deployer
-  );
-  
-  const treasury = await ethers.getContractAt(
-    'Treasury',
-    deploymentData.contracts.Treasury.address,
-    deployer
-  );
-  
-  const aiNodeRegistry = await ethers.getContractAt(
-    'AINodeRegistry',
-    deploymentData.contracts.AINodeRegistry.address,
-    deployer
-  );
-  
-  const governanceRewards = await ethers.getContractAt(
-    'GovernanceRewards',
-    deploymentData.contracts.GovernanceRewards.address,
-    deployer
-  );
-  
-  // Execute post-deployment configuration steps
-  console.log('\nExecuting post-deployment configuration steps:');
-  
-  // 1. DLoopToken.grantMinterRole
-  console.log('\n1. Granting minter role on DLoopToken to Treasury...');
-  try {
-    const MINTER_ROLE = await dloopToken.MINTER_ROLE();
-    const tx1 = await dloopToken.grantRole(MINTER_ROLE, treasury.target);
-    await tx1.wait();
-    console.log(`Transaction hash: ${tx1.hash}`);
-    console.log('Minter role granted successfully!');
-  } catch (error) {
-    console.error('Error granting minter role:', error.message);
+  console.log(`Using addresses from deployments/${network.name}.json (latest deployment ${latestDeployment.id})`);
+
+  // Validate the manifest and the desired state before reading anything, with the parameters
+  // the contracts were deployed with
+  const profile = deploymentProfile(network.name, latestDeployment);
+  console.log(`Parameter profile: ${profile.name}`);
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  const handedOff = isHandedOff(registry);
+  if (handedOff) console.log('Governance handoff recorded: role holders follow the handoff policy');
+  const desired = resolveDesiredState(handedOff ? followHandoff(DESIRED_STATE, HANDOFF_POLICY) : DESIRED_STATE, plan);
+
+  const addresses = registry.addressBook();
+
+  // After a deterministic deployment the deployer's rights are held by its factory
+  const signer = CHECK_ONLY ? null : actingSigner(await getDeployer(hre), latestDeployment);
+  const accounts = { deployer: latestDeployment.deployer || (signer && await signer.getAddress()) };
+  console.log(`Deployer: ${accounts.deployer}`);
+
+  const results = await detectDrift({ ethers, plan, desired, addresses, accounts });
+  const drifted = results.filter(result => !result.inSync);
+
+  console.log('\nConfiguration diff (- live, + desired):');
+  console.log(formatDrift(results));
+  console.log(`\n${results.length - drifted.length} in sync, ${drifted.length} drifted`);
+
+  if (drifted.length === 0) {
+    console.log('Configuration matches the desired state.');
+    return;
   }
-  
-  // 2. ProtocolDAO - Update Treasury
-  console.log('\n2. Updating Treasury in ProtocolDAO...');
-  try {
-    // Check if there's an updateTreasury function
-    if (typeof protocolDAO.updateTreasury === 'function') {
-      const tx2 = await protocolDAO.updateTreasury(treasury.target);
-      await tx2.wait();
-      console.log(`Transaction hash: ${tx2.hash}`);
-      console.log('Treasury address updated successfully!');
-    } else {
-      // Try whitelistToken function as an alternative
-      const tx2 = await protocolDAO.whitelistToken(treasury.target, true);
-      await tx2.wait();
-      console.log(`Transaction hash: ${tx2.hash}`);
-      console.log('Treasury address whitelisted successfully!');
-    }
-  } catch (error) {
-    console.error('Error updating Treasury in ProtocolDAO:', error.message);
+
+  if (CHECK_ONLY) {
+    console.error('Configuration drift detected.');
+    process.exit(1);
   }
-  
-  // 3. AINodeRegistry - Set ProtocolDAO
-  console.log('\n3. Setting ProtocolDAO in AINodeRegistry...');
-  try {
-    if (typeof aiNodeRegistry.setProtocolDAO === 'function') {
-      const tx3 = await aiNodeRegistry.setProtocolDAO(protocolDAO.target);
-      await tx3.wait();
-      console.log(`Transaction hash: ${tx3.hash}`);
-      console.log('ProtocolDAO address set in AINodeRegistry successfully!');
-    } else {
-      console.log('AINodeRegistry does not have setProtocolDAO function. This may be set in the constructor.');
-    }
-  } catch (error) {
-    console.error('Error setting ProtocolDAO in AINodeRegistry:', error.message);
+
+  const unfixable = drifted.filter(result => result.actions.length === 0);
+  if (unfixable.length > 0) {
+    console.error(`\n${unfixable.length} check(s) cannot be reconciled automatically:`);
+    unfixable.forEach(result => console.error(`  - ${result.id}: ${result.error}`));
   }
-  
-  // 4. GovernanceRewards - Set ProtocolDAO
-  console.log('\n4. Setting ProtocolDAO in GovernanceRewards...');
-  try {
-    if (typeof governanceRewards.setProtocolDAO === 'function') {
-      const tx4 = await governanceRewards.setProtocolDAO(protocolDAO.target);
-      await tx4.wait();
-      console.log(`Transaction hash: ${tx4.hash}`);
-      console.log('ProtocolDAO address set in GovernanceRewards successfully!');
-    } else {
-      console.log('GovernanceRewards does not have setProtocolDAO function. This may be set in the constructor.');
-    }
-  } catch (error) {
-    console.error('Error setting ProtocolDAO in GovernanceRewards:', error.message);
+
+  console.log(`\nSending ${drifted.reduce((total, result) => total + result.actions.length, 0)} transaction(s) from ${await signer.getAddress()}:`);
+  const { sent, failures } = await applyDrift({ ethers, plan, results: drifted, addresses, signer });
+  if (sent.length > 0) {
+    const stored = registry.record({
+      network: { name: network.name, chainId: network.config.chainId, deployer: await signer.getAddress(), timestamp: new Date().toISOString() },
+      contracts: {},
+      transactions: toRegistryTransactions(sent, 'reconcile')
+    });
+    console.log(`Reconciliation transactions recorded as ${stored.id} in deployments/${network.name}.json`);
   }
-  
-  // 5. Treasury - Whitelist DLoopToken
-  console.log('\n5. Whitelisting DLoopToken in Treasury...');
-  try {
-    if (typeof treasury.whitelistToken === 'function') {
-      const tx5 = await treasury.whitelistToken(dloopToken.target, true);
-      await tx5.wait();
-      console.log(`Transaction hash: ${tx5.hash}`);
-      console.log('DLoopToken whitelisted in Treasury successfully!');
-    } else {
-      console.log('Treasury does not have whitelistToken function. Token management may be handled differently.');
-    }
-  } catch (error) {
-    console.error('Error whitelisting DLoopToken in Treasury:', error.message);
+
+  // Confirm the deployment converged
+  const remaining = (await detectDrift({ ethers, plan, desired, addresses, accounts })).filter(result => !result.inSync);
+  if (failures.length > 0 || remaining.length > 0) {
+    console.error(`\nConfiguration still differs from the desired state in ${remaining.length} check(s):`);
+    console.error(formatDrift(remaining));
+    process.exit(1);
   }
-  
+
   console.log('\nPost-deployment configuration complete!');
 }
 
@@ -155,6 +118,6 @@ async function main() {
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error('Post-deployment configuration failed:', error);
+    console.error('Post-deployment configuration failed:', explainError(error));
     process.exit(1);
   });
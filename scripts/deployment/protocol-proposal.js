@@ -0,0 +1,170 @@
+/**
+ * @title D-Loop Protocol ProtocolDAO Proposal Script
+ * @dev Builds, submits and decodes ProtocolDAO proposals written as readable actions
+ *      (see scripts/utils/proposalCalldata.js)
+ * @notice Usage (hardhat run cannot pass arguments, so run the script through node):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/protocol-proposal.js build <file> [--out <file>]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/protocol-proposal.js propose <file>
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/protocol-proposal.js decode <id|file> [--json]
+ *
+ *         <file> is a .js or .json proposal: { description, actions: ['FeeCalculator.updateInvestFeePercentage(150)', ...] }.
+ *         Contract names resolve against deployments/<network>.json. build writes the
+ *         createProposal arguments with a decoded description of each call
+ *         (<network>-proposal.json by default); propose sends createProposal from the deployer.
+ *
+ *         decode takes a proposal id (read from the createProposal transaction on chain) or a
+ *         file with targets/values/calldatas, such as the output of build, and prints each call
+ *         as an action. It exits non-zero if a call goes to an unknown target or uses a selector
+ *         that is not in the target's ABI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { buildLabels } = require('../utils/safeBatch');
+const { getDeployer } = require('../utils/keystore');
+const {
+  buildProposal,
+  decodeProposal,
+  readProposalCalls,
+  formatDecodedProposal
+} = require('../utils/proposalCalldata');
+const { explainError } = require('../utils/revertDecoder');
+const { ProposalManager } = require('../../sdk');
+
+const VALUE_OPTIONS = ['--out'];
+const [command, target] = process.argv.slice(2).filter((arg, index, all) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.includes(all[index - 1])
+);
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: protocol-proposal.js build <file> [--out <file>]');
+  console.error('       protocol-proposal.js propose <file>');
+  console.error('       protocol-proposal.js decode <id|file> [--json]');
+  process.exit(1);
+}
+
+/**
+ * Loads the address book and ABIs of the current network. Only ABIs are needed, so the manifest
+ * is resolved without a parameter profile.
+ * @returns {{ plan: Object, addresses: Object, accounts: Object, labels: Object }}
+ */
+function loadContext() {
+  const registry = DeploymentRegistry.load(hre.network.name);
+  const latestDeployment = registry.latest();
+  if (!latestDeployment) {
+    throw new Error(`No deployments recorded for ${hre.network.name} in deployments/${hre.network.name}.json`);
+  }
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts);
+  const addresses = registry.addressBook();
+  if (!addresses.ProtocolDAO) throw new Error(`No ProtocolDAO recorded for ${hre.network.name}`);
+  const accounts = latestDeployment.deployer ? { deployer: latestDeployment.deployer } : {};
+  return { plan, addresses, accounts, labels: buildLabels(plan, addresses, accounts) };
+}
+
+/**
+ * Reads a proposal file
+ * @param {string} file - .js or .json file
+ * @returns {{ description: string, actions: Array }} Proposal
+ */
+function readProposal(file) {
+  const proposal = require(path.resolve(file));
+  if (!proposal.description) throw new Error(`${file} has no description`);
+  if (!Array.isArray(proposal.actions)) throw new Error(`${file} has no actions list`);
+  return proposal;
+}
+
+async function build() {
+  if (!target) usage();
+  const context = loadContext();
+  const proposal = readProposal(target);
+  const built = buildProposal(proposal.actions, context);
+
+  const outFile = option('--out') || `${hre.network.name}-proposal.json`;
+  fs.writeFileSync(outFile, JSON.stringify({
+    network: hre.network.name,
+    protocolDAO: context.addresses.ProtocolDAO,
+    description: proposal.description,
+    ...built
+  }, null, 2));
+  console.log(`"${proposal.description}": ${built.calls.length} call(s)`);
+  built.calls.forEach((call, index) => console.log(`  ${index + 1}. ${call.description}`));
+  console.log(`\ncreateProposal arguments written to ${outFile}`);
+}
+
+async function propose() {
+  if (!target) usage();
+  const context = loadContext();
+  const proposal = readProposal(target);
+  const built = buildProposal(proposal.actions, context);
+  built.calls.forEach((call, index) => console.log(`  ${index + 1}. ${call.description}`));
+
+  const signer = await getDeployer(hre);
+  const manager = ProposalManager.connect('ProtocolDAO', context.addresses.ProtocolDAO, signer);
+  const { id, hash } = await manager.propose({
+    description: proposal.description,
+    actions: built.calls.map(call => ({ target: call.to, value: BigInt(call.value), data: call.data }))
+  });
+  const { votingEnds } = await manager.get(id);
+  console.log(`\nCreated ProtocolDAO proposal ${id} in ${hash}; voting ends ${new Date(votingEnds * 1000).toISOString()}`);
+}
+
+async function decode() {
+  if (!target) usage();
+  const context = loadContext();
+  let proposal;
+  if (fs.existsSync(target)) {
+    proposal = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } else if (/^\d+$/.test(target)) {
+    const protocolDAO = await hre.ethers.getContractAt('contracts/core/ProtocolDAO.sol:ProtocolDAO', context.addresses.ProtocolDAO);
+    proposal = await readProposalCalls(protocolDAO, Number(target));
+  } else {
+    throw new Error(`${target} is neither a file nor a proposal id`);
+  }
+
+  const calls = decodeProposal(proposal, context.plan, context.labels);
+  const flagged = calls.filter(call => call.warnings.length > 0);
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ id: proposal.id, description: proposal.description, calls }, null, 2));
+  } else {
+    console.log(`${proposal.id ? `Proposal ${proposal.id}` : target}: "${proposal.description || ''}"`);
+    console.log(formatDecodedProposal(calls));
+    if (flagged.length > 0) console.error(`\n${flagged.length} of ${calls.length} call(s) flagged; review them before voting.`);
+  }
+  if (flagged.length > 0) process.exitCode = 1;
+}
+
+async function main() {
+  switch (command) {
+    case 'build':
+      await build();
+      break;
+    case 'propose':
+      await propose();
+      break;
+    case 'decode':
+      await decode();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(explainError(error));
+    process.exit(1);
+  });
@@ -0,0 +1,176 @@
+/**
+ * @title D-Loop Protocol Component Redeploy Script
+ * @dev Deploys a new version of one contract and moves every reference from the old instance to it
+ * @notice Usage (hardhat run cannot pass arguments, so run the script through node):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/redeploy.js Treasury
+ *
+ *         1. Deploys the contract with its manifest constructor arguments, resolved against the
+ *            current address book in deployments/<network>.json, and records it there
+ *         2. Finds the contracts that reference the old address, from the manifest's
+ *            postDeployment steps and from on-chain reads (address getters and roles)
+ *         3. Sends the rewiring calls, or with --export <file> writes them (with calldata) for
+ *            another signer such as a multisig to send
+ *         4. Exits non-zero if any contract still points at the old instance
+ *
+ *         --rewire-only skips step 1 and rewires from the previous recorded instance to the
+ *         current one, e.g. after the exported calls have been executed or to finish a rewiring
+ *         that failed halfway. The contract may also be given as REDEPLOY_CONTRACT.
+ *
+ *         State held by the old instance (balances, registrations, proposals) is not migrated.
+ */
+
+const fs = require('fs');
+const hre = require('hardhat');
+const { ethers } = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const DESIRED_STATE = require('../config/desiredState');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { resolveDesiredState, applyDrift, toRegistryTransactions } = require('../utils/configReconciler');
+const { summarizeReceipt } = require('../utils/manifestDeployer');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer } = require('../utils/keystore');
+const { contractSalt, actingSigner } = require('../utils/deterministicDeployment');
+const { deploymentProfile } = require('../utils/parameterProfiles');
+const { explainError } = require('../utils/revertDecoder');
+const {
+  deployComponent,
+  planRewiring,
+  remainingReferences,
+  exportActions
+} = require('../utils/componentRedeployer');
+
+const REWIRE_ONLY = process.argv.includes('--rewire-only');
+const exportIndex = process.argv.indexOf('--export');
+const EXPORT_FILE = exportIndex !== -1 ? process.argv[exportIndex + 1] : process.env.REDEPLOY_EXPORT;
+const CONTRACT_NAME = process.argv.slice(2).find((arg, index, args) => !arg.startsWith('--') && !['--export', '--profile'].includes(args[index - 1])) ||
+  process.env.REDEPLOY_CONTRACT;
+
+async function main() {
+  const { network } = hre;
+
+  if (!CONTRACT_NAME) {
+    console.error('Usage: HARDHAT_NETWORK=<network> node scripts/deployment/redeploy.js <Contract> [--export <file>] [--rewire-only] [--profile <name>]');
+    process.exit(1);
+  }
+
+  // The replacement gets the parameters of the deployment it joins unless --profile says otherwise
+  const registry = DeploymentRegistry.load(network.name, { chainId: network.config.chainId });
+  const latestDeployment = registry.latest({ withContracts: true });
+  const profile = deploymentProfile(network.name, latestDeployment);
+  console.log(`Parameter profile: ${profile.name}`);
+
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters });
+  const desired = resolveDesiredState(DESIRED_STATE, plan);
+  const entry = plan.contracts.find(candidate => candidate.name === CONTRACT_NAME);
+  if (!entry) {
+    console.error(`${CONTRACT_NAME} is not in the deployment manifest`);
+    process.exit(1);
+  }
+
+  const history = registry.history(CONTRACT_NAME);
+  if (history.length === 0) {
+    console.error(`${CONTRACT_NAME} has no deployment recorded in deployments/${network.name}.json`);
+    process.exit(1);
+  }
+
+  // After a deterministic deployment the new instance is deployed with CREATE2 too, through the factory
+  const { deterministic } = latestDeployment || {};
+  const signer = actingSigner(await getDeployer(hre), { deterministic });
+  const signerAddress = await signer.getAddress();
+  const accounts = { deployer: (registry.latest() && registry.latest().deployer) || signerAddress };
+  const addresses = registry.addressBook();
+
+  let oldAddress;
+  if (REWIRE_ONLY) {
+    if (history.length < 2) {
+      console.error(`${CONTRACT_NAME} has only one recorded instance; nothing to rewire from`);
+      process.exit(1);
+    }
+    oldAddress = history[history.length - 2].address;
+    console.log(`Rewiring ${CONTRACT_NAME} on ${network.name}: ${oldAddress} -> ${addresses[CONTRACT_NAME]}`);
+  } else {
+    oldAddress = addresses[CONTRACT_NAME];
+    console.log(`Redeploying ${CONTRACT_NAME} on ${network.name} (replacing ${oldAddress}) from ${signerAddress}...`);
+
+    const salt = deterministic ? contractSalt(DEPLOYMENT_MANIFEST, CONTRACT_NAME, history.length) : undefined;
+    const deployed = await deployComponent({ ethers, entry, signer, addresses, accounts, confirmations: 2, salt });
+    addresses[CONTRACT_NAME] = deployed.address;
+    console.log(`${CONTRACT_NAME} deployed to: ${deployed.address}`);
+
+    const stored = registry.record({
+      network: { name: network.name, chainId: network.config.chainId, deployer: signerAddress, timestamp: new Date().toISOString() },
+      manifest: { name: DEPLOYMENT_MANIFEST.name, version: DEPLOYMENT_MANIFEST.version },
+      contracts: {
+        [CONTRACT_NAME]: {
+          address: deployed.address,
+          artifact: entry.artifact,
+          args: deployed.args,
+          transaction: deployed.receipt.hash,
+          blockNumber: deployed.receipt.blockNumber,
+          ...(salt && { salt })
+        }
+      },
+      transactions: [{ ...summarizeReceipt(deployed.receipt), type: 'deploy', contract: CONTRACT_NAME }],
+      replaces: { [CONTRACT_NAME]: oldAddress },
+      deterministic,
+      profile: { name: profile.name, parameters: profile.parameters }
+    });
+    console.log(`Recorded as ${stored.id} in deployments/${network.name}.json`);
+  }
+
+  const { actions, unresolved } = await planRewiring({ ethers, plan, desired, name: CONTRACT_NAME, oldAddress, addresses, accounts });
+
+  console.log(`\nRewiring calls (${actions.length}):`);
+  actions.forEach(action => console.log(`  ${action.contract}.${action.signature} ${JSON.stringify(action.args)}`));
+  if (unresolved.length > 0) {
+    console.warn(`\n${unresolved.length} reference(s) cannot be rewired (the contract must be redeployed too):`);
+    unresolved.forEach(reference => console.warn(`  - ${reference.reason}`));
+  }
+
+  if (EXPORT_FILE) {
+    fs.writeFileSync(EXPORT_FILE, JSON.stringify({
+      network: network.name,
+      chainId: network.config.chainId,
+      contract: CONTRACT_NAME,
+      oldAddress,
+      newAddress: addresses[CONTRACT_NAME],
+      calls: exportActions(actions, plan, addresses),
+      unresolved
+    }, null, 2));
+    console.log(`\nRewiring calls written to ${EXPORT_FILE}. Once executed, confirm with:`);
+    console.log(`HARDHAT_NETWORK=${network.name} node scripts/deployment/redeploy.js ${CONTRACT_NAME} --rewire-only`);
+    return;
+  }
+
+  if (actions.length > 0) {
+    console.log(`\nSending ${actions.length} transaction(s) from ${signerAddress}:`);
+    const { sent } = await applyDrift({ ethers, plan, results: [{ actions }], addresses, signer });
+    if (sent.length > 0) {
+      const stored = registry.record({
+        network: { name: network.name, chainId: network.config.chainId, deployer: signerAddress, timestamp: new Date().toISOString() },
+        contracts: {},
+        transactions: toRegistryTransactions(sent, 'rewire')
+      });
+      console.log(`Rewiring transactions recorded as ${stored.id} in deployments/${network.name}.json`);
+    }
+  }
+
+  // Nothing may still point at the old instance
+  const remaining = await remainingReferences({ ethers, plan, addresses, target: oldAddress });
+  if (remaining.length > 0) {
+    console.error(`\n${remaining.length} reference(s) to the old ${CONTRACT_NAME} at ${oldAddress} remain:`);
+    remaining.forEach(reference => console.error(`  - ${reference}`));
+    process.exit(1);
+  }
+
+  console.log(`\nNo contract references the old ${CONTRACT_NAME} anymore. Redeploy complete!`);
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Redeploy failed:', explainError(error));
+    process.exit(1);
+  });
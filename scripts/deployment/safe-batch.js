@@ -0,0 +1,224 @@
+/**
+ * @title D-Loop Protocol Multisig Batch Script
+ * @dev Exports configuration and admin calls for a Safe multisig, and simulates a batch as the
+ *      multisig before anyone signs (see scripts/utils/safeBatch.js)
+ * @notice Usage (hardhat run cannot pass arguments, so run the script through node):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/safe-batch.js export post-deployment --safe <address> [--out <file>] [--calldata <file>]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/safe-batch.js export reconcile --safe <address>
+ *         node scripts/deployment/safe-batch.js simulate <file> --fork sepolia [--safe <address>]
+ *         HARDHAT_NETWORK=localhost node scripts/deployment/safe-batch.js simulate <file>
+ *
+ *         export post-deployment writes the manifest's postDeployment steps that are not yet
+ *         recorded in deployments/<network>.json; export reconcile writes the calls that bring the
+ *         configuration to scripts/config/desiredState.js. Both write a Safe Transaction Builder
+ *         batch (<network>-<source>.safe.json by default) and a calldata list with a decoded
+ *         description of every call (<network>-<source>.calldata.json). The Safe may also be
+ *         given as SAFE_ADDRESS.
+ *
+ *         simulate reads either file, sends every call from the impersonated Safe on the
+ *         in-process chain forked from --fork (or on a local node) and prints the state diff.
+ *         It exits non-zero if any call reverts.
+ */
+
+const fs = require('fs');
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const DESIRED_STATE = require('../config/desiredState');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { resolveDesiredState, detectDrift, formatDrift } = require('../utils/configReconciler');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { deploymentProfile } = require('../utils/parameterProfiles');
+const {
+  configurationActions,
+  buildLabels,
+  encodeCalls,
+  toSafeBatch,
+  readBatch,
+  formatStateDiff,
+  simulateBatch
+} = require('../utils/safeBatch');
+const { explainError } = require('../utils/revertDecoder');
+
+const VALUE_OPTIONS = ['--safe', '--out', '--calldata', '--fork', '--profile'];
+const [command, target] = process.argv.slice(2).filter((arg, index, all) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.includes(all[index - 1])
+);
+const SOURCES = ['post-deployment', 'reconcile'];
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: safe-batch.js export <post-deployment|reconcile> --safe <address> [--out <file>] [--calldata <file>]');
+  console.error('       safe-batch.js simulate <file> [--fork <network>] [--safe <address>]');
+  process.exit(1);
+}
+
+/**
+ * Loads the registry, address book and accounts of a network, and resolves the manifest with the
+ * parameter profile its contracts were deployed with
+ * @param {string} networkName - Network whose registry is read
+ * @returns {{ registry: DeploymentRegistry, latestDeployment: Object, plan: Object, addresses: Object, accounts: Object }}
+ */
+function loadDeployment(networkName) {
+  const registry = DeploymentRegistry.load(networkName);
+  const latestDeployment = registry.latest();
+  if (!latestDeployment) {
+    throw new Error(`No deployments recorded for ${networkName} in deployments/${networkName}.json`);
+  }
+  const profile = deploymentProfile(networkName, registry.latest({ withContracts: true }));
+  return {
+    registry,
+    latestDeployment,
+    plan: resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: profile.parameters }),
+    addresses: registry.addressBook(),
+    accounts: latestDeployment.deployer ? { deployer: latestDeployment.deployer } : {}
+  };
+}
+
+/**
+ * Writes the Safe batch and the calldata list for one source of calls
+ */
+async function exportBatch() {
+  if (!SOURCES.includes(target)) usage();
+  const safeOption = option('--safe') || process.env.SAFE_ADDRESS;
+  if (!safeOption) {
+    throw new Error('Pass the multisig with --safe <address> (or SAFE_ADDRESS)');
+  }
+  const safe = hre.ethers.getAddress(safeOption);
+  const { network } = hre;
+  const { registry, plan, addresses, accounts } = loadDeployment(network.name);
+
+  let actions;
+  let description;
+  if (target === 'post-deployment') {
+    const deployment = registry.latest({ withContracts: true });
+    let unavailable;
+    ({ actions, unavailable } = configurationActions(plan, { addresses, accounts, transactions: deployment.transactions }));
+    unavailable.forEach(step => console.warn(`Skipping ${step.contract}.${step.method}: ${step.missing.join(', ')} not recorded on ${network.name}`));
+    description = `postDeployment steps of ${DEPLOYMENT_MANIFEST.name}@${DEPLOYMENT_MANIFEST.version} not yet sent`;
+  } else {
+    const desired = resolveDesiredState(DESIRED_STATE, plan);
+    const drifted = (await detectDrift({ ethers: hre.ethers, plan, desired, addresses, accounts }))
+      .filter(result => !result.inSync);
+    console.log(formatDrift(drifted));
+    const unfixable = drifted.filter(result => result.actions.length === 0);
+    unfixable.forEach(result => console.warn(`Cannot be reconciled: ${result.id}: ${result.error}`));
+    // Grants and setters before revocations, as when the deployer reconciles
+    const all = drifted.flatMap(result => result.actions);
+    actions = [...all.filter(action => action.kind !== 'revoke'), ...all.filter(action => action.kind === 'revoke')];
+    description = 'Configuration changes towards scripts/config/desiredState.js';
+  }
+
+  if (actions.length === 0) {
+    console.log(`Nothing to export: no ${target} calls are pending on ${network.name}.`);
+    return;
+  }
+
+  const labels = buildLabels(plan, addresses, { ...accounts, safe });
+  const calls = encodeCalls(actions, plan, addresses, labels);
+  const createdAt = Date.now();
+  const batch = toSafeBatch({
+    chainId: network.config.chainId,
+    safe,
+    calls,
+    plan,
+    name: `${network.name} ${target}`,
+    description,
+    createdAt
+  });
+
+  const outFile = option('--out') || `${network.name}-${target}.safe.json`;
+  const calldataFile = option('--calldata') || `${network.name}-${target}.calldata.json`;
+  fs.writeFileSync(outFile, JSON.stringify(batch, null, 2));
+  fs.writeFileSync(calldataFile, JSON.stringify({
+    network: network.name,
+    chainId: network.config.chainId,
+    safe,
+    createdAt: new Date(createdAt).toISOString(),
+    calls
+  }, null, 2));
+
+  console.log(`\n${calls.length} call(s) for ${safe}:`);
+  calls.forEach((call, index) => console.log(`  ${index + 1}. ${call.description}`));
+  console.log(`\nSafe Transaction Builder batch written to ${outFile}`);
+  console.log(`Calldata list written to ${calldataFile}`);
+  console.log('Simulate it before signing:');
+  console.log(`node scripts/deployment/safe-batch.js simulate ${outFile} --fork ${network.name}`);
+}
+
+/**
+ * Runs an exported batch as the multisig on a local chain and prints the state diff
+ */
+async function simulate() {
+  if (!target) usage();
+  const { network } = hre;
+  const forkNetwork = option('--fork');
+  if (forkNetwork) {
+    if (network.name !== 'hardhat') {
+      throw new Error(`--fork runs on the in-process chain; do not set HARDHAT_NETWORK (got ${network.name})`);
+    }
+    const forkConfig = hre.config.networks[forkNetwork];
+    if (!forkConfig || !forkConfig.url) throw new Error(`No RPC URL configured for ${forkNetwork}`);
+    await network.provider.request({ method: 'hardhat_reset', params: [{ forking: { jsonRpcUrl: forkConfig.url } }] });
+    console.log(`Forked ${forkNetwork} at block ${await hre.ethers.provider.getBlockNumber()}`);
+  } else if (network.name === 'hardhat') {
+    throw new Error('The in-process chain has no deployment; pass --fork <network> or use a local node');
+  }
+
+  const registryNetwork = forkNetwork || network.name;
+  const batch = readBatch(JSON.parse(fs.readFileSync(target, 'utf8')));
+  const safeOption = option('--safe') || batch.safe;
+  if (!safeOption) throw new Error('The file does not name its Safe; pass --safe <address>');
+  const safe = hre.ethers.getAddress(safeOption);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (batch.chainId && batch.chainId !== chainId.toString()) {
+    console.warn(`Warning: the batch is for chain ${batch.chainId}, simulating on chain ${chainId}`);
+  }
+
+  const { plan, addresses, accounts } = loadDeployment(registryNetwork);
+  const instances = {};
+  for (const entry of plan.contracts) {
+    if (!addresses[entry.name] || (await hre.ethers.provider.getCode(addresses[entry.name])) === '0x') continue;
+    instances[entry.name] = await hre.ethers.getContractAt(entry.artifact, addresses[entry.name]);
+  }
+  const labels = buildLabels(plan, addresses, { ...accounts, safe });
+
+  console.log(`\nSimulating ${batch.calls.length} call(s) from ${safe}:`);
+  const { results, changes } = await simulateBatch({ ethers: hre.ethers, calls: batch.calls, safe, instances, accounts, labels });
+
+  console.log(changes.length > 0 ? `\nState changes:\n${formatStateDiff(changes, labels)}` : '\nNo state changes.');
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${results.length} call(s) revert when sent by ${safe}.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\nAll ${results.length} call(s) succeed when sent by ${safe}.`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'export':
+      await exportBatch();
+      break;
+    case 'simulate':
+      await simulate();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(explainError(error));
+    process.exit(1);
+  });
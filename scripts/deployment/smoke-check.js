@@ -0,0 +1,99 @@
+/**
+ * @title D-Loop Protocol Smoke Check Script
+ * @dev Runs the post-deployment smoke checks in scripts/smoke-checks/ against a recorded deployment
+ * @notice Works on any network with a deployment registry, including a local node:
+ *
+ *         npx hardhat run scripts/deployment/smoke-check.js --network sepolia
+ *         HARDHAT_NETWORK=localhost node scripts/deployment/smoke-check.js [deploymentId] [--junit file] [--json file]
+ *
+ *         Without a deployment id the current address of every contract is checked; with one,
+ *         the contracts of that deployment. The checks only read state. --junit and --json write
+ *         the results for CI; the script exits non-zero if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const {
+  loadCheckModules,
+  configuredTokens,
+  runSmokeChecks,
+  summarizeResults,
+  toJUnitXml
+} = require('../utils/smokeCheckSuite');
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+const JUNIT_FILE = option('--junit');
+const JSON_FILE = option('--json');
+const [DEPLOYMENT_ID] = process.argv.slice(2).filter((arg, index, args) =>
+  !arg.startsWith('--') && !['--junit', '--json'].includes(args[index - 1])
+);
+
+function writeOutput(filePath, content) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  console.log(`Results written to ${filePath}`);
+}
+
+async function main() {
+  const { network } = hre;
+  const registry = DeploymentRegistry.load(network.name);
+
+  let recorded;
+  if (DEPLOYMENT_ID) {
+    const deployment = registry.get(DEPLOYMENT_ID);
+    if (!deployment) {
+      console.error(`No deployment ${DEPLOYMENT_ID} recorded in deployments/${network.name}.json`);
+      process.exit(1);
+    }
+    recorded = deployment.contracts;
+  } else {
+    recorded = registry.contracts();
+  }
+  if (Object.keys(recorded).length === 0) {
+    console.error(`No contracts recorded for ${network.name} in deployments/${network.name}.json`);
+    process.exit(1);
+  }
+
+  // Records migrated from legacy files may lack the artifact; the manifest knows it
+  const contracts = {};
+  for (const [name, info] of Object.entries(recorded)) {
+    const manifestEntry = DEPLOYMENT_MANIFEST.contracts.find(entry => entry.name === name);
+    contracts[name] = { address: info.address, artifact: info.artifact || (manifestEntry && manifestEntry.artifact) || name };
+  }
+  const addresses = Object.fromEntries(Object.entries(contracts).map(([name, info]) => [name, info.address]));
+
+  console.log(`Running smoke checks on ${network.name}${DEPLOYMENT_ID ? ` (deployment ${DEPLOYMENT_ID})` : ''}...\n`);
+  const timestamp = new Date().toISOString();
+  const results = await runSmokeChecks({
+    ethers: hre.ethers,
+    modules: loadCheckModules(),
+    contracts,
+    tokens: configuredTokens(DEPLOYMENT_MANIFEST, addresses)
+  });
+
+  const summary = summarizeResults(results);
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+  const report = { network: network.name, deploymentId: DEPLOYMENT_ID || null, timestamp, summary, results };
+  if (JUNIT_FILE) writeOutput(JUNIT_FILE, toJUnitXml(report));
+  if (JSON_FILE) writeOutput(JSON_FILE, `${JSON.stringify(report, null, 2)}\n`);
+
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Execute the checks
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error('Smoke check failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,194 @@
+/**
+ * @title D-Loop Protocol Verification Bundle CLI
+ * @dev Exports, compares and submits offline verification bundles (see scripts/utils/verificationBundle.js)
+ * @notice Usage:
+ *
+ *         node scripts/deployment/verification-bundle.js export <network> [deploymentId] [--all] [--out <dir>]
+ *         node scripts/deployment/verification-bundle.js diff <bundleA> <bundleB>
+ *         node scripts/deployment/verification-bundle.js submit <bundle>
+ *
+ *         export writes one bundle per contract of a deployment recorded in deployments/<network>.json
+ *         (the latest one by default, every one with --all) to
+ *         verification-bundles/<network>/<deploymentId>/<Contract>.json. It needs the build-info
+ *         of the compilation that produced the deployment, so export from the commit that was deployed.
+ *
+ *         diff compares two bundle files or two bundle directories and exits non-zero if any
+ *         contract was built from different sources, settings, constructor arguments or libraries.
+ *
+ *         submit sends bundles (a file or a directory) to the network's block explorer using the
+ *         etherscan API keys in hardhat.config.js. No RPC connection or compiler is needed.
+ */
+
+const path = require('path');
+const { toQuantity } = require('ethers');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const {
+  DEFAULT_BUNDLE_DIRECTORY,
+  buildVerificationBundle,
+  bundleDirectory,
+  writeBundles,
+  loadBundles,
+  diffBundles,
+  submitBundle
+} = require('../utils/verificationBundle');
+
+const [command, ...args] = process.argv.slice(2)
+  .filter((arg, index, all) => !arg.startsWith('--') && all[index - 1] !== '--out');
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: verification-bundle.js export <network> [deploymentId] [--all] [--out <dir>] | diff <a> <b> | submit <bundle>');
+  process.exit(1);
+}
+
+/**
+ * Writes the bundles of the selected deployments
+ * @param {string} networkName - Network name
+ * @param {string} [deploymentId] - Deployment to export, the latest by default
+ */
+async function exportBundles(networkName, deploymentId) {
+  const hre = require('hardhat');
+  const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+  const outIndex = process.argv.indexOf('--out');
+  const root = outIndex !== -1 ? path.resolve(process.argv[outIndex + 1]) : DEFAULT_BUNDLE_DIRECTORY;
+
+  const registry = DeploymentRegistry.load(networkName);
+  const deployments = process.argv.includes('--all')
+    ? registry.deployments({ withContracts: true })
+    : [deploymentId ? registry.get(deploymentId) : registry.latest({ withContracts: true })];
+  if (!deployments[0]) {
+    console.error(`No deployment ${deploymentId || ''} recorded in deployments/${networkName}.json`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const deployment of deployments) {
+    const bundles = [];
+    for (const [name, info] of Object.entries(deployment.contracts)) {
+      // Records migrated from legacy files may lack the artifact; the manifest knows it
+      const manifestEntry = DEPLOYMENT_MANIFEST.contracts.find(entry => entry.name === name);
+      const artifact = info.artifact || (manifestEntry && manifestEntry.artifact) || name;
+      try {
+        bundles.push(await buildVerificationBundle({
+          artifacts: hre.artifacts,
+          name,
+          artifact,
+          address: info.address,
+          args: info.args || [],
+          libraries: info.libraries || {},
+          deployment: {
+            network: networkName,
+            chainId: registry.data.chainId ?? (hre.config.networks[networkName] || {}).chainId ?? null,
+            deploymentId: deployment.id,
+            transaction: info.transaction || null
+          }
+        }));
+      } catch (error) {
+        failed++;
+        console.error(`${deployment.id} ${name}: ${error.message}`);
+      }
+    }
+    if (bundles.length === 0) continue;
+    const directory = bundleDirectory(networkName, deployment.id, root);
+    writeBundles(directory, bundles);
+    console.log(`${deployment.id}: ${bundles.length} bundle(s) written to ${path.relative(process.cwd(), directory)}`);
+  }
+
+  if (failed > 0) {
+    console.error(`${failed} contract(s) could not be bundled`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Compares two bundles or bundle directories
+ * @param {string} locationA - Bundle file or directory
+ * @param {string} locationB - Bundle file or directory
+ */
+function compareBundles(locationA, locationB) {
+  const bundlesA = loadBundles(locationA);
+  const bundlesB = loadBundles(locationB);
+  const single = Object.keys(bundlesA).length === 1 && Object.keys(bundlesB).length === 1;
+  const pairs = single
+    ? [[Object.keys(bundlesA)[0], Object.values(bundlesA)[0], Object.values(bundlesB)[0]]]
+    : [...new Set([...Object.keys(bundlesA), ...Object.keys(bundlesB)])].sort().map(name => [name, bundlesA[name], bundlesB[name]]);
+
+  let identical = true;
+  for (const [name, a, b] of pairs) {
+    if (!a || !b) {
+      identical = false;
+      console.log(`${name}: only in ${a ? locationA : locationB}`);
+      continue;
+    }
+    const differences = diffBundles(a, b);
+    if (differences.length === 0) {
+      console.log(`${name}: identical build`);
+      continue;
+    }
+    identical = false;
+    console.log(`${name}: ${differences.length} difference(s)`);
+    differences.forEach(difference => {
+      console.log(`  ${difference.field}`);
+      console.log(`    - ${JSON.stringify(difference.a)}`);
+      console.log(`    + ${JSON.stringify(difference.b)}`);
+    });
+  }
+
+  if (!identical) process.exitCode = 1;
+}
+
+/**
+ * Submits bundles to the block explorer of the chain they were deployed on
+ * @param {string} location - Bundle file or directory
+ */
+async function submitBundles(location) {
+  const hre = require('hardhat');
+  const { Etherscan } = require('@nomicfoundation/hardhat-verify/etherscan');
+
+  let failed = 0;
+  for (const [name, bundle] of Object.entries(loadBundles(location))) {
+    // The explorer is looked up from the chain id recorded in the bundle
+    const chainProvider = { send: async () => toQuantity(bundle.deployment.chainId) };
+    const chainConfig = await Etherscan.getCurrentChainConfig(bundle.deployment.network, chainProvider, hre.config.etherscan.customChains);
+    const etherscan = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+
+    try {
+      const result = await submitBundle(bundle, etherscan);
+      if (result.status === 'failed') failed++;
+      console.log(`${name}: ${result.message} (${result.url})`);
+    } catch (error) {
+      failed++;
+      console.error(`${name}: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  switch (command) {
+    case 'export':
+      if (!args[0]) usage();
+      await exportBundles(args[0], args[1]);
+      break;
+    case 'diff':
+      if (!args[0] || !args[1]) usage();
+      compareBundles(args[0], args[1]);
+      break;
+    case 'submit':
+      if (!args[0]) usage();
+      await submitBundles(args[0]);
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
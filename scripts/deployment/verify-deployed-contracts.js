@@ -1,45 +1,48 @@
 /**
  * @title D-Loop Protocol Contract Verification Script
- * @dev Script to verify all deployed contracts on Etherscan using the deployment file
+ * @dev Script to verify all deployed contracts on Etherscan using the deployment registry
+ * @notice Verifies the current address of every contract in deployments/<network>.json
  */
 
 const hre = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { resolveManifest } = require('../utils/manifestResolver');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
 
 async function main() {
   const { network } = hre;
   
   console.log(`Verifying D-Loop Protocol contracts on ${network.name} testnet...`);
   
-  // Find the latest deployment file for the current network
-  const deploymentPath = path.join(__dirname, '..', '..', 'deployments');
-  const deploymentFiles = fs.readdirSync(deploymentPath)
-    .filter(file => file.startsWith(`${network.name}-deployment-`))
-    .sort()
-    .reverse(); // Sort in reverse to get the latest file first
-  
-  if (deploymentFiles.length === 0) {
-    console.error(`No deployment files found for ${network.name}`);
+  // Resolve the current address of every contract through the registry
+  const registry = DeploymentRegistry.load(network.name);
+  const deployedContracts = registry.contracts();
+  if (Object.keys(deployedContracts).length === 0) {
+    console.error(`No deployments recorded for ${network.name} in deployments/${network.name}.json`);
     process.exit(1);
   }
   
-  const latestDeploymentFile = deploymentFiles[0];
-  console.log(`Using deployment file: ${latestDeploymentFile}`);
-  
-  // Load the deployment data
-  const deploymentData = JSON.parse(
-    fs.readFileSync(path.join(deploymentPath, latestDeploymentFile), 'utf8')
-  );
+  // Verify contracts in manifest order so the artifact of each entry is known
+  const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts);
+  for (const name of Object.keys(deployedContracts)) {
+    if (!plan.contracts.some(entry => entry.name === name)) {
+      console.warn(`${name} is in the registry but not in the manifest; skipping`);
+    }
+  }
   
-  // Verify each contract
-  for (const [name, contractInfo] of Object.entries(deploymentData.contracts)) {
+  for (const { name, artifact } of plan.contracts) {
+    const contractInfo = deployedContracts[name];
+    if (!contractInfo) {
+      console.warn(`${name} is in the manifest but has no deployment in the registry; skipping`);
+      continue;
+    }
     console.log(`Verifying ${name} at ${contractInfo.address}...`);
     
     try {
       await hre.run('verify:verify', {
         address: contractInfo.address,
-        constructorArguments: contractInfo.args
+        constructorArguments: contractInfo.args,
+        contract: artifact.includes(':') ? artifact : undefined
       });
       console.log(`${name} verified successfully!`);
     } catch (error) {
@@ -0,0 +1,160 @@
+/**
+ * @title D-Loop Protocol Voting Power Script
+ * @dev Shows and rebalances delegations through the SDK's VotingPowerManager (sdk/votingPower.js)
+ * @notice Usage (hardhat run cannot pass arguments, so run the script through node):
+ *
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/voting-power.js show [address] [--json] [--warn-days <n>]
+ *         HARDHAT_NETWORK=sepolia node scripts/deployment/voting-power.js rebalance <token|node> <from> <to> <amount> [--dry-run]
+ *
+ *         Contract addresses come from deployments/<network>.json. Transactions are sent from
+ *         the keystore named by --keystore, from the Hardhat account with the index given by
+ *         --account on local networks, or else from the network's deployer. Amounts are in
+ *         whole DLOOP.
+ *
+ *         show exits non-zero when there is a warning, e.g. a SoulboundNFT vote delegation
+ *         expires within --warn-days (7 by default). rebalance --dry-run prints the calls,
+ *         e.g. to send them from a Safe, without sending anything.
+ */
+
+const hre = require('hardhat');
+const { formatUnits, parseUnits } = require('ethers');
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { getDeployer, loadKeystore, readKeystorePassword } = require('../utils/keystore');
+const { explainError } = require('../utils/revertDecoder');
+const { VotingPowerManager } = require('../../sdk');
+
+const VALUE_OPTIONS = ['--keystore', '--account', '--warn-days'];
+const [command, ...args] = process.argv.slice(2).filter((arg, index, all) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.includes(all[index - 1])
+);
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Prints usage and exits with an error
+ */
+function usage() {
+  console.error('Usage: voting-power.js show [address] [--json] [--warn-days <n>]');
+  console.error('       voting-power.js rebalance <token|node> <from> <to> <amount> [--dry-run]');
+  console.error('Signer: --keystore <name>, or --account <index> on local networks; the deployer otherwise');
+  process.exit(1);
+}
+
+/**
+ * @returns {Promise<Object>} Signer to send from
+ */
+async function signer() {
+  const keystore = option('--keystore');
+  if (keystore) {
+    const wallet = await loadKeystore(keystore, await readKeystorePassword(keystore));
+    return wallet.connect(hre.ethers.provider);
+  }
+  const index = option('--account');
+  if (index !== null) {
+    const account = (await hre.ethers.getSigners())[Number(index)];
+    if (!account) throw new Error(`${hre.network.name} has no account ${index}`);
+    return account;
+  }
+  return getDeployer(hre);
+}
+
+/**
+ * @param {Object} runner - Signer, or provider for read-only commands
+ * @returns {VotingPowerManager} Manager for the contracts recorded for the network
+ */
+function connect(runner) {
+  return VotingPowerManager.connect(DeploymentRegistry.load(hre.network.name).addressBook(), runner);
+}
+
+function dloop(amount) {
+  return `${formatUnits(amount, 18)} DLOOP`;
+}
+
+function time(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+async function show() {
+  const manager = connect(args[0] ? hre.ethers.provider : await signer());
+  const warnDays = option('--warn-days');
+  const result = await manager.overview(args[0], warnDays ? { warnWithin: Number(warnDays) * 86400 } : {});
+
+  if (process.argv.includes('--json')) {
+    console.log(toJson(result));
+  } else {
+    const { token, node, soulbound, effective } = result;
+    console.log(`Account ${result.account}`);
+    console.log(`  balance           ${dloop(result.balance)}`);
+    console.log('  DLoopToken delegations');
+    token.delegatedOut.forEach(entry => console.log(`    to   ${entry.to} ${dloop(entry.amount)}`));
+    token.delegatedIn.forEach(entry => console.log(`    from ${entry.from} ${dloop(entry.amount)}`));
+    console.log(`    undelegated balance ${dloop(token.available)}`);
+    if (node) {
+      console.log('  AINodeGovernance delegations');
+      node.delegatedOut.forEach(entry => console.log(`    to   ${entry.node} ${dloop(entry.amount)}, withdrawable from ${time(entry.withdrawableAt)}${entry.nodeActive ? '' : ' (node inactive)'}`));
+      if (node.own) {
+        console.log(`    own ${node.own.nodeType} staking ${dloop(node.own.stake)}`);
+        node.own.delegatedIn.forEach(entry => console.log(`    from ${entry.from} ${dloop(entry.amount)}`));
+      }
+    }
+    if (soulbound) {
+      console.log(`  SoulboundNFT vote delegations${soulbound.hasValidToken ? '' : ' (no valid token)'}`);
+      soulbound.delegatedOut.forEach(entry => console.log(`    to   ${entry.to} until ${time(entry.expiresAt)}`));
+      soulbound.delegatedIn.forEach(entry => console.log(`    from ${entry.from} until ${time(entry.expiresAt)}`));
+    }
+    console.log('  Voting power');
+    console.log(`    AssetDAO          ${dloop(effective.AssetDAO)} (DLOOP balance; ${dloop(result.heldByGovernance)} held by AINodeGovernance does not count)`);
+    console.log(`    ProtocolDAO       ${effective.ProtocolDAO} vote`);
+    console.log(`    AINodeGovernance  ${dloop(effective.AINodeGovernance)} (stake and delegations; no DAO reads it)`);
+    result.warnings.forEach(warning => console.error(`WARNING ${warning.code}: ${warning.message}`));
+  }
+  if (result.warnings.length > 0) process.exitCode = 1;
+}
+
+async function rebalance() {
+  if (args.length < 4) usage();
+  const [system, from, to, amount] = args;
+  const dryRun = process.argv.includes('--dry-run');
+  const manager = connect(await signer());
+  const plan = await manager.prepareRebalance({ system, from, to, amount: parseUnits(amount, 18) });
+
+  console.log(`Move ${dloop(plan.amount)} of ${plan.account}'s ${system} delegation from ${from} to ${to}:`);
+  plan.transactions.forEach((transaction, index) => {
+    console.log(`  ${index + 1}. ${transaction.description}`);
+    if (dryRun) console.log(`     to ${transaction.to} data ${transaction.data}`);
+  });
+  plan.warnings.forEach(warning => console.error(`WARNING ${warning.code}: ${warning.message}`));
+  if (dryRun) {
+    plan.issues.forEach(issue => console.error(`ISSUE ${issue.code}: ${issue.message}`));
+    return;
+  }
+  const hashes = await manager.rebalance(plan);
+  console.log(`Sent ${hashes.join(', ')}`);
+}
+
+async function main() {
+  switch (command) {
+    case 'show':
+      await show();
+      break;
+    case 'rebalance':
+      await rebalance();
+      break;
+    default:
+      usage();
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(explainError(error));
+    process.exit(1);
+  });
@@ -0,0 +1,24 @@
+/**
+ * @title AINodeRegistry smoke checks
+ * @dev Identity and governance wiring of the node registry
+ */
+
+module.exports = {
+  contract: 'AINodeRegistry',
+  checks: [
+    {
+      name: 'uses the deployed SoulboundNFT',
+      requires: ['SoulboundNFT'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.getSoulboundNFTAddress()).to.equal(addresses.SoulboundNFT);
+      }
+    },
+    {
+      name: 'is governed by ProtocolDAO',
+      requires: ['ProtocolDAO'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.governanceContract()).to.equal(addresses.ProtocolDAO);
+      }
+    }
+  ]
+};
@@ -0,0 +1,23 @@
+/**
+ * @title AssetDAO smoke checks
+ * @dev Tokens, oracle, fee processor and governance the investment DAO depends on
+ */
+
+const WIRING = {
+  daiToken: 'DAIToken',
+  dloopToken: 'DLoopToken',
+  priceOracle: 'PriceOracle',
+  feeProcessor: 'FeeProcessor',
+  protocolDAO: 'ProtocolDAO'
+};
+
+module.exports = {
+  contract: 'AssetDAO',
+  checks: Object.entries(WIRING).map(([getter, dependency]) => ({
+    name: `${getter}() is the deployed ${dependency}`,
+    requires: [dependency],
+    run: async ({ contract, addresses, expect }) => {
+      expect(await contract[getter]()).to.equal(addresses[dependency]);
+    }
+  }))
+};
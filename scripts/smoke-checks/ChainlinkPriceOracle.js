@@ -0,0 +1,20 @@
+/**
+ * @title ChainlinkPriceOracle smoke checks
+ * @dev Every configured token must have a feed or a fallback price
+ */
+
+module.exports = {
+  contract: 'ChainlinkPriceOracle',
+  checks: [
+    {
+      name: 'supports every configured token',
+      run: async ({ contract, tokens, expect }) => {
+        const unsupported = [];
+        for (const [name, address] of Object.entries(tokens)) {
+          if (!(await contract.supportsAsset(address))) unsupported.push(name);
+        }
+        expect(unsupported, `no feed or fallback price for ${unsupported.join(', ')}`).to.be.empty;
+      }
+    }
+  ]
+};
@@ -0,0 +1,29 @@
+/**
+ * @title DLoopToken smoke checks
+ * @dev Token parameters and the minter granted to governance
+ */
+
+module.exports = {
+  contract: 'DLoopToken',
+  checks: [
+    {
+      name: 'has 18 decimals',
+      run: async ({ contract, expect }) => {
+        expect(await contract.decimals()).to.equal(18n);
+      }
+    },
+    {
+      name: 'total supply is within the maximum supply',
+      run: async ({ contract, expect }) => {
+        expect(await contract.totalSupply()).to.be.at.most(await contract.max_supply());
+      }
+    },
+    {
+      name: 'ProtocolDAO holds MINTER_ROLE',
+      requires: ['ProtocolDAO'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.hasRole(await contract.MINTER_ROLE(), addresses.ProtocolDAO)).to.equal(true);
+      }
+    }
+  ]
+};
@@ -0,0 +1,24 @@
+/**
+ * @title FeeCalculator smoke checks
+ * @dev Fee split and destination
+ */
+
+module.exports = {
+  contract: 'FeeCalculator',
+  checks: [
+    {
+      name: 'distribution percentages sum to 10000 basis points',
+      run: async ({ contract, expect }) => {
+        const [treasuryPercentage, rewardDistPercentage] = await contract.getDistributionPercentages();
+        expect(treasuryPercentage + rewardDistPercentage).to.equal(10000n);
+      }
+    },
+    {
+      name: 'sends fees to the deployed Treasury',
+      requires: ['Treasury'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.treasury()).to.equal(addresses.Treasury);
+      }
+    }
+  ]
+};
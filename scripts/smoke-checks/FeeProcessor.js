@@ -0,0 +1,30 @@
+/**
+ * @title FeeProcessor smoke checks
+ * @dev Fee split, calculator wiring and the contracts allowed to submit fees
+ */
+
+module.exports = {
+  contract: 'FeeProcessor',
+  checks: [
+    {
+      name: 'distribution percentages sum to 10000 basis points',
+      run: async ({ contract, expect }) => {
+        expect(await contract.treasuryPercentage() + await contract.rewardDistPercentage()).to.equal(10000n);
+      }
+    },
+    {
+      name: 'uses the deployed FeeCalculator',
+      requires: ['FeeCalculator'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.feeCalculator()).to.equal(addresses.FeeCalculator);
+      }
+    },
+    {
+      name: 'AssetDAO holds AUTHORIZED_CONTRACT_ROLE',
+      requires: ['AssetDAO'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.hasRole(await contract.AUTHORIZED_CONTRACT_ROLE(), addresses.AssetDAO)).to.equal(true);
+      }
+    }
+  ]
+};
@@ -0,0 +1,25 @@
+/**
+ * @title GovernanceRewards smoke checks
+ * @dev Reward token, treasury and oracle wiring
+ */
+
+module.exports = {
+  contract: 'GovernanceRewards',
+  checks: [
+    {
+      name: 'pays rewards in DLoopToken',
+      requires: ['DLoopToken'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.rewardToken()).to.equal(addresses.DLoopToken);
+      }
+    },
+    {
+      name: 'uses the deployed Treasury and PriceOracle',
+      requires: ['Treasury', 'PriceOracle'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.treasury()).to.equal(addresses.Treasury);
+        expect(await contract.priceOracle()).to.equal(addresses.PriceOracle);
+      }
+    }
+  ]
+};
@@ -0,0 +1,25 @@
+/**
+ * @title ProtocolDAO smoke checks
+ * @dev Treasury wiring and the token whitelist
+ */
+
+module.exports = {
+  contract: 'ProtocolDAO',
+  checks: [
+    {
+      name: 'uses the deployed Treasury',
+      requires: ['Treasury'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.treasury()).to.equal(addresses.Treasury);
+      }
+    },
+    {
+      name: 'whitelists every configured token',
+      run: async ({ contract, tokens, expect }) => {
+        for (const [name, address] of Object.entries(tokens)) {
+          expect(await contract.isTokenWhitelisted(address), `${name} is not whitelisted`).to.equal(true);
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,17 @@
+/**
+ * @title SoulboundNFT smoke checks
+ * @dev The node registry must be able to mint identity tokens
+ */
+
+module.exports = {
+  contract: 'SoulboundNFT',
+  checks: [
+    {
+      name: 'AINodeRegistry holds MINTER_ROLE',
+      requires: ['AINodeRegistry'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.hasRole(await contract.MINTER_ROLE(), addresses.AINodeRegistry)).to.equal(true);
+      }
+    }
+  ]
+};
@@ -0,0 +1,17 @@
+/**
+ * @title Treasury smoke checks
+ * @dev The treasury answers to ProtocolDAO
+ */
+
+module.exports = {
+  contract: 'Treasury',
+  checks: [
+    {
+      name: 'is controlled by ProtocolDAO',
+      requires: ['ProtocolDAO'],
+      run: async ({ contract, addresses, expect }) => {
+        expect(await contract.protocolDAO()).to.equal(addresses.ProtocolDAO);
+      }
+    }
+  ]
+};
@@ -0,0 +1,77 @@
+/**
+ * @title AssetDAO tasks
+ * @dev dloop:asset:create, dloop:asset:state and dloop:asset:list
+ */
+
+const { dloopTask, action, time, types } = require('./common');
+const { ASSET_STATES } = require('../../sdk/assetDAO');
+
+/**
+ * Reads an asset from AssetDAO
+ * @returns {Promise<Object>} Asset details with its state name
+ */
+async function readAsset(assetDAO, assetId) {
+  const details = await assetDAO.getAssetDetails(assetId);
+  return {
+    id: Number(details.id),
+    name: details.name,
+    description: details.description,
+    creator: details.creator,
+    createdAt: Number(details.createdAt),
+    state: ASSET_STATES[Number(details.state)],
+    totalInvestment: details.totalInvestment,
+    totalShares: details.totalShares
+  };
+}
+
+dloopTask('dloop:asset:create', 'Creates an AssetDAO asset', { sends: true })
+  .addPositionalParam('name', 'Asset name')
+  .addOptionalPositionalParam('description', 'Asset description', '')
+  .setAction(action(async (args, context) => {
+    const assetDAO = await context.contract('AssetDAO');
+    if (await assetDAO.paused()) throw new Error('AssetDAO is paused');
+    const result = await context.send([{
+      contract: assetDAO,
+      method: 'createAsset',
+      args: [args.name, args.description],
+      description: `AssetDAO.createAsset("${args.name}")`
+    }]);
+    if (result.dryRun) return result;
+    const [{ receipt }] = result.transactions;
+    const event = receipt.logs.map(log => assetDAO.interface.parseLog(log)).find(parsed => parsed && parsed.name === 'AssetCreated');
+    return { ...result, assetId: Number(event.args.assetId) };
+  }, result => [`Created asset ${result.assetId} in ${result.transactions[0].hash}`]));
+
+dloopTask('dloop:asset:state', 'Shows an AssetDAO asset')
+  .addPositionalParam('assetId', 'Asset id', undefined, types.int)
+  .setAction(action(async (args, context) => {
+    const assetDAO = await context.contract('AssetDAO');
+    if (!(await assetDAO.assetExists(args.assetId))) throw new Error(`AssetDAO has no asset ${args.assetId}`);
+    const [asset, token, paused] = await Promise.all([readAsset(assetDAO, args.assetId), assetDAO.daiToken(), assetDAO.paused()]);
+    return { ...asset, token, paused };
+  }, async (asset, context) => [
+    `Asset ${asset.id}: ${asset.name}${asset.paused ? ' (AssetDAO is paused)' : ''}`,
+    `  state        ${asset.state}`,
+    `  description  ${asset.description || '-'}`,
+    `  creator      ${asset.creator}`,
+    `  created      ${time(asset.createdAt)}`,
+    `  invested     ${await context.formatAmount(asset.totalInvestment, asset.token)}`,
+    `  shares       ${asset.totalShares}`
+  ]));
+
+dloopTask('dloop:asset:list', 'Lists the AssetDAO assets')
+  .addOptionalParam('state', `Only assets in this state (${ASSET_STATES.join(', ')})`)
+  .setAction(action(async (args, context) => {
+    if (args.state && !ASSET_STATES.includes(args.state)) throw new Error(`Unknown asset state ${args.state}; use ${ASSET_STATES.join(', ')}`);
+    const assetDAO = await context.contract('AssetDAO');
+    const count = Number(await assetDAO.getAssetCount());
+    const assets = [];
+    for (let id = 1; id <= count; id++) {
+      const asset = await readAsset(assetDAO, id);
+      if (!args.state || asset.state === args.state) assets.push(asset);
+    }
+    return { token: await assetDAO.daiToken(), assets };
+  }, async (result, context) => (result.assets.length === 0
+    ? ['No assets']
+    : Promise.all(result.assets.map(async asset =>
+      `${String(asset.id).padStart(4)}  ${asset.state.padEnd(11)} ${(await context.formatAmount(asset.totalInvestment, result.token)).padEnd(24)} ${asset.name}`)))));
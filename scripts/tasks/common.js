@@ -0,0 +1,317 @@
+/**
+ * @title D-Loop Protocol Hardhat Task Helpers
+ * @dev What every dloop: task shares: parameters, address resolution, signer, confirmation, output
+ * @notice Tasks are declared with dloopTask() and run through action(). Every task takes:
+ *
+ *         --addresses <file>  address book to use instead of deployments/<network>.json: a flat
+ *                             { name: address } map, a file with a `contracts` map, such as
+ *                             devnet/addresses.json (used by default on localhost when the
+ *                             registry has no deployment), or another deployment registry
+ *         --json              print the result as JSON on stdout; prompts and notes go to stderr
+ *
+ *         Tasks that send transactions also take:
+ *
+ *         --keystore <name>   send from this keystore (see manage-deployment-keys.js)
+ *         --account <index>   send from this Hardhat account, on local networks
+ *         --dry-run           print the calls (target and calldata) without sending them
+ *         --yes               send without asking; required when stdin is not a terminal
+ *
+ *         Without --keystore or --account, transactions come from the network's deployer, through
+ *         its DeterministicDeployer when the registry records a deterministic deployment. Every
+ *         call is simulated before the prompt, and failures are reported with their decoded
+ *         custom error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { task, types } = require('hardhat/config');
+const { HardhatPluginError } = require('hardhat/plugins');
+const { formatUnits, getAddress, isAddress, ZeroAddress } = require('ethers');
+const DEPLOYMENT_MANIFEST = require('../config/deploymentManifest');
+const { DeploymentRegistry, validateRegistry } = require('../utils/deploymentRegistry');
+const { actingSigner } = require('../utils/deterministicDeployment');
+const { getDeployer, loadKeystore, readKeystorePassword } = require('../utils/keystore');
+const { decodeRevert, explainError, formatRevert } = require('../utils/revertDecoder');
+const { erc20At, sendAndWait } = require('../../sdk/contracts');
+
+const PLUGIN_NAME = 'dloop';
+const DEVNET_ADDRESSES = path.join(__dirname, '..', '..', 'devnet', 'addresses.json');
+
+/**
+ * Declares a task with the shared parameters
+ * @param {string} name - Task name, dloop:<area>:<action>
+ * @param {string} description - One-line description for `npx hardhat help`
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.sends=false] - Whether the task sends transactions
+ * @returns {Object} Hardhat task definition, to add parameters to and finish with setAction(action(...))
+ */
+function dloopTask(name, description, options = {}) {
+  const definition = task(name, description)
+    .addOptionalParam('addresses', 'Address book or registry JSON to use instead of deployments/<network>.json', undefined, types.inputFile)
+    .addFlag('json', 'Print the result as JSON');
+  if (options.sends) {
+    definition
+      .addOptionalParam('keystore', 'Keystore to send from (see manage-deployment-keys.js)')
+      .addOptionalParam('account', 'Index of the Hardhat account to send from, on local networks', undefined, types.int)
+      .addFlag('dryRun', 'Print the calls without sending them')
+      .addFlag('yes', 'Send without asking for confirmation');
+  }
+  return definition;
+}
+
+/**
+ * Converts bigints for JSON output
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+/**
+ * Reads an address book file, or a deployment registry
+ * @param {string} file - JSON file
+ * @returns {{ book: Object<string, string>, registry: DeploymentRegistry|null }} Contract name to
+ *          address, and the registry when the file is one
+ * @throws {Error} If the file is a registry that does not match the schema
+ */
+function readAddressBook(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.deployments)) return { book: data.contracts || data, registry: null };
+  const issues = validateRegistry(data);
+  if (issues.length > 0) {
+    throw new Error(`Invalid deployment registry ${file}:\n  - ${issues.join('\n  - ')}`);
+  }
+  const registry = new DeploymentRegistry(file, data);
+  return { book: registry.addressBook(), registry };
+}
+
+/**
+ * State shared by the steps of one task run
+ */
+class TaskContext {
+  /**
+   * @param {Object} args - Task arguments
+   * @param {Object} hre - Hardhat runtime environment
+   */
+  constructor(args, hre) {
+    this.args = args;
+    this.hre = hre;
+    this.provider = hre.ethers.provider;
+    this.book = null;
+    this.registry = null;
+    this.sender = null;
+    this.tokens = new Map();
+  }
+
+  /**
+   * @returns {Object<string, string>} Contract name to address, for the network
+   */
+  addresses() {
+    if (this.book) return this.book;
+    const network = this.hre.network.name;
+    if (this.args.addresses) {
+      ({ book: this.book, registry: this.registry } = readAddressBook(this.args.addresses));
+    } else {
+      this.registry = DeploymentRegistry.load(network);
+      this.book = this.registry.addressBook();
+      if (Object.keys(this.book).length === 0 && network === 'localhost' && fs.existsSync(DEVNET_ADDRESSES)) {
+        ({ book: this.book, registry: this.registry } = readAddressBook(DEVNET_ADDRESSES));
+      }
+    }
+    if (Object.keys(this.book).length === 0) {
+      throw new Error(`No deployment recorded for ${network}; pass --addresses <file>`);
+    }
+    return this.book;
+  }
+
+  /**
+   * @param {string} value - Address, or the name of a contract in the address book
+   * @returns {string} Address
+   */
+  address(value) {
+    if (isAddress(value)) return getAddress(value);
+    const address = this.addresses()[value];
+    if (!address) throw new Error(`${value} is neither an address nor a contract recorded for ${this.hre.network.name}`);
+    return address;
+  }
+
+  /**
+   * @param {string} name - Contract name in the address book
+   * @returns {string} Fully qualified artifact the manifest deploys it from, or the name itself
+   */
+  artifact(name) {
+    const entry = DEPLOYMENT_MANIFEST.contracts.find(contract => contract.name === name);
+    return (entry && entry.artifact) || name;
+  }
+
+  /**
+   * @param {string} name - Contract name in the address book
+   * @param {string} [artifact] - Artifact name, when it differs from the manifest's
+   * @returns {Promise<Object>} ethers Contract connected to the provider
+   */
+  async contract(name, artifact = this.artifact(name)) {
+    return this.hre.ethers.getContractAt(artifact, this.address(name));
+  }
+
+  /**
+   * @returns {Object|null} Latest registry entry that deployed contracts, if the addresses come from a registry
+   */
+  deployment() {
+    this.addresses();
+    return this.registry && this.registry.latest({ withContracts: true });
+  }
+
+  /**
+   * @returns {Promise<Object>} Signer chosen by --keystore, --account or the network deployer;
+   *          after a deterministic deployment the deployer acts through its factory
+   */
+  async signer() {
+    if (this.sender) return this.sender;
+    const { keystore, account } = this.args;
+    if (keystore) {
+      const wallet = await loadKeystore(keystore, await readKeystorePassword(keystore));
+      this.sender = wallet.connect(this.provider);
+    } else if (account !== undefined) {
+      this.sender = (await this.hre.ethers.getSigners())[account];
+      if (!this.sender) throw new Error(`${this.hre.network.name} has no account ${account}`);
+    } else {
+      this.sender = actingSigner(await getDeployer(this.hre), this.deployment());
+    }
+    return this.sender;
+  }
+
+  /**
+   * @param {string} token - Token address, or ZeroAddress for ETH
+   * @returns {Promise<{ symbol: string, decimals: number }>} Token display details
+   */
+  async tokenInfo(token) {
+    if (token === ZeroAddress) return { symbol: 'ETH', decimals: 18 };
+    if (!this.tokens.has(token)) {
+      const contract = erc20At(token, this.provider);
+      const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+      this.tokens.set(token, { symbol, decimals: Number(decimals) });
+    }
+    return this.tokens.get(token);
+  }
+
+  async formatAmount(amount, token) {
+    const { symbol, decimals } = await this.tokenInfo(token);
+    return `${formatUnits(amount, decimals)} ${symbol}`;
+  }
+
+  /**
+   * Prints a line that is not part of the result (stderr, so --json output stays parseable)
+   */
+  note(line) {
+    console.error(line);
+  }
+
+  async confirm(question) {
+    if (this.args.yes) return;
+    if (!process.stdin.isTTY) throw new Error('Not sending without confirmation; pass --yes');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) throw new Error('Canceled');
+  }
+
+  /**
+   * Simulates, confirms and sends calls in order
+   * @param {Array<Object>} calls - { contract, method, args, description }, or a prepared
+   *        transaction { to, data, value, description } with the `iface` to decode its reverts;
+   *        `simulate: false` skips the simulation of a call that needs an earlier one mined
+   * @returns {Promise<Object>} { network, from, dryRun, transactions: [{ description, to, value,
+   *          data } plus hash, blockNumber and receipt once sent] }
+   */
+  async send(calls) {
+    const signer = await this.signer();
+    const from = await signer.getAddress();
+    const transactions = await Promise.all(calls.map(async call => ({
+      description: call.description,
+      to: call.to || await call.contract.getAddress(),
+      value: call.value || 0n,
+      data: call.data || call.contract.interface.encodeFunctionData(call.method, call.args)
+    })));
+    const result = { network: this.hre.network.name, from, dryRun: Boolean(this.args.dryRun), transactions };
+    if (this.args.dryRun) return result;
+
+    const failures = [];
+    for (const [index, call] of calls.entries()) {
+      if (call.simulate === false) continue;
+      const { to, value, data } = transactions[index];
+      try {
+        await signer.call({ to, value, data });
+      } catch (error) {
+        const decoded = decodeRevert(error, { iface: call.iface || call.contract.interface });
+        failures.push(`${call.description} reverts: ${decoded ? formatRevert(decoded) : error.shortMessage || error.message}`);
+      }
+    }
+    if (failures.length > 0) throw new Error(failures.join('\n'));
+
+    transactions.forEach((transaction, index) => this.note(`  ${index + 1}. ${transaction.description}`));
+    await this.confirm(`Send ${transactions.length} transaction(s) from ${from} on ${this.hre.network.name}?`);
+    for (const [index, call] of calls.entries()) {
+      const { to, value, data } = transactions[index];
+      const receipt = await sendAndWait(() => signer.sendTransaction({ to, value, data }), call.iface || call.contract.interface);
+      Object.assign(transactions[index], { hash: receipt.hash, blockNumber: receipt.blockNumber });
+      Object.defineProperty(transactions[index], 'receipt', { value: receipt, enumerable: false });
+      this.note(`Sent ${transactions[index].description} in ${receipt.hash}`);
+    }
+    return result;
+  }
+}
+
+/**
+ * Wraps a task body: runs it with a TaskContext, prints its result and reports errors with their
+ * decoded custom error
+ * @param {Function} run - async (args, context) => result
+ * @param {Function} [format] - async (result, context) => lines, for output without --json
+ * @returns {Function} Hardhat task action; returns the result to hre.run callers
+ */
+function action(run, format) {
+  return async (args, hre) => {
+    const context = new TaskContext(args, hre);
+    let result;
+    try {
+      result = await run(args, context);
+      if (args.json) {
+        console.log(toJson(result));
+      } else if (result && result.dryRun) {
+        result.transactions.forEach((transaction, index) => {
+          console.log(`${index + 1}. ${transaction.description}`);
+          console.log(`   to   ${transaction.to}`);
+          if (transaction.value > 0n) console.log(`   value ${transaction.value}`);
+          console.log(`   data ${transaction.data}`);
+        });
+      } else if (format) {
+        (await format(result, context)).forEach(line => console.log(line));
+      }
+    } catch (error) {
+      if (error instanceof HardhatPluginError) throw error;
+      throw new HardhatPluginError(PLUGIN_NAME, explainError(error), error);
+    }
+    return result;
+  };
+}
+
+/**
+ * @param {string|undefined} value - Comma-separated list
+ * @returns {string[]} Items
+ */
+function list(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function time(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+module.exports = {
+  dloopTask,
+  action,
+  TaskContext,
+  list,
+  time,
+  toJson,
+  types
+};
@@ -0,0 +1,85 @@
+/**
+ * @title Fee tasks
+ * @dev dloop:fees:show and dloop:fees:set, on FeeCalculator
+ * @notice Fees and distribution shares are in basis points. FeeCalculator accepts updates from its
+ *         feeAdmin or owner, which the governance handoff moves to SimplifiedAdminControls and
+ *         ProtocolDAO; after it, --dry-run prints the calls to put in a ProtocolDAO proposal.
+ */
+
+const { dloopTask, action, types } = require('./common');
+
+const BASIS_POINTS = 10000n;
+
+async function readFees(feeCalculator) {
+  const [invest, divest, ragequit, [treasuryShare, rewardShare], feeAdmin, owner] = await Promise.all([
+    feeCalculator.getInvestFeePercentage(),
+    feeCalculator.getDivestFeePercentage(),
+    feeCalculator.getRagequitFeePercentage(),
+    feeCalculator.getDistributionPercentages(),
+    feeCalculator.feeAdmin(),
+    feeCalculator.owner()
+  ]);
+  return { invest, divest, ragequit, treasuryShare, rewardShare, feeAdmin, owner };
+}
+
+function percent(basisPoints) {
+  return `${basisPoints} bp (${(Number(basisPoints) / 100).toFixed(2)}%)`;
+}
+
+function feeLines(fees) {
+  return [
+    `  invest fee     ${percent(fees.invest)}`,
+    `  divest fee     ${percent(fees.divest)}`,
+    `  ragequit fee   ${percent(fees.ragequit)}`,
+    `  treasury share ${percent(fees.treasuryShare)}`,
+    `  reward share   ${percent(fees.rewardShare)}`
+  ];
+}
+
+dloopTask('dloop:fees:show', 'Shows the FeeCalculator fees and their distribution')
+  .setAction(action(async (args, context) => readFees(await context.contract('FeeCalculator')), fees => [
+    'FeeCalculator',
+    ...feeLines(fees),
+    `  fee admin      ${fees.feeAdmin}`,
+    `  owner          ${fees.owner}`
+  ]));
+
+dloopTask('dloop:fees:set', 'Updates FeeCalculator fees; only the given values change', { sends: true })
+  .addOptionalParam('invest', 'Invest fee in basis points', undefined, types.int)
+  .addOptionalParam('divest', 'Divest fee in basis points', undefined, types.int)
+  .addOptionalParam('ragequit', 'Ragequit fee in basis points', undefined, types.int)
+  .addOptionalParam('treasuryShare', 'Treasury share of fees in basis points; the reward share gets the rest', undefined, types.int)
+  .addOptionalParam('rewardShare', 'Reward distributor share of fees in basis points; the treasury gets the rest', undefined, types.int)
+  .setAction(action(async (args, context) => {
+    const feeCalculator = await context.contract('FeeCalculator');
+    const current = await readFees(feeCalculator);
+    const calls = [];
+    for (const [name, method] of [['invest', 'updateInvestFeePercentage'], ['divest', 'updateDivestFeePercentage'], ['ragequit', 'updateRagequitFeePercentage']]) {
+      if (args[name] === undefined) continue;
+      const value = BigInt(args[name]);
+      if (value < 0n || value > BASIS_POINTS) throw new Error(`The ${name} fee must be between 0 and ${BASIS_POINTS} basis points`);
+      if (value !== current[name]) calls.push({ contract: feeCalculator, method, args: [value], description: `FeeCalculator.${method}(${value})` });
+    }
+
+    if (args.treasuryShare !== undefined || args.rewardShare !== undefined) {
+      const treasuryShare = args.treasuryShare !== undefined ? BigInt(args.treasuryShare) : BASIS_POINTS - BigInt(args.rewardShare);
+      const rewardShare = args.rewardShare !== undefined ? BigInt(args.rewardShare) : BASIS_POINTS - treasuryShare;
+      if (treasuryShare < 0n || rewardShare < 0n || treasuryShare + rewardShare !== BASIS_POINTS) {
+        throw new Error(`The treasury and reward shares must add up to ${BASIS_POINTS} basis points`);
+      }
+      if (treasuryShare !== current.treasuryShare) {
+        calls.push({
+          contract: feeCalculator,
+          method: 'updateDistributionPercentages',
+          args: [treasuryShare, rewardShare],
+          description: `FeeCalculator.updateDistributionPercentages(${treasuryShare}, ${rewardShare})`
+        });
+      }
+    }
+    if (calls.length === 0) return { changed: false, fees: current };
+
+    const result = await context.send(calls);
+    return result.dryRun ? result : { ...result, changed: true, fees: await readFees(feeCalculator) };
+  }, result => (result.changed
+    ? [`Updated FeeCalculator in ${result.transactions.map(transaction => transaction.hash).join(', ')}`, ...feeLines(result.fees)]
+    : ['FeeCalculator already has these values', ...feeLines(result.fees)])));
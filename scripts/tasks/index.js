@@ -0,0 +1,35 @@
+/**
+ * @title D-Loop Protocol Hardhat Tasks
+ * @dev Registers the dloop: tasks for day-to-day operations (loaded by hardhat.config.js)
+ * @notice npx hardhat help lists them; npx hardhat help dloop:<task> shows the parameters.
+ *         Addresses come from deployments/<network>.json (see scripts/tasks/common.js for the
+ *         shared parameters).
+ *
+ *         dloop:addresses                        address book of the network
+ *         dloop:asset:create|state|list          AssetDAO assets
+ *         dloop:proposal:list|show               AssetDAO and ProtocolDAO proposals
+ *         dloop:treasury:balance|ledger|reconcile
+ *                                                Treasury balances, ledger and reconciliation
+ *         dloop:treasury:deposit|withdraw|distribute|approve
+ *                                                Treasury operations, with a memo
+ *         dloop:fees:show|set                    FeeCalculator fees
+ *         dloop:node:info                        AI node status
+ *         dloop:oracle:price|set-feed            oracle prices and ChainlinkPriceOracle feeds
+ *         dloop:roles:show                       role holders, owners and admins
+ *         dloop:voting:power                     delegations and DAO voting power of an address
+ */
+
+const { dloopTask, action } = require('./common');
+
+dloopTask('dloop:addresses', 'Shows the contract addresses the dloop: tasks use on this network')
+  .setAction(action(async (args, context) => context.addresses(), addresses =>
+    Object.entries(addresses).map(([name, address]) => `${name.padEnd(28)} ${address}`)));
+
+require('./asset');
+require('./proposal');
+require('./treasury');
+require('./fees');
+require('./node');
+require('./oracle');
+require('./roles');
+require('./voting');
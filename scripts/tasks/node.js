@@ -0,0 +1,34 @@
+/**
+ * @title AI node tasks
+ * @dev dloop:node:info
+ */
+
+const { dloopTask, action, time, types } = require('./common');
+const { NodeOperator } = require('../../sdk/nodeOperator');
+const { formatDuration } = require('../../sdk/proposals');
+
+dloopTask('dloop:node:info', 'Shows an AI node in AINodeRegistry and AINodeGovernance, with warnings')
+  .addPositionalParam('node', 'Node address')
+  .addOptionalParam('warnDays', 'Warn when the registration expires within this many days', 7, types.int)
+  .setAction(action(async (args, context) => {
+    const addresses = context.addresses();
+    const operator = await NodeOperator.connect(context.address('AINodeRegistry'), context.provider, { governance: addresses.AINodeGovernance });
+    return operator.status(context.address(args.node), { warnWithin: args.warnDays * 86400 });
+  }, async (status, context) => {
+    const { registry, governance } = status;
+    const lines = [`Node ${status.node}`];
+    if (registry) {
+      lines.push(
+        `  registry     ${registry.state}, owner ${registry.owner}, reputation ${registry.reputation}`,
+        `  active until ${time(registry.activeUntil)} (${status.expiresIn >= 0 ? `in ${formatDuration(status.expiresIn)}` : `${formatDuration(-status.expiresIn)} ago`})`,
+        `  stake        ${registry.stakedAmount > 0n ? await context.formatAmount(registry.stakedAmount, registry.stakedToken) : 'none'}`,
+        `  soulbound    token ${registry.soulboundTokenId}${registry.soulboundValid ? '' : ' (revoked)'}`
+      );
+    } else {
+      lines.push('  Not registered in AINodeRegistry');
+    }
+    if (governance) {
+      lines.push(`  governance   ${governance.nodeType}, stake ${governance.stake}, voting power ${governance.votingPower}, ${governance.delegations.length} delegator(s)`);
+    }
+    return [...lines, ...status.warnings.map(warning => `  WARNING ${warning.code}: ${warning.message}`)];
+  }));
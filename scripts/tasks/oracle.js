@@ -0,0 +1,72 @@
+/**
+ * @title Oracle tasks
+ * @dev dloop:oracle:price and dloop:oracle:set-feed
+ */
+
+const { Contract, formatUnits } = require('ethers');
+const { dloopTask, action, time, types } = require('./common');
+const { AGGREGATOR_ABI, PriceOracleClient } = require('../../sdk/priceOracle');
+const { formatDuration } = require('../../sdk/proposals');
+
+const ORACLES = ['ChainlinkPriceOracle', 'PriceOracle'];
+
+/**
+ * @returns {string} Oracle to read: --oracle, else ChainlinkPriceOracle when deployed, else PriceOracle
+ */
+function oracleName(args, context) {
+  const name = args.oracle || ORACLES.find(candidate => context.addresses()[candidate]);
+  if (!ORACLES.includes(name)) throw new Error(`Unknown oracle ${name}; use ${ORACLES.join(' or ')}`);
+  return name;
+}
+
+function reportLines(report) {
+  const age = report.age === null ? 'never updated' : `${formatDuration(report.age)} old`;
+  const feed = report.source === 'aggregator'
+    ? `, heartbeat ${formatDuration(report.heartbeat)}, reliability ${report.reliabilityScore}, feed ${report.aggregator}`
+    : '';
+  return [
+    `${report.token}  ${formatUnits(report.price, report.decimals)} USD from ${report.source} (${age}${report.updatedAt ? `, ${time(report.updatedAt)}` : ''}${feed})`,
+    ...(report.reverts ? [`  getAssetPrice reverts with ${report.reverts}`] : []),
+    ...report.warnings.map(warning => `  WARNING ${warning.code}: ${warning.message}`)
+  ];
+}
+
+dloopTask('dloop:oracle:price', 'Shows token prices with their source and age')
+  .addOptionalParam('oracle', ORACLES.join(' or '))
+  .addOptionalVariadicPositionalParam('tokens', 'Token names or addresses (default: DAIToken and DLoopToken)', ['DAIToken', 'DLoopToken'])
+  .setAction(action(async (args, context) => {
+    const name = oracleName(args, context);
+    const client = PriceOracleClient.connect(name, context.address(name), context.provider);
+    return { oracle: name, prices: await client.prices(args.tokens.map(token => context.address(token))) };
+  }, result => [result.oracle, ...result.prices.flatMap(reportLines)]));
+
+dloopTask('dloop:oracle:set-feed', 'Sets the ChainlinkPriceOracle feed of a token', { sends: true })
+  .addPositionalParam('token', 'Token name or address')
+  .addPositionalParam('aggregator', 'AggregatorV3 feed name or address')
+  .addParam('maxStaleness', 'Seconds after which the feed price is stale', undefined, types.int)
+  .addParam('heartbeat', 'Expected seconds between feed updates', undefined, types.int)
+  .addOptionalParam('reliability', 'Reliability score, 0-100', 100, types.int)
+  .setAction(action(async (args, context) => {
+    if (args.reliability < 0 || args.reliability > 100) throw new Error('The reliability score must be between 0 and 100');
+    if (args.heartbeat > args.maxStaleness) context.note('WARNING the heartbeat is longer than maxStaleness; the price will be stale between updates');
+    const oracle = await context.contract('ChainlinkPriceOracle');
+    const token = context.address(args.token);
+    const aggregator = new Contract(context.address(args.aggregator), AGGREGATOR_ABI, context.provider);
+    try {
+      const [round, decimals] = await Promise.all([aggregator.latestRoundData(), aggregator.decimals()]);
+      if (round.answer <= 0n) throw new Error(`answers ${round.answer}`);
+      context.note(`Feed ${aggregator.target} answers ${formatUnits(round.answer, decimals)} (updated ${time(round.updatedAt)})`);
+    } catch (error) {
+      throw new Error(`${aggregator.target} is not a usable AggregatorV3 feed: ${error.shortMessage || error.message}`);
+    }
+
+    const result = await context.send([{
+      contract: oracle,
+      method: 'setFeed',
+      args: [token, aggregator.target, args.maxStaleness, args.heartbeat, args.reliability],
+      description: `ChainlinkPriceOracle.setFeed(${token}, ${aggregator.target}, ${args.maxStaleness}, ${args.heartbeat}, ${args.reliability})`
+    }]);
+    if (result.dryRun) return result;
+    const client = PriceOracleClient.connect('ChainlinkPriceOracle', oracle.target, context.provider);
+    return { ...result, price: await client.price(token) };
+  }, result => [`Set the feed in ${result.transactions[0].hash}`, ...reportLines(result.price)]));
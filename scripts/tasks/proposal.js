@@ -0,0 +1,44 @@
+/**
+ * @title Proposal tasks
+ * @dev dloop:proposal:list and dloop:proposal:show, for AssetDAO and ProtocolDAO
+ */
+
+const { dloopTask, action, list, time, types } = require('./common');
+const { EFFECTIVE_STATES, ProposalManager, formatDuration } = require('../../sdk/proposals');
+
+const DAOS = ['AssetDAO', 'ProtocolDAO'];
+
+function manager(args, context) {
+  if (!DAOS.includes(args.dao)) throw new Error(`Unknown DAO ${args.dao}; use ${DAOS.join(' or ')}`);
+  return ProposalManager.connect(args.dao, context.address(args.dao), context.provider);
+}
+
+function summary(proposal) {
+  const blocker = proposal.blockers.length > 0 ? ` - ${proposal.blockers[0].message}` : '';
+  return `${String(proposal.id).padStart(4)}  ${proposal.state.padEnd(10)} ${proposal.description}${blocker}`;
+}
+
+dloopTask('dloop:proposal:list', 'Lists the proposals of a DAO with their effective state')
+  .addOptionalParam('dao', DAOS.join(' or '), 'AssetDAO')
+  .addOptionalParam('state', `Comma-separated states to keep (${EFFECTIVE_STATES.join(', ')})`)
+  .setAction(action(async (args, context) => {
+    const states = list(args.state);
+    const unknown = states.filter(state => !EFFECTIVE_STATES.includes(state));
+    if (unknown.length > 0) throw new Error(`Unknown state ${unknown.join(', ')}; use ${EFFECTIVE_STATES.join(', ')}`);
+    const proposals = await manager(args, context).list(states.length > 0 ? { states } : {});
+    return { dao: args.dao, proposals };
+  }, result => (result.proposals.length === 0 ? [`No ${result.dao} proposals`] : result.proposals.map(summary))));
+
+dloopTask('dloop:proposal:show', 'Shows a proposal, its votes and what blocks its execution')
+  .addPositionalParam('id', 'Proposal id', undefined, types.int)
+  .addOptionalParam('dao', DAOS.join(' or '), 'AssetDAO')
+  .setAction(action((args, context) => manager(args, context).get(args.id), proposal => [
+    `${proposal.dao} proposal ${proposal.id}: ${proposal.description}`,
+    `  state         ${proposal.state}`,
+    `  proposer      ${proposal.proposer}`,
+    ...(proposal.type ? [`  type          ${proposal.type} ${proposal.asset} ${proposal.amount}`] : []),
+    `  votes         ${proposal.forVotes} for, ${proposal.againstVotes} against`,
+    `  voting ends   ${time(proposal.votingEnds)}`,
+    `  executable at ${time(proposal.executableAt)}${proposal.secondsUntilExecutable > 0 ? ` (in ${formatDuration(proposal.secondsUntilExecutable)})` : ''}`,
+    ...proposal.blockers.map(blocker => `  ${blocker.code}: ${blocker.message}`)
+  ]));
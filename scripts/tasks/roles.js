@@ -0,0 +1,80 @@
+/**
+ * @title Role tasks
+ * @dev dloop:roles:show
+ * @notice AccessControl cannot list the members of a role, so every *_ROLE of each contract is
+ *         checked against the known addresses: the deployer, every contract in the address book
+ *         and --holders. Owner and admin addresses (owner(), admin(), feeAdmin(), ...) are shown too.
+ */
+
+const { DeploymentRegistry } = require('../utils/deploymentRegistry');
+const { dloopTask, action, list } = require('./common');
+
+const LOCAL_NETWORKS = ['hardhat', 'localhost'];
+
+async function knownHolders(args, context) {
+  const holders = { ...context.addresses() };
+  const latest = args.addresses ? null : DeploymentRegistry.load(context.hre.network.name).latest();
+  if (latest && latest.deployer) {
+    holders.deployer = latest.deployer;
+  } else if (LOCAL_NETWORKS.includes(context.hre.network.name)) {
+    holders.deployer = (await context.hre.ethers.getSigners())[0].address;
+  }
+  for (const value of list(args.holders)) holders[value] = context.address(value);
+  return holders;
+}
+
+/**
+ * @returns {Promise<Object>} { roles: { ROLE: [labels] }, admins: { view: label } }
+ */
+async function readRoles(contract, labelOf, holders) {
+  const views = contract.interface.fragments.filter(fragment =>
+    fragment.type === 'function' && fragment.inputs.length === 0 && fragment.outputs.length === 1 &&
+    ['view', 'pure'].includes(fragment.stateMutability)
+  );
+  const roles = {};
+  const admins = {};
+  const hasRole = Boolean(contract.interface.getFunction('hasRole(bytes32,address)'));
+  for (const fragment of views) {
+    if (hasRole && fragment.name.endsWith('_ROLE') && fragment.outputs[0].type === 'bytes32') {
+      const role = await contract[fragment.name]();
+      const members = [];
+      for (const [label, address] of Object.entries(holders)) {
+        if (await contract.hasRole(role, address)) members.push(label);
+      }
+      roles[fragment.name] = members;
+    } else if (fragment.outputs[0].type === 'address' && /owner|admin/i.test(fragment.name)) {
+      admins[fragment.name] = labelOf(await contract[fragment.name]());
+    }
+  }
+  return { roles, admins };
+}
+
+dloopTask('dloop:roles:show', 'Shows who holds the roles, ownership and admin rights of the contracts')
+  .addOptionalParam('contracts', 'Comma-separated contract names (default: every contract in the address book)')
+  .addOptionalParam('holders', 'Comma-separated extra addresses to check')
+  .setAction(action(async (args, context) => {
+    const holders = await knownHolders(args, context);
+    const labels = new Map(Object.entries(holders).map(([label, address]) => [address.toLowerCase(), label]));
+    const labelOf = address => labels.get(address.toLowerCase()) || address;
+    const names = list(args.contracts).length > 0 ? list(args.contracts) : Object.keys(context.addresses());
+
+    const contracts = {};
+    const skipped = [];
+    for (const name of names) {
+      // Contracts deployed from an artifact of another name (e.g. devnet feeds) have no ABI here
+      if (!(await context.hre.artifacts.artifactExists(context.artifact(name)))) {
+        if (list(args.contracts).length > 0) throw new Error(`No artifact for ${name}`);
+        skipped.push(name);
+        continue;
+      }
+      contracts[name] = await readRoles(await context.contract(name), labelOf, holders);
+    }
+    return { holders, contracts, skipped };
+  }, result => [
+    ...Object.entries(result.contracts).flatMap(([name, { roles, admins }]) => [
+      name,
+      ...Object.entries(admins).map(([view, holder]) => `  ${view.padEnd(28)} ${holder}`),
+      ...Object.entries(roles).map(([role, members]) => `  ${role.padEnd(28)} ${members.length > 0 ? members.join(', ') : '-'}`)
+    ]),
+    ...(result.skipped.length > 0 ? [`Skipped (no artifact): ${result.skipped.join(', ')}`] : [])
+  ]));
@@ -0,0 +1,195 @@
+/**
+ * @title Treasury tasks
+ * @dev dloop:treasury:balance, ledger, reconcile, deposit, withdraw, distribute and approve
+ * @notice The ledger and the memo handling are in sdk/treasury.js. Every operation takes a
+ *         --memo. Amounts are in token units (1.5 for 1.5 DAI) and tokens are address book names,
+ *         addresses, or ETH. withdraw is restricted to the Treasury owner, the others to its
+ *         admin or owner; with --dry-run these checks are printed instead of failing, so the
+ *         calldata can go into a ProtocolDAO proposal or a multisig.
+ */
+
+const fs = require('fs');
+const { ZeroAddress, formatUnits, parseUnits } = require('ethers');
+const { dloopTask, action, list, time, types } = require('./common');
+const { TreasuryError, TreasuryManager, ledgerToCsv } = require('../../sdk/treasury');
+const { erc20At } = require('../../sdk/contracts');
+
+// Tokens the protocol moves through the Treasury, when they are in the address book
+const DEFAULT_TOKENS = ['DAIToken', 'DLoopToken'];
+
+function tokenAddress(context, value) {
+  return value.toUpperCase() === 'ETH' ? ZeroAddress : context.address(value);
+}
+
+function defaultTokens(context) {
+  return ['ETH', ...DEFAULT_TOKENS.filter(name => context.addresses()[name])];
+}
+
+function manager(context) {
+  return TreasuryManager.connect(context.address('Treasury'), context.provider);
+}
+
+async function amountOf(context, value, token) {
+  const { decimals } = await context.tokenInfo(token);
+  return parseUnits(value, decimals);
+}
+
+/**
+ * Parses `name=amount` pairs
+ * @returns {Promise<Array<{ address: string, amount: bigint }>>}
+ */
+async function pairs(context, values, label, tokenOf) {
+  return Promise.all(values.map(async value => {
+    const [name, amount] = value.split('=');
+    if (!name || !amount) throw new Error(`Expected ${label}=<amount>, got ${value}`);
+    const address = label === 'token' ? tokenAddress(context, name) : context.address(name);
+    return { address, amount: await amountOf(context, amount, tokenOf(address)) };
+  }));
+}
+
+/**
+ * Sends a plan from sdk/treasury.js through the task's confirmation and dry-run handling
+ */
+async function sendPlan(context, treasury, plan) {
+  if (plan.issues.length > 0) {
+    if (!context.args.dryRun) throw new TreasuryError(plan.issues);
+    plan.issues.forEach(issue => context.note(`${issue.code}: ${issue.message}`));
+  }
+  plan.warnings.forEach(warning => context.note(`${warning.code}: ${warning.message}`));
+  return context.send(plan.transactions.map(transaction => ({ ...transaction, iface: treasury.treasury.interface })));
+}
+
+async function sender(context) {
+  return (await context.signer()).getAddress();
+}
+
+dloopTask('dloop:treasury:balance', 'Shows the Treasury balances')
+  .addOptionalParam('tokens', 'Comma-separated token names or addresses; ETH for ether (default: ETH, DAIToken, DLoopToken)')
+  .setAction(action(async (args, context) => {
+    const treasury = await context.contract('Treasury');
+    const requested = list(args.tokens);
+    const tokens = requested.length > 0 ? requested : defaultTokens(context);
+    const balances = await Promise.all(tokens.map(async value => {
+      const token = tokenAddress(context, value);
+      const [balance, { symbol, decimals }] = await Promise.all([treasury.getBalance(token), context.tokenInfo(token)]);
+      return { token, symbol, decimals, balance };
+    }));
+    return { treasury: treasury.target, balances };
+  }, async (result, context) => [
+    `Treasury ${result.treasury}`,
+    ...await Promise.all(result.balances.map(async entry => `  ${(await context.formatAmount(entry.balance, entry.token)).padStart(32)}  ${entry.token === ZeroAddress ? '' : entry.token}`))
+  ]));
+
+dloopTask('dloop:treasury:ledger', 'Shows the double-entry ledger of one Treasury token')
+  .addPositionalParam('token', 'Token name or address, or ETH')
+  .addOptionalParam('fromBlock', 'First block; later than 0 it opens with the balance before it (needs an archive node)', 0, types.int)
+  .addOptionalParam('csv', 'Also write the entries to this CSV file')
+  .setAction(action(async (args, context) => {
+    const token = tokenAddress(context, args.token);
+    const ledger = await manager(context).ledger(token, { fromBlock: args.fromBlock });
+    if (args.csv) {
+      fs.writeFileSync(args.csv, ledgerToCsv(ledger, { decimals: (await context.tokenInfo(token)).decimals }));
+      context.note(`Wrote ${ledger.entries.length} entries to ${args.csv}`);
+    }
+    return ledger;
+  }, async (ledger, context) => {
+    const amount = value => context.formatAmount(value, ledger.token);
+    const lines = [`Treasury ${ledger.treasury}, blocks ${ledger.fromBlock}-${ledger.toBlock}`];
+    for (const entry of ledger.entries) {
+      lines.push(`  ${time(entry.timestamp)}  ${entry.event.padEnd(25)} ${entry.debit.padEnd(11)} ${entry.credit.padEnd(11)} ${(await amount(entry.amount)).padStart(24)}  ${entry.memo || ''}`);
+    }
+    lines.push('Accounts');
+    for (const [name, account] of Object.entries(ledger.accounts)) {
+      lines.push(`  ${name.padEnd(11)} debit ${(await amount(account.debit)).padStart(24)}  credit ${(await amount(account.credit)).padStart(24)}`);
+    }
+    for (const approval of ledger.approvals) {
+      lines.push(`  approved ${approval.spender} ${await amount(approval.amount)} at ${time(approval.timestamp)}${approval.memo ? ` (${approval.memo})` : ''}`);
+    }
+    return lines;
+  }));
+
+dloopTask('dloop:treasury:reconcile', 'Checks the Treasury ledgers against getBalance')
+  .addOptionalParam('tokens', 'Comma-separated token names or addresses; ETH for ether (default: ETH, DAIToken, DLoopToken)')
+  .addOptionalParam('fromBlock', 'First block of the ledgers', 0, types.int)
+  .setAction(action(async (args, context) => {
+    const treasury = manager(context);
+    const tokens = list(args.tokens).length > 0 ? list(args.tokens) : defaultTokens(context);
+    const toBlock = await context.provider.getBlockNumber();
+    const results = [];
+    for (const value of tokens) {
+      const { ledger, ...result } = await treasury.reconcile(tokenAddress(context, value), { fromBlock: args.fromBlock, toBlock });
+      results.push({ ...result, entries: ledger.entries.length });
+    }
+    return { treasury: await treasury.treasury.getAddress(), block: toBlock, reconciled: results.every(result => result.reconciled), tokens: results };
+  }, async (result, context) => [
+    `Treasury ${result.treasury} at block ${result.block}`,
+    ...(await Promise.all(result.tokens.map(async token => [
+      `  ${(await context.tokenInfo(token.token)).symbol.padEnd(8)} ${token.reconciled ? 'reconciled' : 'DIFFERENCE'}  ledger ${await context.formatAmount(token.ledgerBalance, token.token)}, getBalance ${await context.formatAmount(token.balance, token.token)} (${token.entries} entries)`,
+      ...token.warnings.map(warning => `    ${warning.code}: ${warning.message}`)
+    ]))).flat()
+  ]));
+
+dloopTask('dloop:treasury:deposit', 'Deposits ETH or a token into the Treasury, approving it first if needed', { sends: true })
+  .addPositionalParam('token', 'Token name or address, or ETH')
+  .addPositionalParam('amount', 'Amount in token units')
+  .addParam('memo', 'Memo for the Deposit event')
+  .setAction(action(async (args, context) => {
+    const treasury = manager(context);
+    const token = tokenAddress(context, args.token);
+    const plan = await treasury.prepareDeposit({ token, amount: await amountOf(context, args.amount, token), memo: args.memo, account: await sender(context) });
+    return sendPlan(context, treasury, plan);
+  }, result => [`Deposited in ${result.transactions[result.transactions.length - 1].hash}`]));
+
+dloopTask('dloop:treasury:withdraw', 'Withdraws ETH or a token from the Treasury (owner only)', { sends: true })
+  .addPositionalParam('token', 'Token name or address, or ETH')
+  .addPositionalParam('to', 'Recipient name or address')
+  .addPositionalParam('amount', 'Amount in token units')
+  .addParam('memo', 'Memo, recorded in the calldata')
+  .setAction(action(async (args, context) => {
+    const treasury = manager(context);
+    const token = tokenAddress(context, args.token);
+    const plan = await treasury.prepareWithdraw({
+      token,
+      to: context.address(args.to),
+      amount: await amountOf(context, args.amount, token),
+      memo: args.memo,
+      account: await sender(context)
+    });
+    return sendPlan(context, treasury, plan);
+  }, result => [`Withdrew in ${result.transactions[0].hash}`]));
+
+dloopTask('dloop:treasury:distribute', 'Pays rewards from the Treasury with distributeRewards', { sends: true })
+  .addPositionalParam('token', 'Token name or address')
+  .addVariadicPositionalParam('payments', 'recipient=amount pairs, amounts in token units')
+  .addParam('memo', 'Memo, recorded in the calldata')
+  .setAction(action(async (args, context) => {
+    const treasury = manager(context);
+    const token = tokenAddress(context, args.token);
+    const payments = (await pairs(context, args.payments, 'recipient', () => token)).map(({ address, amount }) => ({ to: address, amount }));
+    const plan = await treasury.prepareDistribution({ token, payments, memo: args.memo, account: await sender(context) });
+    return sendPlan(context, treasury, plan);
+  }, result => [`Distributed in ${result.transactions[0].hash}`]));
+
+dloopTask('dloop:treasury:approve', 'Sets Treasury allowances for a spender with batchApprove', { sends: true })
+  .addPositionalParam('spender', 'Spender name or address')
+  .addVariadicPositionalParam('allowances', 'token=amount pairs, amounts in token units; 0 revokes')
+  .addParam('memo', 'Memo, recorded in the calldata')
+  .setAction(action(async (args, context) => {
+    const treasury = manager(context);
+    const spender = context.address(args.spender);
+    const allowances = (await pairs(context, args.allowances, 'token', address => address)).map(({ address, amount }) => ({ token: address, amount }));
+    const plan = await treasury.prepareBatchApprove({ spender, allowances, memo: args.memo, account: await sender(context) });
+    const result = await sendPlan(context, treasury, plan);
+    if (result.dryRun) return result;
+    // batchApprove does not revert when a token's approve returns false, so read what was set
+    const treasuryAddress = await treasury.treasury.getAddress();
+    const set = await Promise.all(allowances.map(async ({ token, amount }) => {
+      const { symbol, decimals } = await context.tokenInfo(token);
+      const allowance = await erc20At(token, context.provider).allowance(treasuryAddress, spender);
+      return { token, symbol, amount, allowance, decimals };
+    }));
+    return { ...result, spender, allowances: set };
+  }, result => [
+    `Approved ${result.spender} in ${result.transactions[0].hash}`,
+    ...result.allowances.map(entry => `  ${entry.symbol.padEnd(8)} ${formatUnits(entry.allowance, entry.decimals)}${entry.allowance === entry.amount ? '' : ` (asked for ${formatUnits(entry.amount, entry.decimals)})`}`)
+  ]));
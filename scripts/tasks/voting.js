@@ -0,0 +1,23 @@
+/**
+ * @title Voting power tasks
+ * @dev dloop:voting:power
+ */
+
+const { formatUnits } = require('ethers');
+const { dloopTask, action } = require('./common');
+const { VotingPowerManager } = require('../../sdk/votingPower');
+
+dloopTask('dloop:voting:power', 'Shows the delegations of an address and the voting power each DAO counts')
+  .addPositionalParam('account', 'Address')
+  .setAction(action(async (args, context) =>
+    VotingPowerManager.connect(context.addresses(), context.provider).overview(context.address(args.account)),
+  overview => [
+    `Account ${overview.account}`,
+    `  AssetDAO vote weight     ${formatUnits(overview.effective.AssetDAO, 18)} DLOOP`,
+    `  ProtocolDAO votes        ${overview.effective.ProtocolDAO}`,
+    `  AINodeGovernance power   ${formatUnits(overview.effective.AINodeGovernance, 18)} DLOOP`,
+    `  DLoopToken delegations   ${formatUnits(overview.token.totalOut, 18)} out, ${formatUnits(overview.token.totalIn, 18)} in`,
+    ...(overview.node ? [`  node delegations         ${formatUnits(overview.node.totalOut, 18)} out`] : []),
+    ...(overview.soulbound ? [`  SoulboundNFT delegations ${overview.soulbound.delegatedOut.length} out, ${overview.soulbound.delegatedIn.length} in`] : []),
+    ...overview.warnings.map(warning => `  WARNING ${warning.code}: ${warning.message}`)
+  ]));
@@ -0,0 +1,173 @@
+/**
+ * @title D-Loop Protocol Bytecode Equivalence Check
+ * @dev Confirms that deployed addresses run the code compiled into artifacts/
+ * @notice Runtime code read with eth_getCode is compared with the artifact's deployedBytecode.
+ *         Three regions are masked first: the CBOR metadata appended by solc (it changes with
+ *         comments, file paths and compiler settings that do not affect execution), immutable
+ *         values (written by the constructor, located through the build-info
+ *         immutableReferences) and library placeholders. A contract then either matches,
+ *         differs only in its metadata, or really differs.
+ */
+
+const STATUS = {
+  MATCH: 'match',
+  METADATA_ONLY: 'metadata-only',
+  MISMATCH: 'mismatch',
+  NO_CODE: 'no-code',
+  ERROR: 'error'
+};
+
+/**
+ * Strips the 0x prefix and lowercases hex
+ * @param {string} hex - Hex string
+ * @returns {string} Normalized hex without prefix
+ */
+function normalize(hex) {
+  return (hex || '').replace(/^0x/, '').toLowerCase();
+}
+
+/**
+ * Locates the CBOR metadata solc appends to runtime code: a CBOR map followed by its
+ * length as a 2-byte big-endian integer
+ * @param {string} code - Normalized runtime code
+ * @returns {number} Offset in hex characters where the metadata starts, or code.length if there is none
+ */
+function metadataOffset(code) {
+  if (code.length < 4) return code.length;
+  const length = parseInt(code.slice(-4), 16);
+  const start = code.length - 4 - length * 2;
+  // A CBOR map header is 0xa0-0xbf
+  if (start < 0 || !/^[ab][0-9a-f]$/.test(code.slice(start, start + 2))) return code.length;
+  return start;
+}
+
+/**
+ * Replaces byte ranges with zeros
+ * @param {string} code - Normalized code
+ * @param {{ start: number, length: number }[]} ranges - Byte ranges
+ * @returns {string} Masked code
+ */
+function maskRanges(code, ranges) {
+  let masked = code;
+  for (const { start, length } of ranges) {
+    if (start * 2 >= masked.length) continue;
+    masked = masked.slice(0, start * 2) + '0'.repeat(length * 2) + masked.slice((start + length) * 2);
+  }
+  return masked;
+}
+
+/**
+ * Flattens immutableReferences or linkReferences into byte ranges
+ * @param {Object} immutableReferences - Build-info immutableReferences ({ astId: [{ start, length }] })
+ * @param {Object} linkReferences - deployedLinkReferences ({ source: { library: [{ start, length }] } })
+ * @returns {{ start: number, length: number }[]} Byte ranges
+ */
+function maskedRanges(immutableReferences = {}, linkReferences = {}) {
+  return [
+    ...Object.values(immutableReferences).flat(),
+    ...Object.values(linkReferences).flatMap(references => Object.values(references).flat())
+  ];
+}
+
+/**
+ * Compares deployed runtime code with compiled runtime code
+ * @param {Object} options - Comparison input
+ * @param {string} options.onChain - Code returned by eth_getCode
+ * @param {string} options.deployedBytecode - Artifact deployedBytecode (may contain library placeholders)
+ * @param {Object} [options.immutableReferences] - Build-info immutableReferences of the contract
+ * @param {Object} [options.linkReferences] - Artifact deployedLinkReferences
+ * @returns {{ status: string, detail: string }} Comparison result
+ */
+function compareBytecode(options) {
+  const onChain = normalize(options.onChain);
+  const compiled = normalize(options.deployedBytecode);
+  if (onChain.length === 0) {
+    return { status: STATUS.NO_CODE, detail: 'no code at the address' };
+  }
+
+  const onChainEnd = metadataOffset(onChain);
+  const compiledEnd = metadataOffset(compiled);
+  const ranges = maskedRanges(options.immutableReferences, options.linkReferences);
+  const onChainCode = maskRanges(onChain.slice(0, onChainEnd), ranges);
+  const compiledCode = maskRanges(compiled.slice(0, compiledEnd), ranges);
+
+  if (onChainCode !== compiledCode) {
+    let offset = 0;
+    while (offset < onChainCode.length && onChainCode[offset] === compiledCode[offset]) offset++;
+    return {
+      status: STATUS.MISMATCH,
+      detail: `code differs from byte ${Math.floor(offset / 2)} ` +
+        `(deployed ${onChainEnd / 2} bytes, compiled ${compiledEnd / 2} bytes, metadata excluded)`
+    };
+  }
+  if (onChain.slice(onChainEnd) !== compiled.slice(compiledEnd)) {
+    return { status: STATUS.METADATA_ONLY, detail: 'same code; only the metadata differs (e.g. comments or file paths changed)' };
+  }
+  return {
+    status: STATUS.MATCH,
+    detail: ranges.length > 0 ? `identical, ${ranges.length} immutable/library reference(s) masked` : 'identical'
+  };
+}
+
+/**
+ * Reads the immutable references of a contract from its build-info
+ * @param {Object} artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {Object} compiled - Artifact
+ * @returns {Promise<Object|null>} immutableReferences, or null when the build-info is not on disk
+ */
+async function readImmutableReferences(artifacts, compiled) {
+  let buildInfo;
+  try {
+    buildInfo = await artifacts.getBuildInfo(`${compiled.sourceName}:${compiled.contractName}`);
+  } catch (error) {
+    // The debug file points at a build-info that is no longer on disk
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!buildInfo) return null;
+  const output = buildInfo.output.contracts[compiled.sourceName][compiled.contractName];
+  return output.evm.deployedBytecode.immutableReferences || {};
+}
+
+/**
+ * Checks every contract of a deployment record against the local artifacts
+ * @param {Object} options - Check options
+ * @param {Object} options.provider - ethers provider of the network the contracts are deployed on
+ * @param {Object} options.artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {Object<string, { address: string, artifact: string }>} options.contracts - Contract name to
+ *        address and artifact name
+ * @returns {Promise<Object[]>} One { name, address, artifact, status, detail } per contract
+ */
+async function checkDeployedBytecode(options) {
+  const { provider, artifacts, contracts } = options;
+  const results = [];
+
+  for (const [name, { address, artifact }] of Object.entries(contracts)) {
+    const result = { name, address, artifact };
+    try {
+      const compiled = await artifacts.readArtifact(artifact);
+      const immutableReferences = await readImmutableReferences(artifacts, compiled);
+      if (immutableReferences === null) {
+        results.push({ ...result, status: STATUS.ERROR, detail: 'no build info to locate immutables; run `npx hardhat compile` first' });
+        continue;
+      }
+      const onChain = await provider.getCode(address);
+      const comparison = compareBytecode({
+        onChain,
+        deployedBytecode: compiled.deployedBytecode,
+        immutableReferences,
+        linkReferences: compiled.deployedLinkReferences
+      });
+      results.push({ ...result, ...comparison });
+    } catch (error) {
+      results.push({ ...result, status: STATUS.ERROR, detail: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  STATUS,
+  metadataOffset,
+  compareBytecode,
+  checkDeployedBytecode
+};
@@ -0,0 +1,280 @@
+/**
+ * @title D-Loop Protocol Component Redeployer
+ * @dev Replaces one deployed contract and rewires every contract that points at it
+ * @notice Rewiring calls come from two sources:
+ *         - the manifest: postDeployment steps that target or reference the replaced contract
+ *         - on-chain reads: parameterless address getters that return the old address, and
+ *           roles the old instance holds (or that others hold on it)
+ *         The setter for a getter comes from scripts/config/desiredState.js when it declares one,
+ *         otherwise from the update<Getter>/set<Getter> naming convention.
+ */
+
+const { Interface } = require('ethers');
+const { collectReferences, resolveArgs } = require('./manifestResolver');
+const { describeRevert } = require('./revertDecoder');
+
+/**
+ * Finds the single-address setter matching a getter by naming convention
+ * @param {Object} iface - ethers Interface
+ * @param {string} getter - Getter name, e.g. treasury or getSoulboundNFTAddress
+ * @returns {Object|null} FunctionFragment of the setter
+ */
+function conventionalSetter(iface, getter) {
+  const base = getter.replace(/^get(?=[A-Z])/, '').replace(/Address$/, '').toLowerCase();
+  return iface.fragments.find(fragment =>
+    fragment.type === 'function' &&
+    !fragment.constant &&
+    fragment.inputs.length === 1 &&
+    fragment.inputs[0].type === 'address' &&
+    [`update${base}`, `set${base}`].includes(fragment.name.toLowerCase())
+  ) || null;
+}
+
+/**
+ * Deploys a new instance of a manifest contract against the current address book
+ * @param {Object} options - Deployment options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.entry - Resolved manifest entry
+ * @param {Object} options.signer - Deployer signer
+ * @param {Object<string, string>} options.addresses - Current address book
+ * @param {Object<string, string>} options.accounts - Account name to address
+ * @param {number} [options.confirmations=1] - Confirmations to wait for
+ * @param {string} [options.salt] - Deploy with CREATE2 and this salt; the signer must be a
+ *        FactorySigner (see scripts/utils/deterministicDeployment.js)
+ * @returns {Promise<{ contract: Object, address: string, args: Array, receipt: Object }>} New instance
+ * @throws {Error} With the decoded revert reason if the deployment fails
+ */
+async function deployComponent(options) {
+  const { ethers, entry, signer, addresses, accounts, confirmations = 1, salt } = options;
+  const args = resolveArgs(entry.args, { accounts, addresses });
+  const factory = await ethers.getContractFactory(entry.artifact, signer);
+  try {
+    if (salt) {
+      const { data } = await factory.getDeployTransaction(...args);
+      const { address, tx } = await signer.deploy(salt, data);
+      const receipt = await tx.wait(confirmations);
+      return { contract: factory.attach(address), address, args, receipt };
+    }
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait(confirmations);
+    return { contract, address: await contract.getAddress(), args, receipt };
+  } catch (error) {
+    error.message = `Deploying ${entry.name} failed: ${describeRevert(error, factory.interface)}`;
+    throw error;
+  }
+}
+
+/**
+ * Finds every on-chain reference to an address among the deployed contracts
+ * @param {Object} options - Scan options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object<string, string>} options.addresses - Contracts to scan, by name
+ * @param {string} options.target - Address to look for
+ * @param {Object<string, string>} [options.holders] - Addresses whose roles on the target contract are reported
+ * @param {string} [options.targetName] - Manifest name of the contract at target
+ * @returns {Promise<{ values: Object[], roles: Object[] }>} Getters returning target, and roles held by or on target
+ */
+async function findReferences(options) {
+  const { ethers, plan, addresses, target, holders = {}, targetName } = options;
+  const values = [];
+  const roles = [];
+
+  for (const entry of plan.contracts) {
+    const address = addresses[entry.name];
+    if (!address || await ethers.provider.getCode(address) === '0x') continue;
+    const iface = new Interface(entry.abi);
+    const contract = await ethers.getContractAt(entry.artifact, address);
+    const isTarget = address.toLowerCase() === target.toLowerCase();
+
+    const views = iface.fragments.filter(fragment =>
+      fragment.type === 'function' &&
+      fragment.constant &&
+      fragment.inputs.length === 0 &&
+      fragment.outputs.length === 1
+    );
+
+    if (!isTarget) {
+      for (const fragment of views.filter(view => view.outputs[0].type === 'address')) {
+        try {
+          const value = await contract[fragment.format('sighash')]();
+          if (value.toLowerCase() === target.toLowerCase()) {
+            values.push({ contract: entry.name, getter: fragment.name });
+          }
+        } catch (error) {
+          // Getter reverts in the current state; it cannot point at the target
+        }
+      }
+    }
+
+    if (!iface.getFunction('hasRole(bytes32,address)')) continue;
+    for (const fragment of views.filter(view => view.name.endsWith('_ROLE') && view.outputs[0].type === 'bytes32')) {
+      const roleId = await contract[fragment.format('sighash')]();
+      if (isTarget) {
+        // Roles granted on the old instance, to be granted again on the new one
+        for (const [label, holder] of Object.entries(holders)) {
+          if (await contract.hasRole(roleId, holder)) {
+            roles.push({ contract: targetName || entry.name, role: fragment.name, roleId, holder: label, onTarget: true });
+          }
+        }
+      } else if (await contract.hasRole(roleId, target)) {
+        roles.push({ contract: entry.name, role: fragment.name, roleId });
+      }
+    }
+  }
+
+  return { values, roles };
+}
+
+/**
+ * Works out the calls that move every reference from the old instance to the new one
+ * @param {Object} options - Planning options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object} [options.desired] - Checks returned by resolveDesiredState, used to find setters
+ * @param {string} options.name - Manifest name of the replaced contract
+ * @param {string} options.oldAddress - Address of the old instance
+ * @param {Object<string, string>} options.addresses - Address book with the new instance
+ * @param {Object<string, string>} options.accounts - Account name to address
+ * @returns {Promise<{ actions: Object[], unresolved: Object[] }>} Calls to send and references without a setter
+ */
+async function planRewiring(options) {
+  const { ethers, plan, desired = { roles: [], values: [] }, name, oldAddress, addresses, accounts } = options;
+  const newAddress = addresses[name];
+  const context = { accounts, addresses };
+  const actions = [];
+  const unresolved = [];
+  const interfaces = new Map(plan.contracts.map(entry => [entry.name, new Interface(entry.abi)]));
+
+  const add = (action) => {
+    const key = `${action.contract}.${action.signature}:${JSON.stringify(action.args)}`;
+    if (!actions.some(existing => `${existing.contract}.${existing.signature}:${JSON.stringify(existing.args)}` === key)) {
+      actions.push(action);
+    }
+  };
+
+  // Manifest steps that configure the replaced contract or point other contracts at it
+  for (const step of plan.postDeployment) {
+    if (step.contract !== name && !collectReferences(step.args).includes(name)) continue;
+    if (!addresses[step.contract]) continue;
+    add({
+      kind: 'manifest',
+      contract: step.contract,
+      method: step.method,
+      signature: step.signature,
+      args: resolveArgs(step.args, context)
+    });
+  }
+
+  // Everything on-chain that still points at the old instance
+  const holders = { ...accounts };
+  for (const [contractName, address] of Object.entries(addresses)) {
+    if (contractName !== name) holders[contractName] = address;
+  }
+  const { values, roles } = await findReferences({ ethers, plan, addresses, target: oldAddress });
+  const oldScan = await findReferences({
+    ethers,
+    plan: { contracts: plan.contracts.filter(entry => entry.name === name) },
+    addresses: { [name]: oldAddress },
+    target: oldAddress,
+    holders,
+    targetName: name
+  });
+  roles.push(...oldScan.roles);
+
+  for (const reference of values) {
+    const iface = interfaces.get(reference.contract);
+    const declared = desired.values.find(check =>
+      check.contract === reference.contract && check.args.length === 0 && check.signature === `${reference.getter}()` && check.set
+    );
+    if (declared) {
+      add({ kind: 'set', contract: reference.contract, method: declared.set.method, signature: declared.set.signature, args: resolveArgs(declared.set.args, context) });
+      continue;
+    }
+    const setter = conventionalSetter(iface, reference.getter);
+    if (setter) {
+      add({ kind: 'set', contract: reference.contract, method: setter.name, signature: setter.format('sighash'), args: [newAddress] });
+    } else {
+      unresolved.push({ ...reference, reason: `${reference.contract}.${reference.getter}() has no setter` });
+    }
+  }
+
+  const holdsRole = async (contractName, roleId, holder) => {
+    const entry = plan.contracts.find(candidate => candidate.name === contractName);
+    const contract = await ethers.getContractAt(entry.artifact, addresses[contractName]);
+    return contract.hasRole(roleId, holder);
+  };
+
+  for (const reference of roles) {
+    const check = desired.roles.find(candidate => candidate.contract === reference.contract && candidate.role === reference.role);
+    const calls = check && check.calls ? check.calls : {
+      grant: { method: 'grantRole', signature: 'grantRole(bytes32,address)', withRole: true },
+      revoke: { method: 'revokeRole', signature: 'revokeRole(bytes32,address)', withRole: true }
+    };
+    const roleArgs = (call, holder) => (call.withRole ? [reference.roleId, holder] : [holder]);
+    // Role held on the old instance is granted again on the new one; a role held by the old
+    // instance elsewhere moves to the new instance
+    const [contractName, holder] = reference.onTarget
+      ? [name, holders[reference.holder]]
+      : [reference.contract, newAddress];
+
+    if (!(await holdsRole(contractName, reference.roleId, holder))) {
+      add({ kind: 'grant', contract: contractName, method: calls.grant.method, signature: calls.grant.signature, args: roleArgs(calls.grant, holder) });
+    }
+    if (!reference.onTarget) {
+      add({ kind: 'revoke', contract: reference.contract, method: calls.revoke.method, signature: calls.revoke.signature, args: roleArgs(calls.revoke, oldAddress) });
+    }
+  }
+
+  // Manifest grants the new instance does not need (e.g. roles its constructor already granted)
+  const needed = [];
+  for (const action of actions) {
+    if (action.kind === 'manifest' && action.signature === 'grantRole(bytes32,address)' &&
+        await holdsRole(action.contract, ...action.args)) {
+      continue;
+    }
+    needed.push(action);
+  }
+
+  return { actions: needed, unresolved };
+}
+
+/**
+ * Lists every reference to the old instance that remains after rewiring
+ * @param {Object} options - Same as findReferences, with target set to the old address
+ * @returns {Promise<string[]>} Remaining references, e.g. "GovernanceRewards.treasury()"
+ */
+async function remainingReferences(options) {
+  const { values, roles } = await findReferences(options);
+  return [
+    ...values.map(reference => `${reference.contract}.${reference.getter}()`),
+    ...roles.filter(reference => !reference.onTarget).map(reference => `${reference.contract}.${reference.role}`)
+  ];
+}
+
+/**
+ * Serializes rewiring calls for another signer (e.g. a multisig) to send
+ * @param {Object[]} actions - Calls returned by planRewiring
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @param {Object<string, string>} addresses - Address book with the new instance
+ * @returns {Object[]} Calls with target address and encoded calldata
+ */
+function exportActions(actions, plan, addresses) {
+  return actions.map(action => {
+    const entry = plan.contracts.find(candidate => candidate.name === action.contract);
+    const iface = new Interface(entry.abi);
+    return {
+      ...action,
+      to: addresses[action.contract],
+      data: iface.encodeFunctionData(action.signature, action.args)
+    };
+  });
+}
+
+module.exports = {
+  deployComponent,
+  findReferences,
+  planRewiring,
+  remainingReferences,
+  exportActions
+};
@@ -0,0 +1,362 @@
+/**
+ * @title D-Loop Protocol Configuration Reconciler
+ * @dev Compares the live configuration of a deployment with scripts/config/desiredState.js
+ * @notice Reads role membership and wiring values, reports every difference and sends only
+ *         the transactions needed to converge. Nothing is sent for checks that are in sync.
+ */
+
+const { Interface } = require('ethers');
+const {
+  ManifestError,
+  checkArguments,
+  collectReferences,
+  roleId,
+  resolveArgs
+} = require('./manifestResolver');
+const { summarizeReceipt } = require('./manifestDeployer');
+const { describeRevert } = require('./revertDecoder');
+
+const DEFAULT_GRANT = 'grantRole';
+const DEFAULT_REVOKE = 'revokeRole';
+
+/**
+ * Looks up a function fragment, recording an issue if it is missing or ambiguous
+ * @param {Object} iface - ethers Interface
+ * @param {string} method - Method name or signature
+ * @param {string} label - Description used in issue messages
+ * @param {string[]} issues - Issue list to append to
+ * @returns {Object|null} FunctionFragment
+ */
+function findFunction(iface, method, label, issues) {
+  let fragment = null;
+  try {
+    fragment = iface.getFunction(method);
+  } catch (error) {
+    issues.push(`${label} is ambiguous; use a full signature: ${error.shortMessage || error.message}`);
+    return null;
+  }
+  if (!fragment) {
+    issues.push(`${label} does not exist in the ABI`);
+  }
+  return fragment;
+}
+
+/**
+ * Validates a desired-state spec against the ABIs of a resolved deployment plan
+ * @param {Object} spec - Desired state (roles and values)
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @returns {{ roles: Object[], values: Object[] }} Checks with resolved signatures
+ * @throws {ManifestError} If the spec references unknown contracts, methods or arguments
+ */
+function resolveDesiredState(spec, plan) {
+  const issues = [];
+  const entries = new Map(plan.contracts.map(entry => [entry.name, entry]));
+
+  const interfaceOf = (contract, label) => {
+    const entry = entries.get(contract);
+    if (!entry) {
+      issues.push(`${label} targets unknown contract ${contract}`);
+      return null;
+    }
+    return new Interface(entry.abi);
+  };
+  const checkReferences = (args, label) => {
+    for (const reference of collectReferences(args)) {
+      if (!entries.has(reference)) issues.push(`${label} references unknown contract ${reference}`);
+    }
+  };
+
+  const roles = (spec.roles || []).map((check) => {
+    const label = `${check.contract}.${check.role}`;
+    const holders = check.holders || [];
+    checkReferences(holders, label);
+    const iface = interfaceOf(check.contract, label);
+    if (!iface) return { ...check, holders };
+
+    findFunction(iface, 'hasRole(bytes32,address)', `${label} hasRole`, issues);
+    const calls = {};
+    for (const [kind, method] of [['grant', check.grant || DEFAULT_GRANT], ['revoke', check.revoke || DEFAULT_REVOKE]]) {
+      const fragment = findFunction(iface, method, `${label} ${kind} method ${method}`, issues);
+      if (!fragment) continue;
+      const types = fragment.inputs.map(input => input.type).join(',');
+      if (types !== 'bytes32,address' && types !== 'address') {
+        issues.push(`${label} ${kind} method ${fragment.format('sighash')} must take (bytes32,address) or (address)`);
+      }
+      calls[kind] = { method: fragment.name, signature: fragment.format('sighash'), withRole: types === 'bytes32,address' };
+    }
+    return { ...check, holders, id: `role:${label}`, calls };
+  });
+
+  const values = (spec.values || []).map((check, index) => {
+    const args = check.args || [];
+    const label = `values[${index}] ${check.contract}.${check.read}`;
+    checkReferences([...args, check.expect, ...((check.set && check.set.args) || [])], label);
+    const iface = interfaceOf(check.contract, label);
+    if (!iface) return { ...check, args };
+
+    const read = findFunction(iface, check.read, label, issues);
+    if (read) {
+      if (!read.constant) issues.push(`${label} is not a view function`);
+      issues.push(...checkArguments(args, read, label));
+    }
+
+    let set = null;
+    if (!check.set) {
+      issues.push(`${label} has no set call to converge with`);
+    } else {
+      const setLabel = `${label} set ${check.set.method}`;
+      const fragment = findFunction(iface, check.set.method, setLabel, issues);
+      if (fragment) {
+        if (fragment.constant) issues.push(`${setLabel} is a view function`);
+        issues.push(...checkArguments(check.set.args || [], fragment, setLabel));
+        set = { method: fragment.name, signature: fragment.format('sighash'), args: check.set.args || [] };
+      }
+    }
+
+    return {
+      ...check,
+      args,
+      id: `value:${check.contract}.${check.read}(${args.map(describeArg).join(',')})`,
+      signature: read ? read.format('sighash') : check.read,
+      set
+    };
+  });
+
+  if (issues.length > 0) {
+    throw new ManifestError(issues, 'desired configuration state');
+  }
+  return { roles, values };
+}
+
+/**
+ * Describes a spec argument for reports, using contract and account names
+ * @param {*} value - Spec argument
+ * @returns {string} Readable form
+ */
+function describeArg(value) {
+  if (Array.isArray(value)) return `[${value.map(describeArg).join(',')}]`;
+  if (value && typeof value === 'object') {
+    if ('ref' in value) return value.ref;
+    if ('account' in value) return value.account;
+    if ('role' in value) return value.role;
+  }
+  return String(value);
+}
+
+/**
+ * Normalizes a value for comparison (bigints as strings, addresses lower-cased)
+ * @param {*} value - Value read on-chain or resolved from the spec
+ * @returns {*} Comparable value
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'bigint' || typeof value === 'number') return value.toString();
+  if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) return value.toLowerCase();
+  return value;
+}
+
+/**
+ * Reads the live configuration and compares it with the desired state
+ * @param {Object} options - Detection options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object} options.desired - Checks returned by resolveDesiredState
+ * @param {Object<string, string>} options.addresses - Contract name to deployed address
+ * @param {Object<string, string>} options.accounts - Account name to address
+ * @returns {Promise<Object[]>} One result per check: id, expected, actual, inSync, actions
+ */
+async function detectDrift(options) {
+  const { ethers, plan, desired, addresses, accounts } = options;
+  const context = { accounts, addresses };
+  const instances = {};
+  const withoutCode = new Set();
+  for (const entry of plan.contracts) {
+    if (!addresses[entry.name]) continue;
+    if (await ethers.provider.getCode(addresses[entry.name]) === '0x') {
+      withoutCode.add(entry.name);
+      continue;
+    }
+    instances[entry.name] = await ethers.getContractAt(entry.artifact, addresses[entry.name]);
+  }
+
+  // Every address a report can name, so role holders are shown as names
+  const labels = new Map();
+  for (const [name, address] of [...Object.entries(accounts), ...Object.entries(addresses)]) {
+    if (!labels.has(address.toLowerCase())) labels.set(address.toLowerCase(), name);
+  }
+  const label = value => (typeof value === 'string' && labels.get(value.toLowerCase())) || value;
+  const results = [];
+
+  const unavailable = (check, names) => ({
+    id: check.id,
+    contract: check.contract,
+    inSync: false,
+    error: [...new Set(names)].map(name => (withoutCode.has(name) ? `${name} has no code on-chain` : `${name} not found in the deployment`)).join('; '),
+    actions: []
+  });
+
+  for (const check of desired.roles) {
+    const missingContracts = [check.contract, ...collectReferences(check.holders)].filter(name => !instances[name]);
+    if (missingContracts.length > 0) {
+      results.push(unavailable(check, missingContracts));
+      continue;
+    }
+
+    const id = roleId(check.role);
+    const expected = resolveArgs(check.holders, context);
+    const expectedSet = new Set(expected.map(address => address.toLowerCase()));
+    const actual = [];
+    for (const address of labels.keys()) {
+      if (await instances[check.contract].hasRole(id, address)) actual.push(address);
+    }
+    const actualSet = new Set(actual);
+
+    const roleCall = (kind, holder) => ({
+      kind,
+      contract: check.contract,
+      method: check.calls[kind].method,
+      signature: check.calls[kind].signature,
+      args: check.calls[kind].withRole ? [id, holder] : [holder]
+    });
+    const actions = [
+      ...expected.filter(holder => !actualSet.has(holder.toLowerCase())).map(holder => roleCall('grant', holder)),
+      ...actual.filter(holder => !expectedSet.has(holder)).map(holder => roleCall('revoke', holder))
+    ];
+
+    results.push({
+      id: check.id,
+      contract: check.contract,
+      role: check.role,
+      expected: expected.map(label),
+      actual: actual.map(label),
+      inSync: actions.length === 0,
+      actions
+    });
+  }
+
+  for (const check of desired.values) {
+    const references = collectReferences([...check.args, check.expect, ...((check.set && check.set.args) || [])]);
+    const missingContracts = [check.contract, ...references].filter(name => !instances[name]);
+    if (missingContracts.length > 0) {
+      results.push(unavailable(check, missingContracts));
+      continue;
+    }
+
+    const [expected] = resolveArgs([check.expect], context);
+    const actual = await instances[check.contract][check.signature](...resolveArgs(check.args, context));
+    const inSync = JSON.stringify(normalize(actual)) === JSON.stringify(normalize(expected));
+
+    results.push({
+      id: check.id,
+      contract: check.contract,
+      expected: label(normalize(expected)),
+      actual: label(normalize(actual)),
+      inSync,
+      actions: inSync ? [] : [{
+        kind: 'set',
+        contract: check.contract,
+        method: check.set.method,
+        signature: check.set.signature,
+        args: resolveArgs(check.set.args, context)
+      }]
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Formats drift results as a readable diff
+ * @param {Object[]} results - Results returned by detectDrift
+ * @returns {string} Report, one check per line with +/- lines for differences
+ */
+function formatDrift(results) {
+  const lines = [];
+  for (const result of results) {
+    if (result.inSync) {
+      lines.push(`  ok     ${result.id}`);
+      continue;
+    }
+    lines.push(`  DRIFT  ${result.id}`);
+    if (result.error) {
+      lines.push(`           ${result.error}`);
+    } else if (result.role) {
+      result.expected.filter(holder => !result.actual.includes(holder)).forEach(holder => lines.push(`           + ${holder}`));
+      result.actual.filter(holder => !result.expected.includes(holder)).forEach(holder => lines.push(`           - ${holder}`));
+    } else {
+      lines.push(`           - ${result.actual}`);
+      lines.push(`           + ${result.expected}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Sends the transactions that converge the drifted checks. Grants and setters run before
+ * revocations so the signer never removes its own access before it is done.
+ * @param {Object} options - Apply options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object[]} options.results - Results returned by detectDrift
+ * @param {Object<string, string>} options.addresses - Contract name to deployed address
+ * @param {Object} options.signer - Signer that sends the transactions
+ * @param {number} [options.confirmations=1] - Confirmations to wait for
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<{ sent: Object[], failures: Object[] }>} Sent transactions and failed actions
+ */
+async function applyDrift(options) {
+  const { ethers, plan, results, addresses, signer, confirmations = 1, log = console.log } = options;
+  const actions = results.flatMap(result => result.actions);
+  const ordered = [
+    ...actions.filter(action => action.kind !== 'revoke'),
+    ...actions.filter(action => action.kind === 'revoke')
+  ];
+
+  const sent = [];
+  const failures = [];
+  for (const action of ordered) {
+    const entry = plan.contracts.find(candidate => candidate.name === action.contract);
+    const instance = await ethers.getContractAt(entry.artifact, addresses[action.contract], signer);
+    log(`Sending ${action.contract}.${action.signature} ${JSON.stringify(action.args)}...`);
+    try {
+      const tx = await instance[action.signature](...action.args);
+      const receipt = await tx.wait(confirmations);
+      sent.push({ ...action, ...summarizeReceipt(receipt), timestamp: new Date().toISOString() });
+      log(`${action.contract}.${action.method} executed in tx: ${receipt.hash}`);
+    } catch (error) {
+      const reason = describeRevert(error, instance.interface);
+      failures.push({ ...action, error: reason });
+      log(`Error executing ${action.contract}.${action.method}: ${reason}`);
+    }
+  }
+  return { sent, failures };
+}
+
+/**
+ * Converts transactions sent by applyDrift into deployment registry transactions
+ * @param {Object[]} sent - Sent transactions returned by applyDrift
+ * @param {string} type - Registry transaction type, e.g. 'reconcile', 'rewire' or 'handoff'
+ * @returns {Object[]} Registry transactions
+ */
+function toRegistryTransactions(sent, type) {
+  return sent.map(tx => ({
+    hash: tx.hash,
+    type,
+    contract: tx.contract,
+    method: tx.method,
+    args: tx.args,
+    blockNumber: tx.blockNumber,
+    gasUsed: tx.gasUsed,
+    effectiveGasPrice: tx.effectiveGasPrice,
+    cost: tx.cost,
+    timestamp: tx.timestamp
+  }));
+}
+
+module.exports = {
+  resolveDesiredState,
+  detectDrift,
+  formatDrift,
+  applyDrift,
+  toRegistryTransactions
+};
@@ -0,0 +1,88 @@
+/**
+ * @title D-Loop Protocol Contract State Reader
+ * @dev Snapshots the readable state of deployed contracts
+ * @notice Reads every parameterless view function that returns a single simple value, and the
+ *         role membership of the deployer and every deployed contract for each *_ROLE constant.
+ *         Used to summarize the final state of a dry run.
+ */
+
+const SIMPLE_TYPE = /^(address|bool|string|bytes\d*|u?int\d*)$/;
+
+/**
+ * Converts a returned value into something JSON can hold
+ * @param {*} value - Value returned by ethers
+ * @returns {*} Serializable value
+ */
+function toJson(value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Reads the state of one contract
+ * @param {Object} contract - ethers Contract instance
+ * @param {Object} holders - Map of label => address checked against every role
+ * @returns {Promise<{ values: Object, roles: Object }>} View values and role holders by label
+ */
+async function readContractState(contract, holders) {
+  const values = {};
+  const roles = {};
+  const roleIds = {};
+
+  const views = contract.interface.fragments.filter(fragment =>
+    fragment.type === 'function' &&
+    (fragment.stateMutability === 'view' || fragment.stateMutability === 'pure') &&
+    fragment.inputs.length === 0 &&
+    fragment.outputs.length === 1 &&
+    SIMPLE_TYPE.test(fragment.outputs[0].type)
+  );
+
+  for (const fragment of views) {
+    try {
+      const value = await contract[fragment.format('sighash')]();
+      if (fragment.name.endsWith('_ROLE')) {
+        roleIds[fragment.name] = value;
+      } else {
+        values[fragment.name] = toJson(value);
+      }
+    } catch (error) {
+      values[fragment.name] = { error: error.shortMessage || error.message };
+    }
+  }
+
+  if (contract.interface.getFunction('hasRole(bytes32,address)')) {
+    for (const [roleName, roleId] of Object.entries(roleIds)) {
+      roles[roleName] = [];
+      for (const [label, address] of Object.entries(holders)) {
+        if (await contract.hasRole(roleId, address)) {
+          roles[roleName].push(label);
+        }
+      }
+    }
+  }
+
+  return { values, roles };
+}
+
+/**
+ * Reads the state of every deployed contract
+ * @param {Object} instances - Map of contract name => ethers Contract instance
+ * @param {Object} accounts - Named accounts to check for roles, e.g. { deployer }
+ * @returns {Promise<Object>} Map of contract name => { values, roles }
+ */
+async function readDeploymentState(instances, accounts) {
+  const holders = { ...accounts };
+  for (const [name, contract] of Object.entries(instances)) {
+    holders[name] = await contract.getAddress();
+  }
+
+  const state = {};
+  for (const [name, contract] of Object.entries(instances)) {
+    state[name] = await readContractState(contract, holders);
+  }
+  return state;
+}
+
+module.exports = {
+  readContractState,
+  readDeploymentState
+};
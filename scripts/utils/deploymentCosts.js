@@ -0,0 +1,313 @@
+/**
+ * @title D-Loop Protocol Deployment Cost Accounting
+ * @dev Summarizes what a recorded deployment cost and compares it with a dry-run estimate
+ * @notice Every transaction in the deployment registry records gasUsed, effectiveGasPrice and
+ *         cost (gasUsed * effectiveGasPrice, in wei). Costs are totalled per contract and per
+ *         phase (the transaction type: deploy, configure, reconcile, rewire, handoff). Dry runs
+ *         execute on a local chain whose gas price means nothing, so their gas is priced at the
+ *         compared deployment's average gas price, or at an explicit price for budgeting.
+ */
+
+const { ethers } = require('ethers');
+const { summarizeGas, summarizeReceipt } = require('./manifestDeployer');
+
+// Deployment gas this far above the dry-run estimate is reported as a regression
+const DEFAULT_REGRESSION_THRESHOLD = 0.1;
+
+/**
+ * Adds a transaction to a running { transactions, gasUsed, cost } total
+ * @param {Object} total - Total to update
+ * @param {Object} tx - Registry transaction
+ */
+function addToTotal(total, tx) {
+  total.transactions += 1;
+  total.gasUsed += BigInt(tx.gasUsed);
+  total.cost += tx.cost !== undefined ? BigInt(tx.cost) : 0n;
+}
+
+/**
+ * @returns {{ transactions: number, gasUsed: bigint, cost: bigint }} Empty total
+ */
+function emptyTotal() {
+  return { transactions: 0, gasUsed: 0n, cost: 0n };
+}
+
+/**
+ * Converts a total to its serializable form
+ * @param {Object} total - Total with bigint amounts
+ * @returns {{ transactions: number, gasUsed: string, cost: string }} Total with decimal strings
+ */
+function serializeTotal(total) {
+  return { transactions: total.transactions, gasUsed: total.gasUsed.toString(), cost: total.cost.toString() };
+}
+
+/**
+ * Totals the gas and ETH spent by a recorded deployment
+ * @param {Object} deployment - Deployment registry entry
+ * @returns {Object} Total, per-phase and per-contract costs (amounts as decimal strings, costs in wei),
+ *          the average gas price, and the hashes of transactions recorded without gas or price
+ */
+function summarizeCosts(deployment) {
+  const total = emptyTotal();
+  const phases = {};
+  const contracts = {};
+  const unmetered = [];
+  const unpriced = [];
+
+  for (const tx of deployment.transactions) {
+    if (tx.gasUsed === undefined) {
+      unmetered.push(tx.hash || `${tx.contract}${tx.method ? `.${tx.method}` : ''}`);
+      continue;
+    }
+    if (tx.cost === undefined) unpriced.push(tx.hash);
+
+    addToTotal(total, tx);
+    phases[tx.type] = phases[tx.type] || emptyTotal();
+    addToTotal(phases[tx.type], tx);
+
+    if (!tx.contract) continue;
+    contracts[tx.contract] = contracts[tx.contract] || { deploy: emptyTotal(), calls: emptyTotal(), total: emptyTotal() };
+    addToTotal(tx.type === 'deploy' ? contracts[tx.contract].deploy : contracts[tx.contract].calls, tx);
+    addToTotal(contracts[tx.contract].total, tx);
+  }
+
+  // Average over the transactions that recorded a price
+  const priced = deployment.transactions.filter(tx => tx.gasUsed !== undefined && tx.cost !== undefined);
+  const pricedGas = priced.reduce((sum, tx) => sum + BigInt(tx.gasUsed), 0n);
+  const averageGasPrice = pricedGas > 0n ? (total.cost / pricedGas).toString() : null;
+
+  return {
+    total: serializeTotal(total),
+    averageGasPrice,
+    phases: Object.fromEntries(Object.entries(phases).map(([phase, phaseTotal]) => [phase, serializeTotal(phaseTotal)])),
+    contracts: Object.fromEntries(Object.entries(contracts).map(([name, costs]) => [name, {
+      deploy: serializeTotal(costs.deploy),
+      calls: serializeTotal(costs.calls),
+      total: serializeTotal(costs.total)
+    }])),
+    unmetered,
+    unpriced
+  };
+}
+
+/**
+ * Gas per deployment and per configuration call estimated by a dry run: its gasUsed block,
+ * or the same summary rebuilt from its transactions
+ * @param {Object} dryRun - Dry-run registry entry
+ * @returns {{ deployment: Object<string, string>, configuration: Object<string, string>, total: string }} Estimate
+ */
+function dryRunEstimate(dryRun) {
+  return dryRun.gasUsed && dryRun.gasUsed.deployment ? dryRun.gasUsed : summarizeGas(dryRun.transactions);
+}
+
+/**
+ * Finds the dry run to compare a deployment with: the latest dry run of the same manifest
+ * version recorded before it, otherwise the latest dry run recorded before it
+ * @param {DeploymentRegistry} registry - Network registry
+ * @param {Object} deployment - Deployment registry entry
+ * @returns {Object|null} Dry-run entry
+ */
+function findMatchingDryRun(registry, deployment) {
+  const candidates = registry.deployments({ includeDryRuns: true })
+    .filter(entry => entry.dryRun && entry !== deployment && Date.parse(entry.timestamp) <= Date.parse(deployment.timestamp));
+  const sameManifest = candidates.filter(entry =>
+    entry.manifest && deployment.manifest &&
+    entry.manifest.name === deployment.manifest.name &&
+    entry.manifest.version === deployment.manifest.version
+  );
+  const [match] = (sameManifest.length > 0 ? sameManifest : candidates).slice(-1);
+  return match || null;
+}
+
+/**
+ * Compares the gas of every deployment and configuration call with a dry-run estimate
+ * @param {Object} deployment - Deployment registry entry
+ * @param {Object} dryRun - Dry-run registry entry
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Relative excess over the estimate flagged as a regression
+ * @returns {Object[]} One row per step: key, kind, estimated, actual, delta (gas as decimal strings or
+ *          null when one side is missing), ratio (actual / estimated) and regression
+ */
+function compareWithEstimate(deployment, dryRun, options = {}) {
+  const { threshold = DEFAULT_REGRESSION_THRESHOLD } = options;
+  const estimate = dryRunEstimate(dryRun);
+  const actual = summarizeGas(deployment.transactions.filter(tx => tx.type === 'deploy' || tx.type === 'configure'));
+
+  const rows = [];
+  for (const [kind, field] of [['deploy', 'deployment'], ['configure', 'configuration']]) {
+    const keys = [...new Set([...Object.keys(actual[field]), ...Object.keys(estimate[field] || {})])];
+    for (const key of keys) {
+      const estimated = estimate[field] && estimate[field][key] !== undefined ? BigInt(estimate[field][key]) : null;
+      const spent = actual[field][key] !== undefined ? BigInt(actual[field][key]) : null;
+      const comparable = estimated !== null && spent !== null && estimated > 0n;
+      const ratio = comparable ? Number(spent * 10000n / estimated) / 10000 : null;
+      rows.push({
+        key,
+        kind,
+        estimated: estimated === null ? null : estimated.toString(),
+        actual: spent === null ? null : spent.toString(),
+        delta: estimated === null || spent === null ? null : (spent - estimated).toString(),
+        ratio,
+        regression: ratio !== null && ratio > 1 + threshold
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Builds the cost report of a deployment, optionally against a dry-run estimate
+ * @param {Object} options - Report options
+ * @param {string} options.network - Network name
+ * @param {Object} options.deployment - Deployment registry entry (a dry run gives a budget)
+ * @param {Object} [options.dryRun] - Dry-run entry to compare with
+ * @param {bigint} [options.gasPrice] - Gas price (wei) for the estimate; defaults to the deployment's
+ *        average effective gas price, except for dry runs whose recorded price is not meaningful
+ * @param {number} [options.threshold] - See compareWithEstimate
+ * @returns {Object} Serializable report
+ */
+function buildCostReport(options) {
+  const { network, deployment, dryRun, threshold } = options;
+  const costs = summarizeCosts(deployment);
+  const recordedPrice = !deployment.dryRun && costs.averageGasPrice !== null ? BigInt(costs.averageGasPrice) : null;
+  const gasPrice = options.gasPrice !== undefined ? options.gasPrice : recordedPrice;
+
+  const report = {
+    network,
+    deployment: { id: deployment.id, dryRun: deployment.dryRun, timestamp: deployment.timestamp, manifest: deployment.manifest },
+    ...costs,
+    budget: null,
+    comparison: null
+  };
+
+  if (deployment.dryRun) {
+    // A dry run only tells how much gas a deployment takes
+    const budgetGas = BigInt(dryRunEstimate(deployment).total || 0);
+    report.budget = {
+      gasUsed: budgetGas.toString(),
+      gasPrice: gasPrice === null ? null : gasPrice.toString(),
+      cost: gasPrice === null ? null : (budgetGas * gasPrice).toString()
+    };
+  }
+
+  if (dryRun) {
+    const rows = compareWithEstimate(deployment, dryRun, { threshold });
+    const estimatedGas = BigInt(dryRunEstimate(dryRun).total || 0);
+    report.comparison = {
+      dryRun: { id: dryRun.id, timestamp: dryRun.timestamp, manifest: dryRun.manifest },
+      gasPrice: gasPrice === null ? null : gasPrice.toString(),
+      estimatedGas: estimatedGas.toString(),
+      estimatedCost: gasPrice === null ? null : (estimatedGas * gasPrice).toString(),
+      rows,
+      regressions: rows.filter(row => row.regression).map(row => row.key)
+    };
+  }
+
+  return report;
+}
+
+/**
+ * Formats wei as ETH, or '-' when unknown
+ * @param {string|null} wei - Amount in wei
+ * @returns {string} Amount in ETH
+ */
+function formatEth(wei) {
+  return wei === null || wei === undefined ? '-' : `${ethers.formatEther(wei)} ETH`;
+}
+
+/**
+ * Formats wei as gwei, or '-' when unknown
+ * @param {string|null} wei - Gas price in wei
+ * @returns {string} Gas price in gwei
+ */
+function formatGwei(wei) {
+  return wei === null || wei === undefined ? '-' : `${ethers.formatUnits(wei, 'gwei')} gwei`;
+}
+
+/**
+ * Renders a cost report as markdown
+ * @param {Object} report - Report returned by buildCostReport
+ * @returns {string} Markdown document
+ */
+function formatCostReport(report) {
+  const { deployment } = report;
+  const lines = [
+    `# Deployment costs: ${report.network} ${deployment.id}`,
+    '',
+    `- Deployment: ${deployment.id}${deployment.dryRun ? ' (dry run)' : ''}, ${deployment.timestamp}`,
+    `- Manifest: ${deployment.manifest ? `${deployment.manifest.name} ${deployment.manifest.version}` : 'unknown'}`,
+    `- Transactions: ${report.total.transactions}, ${report.total.gasUsed} gas, ${formatEth(report.total.cost)}`,
+    `- Average gas price: ${formatGwei(report.averageGasPrice)}`
+  ];
+  if (report.budget) {
+    lines.push(`- Budget: ${report.budget.gasUsed} gas, ${formatEth(report.budget.cost)} at ${formatGwei(report.budget.gasPrice)}`);
+  }
+  if (report.unmetered.length > 0) {
+    lines.push(`- Recorded without gas usage (not counted): ${report.unmetered.join(', ')}`);
+  }
+  if (report.unpriced.length > 0) {
+    lines.push(`- Recorded without gas price (cost not counted): ${report.unpriced.join(', ')}`);
+  }
+
+  lines.push('', '## Per phase', '', '| Phase | Transactions | Gas used | Cost |', '| --- | ---: | ---: | ---: |');
+  for (const [phase, total] of Object.entries(report.phases)) {
+    lines.push(`| ${phase} | ${total.transactions} | ${total.gasUsed} | ${formatEth(total.cost)} |`);
+  }
+
+  lines.push('', '## Per contract', '', '| Contract | Deployment gas | Calls | Call gas | Total cost |', '| --- | ---: | ---: | ---: | ---: |');
+  for (const [name, costs] of Object.entries(report.contracts)) {
+    lines.push(`| ${name} | ${costs.deploy.gasUsed} | ${costs.calls.transactions} | ${costs.calls.gasUsed} | ${formatEth(costs.total.cost)} |`);
+  }
+
+  if (report.comparison) {
+    const { comparison } = report;
+    lines.push(
+      '',
+      `## Estimate vs actual (dry run ${comparison.dryRun.id})`,
+      '',
+      `Estimated ${comparison.estimatedGas} gas, ${formatEth(comparison.estimatedCost)} at ${formatGwei(comparison.gasPrice)}.`,
+      '',
+      '| Step | Estimated gas | Actual gas | Delta | Actual / estimate |',
+      '| --- | ---: | ---: | ---: | ---: |'
+    );
+    for (const row of comparison.rows) {
+      const ratio = row.ratio === null ? '-' : `${(row.ratio * 100).toFixed(1)}%${row.regression ? ' ⚠️' : ''}`;
+      const label = row.kind === 'deploy' ? `deploy ${row.key}` : row.key;
+      lines.push(`| ${label} | ${row.estimated ?? '-'} | ${row.actual ?? '-'} | ${row.delta ?? '-'} | ${ratio} |`);
+    }
+    if (comparison.regressions.length > 0) {
+      lines.push('', `⚠️ Above the estimate: ${comparison.regressions.join(', ')}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Fills in gas usage, gas price and cost for transactions recorded without them, from their receipts
+ * @param {Object} deployment - Deployment registry entry, updated in place
+ * @param {Function} fetchReceipt - async (txHash) => ethers TransactionReceipt or null
+ * @returns {Promise<number>} Number of transactions updated
+ */
+async function backfillCosts(deployment, fetchReceipt) {
+  let updated = 0;
+  for (const tx of deployment.transactions) {
+    if (!tx.hash || (tx.gasUsed !== undefined && tx.cost !== undefined)) continue;
+    const receipt = await fetchReceipt(tx.hash);
+    if (!receipt) continue;
+    Object.assign(tx, summarizeReceipt(receipt));
+    updated += 1;
+  }
+  return updated;
+}
+
+module.exports = {
+  DEFAULT_REGRESSION_THRESHOLD,
+  summarizeCosts,
+  dryRunEstimate,
+  findMatchingDryRun,
+  compareWithEstimate,
+  buildCostReport,
+  formatCostReport,
+  backfillCosts
+};
@@ -0,0 +1,198 @@
+/**
+ * @title D-Loop Protocol Deployment Journal
+ * @dev Checkpoint file written after every confirmed deployment or configuration transaction
+ * @notice A deployment that fails half-way keeps the record of everything already on-chain,
+ *         and a rerun with --resume continues from the first step that is not in the journal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Returns the default journal location for a network
+ * @param {string} networkName - Hardhat network name
+ * @returns {string} Absolute journal path
+ */
+function defaultJournalPath(networkName) {
+  return path.join(__dirname, '..', '..', 'deployments', `${networkName}-journal.json`);
+}
+
+/**
+ * Identifier of the step that deploys a manifest contract
+ * @param {Object} entry - Resolved manifest contract entry
+ * @returns {string} Step identifier
+ */
+function deployStepId(entry) {
+  return `deploy:${entry.name}`;
+}
+
+/**
+ * Identifier of a post-deployment step; the index keeps repeated calls distinct
+ * @param {Object} step - Resolved post-deployment step
+ * @param {number} index - Position of the step in the manifest
+ * @returns {string} Step identifier
+ */
+function configureStepId(step, index) {
+  return `configure:${index}:${step.contract}.${step.signature}`;
+}
+
+/**
+ * Append-only journal of confirmed deployment steps, persisted on every change
+ */
+class DeploymentJournal {
+  /**
+   * @param {string} filePath - Where the journal is stored
+   * @param {Object} data - Journal contents
+   */
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * Starts a new journal, refusing to overwrite an unfinished one
+   * @param {string} filePath - Where the journal is stored
+   * @param {Object} meta - Network, chainId, deployer and manifest identification, parameter profile
+   *        and deployment mode
+   * @returns {DeploymentJournal} New journal
+   */
+  static create(filePath, meta) {
+    if (fs.existsSync(filePath)) {
+      const existing = DeploymentJournal.load(filePath);
+      if (!existing.data.completedAt) {
+        throw new Error(
+          `An unfinished deployment journal exists at ${filePath}. ` +
+          'Rerun with --resume to continue it, or move it away to start over.'
+        );
+      }
+    }
+
+    const journal = new DeploymentJournal(filePath, {
+      version: JOURNAL_VERSION,
+      ...meta,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+      steps: []
+    });
+    journal.save();
+    return journal;
+  }
+
+  /**
+   * Starts a journal that is never written to disk, for dry runs on throwaway chains
+   * @param {Object} meta - Network, chainId, deployer and manifest identification, parameter profile
+   *        and deployment mode
+   * @returns {DeploymentJournal} New in-memory journal
+   */
+  static inMemory(meta) {
+    return new DeploymentJournal(null, {
+      version: JOURNAL_VERSION,
+      ...meta,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+      steps: []
+    });
+  }
+
+  /**
+   * Loads an existing journal
+   * @param {string} filePath - Where the journal is stored
+   * @returns {DeploymentJournal} Loaded journal
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No deployment journal found at ${filePath}`);
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported deployment journal version ${data.version} in ${filePath}`);
+    }
+    return new DeploymentJournal(filePath, data);
+  }
+
+  /**
+   * Writes the journal atomically so an interrupted write never corrupts it;
+   * in-memory journals are not persisted
+   */
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @param {string} id - Step identifier
+   * @returns {Object|undefined} Recorded step
+   */
+  get(id) {
+    return this.data.steps.find(step => step.id === id);
+  }
+
+  /**
+   * @param {string} id - Step identifier
+   * @returns {boolean} True if the step has been confirmed on-chain
+   */
+  isComplete(id) {
+    return Boolean(this.get(id));
+  }
+
+  /**
+   * Records a confirmed step and persists the journal immediately
+   * @param {Object} step - Step details; must contain an id
+   */
+  record(step) {
+    if (this.isComplete(step.id)) {
+      throw new Error(`Step ${step.id} is already recorded in the journal`);
+    }
+    this.data.steps.push({ ...step, confirmedAt: new Date().toISOString() });
+    this.data.updatedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Marks every step as done
+   */
+  complete() {
+    this.data.completedAt = new Date().toISOString();
+    this.data.updatedAt = this.data.completedAt;
+    this.save();
+  }
+
+  /**
+   * @returns {Object[]} Recorded deployment steps
+   */
+  deployments() {
+    return this.data.steps.filter(step => step.type === 'deploy');
+  }
+}
+
+/**
+ * Confirms that every contract recorded in the journal still has code on-chain
+ * @param {DeploymentJournal} journal - Journal to check
+ * @param {Object} provider - ethers provider connected to the target network
+ * @returns {Promise<string[]>} Contract names whose address has no code
+ */
+async function findMissingCode(journal, provider) {
+  const missing = [];
+  for (const step of journal.deployments()) {
+    const code = await provider.getCode(step.address);
+    if (!code || code === '0x') {
+      missing.push(step.contract);
+    }
+  }
+  return missing;
+}
+
+module.exports = {
+  DeploymentJournal,
+  defaultJournalPath,
+  deployStepId,
+  configureStepId,
+  findMissingCode
+};
@@ -0,0 +1,401 @@
+/**
+ * @title D-Loop Protocol Deployment Registry
+ * @dev Versioned per-network record of every deployment and the address book derived from it
+ * @notice One file per network, deployments/<network>.json, holds every deployment (full or
+ *         partial) in chronological order. Scripts resolve addresses through this module
+ *         instead of scanning the deployments directory themselves. Legacy per-run files
+ *         (<network>-deployment-*, deployment-<network>-*, dry-run-<network>-*) are converted
+ *         by migrateDirectory().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_SCHEMA_VERSION = 1;
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'deployments');
+
+// Legacy file names: [pattern, dryRun]. The network is the first capture group.
+const LEGACY_FILE_PATTERNS = [
+  [/^dry-run-(.+?)-(\d{4}-\d{2}-\d{2}T.+)\.json$/, true],
+  [/^deployment-(.+?)-(\d{4}-\d{2}-\d{2}T.+)\.json$/, false],
+  [/^(.+?)-deployment-(.+)\.json$/, false]
+];
+
+/**
+ * Returns the registry location for a network
+ * @param {string} networkName - Hardhat network name
+ * @param {string} [directory] - Deployments directory
+ * @returns {string} Registry path
+ */
+function registryPath(networkName, directory = DEFAULT_DIRECTORY) {
+  return path.join(directory, `${networkName}.json`);
+}
+
+/**
+ * Checks registry contents against the schema
+ * @param {Object} data - Parsed registry
+ * @returns {string[]} Problems found
+ */
+function validateRegistry(data) {
+  const issues = [];
+  if (!data || typeof data !== 'object') return ['Registry is not a JSON object'];
+  if (data.schemaVersion !== REGISTRY_SCHEMA_VERSION) {
+    issues.push(`Unsupported schema version ${data.schemaVersion}; expected ${REGISTRY_SCHEMA_VERSION}`);
+  }
+  if (typeof data.network !== 'string') issues.push('network must be a string');
+  if (!Array.isArray(data.deployments)) return [...issues, 'deployments must be an array'];
+
+  const ids = new Set();
+  data.deployments.forEach((deployment, index) => {
+    const label = `deployments[${index}]`;
+    if (typeof deployment.id !== 'string') issues.push(`${label}.id must be a string`);
+    if (ids.has(deployment.id)) issues.push(`${label}.id ${deployment.id} is not unique`);
+    ids.add(deployment.id);
+    if (typeof deployment.dryRun !== 'boolean') issues.push(`${label}.dryRun must be a boolean`);
+    if (Number.isNaN(Date.parse(deployment.timestamp))) issues.push(`${label}.timestamp must be an ISO date`);
+    if (deployment.blockNumber !== null && !Number.isInteger(deployment.blockNumber)) {
+      issues.push(`${label}.blockNumber must be an integer or null`);
+    }
+    if (!deployment.contracts || typeof deployment.contracts !== 'object') {
+      issues.push(`${label}.contracts must be an object`);
+      return;
+    }
+    for (const [name, contract] of Object.entries(deployment.contracts)) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(contract.address || '')) {
+        issues.push(`${label}.contracts.${name}.address is not an address`);
+      }
+    }
+    if (!Array.isArray(deployment.transactions)) issues.push(`${label}.transactions must be an array`);
+  });
+  return issues;
+}
+
+/**
+ * Builds a deployment id from its timestamp, e.g. 2025-04-15T22-38-02.087Z
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Deployment id
+ */
+function deploymentId(timestamp) {
+  return new Date(timestamp).toISOString().replace(/:/g, '-');
+}
+
+/**
+ * Lowest block number among a set of values, ignoring unknown ones
+ * @param {Array<number|null|undefined>} blocks - Block numbers
+ * @returns {number|null} Lowest known block
+ */
+function firstBlock(blocks) {
+  const known = blocks.filter(Number.isInteger);
+  return known.length > 0 ? Math.min(...known) : null;
+}
+
+/**
+ * Converts a deployment result (as written by the deploy and dry-run scripts) into a registry entry
+ * @param {Object} result - Deployment result: network, contracts, transactions and optional extras
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.dryRun] - Overrides result.dryRun
+ * @param {string} [options.source] - Legacy file the entry was migrated from
+ * @returns {Object} Registry entry (without id)
+ */
+function toRegistryEntry(result, options = {}) {
+  const network = result.network || {};
+  const transactions = (result.transactions || []).map(tx => ({
+    ...tx,
+    // Legacy files used 'deployment'/'configuration'
+    type: tx.type === 'deployment' ? 'deploy' : tx.type === 'configuration' ? 'configure' : tx.type
+  }));
+  const deployBlocks = new Map(
+    transactions.filter(tx => tx.type === 'deploy').map(tx => [tx.contract, tx.blockNumber])
+  );
+
+  const contracts = {};
+  for (const [name, info] of Object.entries(result.contracts || {})) {
+    contracts[name] = {
+      ...info,
+      blockNumber: Number.isInteger(info.blockNumber) ? info.blockNumber : deployBlocks.get(name) ?? null
+    };
+  }
+
+  const entry = {
+    dryRun: options.dryRun !== undefined ? options.dryRun : Boolean(result.dryRun),
+    timestamp: network.timestamp || new Date().toISOString(),
+    deployer: network.deployer || null,
+    manifest: result.manifest || null,
+    blockNumber: firstBlock([
+      ...Object.values(contracts).map(contract => contract.blockNumber),
+      ...transactions.map(tx => tx.blockNumber)
+    ]),
+    contracts,
+    transactions
+  };
+  for (const key of ['gasUsed', 'steps', 'state', 'replaces', 'deterministic', 'profile']) {
+    if (result[key] !== undefined) entry[key] = result[key];
+  }
+  if (options.source) entry.source = options.source;
+  return entry;
+}
+
+/**
+ * Every deployment of one network, plus address book queries over them
+ */
+class DeploymentRegistry {
+  /**
+   * @param {string} filePath - Where the registry is stored
+   * @param {Object} data - Registry contents
+   */
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * Loads the registry of a network, or an empty one if none has been written yet
+   * @param {string} networkName - Hardhat network name
+   * @param {Object} [options] - Load options
+   * @param {string} [options.directory] - Deployments directory
+   * @param {number} [options.chainId] - Chain id recorded when the registry is created
+   * @returns {DeploymentRegistry} Registry
+   * @throws {Error} If the file exists but does not match the schema
+   */
+  static load(networkName, options = {}) {
+    const filePath = registryPath(networkName, options.directory);
+    if (!fs.existsSync(filePath)) {
+      return new DeploymentRegistry(filePath, {
+        schemaVersion: REGISTRY_SCHEMA_VERSION,
+        network: networkName,
+        chainId: options.chainId ?? null,
+        deployments: []
+      });
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const issues = validateRegistry(data);
+    if (issues.length > 0) {
+      throw new Error(`Invalid deployment registry ${filePath}:\n  - ${issues.join('\n  - ')}`);
+    }
+    return new DeploymentRegistry(filePath, data);
+  }
+
+  /**
+   * Writes the registry atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Adds a deployment, keeping deployments in chronological order, and saves the registry
+   * @param {Object} result - Deployment result written by a deploy or dry-run script
+   * @param {Object} [options] - See toRegistryEntry
+   * @returns {Object} Stored entry, including its id
+   */
+  record(result, options = {}) {
+    const entry = toRegistryEntry(result, options);
+    if (this.data.chainId === null && !entry.dryRun && result.network && result.network.chainId) {
+      this.data.chainId = result.network.chainId;
+    }
+
+    let id = deploymentId(entry.timestamp);
+    for (let suffix = 2; this.data.deployments.some(existing => existing.id === id); suffix++) {
+      id = `${deploymentId(entry.timestamp)}-${suffix}`;
+    }
+    const stored = { id, ...entry };
+
+    const deployments = [...this.data.deployments, stored];
+    deployments.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    this.data.deployments = deployments;
+    this.save();
+    return stored;
+  }
+
+  /**
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeDryRuns=false] - Include dry runs
+   * @param {boolean} [options.withContracts=false] - Only entries that deployed contracts, not the
+   *        ones recording reconciliation, rewiring or handoff transactions
+   * @returns {Object[]} Deployments, oldest first
+   */
+  deployments(options = {}) {
+    return this.data.deployments.filter(deployment =>
+      (options.includeDryRuns || !deployment.dryRun) &&
+      (!options.withContracts || Object.keys(deployment.contracts).length > 0)
+    );
+  }
+
+  /**
+   * @param {Object} [options] - See deployments()
+   * @returns {Object|null} Most recent deployment
+   */
+  latest(options = {}) {
+    const deployments = this.deployments(options);
+    return deployments.length > 0 ? deployments[deployments.length - 1] : null;
+  }
+
+  /**
+   * @param {string} id - Deployment id
+   * @returns {Object|undefined} Deployment
+   */
+  get(id) {
+    return this.data.deployments.find(deployment => deployment.id === id);
+  }
+
+  /**
+   * Current record of a contract: its entry in the latest deployment that includes it
+   * @param {string} name - Contract name
+   * @returns {Object|null} Contract record with the id of the deployment it came from
+   */
+  contract(name) {
+    const [current] = this.history(name).slice(-1);
+    return current || null;
+  }
+
+  /**
+   * @param {string} name - Contract name
+   * @returns {string|null} Current address of the contract
+   */
+  currentAddress(name) {
+    const current = this.contract(name);
+    return current ? current.address : null;
+  }
+
+  /**
+   * Every address a contract has had, oldest first
+   * @param {string} name - Contract name
+   * @returns {Object[]} Contract records with deploymentId and timestamp
+   */
+  history(name) {
+    return this.deployments()
+      .filter(deployment => deployment.contracts[name])
+      .map(deployment => ({
+        ...deployment.contracts[name],
+        deploymentId: deployment.id,
+        timestamp: deployment.timestamp
+      }));
+  }
+
+  /**
+   * Current contract records, by name
+   * @returns {Object<string, Object>} Contract name to current record
+   */
+  contracts() {
+    const contracts = {};
+    for (const deployment of this.deployments()) {
+      for (const name of Object.keys(deployment.contracts)) {
+        contracts[name] = { ...deployment.contracts[name], deploymentId: deployment.id, timestamp: deployment.timestamp };
+      }
+    }
+    return contracts;
+  }
+
+  /**
+   * Current address of every contract
+   * @returns {Object<string, string>} Contract name to address
+   */
+  addressBook() {
+    return Object.fromEntries(Object.entries(this.contracts()).map(([name, record]) => [name, record.address]));
+  }
+
+  /**
+   * The latest deployment that had started by the given block. Deployments without a known
+   * block number (e.g. migrated without --fetch-blocks) are not considered.
+   * @param {number} blockNumber - Block number
+   * @returns {Object|null} Deployment
+   */
+  deploymentAtBlock(blockNumber) {
+    const live = this.deployments().filter(deployment =>
+      deployment.blockNumber !== null && deployment.blockNumber <= blockNumber
+    );
+    return live.length > 0 ? live[live.length - 1] : null;
+  }
+
+  /**
+   * Address of every contract that was deployed at the given block
+   * @param {number} blockNumber - Block number
+   * @returns {Object<string, string>} Contract name to address
+   */
+  addressBookAtBlock(blockNumber) {
+    const book = {};
+    for (const deployment of this.deployments()) {
+      for (const [name, contract] of Object.entries(deployment.contracts)) {
+        const block = contract.blockNumber ?? deployment.blockNumber;
+        if (block !== null && block <= blockNumber) book[name] = contract.address;
+      }
+    }
+    return book;
+  }
+}
+
+/**
+ * Recognizes a legacy per-run deployment file
+ * @param {string} fileName - File name inside the deployments directory
+ * @returns {{ network: string, dryRun: boolean }|null} Legacy file details
+ */
+function parseLegacyFileName(fileName) {
+  for (const [pattern, dryRun] of LEGACY_FILE_PATTERNS) {
+    const match = fileName.match(pattern);
+    if (match) return { network: match[1], dryRun };
+  }
+  return null;
+}
+
+/**
+ * Converts every legacy deployment file in a directory into registry entries
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.directory] - Deployments directory
+ * @param {boolean} [options.prune=false] - Delete legacy files once migrated
+ * @param {Function} [options.lookupBlock] - async (networkName, txHash) => block number, used to
+ *        fill in block numbers that legacy files did not record
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<Object[]>} One { file, network, id, skipped } per legacy file
+ */
+async function migrateDirectory(options = {}) {
+  const { directory = DEFAULT_DIRECTORY, prune = false, lookupBlock, log = console.log } = options;
+  const migrated = [];
+  const registries = new Map();
+
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).sort() : [];
+  for (const file of files) {
+    const legacy = parseLegacyFileName(file);
+    if (!legacy) continue;
+
+    const data = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    const networkName = (data.network && data.network.name) || legacy.network;
+    if (!registries.has(networkName)) {
+      registries.set(networkName, DeploymentRegistry.load(networkName, { directory }));
+    }
+    const registry = registries.get(networkName);
+
+    const existing = registry.data.deployments.find(deployment => deployment.source === file);
+    if (existing) {
+      log(`${file} already migrated as ${networkName}/${existing.id}`);
+      migrated.push({ file, network: networkName, id: existing.id, skipped: true });
+    } else {
+      if (lookupBlock && !legacy.dryRun) {
+        for (const tx of data.transactions || []) {
+          if (tx.hash && !Number.isInteger(tx.blockNumber)) tx.blockNumber = await lookupBlock(networkName, tx.hash);
+        }
+      }
+      const stored = registry.record(data, { dryRun: legacy.dryRun, source: file });
+      log(`Migrated ${file} to ${path.basename(registry.filePath)} as ${stored.id}`);
+      migrated.push({ file, network: networkName, id: stored.id, skipped: false });
+    }
+
+    if (prune) {
+      fs.unlinkSync(path.join(directory, file));
+    }
+  }
+  return migrated;
+}
+
+module.exports = {
+  REGISTRY_SCHEMA_VERSION,
+  DeploymentRegistry,
+  registryPath,
+  validateRegistry,
+  toRegistryEntry,
+  parseLegacyFileName,
+  migrateDirectory
+};
@@ -1,8 +1,8 @@
 const { ethers } = require("hardhat");
 
-async function deployContract(name, args = []) {
+async function deployContract(name, args = [], signer = undefined) {
     console.log(`Deploying ${name}...`);
-    const Factory = await ethers.getContractFactory(name);
+    const Factory = await ethers.getContractFactory(name, signer);
     const contract = await Factory.deploy(...args);
     await contract.waitForDeployment();
     const address = await contract.getAddress();
@@ -10,12 +10,13 @@ async function deployContract(name, args = []) {
     return contract;
 }
 
-async function verifyContract(address, constructorArgs) {
+async function verifyContract(address, constructorArgs, contract) {
     console.log(`Verifying contract at ${address}...`);
     try {
         await hre.run("verify:verify", {
             address: address,
             constructorArguments: constructorArgs,
+            contract,
         });
         console.log("Verification successful");
     } catch (e) {
@@ -27,8 +28,9 @@ async function initializeContract(contract, initFunction, args) {
     console.log(`Initializing ${await contract.getAddress()}...`);
     try {
         const tx = await contract[initFunction](...args);
-        await tx.wait();
+        const receipt = await tx.wait();
         console.log("Initialization successful");
+        return receipt;
     } catch (e) {
         console.error("Initialization failed:", e);
         throw e;
@@ -0,0 +1,280 @@
+/**
+ * @title D-Loop Protocol Deterministic Deployment
+ * @dev CREATE2 deployment mode: the same deployer gets the same contract addresses on every chain
+ * @notice Contracts are deployed by a DeterministicDeployer factory owned by the deployer. The
+ *         factory itself is deployed through the canonical CREATE2 proxy (present on most public
+ *         chains, installed with hardhat_setCode on development chains), so its address depends
+ *         only on its owner. Each manifest contract gets a salt derived from the manifest name,
+ *         version and contract name; its address then follows from the factory, the salt and its
+ *         creation code, and can be computed before anything is sent.
+ *
+ *         The factory is msg.sender in every constructor, so it is also what account('deployer')
+ *         resolves to. The deployer acts through it with a FactorySigner, which routes every
+ *         transaction through DeterministicDeployer.execute().
+ */
+
+const {
+  AbstractSigner,
+  AbiCoder,
+  Contract,
+  Interface,
+  concat,
+  getAddress,
+  getCreate2Address,
+  id,
+  keccak256,
+  resolveAddress,
+  ZeroHash
+} = require('ethers');
+const DETERMINISTIC_DEPLOYER = require('../config/deterministicDeployer');
+const { resolveArgs } = require('./manifestResolver');
+const { summarizeReceipt } = require('./manifestDeployer');
+
+// https://github.com/Arachnid/deterministic-deployment-proxy
+const CREATE2_PROXY = {
+  address: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+  code: '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3'
+};
+const FACTORY_SALT = ZeroHash;
+// Networks where the proxy may be installed with hardhat_setCode
+const DEVELOPMENT_NETWORKS = ['hardhat', 'localhost'];
+
+/**
+ * Derives the CREATE2 salt of a manifest contract
+ * @param {Object} manifest - Deployment manifest (name and version)
+ * @param {string} name - Manifest contract name
+ * @param {number} [instance=0] - Number of instances deployed before, so a redeploy of the same
+ *        creation code gets its own address
+ * @returns {string} bytes32 salt
+ */
+function contractSalt(manifest, name, instance = 0) {
+  return id(`${manifest.name}@${manifest.version}/${name}${instance > 0 ? `#${instance}` : ''}`);
+}
+
+/**
+ * Derives the salt of every contract in a plan
+ * @param {Object} manifest - Deployment manifest
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @returns {Object<string, string>} Contract name to salt
+ */
+function contractSalts(manifest, plan) {
+  return Object.fromEntries(plan.contracts.map(({ name }) => [name, contractSalt(manifest, name)]));
+}
+
+/**
+ * Returns the creation code of the factory owned by an account
+ * @param {string} owner - Factory owner
+ * @returns {string} Creation code including the constructor argument
+ */
+function factoryInitCode(owner) {
+  return concat([DETERMINISTIC_DEPLOYER.bytecode, AbiCoder.defaultAbiCoder().encode(['address'], [owner])]);
+}
+
+/**
+ * Computes where the factory owned by an account is deployed, on any chain
+ * @param {string} owner - Factory owner
+ * @returns {string} Factory address
+ */
+function factoryAddress(owner) {
+  return getCreate2Address(CREATE2_PROXY.address, FACTORY_SALT, keccak256(factoryInitCode(owner)));
+}
+
+/**
+ * Computes the address of every contract in a plan before deployment
+ * @param {Object} options - Prediction options
+ * @param {Object} options.artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object} options.manifest - Deployment manifest the plan was resolved from
+ * @param {string} options.owner - Deployer that will own the factory
+ * @returns {Promise<{ factory: string, contracts: Object[] }>} Factory address and one
+ *          { name, artifact, salt, address, args } per contract, in deployment order
+ */
+async function predictAddresses(options) {
+  const { artifacts, plan, manifest, owner } = options;
+  const factory = factoryAddress(owner);
+  const accounts = { deployer: factory };
+  const addresses = {};
+
+  const contracts = [];
+  for (const entry of plan.contracts) {
+    const compiled = await artifacts.readArtifact(entry.artifact);
+    const args = resolveArgs(entry.args, { accounts, addresses });
+    const initCode = concat([compiled.bytecode, new Interface(compiled.abi).encodeDeploy(args)]);
+    const salt = contractSalt(manifest, entry.name);
+    addresses[entry.name] = getCreate2Address(factory, salt, keccak256(initCode));
+    contracts.push({ name: entry.name, artifact: entry.artifact, salt, address: addresses[entry.name], args });
+  }
+  return { factory, contracts };
+}
+
+/**
+ * Finds predicted addresses that already have code, i.e. salts already used on a chain
+ * @param {Object} provider - ethers provider of the chain
+ * @param {Object[]} contracts - Predictions returned by predictAddresses
+ * @returns {Promise<Object[]>} The predictions whose address is taken
+ */
+async function findCollisions(provider, contracts) {
+  const collisions = [];
+  for (const contract of contracts) {
+    if ((await provider.getCode(contract.address)) !== '0x') collisions.push(contract);
+  }
+  return collisions;
+}
+
+/**
+ * Deploys the factory owned by a signer, and on development chains the CREATE2 proxy, unless
+ * they already exist
+ * @param {Object} options - Install options
+ * @param {Object} options.signer - Deployer; becomes the factory owner
+ * @param {string} options.networkName - Hardhat network name
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<{ address: string, receipt: Object|null }>} Factory address, and the receipt if
+ *          it was deployed now
+ * @throws {Error} If the CREATE2 proxy is missing on a live network
+ */
+async function installFactory(options) {
+  const { signer, networkName, log = console.log } = options;
+  const { provider } = signer;
+
+  if ((await provider.getCode(CREATE2_PROXY.address)) === '0x') {
+    if (!DEVELOPMENT_NETWORKS.includes(networkName)) {
+      throw new Error(
+        `The CREATE2 proxy ${CREATE2_PROXY.address} is not deployed on ${networkName}; ` +
+        'deploy it first (see https://github.com/Arachnid/deterministic-deployment-proxy)'
+      );
+    }
+    await provider.send('hardhat_setCode', [CREATE2_PROXY.address, CREATE2_PROXY.code]);
+    log(`Installed the CREATE2 proxy at ${CREATE2_PROXY.address}`);
+  }
+
+  const owner = await signer.getAddress();
+  const address = factoryAddress(owner);
+  if ((await provider.getCode(address)) !== '0x') {
+    return { address, receipt: null };
+  }
+
+  const tx = await signer.sendTransaction({ to: CREATE2_PROXY.address, data: concat([FACTORY_SALT, factoryInitCode(owner)]) });
+  const receipt = await tx.wait();
+  if ((await provider.getCode(address)) === '0x') {
+    throw new Error(`Deploying the factory in tx ${receipt.hash} did not create code at ${address}`);
+  }
+  log(`DeterministicDeployer for ${owner} deployed to: ${address} in tx: ${receipt.hash}`);
+  return { address, receipt };
+}
+
+/**
+ * Sets up a deterministic deployment: installs the deployer's factory and derives the salts of the plan
+ * @param {Object} options - Setup options
+ * @param {Object} options.deployer - Deployer's signer; becomes the factory owner
+ * @param {Object} options.manifest - Deployment manifest (name and version)
+ * @param {Object} options.plan - Plan resolved from the manifest
+ * @param {string} options.networkName - Hardhat network name
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<{ signer: FactorySigner, create2Salts: Object<string, string>, record: Object, transaction: Object|null }>}
+ *          Signer and salts for executePlan, the registry's deterministic record ({ proxy, factory, owner }),
+ *          and the factory deployment transaction if it was deployed now
+ */
+async function prepareDeterministic(options) {
+  const { deployer, manifest, plan, networkName, log = console.log } = options;
+  const factory = await installFactory({ signer: deployer, networkName, log });
+  const transaction = factory.receipt
+    ? { type: 'factory', contract: 'DeterministicDeployer', ...summarizeReceipt(factory.receipt), timestamp: new Date().toISOString() }
+    : null;
+  log(`Deterministic mode: deploying with CREATE2 through ${factory.address}`);
+  return {
+    signer: new FactorySigner(deployer, factory.address),
+    create2Salts: contractSalts(manifest, plan),
+    record: { proxy: CREATE2_PROXY.address, factory: factory.address, owner: await deployer.getAddress() },
+    transaction
+  };
+}
+
+/**
+ * Signer that acts as the factory: every transaction is sent by the owner as
+ * DeterministicDeployer.execute(to, data), so the target sees the factory as msg.sender
+ */
+class FactorySigner extends AbstractSigner {
+  /**
+   * @param {Object} owner - Factory owner's signer
+   * @param {string} address - Factory address
+   */
+  constructor(owner, address) {
+    super(owner.provider);
+    this.owner = owner;
+    this.address = getAddress(address);
+    this.factory = new Contract(this.address, DETERMINISTIC_DEPLOYER.abi, owner);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new FactorySigner(this.owner.connect(provider), this.address);
+  }
+
+  /**
+   * Sends a call through the factory
+   * @param {Object} tx - Transaction request (to, data, value)
+   * @returns {Promise<Object>} Response of the owner's execute() transaction
+   */
+  async sendTransaction(tx) {
+    if (tx.to == null) {
+      throw new Error('A FactorySigner cannot deploy with CREATE; use deploy(salt, initCode)');
+    }
+    const to = await resolveAddress(tx.to, this.provider);
+    return this.factory.execute(to, tx.data || '0x', { value: tx.value || 0 });
+  }
+
+  /**
+   * Deploys creation code through the factory with CREATE2
+   * @param {string} salt - bytes32 salt
+   * @param {string} initCode - Creation code including constructor arguments
+   * @returns {Promise<{ address: string, tx: Object }>} Address of the new contract and the deploy transaction
+   * @throws {Error} If the salt is already used for this creation code on the chain
+   */
+  async deploy(salt, initCode) {
+    const address = getCreate2Address(this.address, salt, keccak256(initCode));
+    if ((await this.provider.getCode(address)) !== '0x') {
+      throw new Error(`Salt ${salt} is already used: ${address} already has code`);
+    }
+    return { address, tx: await this.factory.deploy(salt, initCode) };
+  }
+
+  async signTransaction() {
+    throw new Error('A FactorySigner cannot sign; its owner sends every transaction through execute()');
+  }
+
+  async signMessage() {
+    throw new Error('A FactorySigner cannot sign messages');
+  }
+
+  async signTypedData() {
+    throw new Error('A FactorySigner cannot sign typed data');
+  }
+}
+
+/**
+ * Returns the signer that acts as the deployer of a recorded deployment: for a deterministic
+ * deployment that is the deployer's factory, otherwise the deployer itself
+ * @param {Object} signer - Deployer's signer
+ * @param {Object|null} deployment - Registry entry of the deployment
+ * @returns {Object} Signer to send the deployer's transactions with
+ */
+function actingSigner(signer, deployment) {
+  if (!signer || !deployment || !deployment.deterministic) return signer;
+  return new FactorySigner(signer, deployment.deterministic.factory);
+}
+
+module.exports = {
+  CREATE2_PROXY,
+  contractSalt,
+  contractSalts,
+  factoryAddress,
+  predictAddresses,
+  findCollisions,
+  installFactory,
+  prepareDeterministic,
+  FactorySigner,
+  actingSigner
+};
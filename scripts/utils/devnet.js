@@ -0,0 +1,336 @@
+/**
+ * @title D-Loop Protocol Devnet
+ * @dev Builds the local devnet stack from the deployment manifest, seeds it from
+ *      scripts/config/devnetSeed.js and manages named chain snapshots
+ * @notice The devnet deploys the full manifest plus ChainlinkPriceOracle with one
+ *         MockAggregatorV3 feed per seeded token; AssetDAO reads its prices from
+ *         ChainlinkPriceOracle instead of PriceOracle. Used by scripts/deployment/devnet.js.
+ */
+
+const { ethers: ethersLib } = require('ethers');
+const { ref, account } = require('./manifestResolver');
+const { describeRevert } = require('./revertDecoder');
+
+const PROPOSAL_TYPES = ['Investment', 'Divestment', 'ParameterChange', 'Other'];
+const PROPOSAL_STATES = ['Pending', 'Active', 'Rejected', 'Approved', 'Executed', 'Canceled'];
+// The states AssetDAO itself assigns; the others exist in the enum only
+const SEEDABLE_STATES = ['Active', 'Executed', 'Canceled'];
+const SEEDED_TOKENS = ['DAIToken', 'DLoopToken'];
+
+/**
+ * Manifest name of the mock feed of a token
+ * @param {string} token - Manifest name of the token
+ * @returns {string} Feed contract name, e.g. DAITokenFeed
+ */
+function feedName(token) {
+  return `${token}Feed`;
+}
+
+/**
+ * Extends the deployment manifest with the devnet oracle and its mock feeds
+ * @param {Object} manifest - Deployment manifest (scripts/config/deploymentManifest.js)
+ * @param {Object} seed - Devnet seed
+ * @returns {Object} Devnet manifest, resolved like any other with resolveManifest
+ */
+function devnetManifest(manifest, seed) {
+  const feeds = seed.feeds || [];
+  return {
+    ...manifest,
+    name: `${manifest.name}-devnet`,
+    contracts: [
+      ...manifest.contracts.map(entry => (entry.name === 'AssetDAO'
+        ? { ...entry, args: entry.args.map(arg => (arg && arg.ref === 'PriceOracle' ? ref('ChainlinkPriceOracle') : arg)) }
+        : entry)),
+      { name: 'ChainlinkPriceOracle', args: [account('deployer')] },
+      ...feeds.map(feed => ({
+        name: feedName(feed.token),
+        artifact: 'MockAggregatorV3',
+        args: [feed.decimals, feed.description, feed.price]
+      }))
+    ],
+    postDeployment: [
+      ...manifest.postDeployment,
+      ...feeds.map(feed => ({
+        contract: 'ChainlinkPriceOracle',
+        method: 'setFeed',
+        args: [ref(feed.token), ref(feedName(feed.token)), feed.maxStaleness, feed.heartbeat, feed.reliability ?? 100]
+      }))
+    ]
+  };
+}
+
+/**
+ * Checks a seed against the devnet plan and the node's accounts
+ * @param {Object} seed - Devnet seed
+ * @param {Object} plan - Plan resolved from devnetManifest
+ * @param {number} accountCount - Number of accounts the node unlocks
+ * @returns {string[]} Problems found
+ */
+function validateSeed(seed, plan, accountCount) {
+  const issues = [];
+  const names = seed.accounts || {};
+  const contracts = new Set(plan.contracts.map(entry => entry.name));
+  const checkAccount = (name, label) => {
+    if (!(name in names)) issues.push(`${label} references unknown account ${name}`);
+  };
+  const checkAmount = (value, label) => {
+    if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value)) {
+      issues.push(`${label} must be a decimal string, got ${JSON.stringify(value)}`);
+    }
+  };
+
+  const indexes = new Map();
+  for (const [name, index] of Object.entries(names)) {
+    if (!Number.isInteger(index) || index < 0 || index >= accountCount) {
+      issues.push(`account ${name} must be a node account index between 0 and ${accountCount - 1}, got ${index}`);
+    } else if (indexes.has(index)) {
+      issues.push(`accounts ${indexes.get(index)} and ${name} are both account ${index}`);
+    }
+    indexes.set(index, name);
+  }
+
+  (seed.feeds || []).forEach((feed, index) => {
+    const label = `feeds[${index}]`;
+    if (!contracts.has(feed.token)) issues.push(`${label} is for ${feed.token}, which the manifest does not deploy`);
+    if (!Number.isInteger(feed.decimals)) issues.push(`${label} decimals must be an integer`);
+    if (!Number.isInteger(feed.maxStaleness)) issues.push(`${label} maxStaleness must be an integer (seconds)`);
+    if (!Number.isInteger(feed.heartbeat)) issues.push(`${label} heartbeat must be an integer (seconds)`);
+    checkAmount(feed.price, `${label} price`);
+  });
+
+  for (const [name, balances] of Object.entries(seed.balances || {})) {
+    checkAccount(name, 'balances');
+    for (const [token, amount] of Object.entries(balances)) {
+      if (!SEEDED_TOKENS.includes(token)) issues.push(`balances.${name} sets ${token}; only ${SEEDED_TOKENS.join(' and ')} are seeded`);
+      checkAmount(amount, `balances.${name}.${token}`);
+    }
+  }
+
+  (seed.assets || []).forEach((asset, index) => {
+    for (const [name, amount] of Object.entries(asset.investments || {})) {
+      checkAccount(name, `assets[${index}]`);
+      checkAmount(amount, `assets[${index}].investments.${name}`);
+    }
+  });
+
+  (seed.nodes || []).forEach((node, index) => {
+    checkAccount(node.node, `nodes[${index}]`);
+    checkAccount(node.owner, `nodes[${index}]`);
+  });
+
+  (seed.delegations || []).forEach((delegation, index) => {
+    checkAccount(delegation.from, `delegations[${index}]`);
+    checkAccount(delegation.to, `delegations[${index}]`);
+    if (delegation.from === delegation.to) issues.push(`delegations[${index}] delegates ${delegation.from} to itself`);
+    checkAmount(delegation.amount, `delegations[${index}] amount`);
+  });
+
+  (seed.proposals || []).forEach((proposal, index) => {
+    const label = `proposals[${index}]`;
+    checkAccount(proposal.proposer, label);
+    if (!PROPOSAL_TYPES.includes(proposal.type)) {
+      issues.push(`${label} type must be one of ${PROPOSAL_TYPES.join(', ')}, got ${proposal.type}`);
+    }
+    if (!contracts.has(proposal.asset) && !(proposal.asset in names)) {
+      issues.push(`${label} asset ${proposal.asset} is neither a manifest contract nor an account`);
+    }
+    checkAmount(proposal.amount, `${label} amount`);
+    Object.keys(proposal.votes || {}).forEach(name => checkAccount(name, `${label} votes`));
+    if (!SEEDABLE_STATES.includes(proposal.state)) {
+      issues.push(PROPOSAL_STATES.includes(proposal.state)
+        ? `${label} state ${proposal.state} is never assigned by AssetDAO; use ${SEEDABLE_STATES.join(', ')}`
+        : `${label} state must be one of ${SEEDABLE_STATES.join(', ')}, got ${proposal.state}`);
+    }
+  });
+  return issues;
+}
+
+/**
+ * Sends a transaction and waits for it, reporting reverts by name
+ * @param {string} label - What the transaction does, for errors
+ * @param {Object} contract - Contract the call goes to
+ * @param {Function} send - Returns the transaction promise
+ * @returns {Promise<Object>} Receipt
+ */
+async function sendSeedTransaction(label, contract, send) {
+  try {
+    const tx = await send();
+    return await tx.wait();
+  } catch (error) {
+    throw new Error(`Seeding failed at ${label}: ${describeRevert(error, contract.interface)}`);
+  }
+}
+
+/**
+ * Creates the seeded protocol state on a freshly deployed devnet
+ * @param {Object} options - Seeding options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.seed - Seed validated with validateSeed
+ * @param {Object<string, Object>} options.instances - Deployed contracts, as returned by executePlan
+ * @param {Object[]} options.signers - Node accounts by index; signers[0] deployed the stack
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<Object>} Accounts, assets, nodes, delegations and proposals created
+ */
+async function seedDevnet(options) {
+  const { ethers, seed, instances, signers, log = console.log } = options;
+  const { AssetDAO: assetDAO, AINodeRegistry: registry, DLoopToken: dloop, DAIToken: dai, FeeCalculator: feeCalculator } = instances;
+  const [deployer] = signers;
+  const accounts = Object.fromEntries(Object.entries(seed.accounts).map(([name, index]) => [name, signers[index]]));
+  const addresses = Object.fromEntries(Object.entries(accounts).map(([name, signer]) => [name, signer.address]));
+  const amount = value => ethers.parseEther(value);
+  const tokens = { DAIToken: dai, DLoopToken: dloop };
+
+  for (const [name, balances] of Object.entries(seed.balances || {})) {
+    for (const [token, value] of Object.entries(balances)) {
+      const contract = tokens[token];
+      await sendSeedTransaction(`${token} to ${name}`, contract, () => (token === 'DAIToken'
+        ? contract.connect(deployer).mint(addresses[name], amount(value))
+        : contract.connect(deployer).transfer(addresses[name], amount(value))));
+    }
+    log(`Funded ${name} (${addresses[name]})`);
+  }
+
+  // AssetDAO pays the invest fee out of its own D-AI balance, so it is funded with the fees up front
+  const investments = (seed.assets || []).flatMap(asset => Object.values(asset.investments || {}));
+  let feeFloat = 0n;
+  for (const value of investments) feeFloat += await feeCalculator.calculateInvestFee(amount(value));
+  if (feeFloat > 0n) {
+    const assetDAOAddress = await assetDAO.getAddress();
+    await sendSeedTransaction('AssetDAO fee float', dai, () => dai.connect(deployer).mint(assetDAOAddress, feeFloat));
+    await sendSeedTransaction('AssetDAO fee allowance', assetDAO, async () =>
+      assetDAO.connect(deployer).allowTokenTransfer(await dai.getAddress(), await assetDAO.feeProcessor(), ethers.MaxUint256));
+  }
+
+  const assets = [];
+  for (const asset of seed.assets || []) {
+    await sendSeedTransaction(`createAsset ${asset.name}`, assetDAO, () => assetDAO.connect(deployer).createAsset(asset.name, asset.description));
+    const id = Number(await assetDAO.getAssetCount());
+    for (const [name, value] of Object.entries(asset.investments || {})) {
+      await sendSeedTransaction(`${name} approving AssetDAO`, dai, async () =>
+        dai.connect(accounts[name]).approve(await assetDAO.getAddress(), amount(value)));
+      await sendSeedTransaction(`${name} investing in ${asset.name}`, assetDAO, () => assetDAO.connect(accounts[name]).invest(id, amount(value)));
+    }
+    assets.push({ id, name: asset.name, investors: Object.keys(asset.investments || {}) });
+    log(`Created asset ${id} ${asset.name}`);
+  }
+
+  const nodes = [];
+  for (const node of seed.nodes || []) {
+    await sendSeedTransaction(`registerNode ${node.node}`, registry, () =>
+      registry.connect(deployer).registerNode(addresses[node.node], addresses[node.owner], node.metadata));
+    nodes.push({ name: node.node, address: addresses[node.node], owner: node.owner });
+    log(`Registered AI node ${node.node} (${addresses[node.node]})`);
+  }
+
+  for (const delegation of seed.delegations || []) {
+    await sendSeedTransaction(`${delegation.from} delegating to ${delegation.to}`, dloop, () =>
+      dloop.connect(accounts[delegation.from]).delegateTokens(addresses[delegation.to], amount(delegation.amount)));
+  }
+  if ((seed.delegations || []).length > 0) log(`Delegated DLOOP ${seed.delegations.length} time(s)`);
+
+  // Executed proposals need the chain moved past their voting period and timelock, which would
+  // end the vote on every proposal created before, so they are created first
+  const addressOf = name => addresses[name] || instances[name].getAddress();
+  const proposals = [];
+  const createProposal = async (proposal) => {
+    await sendSeedTransaction(`proposal "${proposal.description}"`, assetDAO, async () =>
+      assetDAO.connect(accounts[proposal.proposer]).createProposal(
+        PROPOSAL_TYPES.indexOf(proposal.type), await addressOf(proposal.asset), amount(proposal.amount), proposal.description));
+    const id = Number(await assetDAO.proposalCounter());
+    for (const [name, support] of Object.entries(proposal.votes || {})) {
+      await sendSeedTransaction(`${name} voting on proposal ${id}`, assetDAO, () => assetDAO.connect(accounts[name]).vote(id, support));
+    }
+    proposals.push({ id, description: proposal.description, state: proposal.state });
+    return id;
+  };
+
+  const executed = (seed.proposals || []).filter(proposal => proposal.state === 'Executed');
+  const executedIds = [];
+  for (const proposal of executed) executedIds.push(await createProposal(proposal));
+  if (executedIds.length > 0) {
+    const wait = (await assetDAO.votingPeriod()) + (await assetDAO.timelockPeriod()) + 1n;
+    await ethers.provider.send('evm_increaseTime', [ethers.toQuantity(wait)]);
+    await ethers.provider.send('evm_mine', []);
+    for (const id of executedIds) {
+      await sendSeedTransaction(`executing proposal ${id}`, assetDAO, () => assetDAO.connect(deployer).executeProposal(id));
+    }
+  }
+  for (const proposal of (seed.proposals || []).filter(candidate => candidate.state !== 'Executed')) {
+    const id = await createProposal(proposal);
+    if (proposal.state === 'Canceled') {
+      await sendSeedTransaction(`canceling proposal ${id}`, assetDAO, () => assetDAO.connect(accounts[proposal.proposer]).cancelProposal(id));
+    }
+  }
+  if (proposals.length > 0) log(`Created ${proposals.length} AssetDAO proposal(s)`);
+
+  // Moving time may have aged the feeds; publish their prices again
+  for (const feed of seed.feeds || []) {
+    const aggregator = instances[feedName(feed.token)];
+    await sendSeedTransaction(`refreshing ${feedName(feed.token)}`, aggregator, () => aggregator.connect(deployer).setPrice(feed.price));
+  }
+
+  return { accounts: addresses, assets, nodes, delegations: seed.delegations || [], proposals };
+}
+
+/**
+ * Derives the private keys of the node's accounts from the Hardhat network config
+ * @param {Object} accountsConfig - hre.config.networks.hardhat.accounts (mnemonic form)
+ * @param {number[]} indexes - Account indexes
+ * @returns {Object<number, string>} Index to private key
+ */
+function accountKeys(accountsConfig, indexes) {
+  const { mnemonic, passphrase = '', path = "m/44'/60'/0'/0", initialIndex = 0 } = accountsConfig;
+  return Object.fromEntries(indexes.map(index => [
+    index,
+    ethersLib.HDNodeWallet.fromPhrase(mnemonic, passphrase, `${path}/${initialIndex + index}`).privateKey
+  ]));
+}
+
+/**
+ * Takes a chain snapshot and stores its id under a name
+ * @param {Object} provider - Provider of the devnet node (supports send)
+ * @param {Object} state - Devnet state; its snapshots map is updated
+ * @param {string} name - Snapshot name
+ * @returns {Promise<string>} Snapshot id
+ */
+async function takeSnapshot(provider, state, name) {
+  const id = await provider.send('evm_snapshot', []);
+  state.snapshots = { ...state.snapshots, [name]: id };
+  return id;
+}
+
+/**
+ * Reverts the chain to a named snapshot. Hardhat drops the snapshot and every later one on
+ * revert, so they are forgotten and the named one is taken again to stay restorable.
+ * @param {Object} provider - Provider of the devnet node (supports send)
+ * @param {Object} state - Devnet state; its snapshots map is updated
+ * @param {string} name - Snapshot name
+ * @returns {Promise<string[]>} Names of the later snapshots that no longer exist
+ * @throws {Error} If the snapshot is unknown or the node no longer has it
+ */
+async function restoreSnapshot(provider, state, name) {
+  const snapshots = state.snapshots || {};
+  const id = snapshots[name];
+  if (!id) {
+    throw new Error(`Unknown snapshot ${name}; available: ${Object.keys(snapshots).join(', ') || 'none'}`);
+  }
+  if (!(await provider.send('evm_revert', [id]))) {
+    throw new Error(`The node no longer has snapshot ${name} (${id}); was it restarted?`);
+  }
+  const dropped = Object.keys(snapshots).filter(other => other !== name && BigInt(snapshots[other]) > BigInt(id));
+  state.snapshots = Object.fromEntries(Object.entries(snapshots).filter(([other]) => other !== name && !dropped.includes(other)));
+  await takeSnapshot(provider, state, name);
+  return dropped;
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  SEEDABLE_STATES,
+  feedName,
+  devnetManifest,
+  validateSeed,
+  seedDevnet,
+  accountKeys,
+  takeSnapshot,
+  restoreSnapshot
+};
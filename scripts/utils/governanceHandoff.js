@@ -0,0 +1,197 @@
+/**
+ * @title D-Loop Protocol Governance Handoff
+ * @dev Moves ownership, admin positions and roles from the deployer to the DAO
+ * @notice Driven by scripts/config/governanceHandoffPolicy.js. The policy's roles and values are
+ *         desired-state checks, so drift detection and the calls that converge it come from
+ *         configReconciler. The handoff runs in two phases: grants and transfers first, then,
+ *         from a fresh read, every revocation and renouncement of the deployer's remaining roles
+ *         (DEFAULT_ADMIN_ROLE last on each contract, since it is needed to revoke the others).
+ */
+
+const { Interface } = require('ethers');
+const { ManifestError, roleId, resolveManifest } = require('./manifestResolver');
+const { resolveDesiredState, detectDrift, applyDrift } = require('./configReconciler');
+const { findReferences } = require('./componentRedeployer');
+
+/**
+ * Validates a handoff policy against the manifest and the compiled artifacts
+ * @param {Object} policy - Handoff policy (recipients, roles, values, accepted)
+ * @param {Object} manifest - Deployment manifest
+ * @param {Object} artifacts - Artifact source exposing readArtifactSync(name) (e.g. hre.artifacts)
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.parameters] - Parameter profile values for the manifest (see resolveManifest)
+ * @returns {{ plan: Object, recipients: Object[], desired: Object, accepted: Object[] }} Resolved handoff
+ * @throws {ManifestError} If the policy references unknown contracts, methods or arguments
+ */
+function resolveHandoffPolicy(policy, manifest, artifacts, options = {}) {
+  const recipients = policy.recipients || [];
+  let plan;
+  let desired;
+  try {
+    plan = resolveManifest({ ...manifest, contracts: [...manifest.contracts, ...recipients] }, artifacts, { parameters: options.parameters });
+    desired = resolveDesiredState({ roles: policy.roles, values: policy.values }, plan);
+  } catch (error) {
+    if (error instanceof ManifestError) throw new ManifestError(error.issues, 'governance handoff policy');
+    throw error;
+  }
+
+  const issues = [];
+  const accepted = (policy.accepted || []).map((entry, index) => {
+    const privilege = `${entry.contract}.${entry.read ? `${entry.read}()` : entry.role}`;
+    const label = `accepted[${index}] ${privilege}`;
+    const contract = plan.contracts.find(candidate => candidate.name === entry.contract);
+    if (!contract) {
+      issues.push(`${label} targets unknown contract ${entry.contract}`);
+    } else if (!new Interface(contract.abi).getFunction(entry.read || entry.role)) {
+      issues.push(`${label} does not exist in the ABI`);
+    }
+    if (!entry.reason) issues.push(`${label} needs a reason`);
+    return { ...entry, privilege };
+  });
+  if (issues.length > 0) {
+    throw new ManifestError(issues, 'governance handoff policy');
+  }
+
+  return {
+    plan,
+    recipients: plan.contracts.filter(entry => recipients.some(recipient => recipient.name === entry.name)),
+    desired,
+    accepted
+  };
+}
+
+/**
+ * Applies a handoff policy to a desired state: role checks the policy also covers take the
+ * holders they have after the handoff, so a handed-off deployment reconciles without drift
+ * @param {Object} spec - Desired state (scripts/config/desiredState.js)
+ * @param {Object} policy - Handoff policy (scripts/config/governanceHandoffPolicy.js)
+ * @returns {Object} Desired state after the handoff
+ */
+function followHandoff(spec, policy) {
+  const policyRoles = policy.roles || [];
+  return {
+    ...spec,
+    roles: (spec.roles || []).map((check) => {
+      const handedOff = policyRoles.find(entry => entry.contract === check.contract && entry.role === check.role);
+      return handedOff ? { ...check, ...handedOff } : check;
+    })
+  };
+}
+
+/**
+ * Whether a deployment registry records a governance handoff
+ * @param {Object} registry - DeploymentRegistry
+ * @returns {boolean} True once handoff transactions have been recorded
+ */
+function isHandedOff(registry) {
+  return registry.deployments().some(deployment => (deployment.transactions || []).some(tx => tx.type === 'handoff'));
+}
+
+/**
+ * Builds the revocations that leave the deployer with no roles. Roles the deployer holds are
+ * renounced where the contract supports it, since the deployer may already have lost the
+ * admin role needed to revoke them (e.g. through transferOwnership).
+ * @param {Object} options - Same as applyHandoff
+ * @returns {Promise<Object[]>} revoke actions, DEFAULT_ADMIN_ROLE last on each contract
+ */
+async function planRevocations(options) {
+  const { ethers, handoff, addresses, accounts } = options;
+  const { plan, desired } = handoff;
+  const deployer = accounts.deployer.toLowerCase();
+  const actions = [];
+
+  const results = await detectDrift({ ethers, plan, desired: { roles: desired.roles, values: [] }, addresses, accounts });
+  const deployerRoles = (await findReferences({ ethers, plan, addresses, target: accounts.deployer })).roles;
+  const byRole = [
+    ...results.flatMap(result => result.actions.filter(action => action.kind === 'revoke').map(action => ({ ...action, role: result.role }))),
+    ...deployerRoles.map(reference => ({
+      kind: 'revoke',
+      contract: reference.contract,
+      role: reference.role,
+      method: 'revokeRole',
+      signature: 'revokeRole(bytes32,address)',
+      args: [reference.roleId, accounts.deployer]
+    }))
+  ];
+
+  for (const action of byRole) {
+    const holder = action.args[action.args.length - 1];
+    const iface = new Interface(plan.contracts.find(entry => entry.name === action.contract).abi);
+    const own = holder.toLowerCase() === deployer;
+    const renounce = own && iface.getFunction('renounceRole(bytes32,address)')
+      ? { method: 'renounceRole', signature: 'renounceRole(bytes32,address)', args: [roleId(action.role), holder] }
+      : {};
+    const next = { ...action, ...renounce };
+    if (!actions.some(existing => existing.contract === next.contract && existing.role === next.role &&
+        existing.args[existing.args.length - 1].toLowerCase() === holder.toLowerCase())) {
+      actions.push(next);
+    }
+  }
+
+  return [
+    ...actions.filter(action => action.role !== 'DEFAULT_ADMIN_ROLE'),
+    ...actions.filter(action => action.role === 'DEFAULT_ADMIN_ROLE')
+  ];
+}
+
+/**
+ * Sends the handoff: grants and transfers, then revocations from a fresh read
+ * @param {Object} options - Handoff options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.handoff - Handoff returned by resolveHandoffPolicy
+ * @param {Object<string, string>} options.addresses - Address book including the recipients
+ * @param {Object<string, string>} options.accounts - Account name to address (deployer)
+ * @param {Object} options.signer - The deployer's signer
+ * @param {number} [options.confirmations=1] - Confirmations to wait for per transaction
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<{ sent: Object[], failures: Object[] }>} Sent transactions and failed calls
+ */
+async function applyHandoff(options) {
+  const { ethers, handoff, addresses, accounts, signer, confirmations = 1, log = console.log } = options;
+  const { plan, desired } = handoff;
+
+  const drift = await detectDrift({ ethers, plan, desired, addresses, accounts });
+  const transfers = drift.map(result => ({ actions: result.actions.filter(action => action.kind !== 'revoke') }));
+  const first = await applyDrift({ ethers, plan, results: transfers, addresses, signer, confirmations, log });
+
+  const revocations = await planRevocations(options);
+  const second = await applyDrift({ ethers, plan, results: [{ actions: revocations }], addresses, signer, confirmations, log });
+
+  return {
+    sent: [...first.sent, ...second.sent],
+    failures: [...first.failures, ...second.failures]
+  };
+}
+
+/**
+ * Checks that the handoff is complete and the deployer has no privileges left
+ * @param {Object} options - Same as applyHandoff, without signer
+ * @returns {Promise<{ drift: Object[], privileges: string[], accepted: Object[] }>}
+ *          Policy checks not in sync, deployer privileges left, and accepted privileges found
+ */
+async function verifyHandoff(options) {
+  const { ethers, handoff, addresses, accounts } = options;
+  const { plan, desired } = handoff;
+
+  const drift = (await detectDrift({ ethers, plan, desired, addresses, accounts })).filter(result => !result.inSync);
+  const { values, roles } = await findReferences({ ethers, plan, addresses, target: accounts.deployer });
+  const found = [
+    ...values.map(reference => `${reference.contract}.${reference.getter}()`),
+    ...roles.map(reference => `${reference.contract}.${reference.role}`)
+  ];
+
+  return {
+    drift,
+    privileges: found.filter(privilege => !handoff.accepted.some(entry => entry.privilege === privilege)),
+    accepted: handoff.accepted.filter(entry => found.includes(entry.privilege))
+  };
+}
+
+module.exports = {
+  resolveHandoffPolicy,
+  followHandoff,
+  isHandedOff,
+  planRevocations,
+  applyHandoff,
+  verifyHandoff
+};
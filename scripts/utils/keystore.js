@@ -0,0 +1,274 @@
+/**
+ * @title D-Loop Protocol Deployment Keystores
+ * @dev Encrypted JSON keystores (ethers v6 encryptKeystoreJson format) for deployment keys
+ * @notice Keystores live in keystores/<name>.json (git-ignored). A network selects one with a
+ *         `keystore` entry in hardhat.config.js; deploy scripts get their signer from it through
+ *         getDeployer(), which asks for the password on the terminal, or reads it from the file
+ *         named by KEYSTORE_PASSWORD_FILE for unattended runs. The address is stored unencrypted,
+ *         so listing keystores and resolving a deployer address need no password.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Wallet, HDNodeWallet, Mnemonic, encryptKeystoreJson, getAddress, isHexString } = require('ethers');
+
+const KEYSTORE_DIRECTORY = path.join(__dirname, '..', '..', 'keystores');
+const ARCHIVE_DIRECTORY = 'archive';
+
+/**
+ * Returns the location of a keystore
+ * @param {string} name - Keystore name (letters, digits, - and _)
+ * @param {string} [directory] - Keystore directory
+ * @returns {string} Keystore path
+ * @throws {Error} If the name is not a plain file name
+ */
+function keystorePath(name, directory = KEYSTORE_DIRECTORY) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name || '')) {
+    throw new Error(`Invalid keystore name "${name}": use letters, digits, - and _`);
+  }
+  return path.join(directory, `${name}.json`);
+}
+
+/**
+ * Encrypts an account and writes it as a keystore
+ * @param {string} name - Keystore name
+ * @param {Object} wallet - ethers Wallet or HDNodeWallet
+ * @param {string} password - Encryption password
+ * @param {Object} [options] - Write options
+ * @param {string} [options.directory] - Keystore directory
+ * @param {Object} [options.scrypt] - scrypt parameters ({ N, r, p }), ethers defaults otherwise
+ * @returns {Promise<{ name: string, address: string, path: string }>} Written keystore
+ * @throws {Error} If the keystore already exists or the password is empty
+ */
+async function writeKeystore(name, wallet, password, options = {}) {
+  const filePath = keystorePath(name, options.directory);
+  if (fs.existsSync(filePath)) {
+    throw new Error(`Keystore ${name} already exists at ${filePath}; use rotate to replace it`);
+  }
+  if (!password) {
+    throw new Error('A keystore password is required');
+  }
+
+  const account = { address: wallet.address, privateKey: wallet.privateKey };
+  if (wallet.mnemonic) account.mnemonic = wallet.mnemonic;
+  const json = await encryptKeystoreJson(account, password, options.scrypt ? { scrypt: options.scrypt } : {});
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, json, { mode: 0o600 });
+  return { name, address: wallet.address, path: filePath };
+}
+
+/**
+ * Creates a keystore for a new random key
+ * @param {string} name - Keystore name
+ * @param {string} password - Encryption password
+ * @param {Object} [options] - Same as writeKeystore
+ * @returns {Promise<{ name: string, address: string, path: string, wallet: Object }>} Keystore and the new wallet
+ */
+async function createKeystore(name, password, options = {}) {
+  const wallet = Wallet.createRandom();
+  return { ...(await writeKeystore(name, wallet, password, options)), wallet };
+}
+
+/**
+ * Creates a keystore from an existing private key or mnemonic phrase
+ * @param {string} name - Keystore name
+ * @param {string} secret - 0x-prefixed private key or BIP-39 mnemonic
+ * @param {string} password - Encryption password
+ * @param {Object} [options] - Same as writeKeystore
+ * @returns {Promise<{ name: string, address: string, path: string }>} Written keystore
+ * @throws {Error} If the secret is neither a private key nor a valid mnemonic
+ */
+async function importKeystore(name, secret, password, options = {}) {
+  const value = (secret || '').trim();
+  let wallet;
+  if (isHexString(value, 32) || isHexString(`0x${value}`, 32)) {
+    wallet = new Wallet(value.startsWith('0x') ? value : `0x${value}`);
+  } else if (Mnemonic.isValidMnemonic(value)) {
+    wallet = HDNodeWallet.fromPhrase(value);
+  } else {
+    throw new Error('The secret is neither a 32-byte private key nor a valid mnemonic');
+  }
+  return writeKeystore(name, wallet, password, options);
+}
+
+/**
+ * Reads the (unencrypted) address of a keystore
+ * @param {string} name - Keystore name
+ * @param {Object} [options] - Read options
+ * @param {string} [options.directory] - Keystore directory
+ * @returns {string} Checksummed address
+ * @throws {Error} If the keystore does not exist
+ */
+function keystoreAddress(name, options = {}) {
+  const filePath = keystorePath(name, options.directory);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Keystore ${name} not found at ${filePath}`);
+  }
+  const { address } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return getAddress(address.startsWith('0x') ? address : `0x${address}`);
+}
+
+/**
+ * Lists the keystores in a directory
+ * @param {Object} [options] - List options
+ * @param {string} [options.directory] - Keystore directory
+ * @returns {{ name: string, address: string, path: string }[]} Keystores, sorted by name
+ */
+function listKeystores(options = {}) {
+  const directory = options.directory || KEYSTORE_DIRECTORY;
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(fileName => fileName.endsWith('.json'))
+    .sort()
+    .map((fileName) => {
+      const name = fileName.slice(0, -'.json'.length);
+      return { name, address: keystoreAddress(name, { directory }), path: path.join(directory, fileName) };
+    });
+}
+
+/**
+ * Decrypts a keystore
+ * @param {string} name - Keystore name
+ * @param {string} password - Keystore password
+ * @param {Object} [options] - Read options
+ * @param {string} [options.directory] - Keystore directory
+ * @returns {Promise<Object>} Decrypted ethers Wallet (or HDNodeWallet)
+ * @throws {Error} If the keystore does not exist or the password is wrong
+ */
+async function loadKeystore(name, password, options = {}) {
+  const filePath = keystorePath(name, options.directory);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Keystore ${name} not found at ${filePath}`);
+  }
+  try {
+    return await Wallet.fromEncryptedJson(fs.readFileSync(filePath, 'utf8'), password);
+  } catch (error) {
+    if (/incorrect password/i.test(error.message)) {
+      throw new Error(`Incorrect password for keystore ${name}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replaces the key of a keystore with a new random key. The old keystore is moved to
+ * <directory>/archive/<name>-<timestamp>.json, still encrypted with its old password.
+ * @param {string} name - Keystore name
+ * @param {string} password - Password for the new keystore
+ * @param {Object} [options] - Same as writeKeystore
+ * @returns {Promise<{ name: string, address: string, path: string, wallet: Object, previous: string, archivedTo: string }>}
+ *          New keystore, the previous address and where the previous keystore was archived
+ */
+async function rotateKeystore(name, password, options = {}) {
+  const directory = options.directory || KEYSTORE_DIRECTORY;
+  const previous = keystoreAddress(name, { directory });
+  const archivedTo = path.join(directory, ARCHIVE_DIRECTORY, `${name}-${new Date().toISOString().replace(/:/g, '-')}.json`);
+
+  fs.mkdirSync(path.dirname(archivedTo), { recursive: true });
+  fs.renameSync(keystorePath(name, directory), archivedTo);
+  try {
+    return { ...(await createKeystore(name, password, options)), previous, archivedTo };
+  } catch (error) {
+    fs.renameSync(archivedTo, keystorePath(name, directory));
+    throw error;
+  }
+}
+
+/**
+ * Asks a question on the terminal without echoing the answer
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} Answer
+ */
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let prompted = false;
+    rl._writeToOutput = (text) => {
+      // Only the prompt itself is written; typed characters are not echoed
+      if (!prompted) {
+        prompted = true;
+        process.stdout.write(text);
+      }
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Gets the password of a keystore from KEYSTORE_PASSWORD_FILE, or asks for it
+ * @param {string} name - Keystore name, shown in the prompt
+ * @returns {Promise<string>} Password
+ * @throws {Error} If there is no password file and no terminal to ask on
+ */
+async function readKeystorePassword(name) {
+  if (process.env.KEYSTORE_PASSWORD_FILE) {
+    return fs.readFileSync(process.env.KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(`No terminal to ask for the password of keystore ${name}; set KEYSTORE_PASSWORD_FILE`);
+  }
+  return promptHidden(`Password for keystore ${name}: `);
+}
+
+/**
+ * Returns the deployer address of a network without decrypting anything
+ * @param {Object} networkConfig - Resolved Hardhat network config (hre.config.networks[name])
+ * @param {Object} [options] - Same as keystoreAddress
+ * @returns {string|null} Address of the network's keystore or first configured key, or null
+ */
+function configuredDeployerAddress(networkConfig, options = {}) {
+  if (!networkConfig) return null;
+  if (networkConfig.keystore) return keystoreAddress(networkConfig.keystore, options);
+  if (Array.isArray(networkConfig.accounts) && networkConfig.accounts.length > 0) {
+    const [firstAccount] = networkConfig.accounts;
+    return new Wallet(typeof firstAccount === 'string' ? firstAccount : firstAccount.privateKey).address;
+  }
+  return null;
+}
+
+/**
+ * Returns the signer deploy scripts send from: the network's keystore if it has one,
+ * otherwise the first Hardhat signer (e.g. on the hardhat and localhost networks)
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} [options] - Same as keystoreAddress
+ * @returns {Promise<Object>} Signer connected to the network's provider
+ * @throws {Error} If the network has neither a keystore nor accounts
+ */
+async function getDeployer(hre, options = {}) {
+  const { keystore } = hre.network.config;
+  if (keystore) {
+    const wallet = await loadKeystore(keystore, await readKeystorePassword(keystore), options);
+    return wallet.connect(hre.ethers.provider);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(
+      `No deployer for ${hre.network.name}: create a keystore with ` +
+      '`node scripts/deployment/manage-deployment-keys.js create deployer` and set DEPLOYER_KEYSTORE'
+    );
+  }
+  return signer;
+}
+
+module.exports = {
+  KEYSTORE_DIRECTORY,
+  keystorePath,
+  writeKeystore,
+  createKeystore,
+  importKeystore,
+  keystoreAddress,
+  listKeystores,
+  loadKeystore,
+  rotateKeystore,
+  promptHidden,
+  readKeystorePassword,
+  configuredDeployerAddress,
+  getDeployer
+};
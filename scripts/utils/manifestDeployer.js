@@ -0,0 +1,280 @@
+/**
+ * @title D-Loop Protocol Manifest Deployer
+ * @dev Executes a resolved deployment plan (see manifestResolver.js) against a network
+ * @notice Every confirmed transaction is checkpointed in a DeploymentJournal. Steps already
+ *         recorded in the journal are skipped, so the same call resumes a failed deployment.
+ *         Real deployments and dry runs share this executor and produce the same record.
+ */
+
+const { resolveArgs, collectReferences } = require('./manifestResolver');
+const { deployStepId, configureStepId } = require('./deploymentJournal');
+const { describeRevert } = require('./revertDecoder');
+
+/**
+ * Throws if a step recorded in the journal was sent with different arguments than
+ * the manifest now resolves to
+ * @param {Object} recorded - Journal step
+ * @param {Array} args - Arguments resolved from the current manifest
+ */
+function assertSameArgs(recorded, args) {
+  if (JSON.stringify(recorded.args) !== JSON.stringify(args)) {
+    throw new Error(
+      `${recorded.id} was recorded with arguments ${JSON.stringify(recorded.args)} ` +
+      `but the manifest now resolves to ${JSON.stringify(args)}. ` +
+      'The manifest changed since the journal was written; resume is not safe.'
+    );
+  }
+}
+
+/**
+ * Converts a transaction receipt into the fields stored in the journal and the registry
+ * @param {Object} receipt - ethers TransactionReceipt
+ * @returns {{ hash: string, blockNumber: number, gasUsed: string, effectiveGasPrice: string, cost: string }}
+ *          Serializable receipt summary; the gas price and the cost (gasUsed * effectiveGasPrice) are in wei
+ */
+function summarizeReceipt(receipt) {
+  return {
+    hash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    cost: (receipt.gasUsed * receipt.gasPrice).toString()
+  };
+}
+
+/**
+ * Deploys and configures every contract in a plan
+ * @param {Object} options - Execution options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {Object} options.signer - Signer that sends every transaction
+ * @param {DeploymentJournal} options.journal - Journal to checkpoint into
+ * @param {number} [options.deployConfirmations=1] - Confirmations to wait for on deployments
+ * @param {number} [options.configureConfirmations=1] - Confirmations to wait for on configuration calls
+ * @param {boolean} [options.stopOnDeployFailure=true] - Throw on the first failed deployment instead of
+ *        reporting it and skipping the steps that depend on it
+ * @param {Object<string, string>} [options.create2Salts] - Contract name to CREATE2 salt. Contracts are then
+ *        deployed through the factory of options.signer, which must be a FactorySigner (see deterministicDeployment.js)
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<Object>} Instances, addresses, per-step report, deployment record and failures
+ * @throws {Error} If a deployment fails and stopOnDeployFailure is set; the journal keeps every earlier step
+ */
+async function executePlan(options) {
+  const {
+    ethers,
+    plan,
+    signer,
+    journal,
+    deployConfirmations = 1,
+    configureConfirmations = 1,
+    stopOnDeployFailure = true,
+    create2Salts,
+    log = console.log
+  } = options;
+
+  if (create2Salts && typeof signer.deploy !== 'function') {
+    throw new Error('CREATE2 deployment needs a FactorySigner');
+  }
+
+  const accounts = { deployer: await signer.getAddress() };
+  const addresses = {};
+  const instances = {};
+  const steps = [];
+  const failures = [];
+
+  const fail = report => {
+    failures.push({ id: report.id, contract: report.contract, method: report.method, error: report.error });
+    steps.push(report);
+    const action = report.method ? `executing ${report.contract}.${report.method}` : `deploying ${report.contract}`;
+    log(`Error ${action}: ${report.error}`);
+  };
+
+  for (const entry of plan.contracts) {
+    const { name, artifact } = entry;
+    const id = deployStepId(entry);
+    const missing = collectReferences(entry.args).filter(reference => !addresses[reference]);
+    if (missing.length > 0) {
+      steps.push({ id, type: 'deploy', contract: name, status: 'skipped', error: `depends on ${missing.join(', ')}` });
+      log(`Skipping ${name}: depends on ${missing.join(', ')} which did not deploy`);
+      continue;
+    }
+
+    const resolvedArgs = resolveArgs(entry.args, { accounts, addresses });
+    const recorded = journal.get(id);
+
+    if (recorded) {
+      assertSameArgs(recorded, resolvedArgs);
+      addresses[name] = recorded.address;
+      instances[name] = await ethers.getContractAt(artifact, recorded.address, signer);
+      steps.push({ id, type: 'deploy', contract: name, status: 'resumed', address: recorded.address, hash: recorded.hash });
+      log(`Skipping ${name}: already deployed at ${recorded.address}`);
+      continue;
+    }
+
+    log(`Deploying ${name} with args:`, resolvedArgs);
+    const factory = await ethers.getContractFactory(artifact, signer);
+    const salt = create2Salts && create2Salts[name];
+    let contract;
+    let receipt;
+    try {
+      if (create2Salts) {
+        const { data } = await factory.getDeployTransaction(...resolvedArgs);
+        const { address, tx } = await signer.deploy(salt, data);
+        receipt = await tx.wait(deployConfirmations);
+        contract = factory.attach(address);
+      } else {
+        contract = await factory.deploy(...resolvedArgs);
+        receipt = await contract.deploymentTransaction().wait(deployConfirmations);
+      }
+    } catch (error) {
+      const reason = describeRevert(error, factory.interface);
+      fail({ id, type: 'deploy', contract: name, status: 'failed', args: resolvedArgs, error: reason });
+      if (stopOnDeployFailure) {
+        error.message = `Deploying ${name} failed: ${reason}`;
+        throw error;
+      }
+      continue;
+    }
+
+    addresses[name] = await contract.getAddress();
+    instances[name] = contract;
+    const summary = summarizeReceipt(receipt);
+    journal.record({
+      id,
+      type: 'deploy',
+      contract: name,
+      artifact,
+      args: resolvedArgs,
+      address: addresses[name],
+      ...(salt && { salt }),
+      ...summary
+    });
+    steps.push({ id, type: 'deploy', contract: name, status: 'success', address: addresses[name], ...summary });
+    log(`${name} deployed to: ${addresses[name]} in tx: ${receipt.hash}`);
+  }
+
+  for (const [index, step] of plan.postDeployment.entries()) {
+    const { contract, method, signature } = step;
+    const id = configureStepId(step, index);
+    const missing = [contract, ...collectReferences(step.args)].filter(reference => !addresses[reference]);
+    if (missing.length > 0) {
+      steps.push({ id, type: 'configure', contract, method, status: 'skipped', error: `depends on ${missing.join(', ')}` });
+      log(`Skipping ${contract}.${method}: depends on ${missing.join(', ')} which did not deploy`);
+      continue;
+    }
+
+    const resolvedArgs = resolveArgs(step.args, { accounts, addresses });
+    const recorded = journal.get(id);
+
+    if (recorded) {
+      assertSameArgs(recorded, resolvedArgs);
+      steps.push({ id, type: 'configure', contract, method, status: 'resumed', hash: recorded.hash });
+      log(`Skipping ${contract}.${method}: already executed in tx ${recorded.hash}`);
+      continue;
+    }
+
+    log(`Configuring ${contract}.${method}...`);
+    try {
+      const tx = await instances[contract][signature](...resolvedArgs);
+      const receipt = await tx.wait(configureConfirmations);
+      const summary = summarizeReceipt(receipt);
+      journal.record({ id, type: 'configure', contract, method, signature, args: resolvedArgs, ...summary });
+      steps.push({ id, type: 'configure', contract, method, status: 'success', ...summary });
+      log(`${contract}.${method} executed in tx: ${receipt.hash}`);
+    } catch (error) {
+      // Keep going; the step stays out of the journal and is retried on resume
+      fail({
+        id,
+        type: 'configure',
+        contract,
+        method,
+        status: 'failed',
+        args: resolvedArgs,
+        error: describeRevert(error, instances[contract].interface)
+      });
+    }
+  }
+
+  if (failures.length === 0 && steps.every(report => report.status !== 'skipped')) {
+    journal.complete();
+  }
+
+  return { instances, addresses, steps, record: toDeploymentRecord(journal), failures };
+}
+
+/**
+ * Builds the deployment record (contracts + transactions) from the journal
+ * @param {DeploymentJournal} journal - Journal to read
+ * @returns {{ contracts: Object, transactions: Object[] }} Deployment record fields
+ */
+function toDeploymentRecord(journal) {
+  const contracts = {};
+  const transactions = [];
+
+  for (const step of journal.data.steps) {
+    if (step.type === 'deploy') {
+      contracts[step.contract] = {
+        address: step.address,
+        artifact: step.artifact,
+        args: step.args,
+        transaction: step.hash,
+        blockNumber: step.blockNumber
+      };
+      if (step.salt) contracts[step.contract].salt = step.salt;
+      transactions.push({
+        hash: step.hash,
+        type: 'deploy',
+        contract: step.contract,
+        blockNumber: step.blockNumber,
+        gasUsed: step.gasUsed,
+        effectiveGasPrice: step.effectiveGasPrice,
+        cost: step.cost,
+        timestamp: step.confirmedAt
+      });
+    } else {
+      transactions.push({
+        hash: step.hash,
+        type: 'configure',
+        contract: step.contract,
+        method: step.method,
+        args: step.args,
+        blockNumber: step.blockNumber,
+        gasUsed: step.gasUsed,
+        effectiveGasPrice: step.effectiveGasPrice,
+        cost: step.cost,
+        timestamp: step.confirmedAt
+      });
+    }
+  }
+
+  return { contracts, transactions };
+}
+
+/**
+ * Totals gas per deployment and per configuration call from a deployment record
+ * @param {Object[]} transactions - Deployment record transactions
+ * @returns {{ deployment: Object, configuration: Object, total: string }} Gas summary
+ */
+function summarizeGas(transactions) {
+  const gasUsed = { deployment: {}, configuration: {}, total: 0n };
+  for (const tx of transactions) {
+    if (tx.gasUsed === undefined) continue;
+    const amount = BigInt(tx.gasUsed);
+    if (tx.type === 'deploy') {
+      gasUsed.deployment[tx.contract] = amount.toString();
+    } else {
+      const key = `${tx.contract}.${tx.method}`;
+      gasUsed.configuration[key] = (BigInt(gasUsed.configuration[key] || 0) + amount).toString();
+    }
+    gasUsed.total += amount;
+  }
+  gasUsed.total = gasUsed.total.toString();
+  return gasUsed;
+}
+
+module.exports = {
+  executePlan,
+  summarizeReceipt,
+  toDeploymentRecord,
+  summarizeGas
+};
@@ -0,0 +1,413 @@
+/**
+ * @title D-Loop Protocol Deployment Manifest Resolver
+ * @dev Resolves the declarative deployment manifest into an ordered deployment plan
+ * @notice Orders contracts by their constructor references, detects cycles and missing
+ *         references, and validates every constructor and post-deployment call against
+ *         the artifact ABI before anything is sent to a network
+ */
+
+const { ethers } = require('ethers');
+
+// Placeholder used when ABI-encoding a reference whose address is not known yet
+const PLACEHOLDER_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Declares a reference to another contract deployed by the manifest
+ * @param {string} name - Manifest name of the referenced contract
+ * @returns {Object} Reference argument
+ */
+function ref(name) {
+  return { ref: name };
+}
+
+/**
+ * Declares a reference to a named account (e.g. the deployer)
+ * @param {string} name - Account name
+ * @returns {Object} Account argument
+ */
+function account(name) {
+  return { account: name };
+}
+
+/**
+ * Declares an AccessControl role identifier, resolved to keccak256(name)
+ * @param {string} name - Role name, e.g. MINTER_ROLE
+ * @returns {Object} Role argument
+ */
+function role(name) {
+  return { role: name };
+}
+
+/**
+ * Declares a deployment parameter, taken from the selected parameter profile
+ * (scripts/config/parameterProfiles.js)
+ * @param {string} path - Dotted parameter path, e.g. governance.quorum
+ * @returns {Object} Parameter argument
+ */
+function param(path) {
+  return { param: path };
+}
+
+/**
+ * Error raised when a manifest cannot be turned into a valid deployment plan
+ */
+class ManifestError extends Error {
+  /**
+   * @param {string[]} issues - Every problem found in the manifest
+   * @param {string} [subject='deployment manifest'] - What was being validated
+   */
+  constructor(issues, subject = 'deployment manifest') {
+    super(`Invalid ${subject}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ManifestError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Computes the bytes32 identifier of an AccessControl role
+ * @param {string} name - Role name
+ * @returns {string} Role identifier
+ */
+function roleId(name) {
+  return name === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(name);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collects the contract names referenced anywhere inside an argument list
+ * @param {Array} args - Manifest arguments (may be nested)
+ * @returns {string[]} Referenced contract names
+ */
+function collectReferences(args) {
+  const names = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (isPlainObject(value) && typeof value.ref === 'string') {
+      names.push(value.ref);
+    }
+  };
+  visit(args || []);
+  return names;
+}
+
+/**
+ * Returns the artifact name a manifest entry deploys
+ * @param {Object} entry - Manifest contract entry
+ * @returns {string} Artifact name
+ */
+function artifactName(entry) {
+  return entry.artifact || entry.name;
+}
+
+/**
+ * Finds one dependency cycle among the given contracts
+ * @param {string[]} names - Contracts that could not be ordered
+ * @param {Map<string, string[]>} dependencies - Dependency edges
+ * @returns {string[]} Cycle path, first element repeated at the end
+ */
+function findCycle(names, dependencies) {
+  const remaining = new Set(names);
+  const visiting = [];
+  const done = new Set();
+
+  const visit = (name) => {
+    const index = visiting.indexOf(name);
+    if (index !== -1) return [...visiting.slice(index), name];
+    if (done.has(name) || !remaining.has(name)) return null;
+
+    visiting.push(name);
+    for (const dependency of dependencies.get(name) || []) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    done.add(name);
+    return null;
+  };
+
+  for (const name of names) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+  return names;
+}
+
+/**
+ * Orders manifest contracts so that every contract is deployed after the contracts
+ * its constructor references. Ties keep the order in which they are declared.
+ * @param {Object} manifest - Deployment manifest
+ * @returns {{ order: Object[], issues: string[] }} Ordered entries and problems found
+ */
+function orderContracts(manifest) {
+  const issues = [];
+  const entries = manifest.contracts || [];
+  const byName = new Map();
+
+  for (const entry of entries) {
+    if (!entry.name) {
+      issues.push('Contract entry without a name');
+      continue;
+    }
+    if (byName.has(entry.name)) {
+      issues.push(`Contract ${entry.name} is declared more than once`);
+      continue;
+    }
+    byName.set(entry.name, entry);
+  }
+
+  const dependencies = new Map();
+  for (const [name, entry] of byName) {
+    const references = [...new Set(collectReferences(entry.args))];
+    for (const reference of references) {
+      if (!byName.has(reference)) {
+        issues.push(`${name} constructor references unknown contract ${reference}`);
+      }
+    }
+    dependencies.set(name, references.filter(reference => byName.has(reference)));
+  }
+
+  const order = [];
+  const placed = new Set();
+  let progressed = true;
+  while (progressed && placed.size < byName.size) {
+    progressed = false;
+    for (const [name, entry] of byName) {
+      if (placed.has(name)) continue;
+      if (dependencies.get(name).every(dependency => placed.has(dependency))) {
+        order.push(entry);
+        placed.add(name);
+        progressed = true;
+        break;
+      }
+    }
+  }
+
+  if (placed.size < byName.size) {
+    const unresolved = [...byName.keys()].filter(name => !placed.has(name));
+    issues.push(`Dependency cycle detected: ${findCycle(unresolved, dependencies).join(' -> ')}`);
+  }
+
+  return { order, issues };
+}
+
+/**
+ * Replaces manifest references with placeholder values suitable for ABI encoding
+ * @param {*} value - Manifest argument
+ * @returns {*} Encodable placeholder value
+ */
+function placeholderValue(value) {
+  if (Array.isArray(value)) return value.map(placeholderValue);
+  if (isPlainObject(value)) {
+    if ('ref' in value || 'account' in value) return PLACEHOLDER_ADDRESS;
+    if ('role' in value) return roleId(value.role);
+    if ('param' in value) return 0;
+  }
+  return value;
+}
+
+/**
+ * Checks that references only appear where the ABI expects an address
+ * @param {Array} args - Manifest arguments
+ * @param {ReadonlyArray<Object>} inputs - ABI ParamType inputs
+ * @param {string} label - Description used in issue messages
+ * @returns {string[]} Problems found
+ */
+function checkReferenceTypes(args, inputs, label) {
+  const issues = [];
+  const check = (value, param, path) => {
+    if (Array.isArray(value) && param.baseType === 'array') {
+      value.forEach((item, index) => check(item, param.arrayChildren, `${path}[${index}]`));
+      return;
+    }
+    if (!isPlainObject(value)) return;
+    if (('ref' in value || 'account' in value) && param.type !== 'address') {
+      issues.push(`${label} argument ${path} is an address reference but the ABI expects ${param.type}`);
+    }
+    if ('role' in value && param.type !== 'bytes32') {
+      issues.push(`${label} argument ${path} is a role but the ABI expects ${param.type}`);
+    }
+    if ('param' in value && !/^u?int\d*$/.test(param.type)) {
+      issues.push(`${label} argument ${path} is a numeric parameter but the ABI expects ${param.type}`);
+    }
+  };
+  inputs.forEach((param, index) => check(args[index], param, param.name || `#${index}`));
+  return issues;
+}
+
+/**
+ * Validates an argument list against an ABI fragment by encoding placeholder values
+ * @param {Array} args - Manifest arguments
+ * @param {Object} fragment - ethers ConstructorFragment or FunctionFragment
+ * @param {string} label - Description used in issue messages
+ * @returns {string[]} Problems found
+ */
+function checkArguments(args, fragment, label) {
+  const inputs = fragment ? fragment.inputs : [];
+  if (args.length !== inputs.length) {
+    return [`${label} expects ${inputs.length} argument(s) (${inputs.map(i => i.type).join(', ')}) but the manifest gives ${args.length}`];
+  }
+
+  const issues = checkReferenceTypes(args, inputs, label);
+  if (issues.length > 0) return issues;
+
+  try {
+    ethers.AbiCoder.defaultAbiCoder().encode(inputs, args.map(placeholderValue));
+  } catch (error) {
+    issues.push(`${label} arguments do not match the ABI: ${error.shortMessage || error.message}`);
+  }
+  return issues;
+}
+
+/**
+ * Resolves a manifest into an ordered, ABI-validated deployment plan
+ * @param {Object} manifest - Deployment manifest
+ * @param {Object} artifacts - Artifact source exposing readArtifactSync(name) (e.g. hre.artifacts)
+ * @param {Object} [options] - Resolution options
+ * @param {string[]} [options.accounts=['deployer']] - Account names the caller can provide
+ * @param {Object} [options.parameters] - Parameters of the selected profile, substituted for param()
+ *        arguments. Without them param() arguments stay in the plan and only a deployment
+ *        needs them (resolveArgs throws).
+ * @returns {{ contracts: Object[], postDeployment: Object[] }} Deployment plan
+ * @throws {ManifestError} If the manifest has any problem
+ */
+function resolveManifest(manifest, artifacts, options = {}) {
+  const knownAccounts = new Set(options.accounts || ['deployer']);
+  const { parameters } = options;
+  const { order, issues } = orderContracts(manifest);
+  const interfaces = new Map();
+
+  const substituteParameters = (args, label) => {
+    if (!parameters) return args;
+    const substitute = (value) => {
+      if (Array.isArray(value)) return value.map(substitute);
+      if (!isPlainObject(value) || !('param' in value)) return value;
+      const resolved = value.param.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), parameters);
+      if (resolved === undefined || isPlainObject(resolved)) {
+        issues.push(`${label} references unknown parameter ${value.param}`);
+        return value;
+      }
+      return resolved;
+    };
+    return args.map(substitute);
+  };
+
+  const checkAccounts = (args, label) => {
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (isPlainObject(value) && 'account' in value && !knownAccounts.has(value.account)) {
+        issues.push(`${label} references unknown account ${value.account}`);
+      }
+    };
+    visit(args);
+  };
+
+  const contracts = order.map((entry) => {
+    const artifact = artifactName(entry);
+    const args = substituteParameters(entry.args || [], `${entry.name} constructor`);
+    let abi;
+    try {
+      abi = artifacts.readArtifactSync(artifact).abi;
+    } catch (error) {
+      issues.push(`${entry.name} uses artifact ${artifact} which could not be loaded: ${error.message}`);
+      return { ...entry, artifact, args };
+    }
+
+    const iface = new ethers.Interface(abi);
+    interfaces.set(entry.name, iface);
+    checkAccounts(args, `${entry.name} constructor`);
+    issues.push(...checkArguments(args, iface.deploy, `${entry.name} constructor`));
+    return { ...entry, artifact, args, abi };
+  });
+
+  const postDeployment = (manifest.postDeployment || []).map((step, index) => {
+    const label = `postDeployment[${index}] ${step.contract}.${step.method}`;
+    const args = substituteParameters(step.args || [], label);
+
+    for (const reference of collectReferences(args)) {
+      if (!contracts.some(entry => entry.name === reference)) {
+        issues.push(`${label} references unknown contract ${reference}`);
+      }
+    }
+    checkAccounts(args, label);
+
+    if (!contracts.some(entry => entry.name === step.contract)) {
+      issues.push(`${label} targets unknown contract ${step.contract}`);
+      return { ...step, args };
+    }
+
+    const iface = interfaces.get(step.contract);
+    if (!iface) return { ...step, args };
+
+    let fragment = null;
+    try {
+      fragment = iface.getFunction(step.method);
+    } catch (error) {
+      issues.push(`${label} is ambiguous; use a full signature: ${error.shortMessage || error.message}`);
+      return { ...step, args };
+    }
+    if (!fragment) {
+      issues.push(`${label} does not exist in the ${step.contract} ABI`);
+      return { ...step, args };
+    }
+    if (fragment.constant) {
+      issues.push(`${label} is a view function and cannot be used as a configuration step`);
+    }
+
+    issues.push(...checkArguments(args, fragment, label));
+    return { ...step, args, signature: fragment.format('sighash') };
+  });
+
+  if (issues.length > 0) {
+    throw new ManifestError(issues);
+  }
+
+  return { contracts, postDeployment };
+}
+
+/**
+ * Substitutes manifest references with concrete values
+ * @param {Array} args - Manifest arguments
+ * @param {Object} context - Resolution context
+ * @param {Object<string, string>} context.accounts - Account name to address
+ * @param {Object<string, string>} context.addresses - Contract name to deployed address
+ * @returns {Array} Arguments ready to be sent
+ */
+function resolveArgs(args, context) {
+  const { accounts = {}, addresses = {} } = context;
+  const resolve = (value) => {
+    if (Array.isArray(value)) return value.map(resolve);
+    if (!isPlainObject(value)) return value;
+    if ('ref' in value) {
+      if (!addresses[value.ref]) throw new Error(`${value.ref} has not been deployed yet`);
+      return addresses[value.ref];
+    }
+    if ('account' in value) {
+      if (!accounts[value.account]) throw new Error(`No address provided for account ${value.account}`);
+      return accounts[value.account];
+    }
+    if ('role' in value) return roleId(value.role);
+    if ('param' in value) {
+      throw new Error(`Parameter ${value.param} has no value; resolve the manifest with a parameter profile`);
+    }
+    return value;
+  };
+  return (args || []).map(resolve);
+}
+
+module.exports = {
+  ref,
+  account,
+  role,
+  param,
+  roleId,
+  ManifestError,
+  collectReferences,
+  checkArguments,
+  orderContracts,
+  resolveManifest,
+  resolveArgs
+};
@@ -0,0 +1,163 @@
+/**
+ * @title D-Loop Protocol Parameter Profile Loader
+ * @dev Validates and selects the parameter profiles in scripts/config/parameterProfiles.js
+ * @notice Every parameter is declared in PARAMETER_SCHEMA with its type and bounds; a profile
+ *         must set all of them and nothing else. The selected profile's parameters are passed to
+ *         resolveManifest, which substitutes them for the manifest's param() arguments, and are
+ *         recorded in the deployment record so redeploys reuse the same values.
+ */
+
+const PARAMETER_PROFILES = require('../config/parameterProfiles');
+const { ManifestError } = require('./manifestResolver');
+
+const BASIS_POINTS = 10000;
+
+// Every parameter a profile sets: integer (JSON number) or amount (decimal string, for wei)
+const PARAMETER_SCHEMA = {
+  'governance.votingPeriod': { type: 'integer', min: 1, description: 'ProtocolDAO voting period (seconds)' },
+  'governance.executionDelay': { type: 'integer', min: 0, description: 'ProtocolDAO execution delay (seconds)' },
+  'governance.quorum': { type: 'integer', min: 1, max: 100, description: 'ProtocolDAO quorum (percent)' },
+  'fees.invest': { type: 'integer', min: 0, max: BASIS_POINTS, description: 'Invest fee (basis points)' },
+  'fees.divest': { type: 'integer', min: 0, max: BASIS_POINTS, description: 'Divest fee (basis points)' },
+  'fees.ragequit': { type: 'integer', min: 0, max: BASIS_POINTS, description: 'Ragequit fee (basis points)' },
+  'fees.treasuryShare': { type: 'integer', min: 0, max: BASIS_POINTS, description: 'Share of fees sent to the Treasury (basis points)' },
+  'fees.rewardShare': { type: 'integer', min: 0, max: BASIS_POINTS, description: 'Share of fees sent to GovernanceRewards (basis points)' },
+  'rewards.epochDuration': { type: 'integer', min: 1, description: 'GovernanceRewards epoch (seconds)' },
+  'token.initialSupply': { type: 'amount', description: 'DLOOP minted to the deployer at deployment (wei)' },
+  'token.maxSupply': { type: 'amount', description: 'DLOOP supply cap (wei)' }
+};
+
+/**
+ * Reads a dotted path from a parameter tree
+ * @param {Object} parameters - Parameter tree, e.g. { governance: { quorum: 51 } }
+ * @param {string} path - Dotted path, e.g. 'governance.quorum'
+ * @returns {*} Value, or undefined
+ */
+function parameterValue(parameters, path) {
+  return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), parameters);
+}
+
+/**
+ * Lists the dotted paths of every leaf in a parameter tree
+ * @param {Object} parameters - Parameter tree
+ * @param {string} [prefix=''] - Path of the tree
+ * @returns {string[]} Leaf paths
+ */
+function leafPaths(parameters, prefix = '') {
+  return Object.entries(parameters).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value) ? leafPaths(value, path) : [path];
+  });
+}
+
+/**
+ * Checks a profile against the schema
+ * @param {string} name - Profile name, for messages
+ * @param {Object} profile - Profile (description, networks, parameters)
+ * @returns {string[]} Problems found
+ */
+function validateProfile(name, profile) {
+  const issues = [];
+  if (!profile || typeof profile !== 'object') return [`${name} is not an object`];
+  if (!Array.isArray(profile.networks) || profile.networks.length === 0) {
+    issues.push(`${name} must list the networks it may be deployed to`);
+  }
+  const parameters = profile.parameters || {};
+
+  for (const path of leafPaths(parameters)) {
+    if (!PARAMETER_SCHEMA[path]) issues.push(`${name} sets unknown parameter ${path}`);
+  }
+  for (const [path, rule] of Object.entries(PARAMETER_SCHEMA)) {
+    const value = parameterValue(parameters, path);
+    if (value === undefined) {
+      issues.push(`${name} does not set ${path} (${rule.description})`);
+    } else if (rule.type === 'integer') {
+      if (!Number.isSafeInteger(value)) {
+        issues.push(`${name} ${path} must be an integer, got ${JSON.stringify(value)}`);
+      } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        issues.push(`${name} ${path} must be between ${rule.min} and ${rule.max === undefined ? 'any value' : rule.max}, got ${value}`);
+      }
+    } else if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+      issues.push(`${name} ${path} must be a decimal string of wei, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (issues.length > 0) return issues;
+
+  const { fees, token } = parameters;
+  if (fees.treasuryShare + fees.rewardShare !== BASIS_POINTS) {
+    issues.push(`${name} fees.treasuryShare and fees.rewardShare must add up to ${BASIS_POINTS}`);
+  }
+  if (BigInt(token.initialSupply) > BigInt(token.maxSupply)) {
+    issues.push(`${name} token.initialSupply exceeds token.maxSupply`);
+  }
+  return issues;
+}
+
+/**
+ * Loads and validates a profile
+ * @param {string} name - Profile name
+ * @param {Object} [options] - Load options
+ * @param {string} [options.networkName] - Network it is deployed to; must be one the profile lists
+ * @param {Object} [options.profiles=PARAMETER_PROFILES] - Profile configuration
+ * @returns {{ name: string, description: string, networks: string[], parameters: Object }} Profile
+ * @throws {ManifestError} If the profile does not match the schema
+ * @throws {Error} If the profile does not exist or is not meant for the network
+ */
+function loadProfile(name, options = {}) {
+  const { networkName, profiles = PARAMETER_PROFILES } = options;
+  const profile = profiles.profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown parameter profile ${name}; available: ${Object.keys(profiles.profiles).join(', ')}`);
+  }
+  const issues = validateProfile(name, profile);
+  if (issues.length > 0) {
+    throw new ManifestError(issues, `parameter profile ${name}`);
+  }
+  if (networkName && !profile.networks.includes(networkName)) {
+    throw new Error(`Parameter profile ${name} is for ${profile.networks.join(', ')}, not ${networkName}`);
+  }
+  return { name, description: profile.description, networks: profile.networks, parameters: profile.parameters };
+}
+
+/**
+ * Picks the profile for a deployment: --profile <name>, then DEPLOY_PROFILE, then the network's default
+ * @param {string} networkName - Network deployed to
+ * @param {Object} [options] - Selection options
+ * @param {string[]} [options.argv=process.argv] - Command line
+ * @param {Object} [options.env=process.env] - Environment
+ * @param {Object} [options.profiles=PARAMETER_PROFILES] - Profile configuration
+ * @returns {Object} Profile returned by loadProfile
+ * @throws {Error} If no profile is given and the network has no default
+ */
+function selectProfile(networkName, options = {}) {
+  const { argv = process.argv, env = process.env, profiles = PARAMETER_PROFILES } = options;
+  const index = argv.indexOf('--profile');
+  const name = (index !== -1 && argv[index + 1]) || env.DEPLOY_PROFILE || profiles.defaults[networkName];
+  if (!name) {
+    throw new Error(`No default parameter profile for ${networkName}; pass --profile <${Object.keys(profiles.profiles).join('|')}>`);
+  }
+  return loadProfile(name, { networkName, profiles });
+}
+
+/**
+ * The profile to redeploy with: the one given explicitly, else the one recorded with the deployment
+ * @param {string} networkName - Network deployed to
+ * @param {Object|null} deployment - Registry entry of the deployment
+ * @param {Object} [options] - Same as selectProfile
+ * @returns {Object} { name, parameters } of the profile
+ */
+function deploymentProfile(networkName, deployment, options = {}) {
+  const { argv = process.argv, env = process.env } = options;
+  const explicit = argv.includes('--profile') || env.DEPLOY_PROFILE;
+  if (!explicit && deployment && deployment.profile) return deployment.profile;
+  return selectProfile(networkName, options);
+}
+
+module.exports = {
+  PARAMETER_SCHEMA,
+  parameterValue,
+  validateProfile,
+  loadProfile,
+  selectProfile,
+  deploymentProfile
+};
@@ -0,0 +1,345 @@
+/**
+ * @title D-Loop Protocol ProtocolDAO Proposal Calldata
+ * @dev Builds ProtocolDAO proposals from readable actions and decodes proposals back into them
+ * @notice An action is written as a call on a manifest contract, e.g.
+ *
+ *           'FeeCalculator.updateInvestFeePercentage(150)'
+ *           'ProtocolDAO.whitelistToken(DAIToken, true)'
+ *           'DLoopToken.grantRole(MINTER_ROLE, Treasury)'
+ *           { contract: 'Treasury', method: 'withdraw', args: [...], value: '0' }
+ *
+ *         Arguments are coerced to the function's ABI types: contract and account names become
+ *         their addresses, *_ROLE names become role identifiers, arrays and tuples are written in
+ *         brackets and strings may be quoted. The object form takes a `signature` for overloaded
+ *         functions and a `value` in wei.
+ *
+ *         ProtocolDAO keeps a proposal's calls in storage without a getter, so readProposalCalls
+ *         recovers them from the createProposal transaction that emitted ProposalCreated. The
+ *         decoder names every call against the address book and ABIs and flags calls to unknown
+ *         targets and selectors that are not in the target's ABI.
+ */
+
+const { Interface, getAddress, isAddress, isHexString } = require('ethers');
+const { ManifestError, roleId } = require('./manifestResolver');
+const { describeCall, formatValue } = require('./safeBatch');
+
+const CALL_PATTERN = /^\s*([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\s*\(/;
+
+/**
+ * Parses the argument list of a written call; brackets and parentheses make arrays
+ * @param {string} text - Everything from the opening parenthesis on
+ * @returns {Array} Arguments as strings and nested arrays
+ */
+function parseArgumentList(text) {
+  let pos = 0;
+  const skip = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+  const fail = (expected) => { throw new Error(`Expected ${expected} at position ${pos} of "${text}"`); };
+
+  const value = () => {
+    skip();
+    const char = text[pos];
+    if (char === '[' || char === '(') {
+      pos++;
+      return list(char === '[' ? ']' : ')');
+    }
+    if (char === '"' || char === '\'') {
+      const end = text.indexOf(char, pos + 1);
+      if (end === -1) fail(`closing ${char}`);
+      const quoted = text.slice(pos + 1, end);
+      pos = end + 1;
+      return quoted;
+    }
+    const start = pos;
+    while (pos < text.length && !',)]'.includes(text[pos])) pos++;
+    const token = text.slice(start, pos).trim();
+    if (token === '') fail('an argument');
+    return token;
+  };
+
+  const list = (close) => {
+    const items = [];
+    skip();
+    if (text[pos] === close) {
+      pos++;
+      return items;
+    }
+    for (;;) {
+      items.push(value());
+      skip();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === close) {
+        pos++;
+        return items;
+      } else {
+        fail(`, or ${close}`);
+      }
+    }
+  };
+
+  pos = 1;
+  const args = list(')');
+  skip();
+  if (pos !== text.length) fail('the end of the call');
+  return args;
+}
+
+/**
+ * Parses a written action
+ * @param {string|Object} action - 'Contract.method(arg, ...)' or { contract, method, signature, args, value }
+ * @returns {{ contract: string, method: string, signature: string|undefined, args: Array, value: bigint }}
+ */
+function parseAction(action) {
+  if (typeof action !== 'string') {
+    return {
+      contract: action.contract,
+      method: action.method,
+      signature: action.signature,
+      args: action.args || [],
+      value: BigInt(action.value || 0)
+    };
+  }
+  const match = action.match(CALL_PATTERN);
+  if (!match) throw new Error(`"${action}" is not a call; write Contract.method(arg, ...)`);
+  return {
+    contract: match[1],
+    method: match[2],
+    signature: undefined,
+    args: parseArgumentList(action.slice(match[0].length - 1).trim()),
+    value: 0n
+  };
+}
+
+/**
+ * Coerces a written argument to an ABI type
+ * @param {*} raw - Written argument (string, array, or a JS value in the object form)
+ * @param {Object} param - ethers ParamType
+ * @param {Object} names - { addresses, accounts }
+ * @returns {*} Value for encodeFunctionData
+ * @throws {Error} If the argument does not fit the type
+ */
+function coerceArgument(raw, param, names) {
+  if (param.isArray() || param.isTuple()) {
+    if (!Array.isArray(raw)) throw new Error(`${param.format()} needs a bracketed list, got ${raw}`);
+    if (param.isArray()) {
+      if (param.arrayLength >= 0 && raw.length !== param.arrayLength) {
+        throw new Error(`${param.format()} needs ${param.arrayLength} items, got ${raw.length}`);
+      }
+      return raw.map(item => coerceArgument(item, param.arrayChildren, names));
+    }
+    if (raw.length !== param.components.length) {
+      throw new Error(`${param.format()} needs ${param.components.length} fields, got ${raw.length}`);
+    }
+    return param.components.map((component, index) => coerceArgument(raw[index], component, names));
+  }
+
+  const text = String(raw).trim();
+  if (param.type === 'address') {
+    const address = names.addresses[text] || names.accounts[text];
+    if (address) return getAddress(address);
+    if (isAddress(text)) return getAddress(text);
+    throw new Error(`${text} is neither an address nor a deployed contract or known account`);
+  }
+  if (param.type === 'bool') {
+    if (text !== 'true' && text !== 'false') throw new Error(`bool must be true or false, got ${text}`);
+    return text === 'true';
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    if (!/^-?(\d[\d_]*|0x[0-9a-fA-F]+)$/.test(text)) throw new Error(`${param.type} must be an integer, got ${text}`);
+    return BigInt(text.replace(/_/g, ''));
+  }
+  if (param.type === 'bytes32' && /^[A-Z0-9_]+_ROLE$/.test(text)) return roleId(text);
+  if (param.type.startsWith('bytes')) {
+    if (!isHexString(text)) throw new Error(`${param.type} must be hex, got ${text}`);
+    return text;
+  }
+  return text;
+}
+
+/**
+ * Finds the function an action calls
+ * @returns {Object} ethers FunctionFragment
+ * @throws {Error} If there is none or more than one
+ */
+function selectFunction(iface, action) {
+  if (action.signature) {
+    const fragment = iface.getFunction(action.signature);
+    if (!fragment) throw new Error(`${action.contract} has no function ${action.signature}`);
+    return fragment;
+  }
+  const named = iface.fragments.filter(fragment => fragment.type === 'function' && fragment.name === action.method);
+  if (named.length === 0) throw new Error(`${action.contract} has no function ${action.method}`);
+  const matching = named.filter(fragment => fragment.inputs.length === action.args.length);
+  if (matching.length === 0) {
+    throw new Error(`${action.contract}.${action.method} takes ${named.map(fragment => fragment.inputs.length).join(' or ')} argument(s), got ${action.args.length}`);
+  }
+  if (matching.length > 1) {
+    throw new Error(`${action.contract}.${action.method} is overloaded; use the object form with one of: ${matching.map(fragment => fragment.format()).join(', ')}`);
+  }
+  return matching[0];
+}
+
+/**
+ * Builds createProposal arguments from actions
+ * @param {Array<string|Object>} actions - Written actions, in execution order
+ * @param {Object} context - Resolution context
+ * @param {Object} context.plan - Plan returned by resolveManifest (ABIs)
+ * @param {Object<string, string>} context.addresses - Contract name to deployed address
+ * @param {Object<string, string>} [context.accounts={}] - Account name to address
+ * @param {Object} context.labels - Labels returned by buildLabels, for the descriptions
+ * @returns {{ targets: string[], values: string[], calldatas: string[], calls: Object[] }}
+ * @throws {ManifestError} Listing every action that cannot be built
+ */
+function buildProposal(actions, context) {
+  const { plan, addresses, accounts = {}, labels } = context;
+  const issues = [];
+  const calls = [];
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new ManifestError(['a proposal needs at least one action'], 'proposal');
+  }
+
+  actions.forEach((written, index) => {
+    const label = `actions[${index}]`;
+    try {
+      const action = parseAction(written);
+      const entry = plan.contracts.find(candidate => candidate.name === action.contract);
+      if (!entry) throw new Error(`unknown contract ${action.contract}`);
+      if (!addresses[action.contract]) throw new Error(`${action.contract} is not in the address book`);
+      const iface = new Interface(entry.abi);
+      const fragment = selectFunction(iface, action);
+      const args = fragment.inputs.map((input, position) => {
+        try {
+          return coerceArgument(action.args[position], input, { addresses, accounts });
+        } catch (error) {
+          throw new Error(`argument ${input.name || position}: ${error.message}`);
+        }
+      });
+      const to = getAddress(addresses[action.contract]);
+      const data = iface.encodeFunctionData(fragment, args);
+      calls.push({
+        to,
+        value: action.value.toString(),
+        data,
+        contract: action.contract,
+        method: fragment.name,
+        signature: fragment.format(),
+        description: describeCall({ to, data, value: action.value }, labels)
+      });
+    } catch (error) {
+      issues.push(`${typeof written === 'string' ? `${label} "${written}"` : label}: ${error.message}`);
+    }
+  });
+
+  if (issues.length > 0) throw new ManifestError(issues, 'proposal');
+  return {
+    targets: calls.map(call => call.to),
+    values: calls.map(call => call.value),
+    calldatas: calls.map(call => call.data),
+    calls
+  };
+}
+
+/**
+ * Decodes a proposal's calls into readable actions
+ * @param {{ targets: string[], values: Array, calldatas: string[] }} proposal - createProposal arguments
+ * @param {Object} plan - Plan returned by resolveManifest (ABIs)
+ * @param {Object} labels - Labels returned by buildLabels
+ * @returns {Object[]} { index, to, value, data, contract, method, signature, args, description, warnings } per call
+ */
+function decodeProposal(proposal, plan, labels) {
+  // Selectors of every manifest ABI, to suggest what an unknown target may be
+  const selectors = new Map();
+  for (const entry of plan.contracts) {
+    new Interface(entry.abi).forEachFunction((fragment) => {
+      if (!selectors.has(fragment.selector)) selectors.set(fragment.selector, []);
+      selectors.get(fragment.selector).push(`${entry.name}.${fragment.format()}`);
+    });
+  }
+
+  return proposal.targets.map((to, index) => {
+    const data = proposal.calldatas[index] || '0x';
+    const value = BigInt(proposal.values[index] || 0).toString();
+    const call = { index, to, value, data, contract: null, method: null, signature: null, args: [], warnings: [] };
+    const target = labels.contracts.get(to.toLowerCase());
+    const name = labels.names.get(to.toLowerCase());
+    const selector = data.slice(0, 10);
+
+    if (data === '0x') {
+      call.description = `Send ${value} wei to ${name ? `${name} (${to})` : to}`;
+      if (target) call.warnings.push(`plain transfer to contract ${target.name}`);
+      return call;
+    }
+    call.description = describeCall({ to, data, value }, labels);
+    if (!target) {
+      const matches = selectors.get(selector);
+      call.warnings.push(`unknown target ${name ? `${name} (${to}), not a protocol contract` : to}`
+        + (matches ? `; selector ${selector} matches ${matches.join(', ')}` : ''));
+      return call;
+    }
+
+    call.contract = target.name;
+    const parsed = target.iface.parseTransaction({ data, value });
+    if (!parsed) {
+      call.warnings.push(`selector ${selector} is not in the ${target.name} ABI`);
+      return call;
+    }
+    call.method = parsed.name;
+    call.signature = parsed.fragment.format();
+    call.args = parsed.fragment.inputs.map((input, position) => ({
+      name: input.name || `arg${position}`,
+      type: input.type,
+      value: formatValue(parsed.args[position], input, labels)
+    }));
+    return call;
+  });
+}
+
+/**
+ * Recovers a proposal's calls from the transaction that created it
+ * @param {Object} protocolDAO - ProtocolDAO contract with a provider
+ * @param {number} id - Proposal id
+ * @returns {Promise<{ id: number, description: string, proposer: string, hash: string, targets: string[], values: bigint[], calldatas: string[] }>}
+ * @throws {Error} If no ProposalCreated event exists or the proposal was not created by a direct call
+ */
+async function readProposalCalls(protocolDAO, id) {
+  const events = await protocolDAO.queryFilter(protocolDAO.filters.ProposalCreated(id));
+  if (events.length === 0) throw new Error(`ProtocolDAO has no ProposalCreated event for proposal ${id}`);
+  const event = events[events.length - 1];
+  const tx = await event.getTransaction();
+  const parsed = tx.to && tx.to.toLowerCase() === protocolDAO.target.toLowerCase()
+    ? protocolDAO.interface.parseTransaction({ data: tx.data })
+    : null;
+  if (!parsed || parsed.name !== 'createProposal') {
+    throw new Error(`Proposal ${id} was created through ${tx.to} in ${tx.hash}, not by calling ProtocolDAO; decode its calls from that transaction's inner call`);
+  }
+  return {
+    id: Number(id),
+    description: parsed.args.description,
+    proposer: event.args.proposer,
+    hash: tx.hash,
+    targets: Array.from(parsed.args.targets),
+    // args.values would be Array.prototype.values
+    values: Array.from(parsed.args[2]),
+    calldatas: Array.from(parsed.args.calldatas)
+  };
+}
+
+/**
+ * Formats decoded calls for the console
+ * @param {Object[]} calls - Calls returned by decodeProposal
+ * @returns {string} One numbered line per call, warnings indented below
+ */
+function formatDecodedProposal(calls) {
+  return calls.map(call => [
+    `  ${call.index + 1}. ${call.description}`,
+    ...call.warnings.map(warning => `     ! ${warning}`)
+  ].join('\n')).join('\n');
+}
+
+module.exports = {
+  parseAction,
+  buildProposal,
+  decodeProposal,
+  readProposalCalls,
+  formatDecodedProposal
+};
@@ -0,0 +1,368 @@
+/**
+ * @title D-Loop Protocol Revert Decoder
+ * @dev Turns revert data into the custom error, its arguments and an explanation, for the
+ *      deployment scripts, the SDK and the mocha failure output
+ * @notice The selector table is built from every ABI under artifacts/ (the protocol contracts,
+ *         mocks and the OpenZeppelin and Chainlink dependencies), so an error is decoded even
+ *         when the contract that raised it is not the one that was called. The custom errors of
+ *         contracts/utils/Errors.sol carry an explanation; other errors are decoded without one.
+ *
+ *         Errors with a bytes argument that holds revert data are decoded recursively. Where a
+ *         contract discards the inner revert data, as ProtocolDAO._executeProposalCalls does
+ *         with OperationFailed(), traceCalls replays the calls from the caller's address with
+ *         eth_call to find the one that fails and decode its own revert.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AbiCoder, Interface, dataSlice } = require('ethers');
+
+const DEFAULT_ARTIFACTS_DIRECTORY = path.join(__dirname, '..', '..', 'artifacts');
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Keyed by error name; contracts/utils/Errors.sol and the OpenZeppelin errors the contracts inherit
+const EXPLANATIONS = {
+  Unauthorized: 'the caller lacks the role or position this function requires',
+  NotAuthorized: 'the caller is not allowed to do this (for proposals: only the proposer, admin or owner)',
+  CallerNotOwner: 'only the contract owner can call this',
+  CallerNotAdmin: 'only the contract admin (or owner) can call this',
+  ContractPaused: 'the contract is paused',
+  ZeroAddress: 'an address argument is the zero address',
+  InvalidAmount: 'an amount or parameter is zero, out of range or inconsistent (e.g. array lengths differ)',
+  ProposalNotFound: 'no proposal exists with this id',
+  ProposalNotActive: 'the proposal is not open for voting',
+  ProposalAlreadyExecuted: 'the proposal was already executed',
+  ProposalNotApproved: 'the proposal is canceled, its execution delay is still running, or it did not reach quorum',
+  InvalidProposalState: 'the proposal is not Active (it was executed or canceled)',
+  VotingPeriodEnded: 'voting on this proposal has ended',
+  VotingPeriodNotEnded: 'voting on this proposal is still open',
+  VotingEnded: 'voting on this proposal has ended',
+  VotingNotStarted: 'voting has not ended yet, so the proposal cannot execute',
+  VotingBufferNotElapsed: 'this voter changed their vote too recently; wait for minVotingBuffer',
+  TimelockPeriodNotElapsed: 'the proposal timelock has not elapsed since voting ended',
+  QuorumNotReached: 'too few of the votes cast are in favour',
+  MajorityNotReached: 'yes votes do not exceed no votes',
+  AlreadyVoted: 'this address already voted on the proposal',
+  InsufficientVotingPower: 'the caller holds too little voting power',
+  InvalidQuorumRange: 'the quorum is outside its allowed range',
+  InvalidVotingPeriod: 'the voting period is outside its allowed range',
+  TokenNotWhitelisted: 'ProtocolDAO does not whitelist the token',
+  OperationFailed: 'an inner call failed (for ProtocolDAO.executeProposal: one of the proposal calls reverted)',
+  InsufficientFunds: 'the account holds too few tokens or shares for this',
+  InsufficientBalance: 'the balance is too low for this',
+  InsufficientAllowance: 'the allowance is too low for this transfer',
+  InvalidAssetState: 'the asset is not in a state that allows this operation',
+  AssetNotFound: 'no asset exists with this id',
+  AssetNotActive: 'the asset is not active',
+  EmptyName: 'the name is empty',
+  NameAlreadyRegistered: 'the name is already registered',
+  AlreadyApproved: 'the operation was already approved',
+  OperationNotFound: 'no operation exists with this id',
+  AlreadyExecuted: 'the operation was already executed',
+  InvalidDestination: 'the destination address is not allowed',
+  TimelockNotExpired: 'the operation timelock has not expired yet',
+  InvalidTimelock: 'the timelock duration is not allowed',
+  TimelockRequired: 'this operation must go through the timelock',
+  OperationInProgress: 'another operation is in progress',
+  AmountExceedsCap: 'the amount exceeds the cap',
+  FeeExceedsAmount: 'the fee is larger than the amount',
+  InvalidFeePercentage: 'the fee percentage is above the allowed maximum',
+  InvalidDistributionPercentages: 'the fee distribution shares do not add up to 100%',
+  CooldownPeriodNotMet: 'the cooldown period has not passed',
+  InvalidEpochId: 'the reward epoch id is not valid',
+  TokenNonTransferable: 'the token cannot be transferred',
+  TransferFailed: 'a token transfer failed',
+  TransferFromFailed: 'a token transferFrom failed',
+  TokenTransferFailed: 'a token transfer failed',
+  ETHTransferFailed: 'an ETH transfer failed',
+  NodeNotRegistered: 'the AI node is not registered',
+  NodeAlreadyRegistered: 'the AI node is already registered',
+  NotNodeOwner: 'the caller does not own the AI node',
+  InsufficientStake: 'the stake is below the required minimum',
+  StalePrice: 'the oracle price is older than the feed allows',
+  InvalidOracleData: 'the oracle returned an invalid price',
+  PriceCannotBeZero: 'the price is zero',
+  AccessControlUnauthorizedAccount: 'the account lacks the role (OpenZeppelin AccessControl)',
+  OwnableUnauthorizedAccount: 'only the owner can call this (OpenZeppelin Ownable)',
+  EnforcedPause: 'the contract is paused (OpenZeppelin Pausable)',
+  ReentrancyGuardReentrantCall: 'reentrant call blocked',
+  ERC20InsufficientBalance: 'the sender holds too few tokens',
+  ERC20InsufficientAllowance: 'the spender\'s allowance is too low',
+  ERC20InvalidReceiver: 'tokens cannot be sent to this receiver',
+  ERC20ExceededCap: 'minting would exceed the token cap'
+};
+
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assert failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function pointer'
+};
+
+const tables = new Map();
+
+/**
+ * Lists the ABI artifacts under a directory, skipping debug files and build info
+ */
+function artifactFiles(directory) {
+  const files = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'build-info') files.push(...artifactFiles(file));
+    } else if (entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json')) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Builds (once per directory) the selector table of every error declared in the artifacts
+ * @param {Object} [options] - Options
+ * @param {string} [options.artifactsDirectory] - Hardhat artifacts directory
+ * @returns {Map<string, Object[]>} Selector to { name, signature, fragment, declaredIn[] };
+ *          more than one entry means the selector collides
+ */
+function loadErrorTable(options = {}) {
+  const directory = options.artifactsDirectory || DEFAULT_ARTIFACTS_DIRECTORY;
+  if (tables.has(directory)) return tables.get(directory);
+
+  const table = new Map();
+  const files = fs.existsSync(directory) ? artifactFiles(directory) : [];
+  for (const file of files) {
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(artifact.abi)) continue;
+    new Interface(artifact.abi).forEachError((fragment) => {
+      const signature = fragment.format();
+      const entries = table.get(fragment.selector) || [];
+      let entry = entries.find(candidate => candidate.signature === signature);
+      if (!entry) {
+        entry = { name: fragment.name, signature, fragment, declaredIn: [] };
+        entries.push(entry);
+        table.set(fragment.selector, entries);
+      }
+      if (!entry.declaredIn.includes(artifact.contractName)) entry.declaredIn.push(artifact.contractName);
+    });
+  }
+  tables.set(directory, table);
+  return table;
+}
+
+/**
+ * Finds raw revert data anywhere inside a provider error
+ * @param {Error} error - Error thrown by ethers or the Hardhat provider
+ * @returns {string|null} Hex revert data
+ */
+function findRevertData(error) {
+  if (!error) return null;
+  const candidates = [
+    error.data,
+    error.error && error.error.data,
+    error.info && error.info.error && error.info.error.data
+  ];
+  for (const candidate of candidates) {
+    const data = candidate && typeof candidate === 'object' ? candidate.data : candidate;
+    if (typeof data === 'string' && data.startsWith('0x') && data.length >= 10) return data;
+  }
+  // Some errors only carry it in their message (Hardhat's "unrecognized custom error", ethers' data="0x...")
+  const match = /(?:return data: |data=")(0x[0-9a-fA-F]{8,})/.exec(error.message || '');
+  return match ? match[1] : null;
+}
+
+function explain(name) {
+  return EXPLANATIONS[name] || null;
+}
+
+/**
+ * @typedef {Object} DecodedRevert
+ * @property {string} selector - First four bytes of the data
+ * @property {string|null} name - Error name, null if unknown
+ * @property {string|null} signature - e.g. "InitialSupplyExceedsMaxSupply(uint256,uint256)"
+ * @property {Array<{ name: string, type: string, value: * }>} args - Decoded arguments
+ * @property {string|null} explanation - What the error means, where known
+ * @property {string[]} declaredIn - Contracts whose ABI declares it
+ * @property {DecodedRevert|null} nested - Revert data found in a bytes argument, decoded
+ * @property {string} data - Raw revert data
+ */
+
+/**
+ * Decodes revert data
+ * @param {string} data - Hex revert data
+ * @param {Object} [options] - Options
+ * @param {Object} [options.iface] - Interface of the contract called; preferred on a selector collision
+ * @param {string} [options.artifactsDirectory] - Hardhat artifacts directory
+ * @returns {DecodedRevert|null} Decoded revert, null for empty data
+ */
+function decodeRevertData(data, options = {}) {
+  if (typeof data !== 'string' || data.length < 10) return null;
+  const selector = dataSlice(data, 0, 4);
+  const payload = dataSlice(data, 4);
+  const decoded = { selector, name: null, signature: null, args: [], explanation: null, declaredIn: [], nested: null, data };
+  const coder = AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [message] = coder.decode(['string'], payload);
+      return { ...decoded, name: 'Error', signature: 'Error(string)', args: [{ name: 'message', type: 'string', value: message }] };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], payload);
+      return {
+        ...decoded,
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        args: [{ name: 'code', type: 'uint256', value: code }],
+        explanation: PANIC_REASONS[Number(code)] || 'unknown panic code'
+      };
+    }
+  } catch (error) {
+    // Malformed payload; reported as an unknown error below
+    return decoded;
+  }
+
+  let fragment = null;
+  let declaredIn = [];
+  if (options.iface) {
+    try {
+      fragment = options.iface.getError(selector);
+    } catch (error) {
+      fragment = null;
+    }
+  }
+  const entries = loadErrorTable(options).get(selector) || [];
+  if (!fragment && entries.length > 0) fragment = entries[0].fragment;
+  if (!fragment) return decoded;
+  const entry = entries.find(candidate => candidate.signature === fragment.format());
+  if (entry) declaredIn = entry.declaredIn;
+
+  let values;
+  try {
+    values = coder.decode(fragment.inputs, payload);
+  } catch (error) {
+    return { ...decoded, name: fragment.name, signature: fragment.format(), declaredIn, explanation: explain(fragment.name) };
+  }
+  const args = fragment.inputs.map((input, index) => ({ name: input.name || `arg${index}`, type: input.type, value: values[index] }));
+  const bytesArg = args.find(arg => arg.type === 'bytes' && arg.value.length >= 10);
+  return {
+    ...decoded,
+    name: fragment.name,
+    signature: fragment.format(),
+    args,
+    explanation: explain(fragment.name),
+    declaredIn,
+    nested: bytesArg ? decodeRevertData(bytesArg.value, { artifactsDirectory: options.artifactsDirectory }) : null
+  };
+}
+
+/**
+ * Decodes the revert carried by an error thrown by ethers or the Hardhat provider
+ * @param {Error} error - Thrown error
+ * @param {Object} [options] - decodeRevertData options
+ * @returns {DecodedRevert|null} Decoded revert, null if the error carries no revert data
+ */
+function decodeRevert(error, options = {}) {
+  const data = findRevertData(error);
+  if (data) return decodeRevertData(data, options);
+  // ethers decoded it already but did not keep the data
+  if (error && error.revert && error.revert.name) {
+    return {
+      selector: null,
+      name: error.revert.name,
+      signature: error.revert.signature || null,
+      args: Array.from(error.revert.args || []).map((value, index) => ({ name: `arg${index}`, type: null, value })),
+      explanation: explain(error.revert.name),
+      declaredIn: [],
+      nested: null,
+      data: null
+    };
+  }
+  return null;
+}
+
+/**
+ * Formats a decoded revert on one line
+ * @param {DecodedRevert} decoded - Decoded revert
+ * @returns {string} e.g. "VotingPeriodEnded(): voting on this proposal has ended"
+ */
+function formatRevert(decoded) {
+  if (!decoded.name) return `unknown custom error ${decoded.selector}`;
+  let text;
+  if (decoded.name === 'Error') {
+    text = `Error: ${decoded.args[0].value}`;
+  } else if (decoded.name === 'Panic') {
+    text = `Panic(0x${decoded.args[0].value.toString(16)}): ${decoded.explanation}`;
+  } else {
+    text = `${decoded.name}(${decoded.args.map(arg => String(arg.value)).join(', ')})`;
+    if (decoded.explanation) text += `: ${decoded.explanation}`;
+  }
+  return decoded.nested ? `${text} <- ${formatRevert(decoded.nested)}` : text;
+}
+
+/**
+ * Produces a readable revert reason for a failed deployment or call
+ * @param {Error} error - Error thrown while sending the transaction
+ * @param {Object} [iface] - ethers Interface of the contract involved
+ * @returns {string} Decoded reason, e.g. "InvalidAmount(): an amount ..." or "Error: not allowed";
+ *          the error message if it carries no revert data
+ */
+function describeRevert(error, iface) {
+  const decoded = decodeRevert(error, { iface });
+  return decoded ? formatRevert(decoded) : (error.shortMessage || error.message);
+}
+
+/**
+ * The error message, followed by the decoded revert when the error carries one and the
+ * message does not show it already. For the top-level error handlers of scripts.
+ * @param {Error} error - Any error
+ * @returns {string} Message
+ */
+function explainError(error) {
+  const decoded = decodeRevert(error);
+  if (!decoded) return error.message;
+  const reason = formatRevert(decoded);
+  return error.message.includes(reason) ? error.message : `${error.message}\n  Reverted with ${reason}`;
+}
+
+/**
+ * Replays calls with eth_call from a caller to find the ones that revert, e.g. the calls of a
+ * ProtocolDAO proposal from the ProtocolDAO address. Each call runs against the current state,
+ * without the effects of the calls before it.
+ * @param {Object} options - Options
+ * @param {Object} options.provider - ethers Provider
+ * @param {string} options.from - Address the calls are made from
+ * @param {Array<{ to: string, data: string, value: * }>} options.calls - Calls in order
+ * @returns {Promise<Array<{ index: number, to: string, reverted: boolean, revert: DecodedRevert|null, reason: string|null }>>}
+ */
+async function traceCalls({ provider, from, calls }) {
+  const results = [];
+  for (const [index, call] of calls.entries()) {
+    try {
+      await provider.call({ from, to: call.to, data: call.data, value: BigInt(call.value || 0) });
+      results.push({ index, to: call.to, reverted: false, revert: null, reason: null });
+    } catch (error) {
+      const revert = decodeRevert(error);
+      results.push({ index, to: call.to, reverted: true, revert, reason: revert ? formatRevert(revert) : (error.shortMessage || error.message) });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  EXPLANATIONS,
+  loadErrorTable,
+  findRevertData,
+  decodeRevertData,
+  decodeRevert,
+  formatRevert,
+  describeRevert,
+  explainError,
+  traceCalls
+};
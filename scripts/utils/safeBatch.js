@@ -0,0 +1,406 @@
+/**
+ * @title D-Loop Protocol Multisig Batches
+ * @dev Exports configuration and admin calls for a Safe multisig, and simulates a batch as the
+ *      multisig before anyone signs
+ * @notice Calls are the actions used across the deployment scripts ({ contract, method, signature,
+ *         args }: manifest postDeployment steps, configReconciler drift). They are exported twice:
+ *         as a Safe Transaction Builder batch (importable in the Safe UI) and as a plain calldata
+ *         list. Every call carries a description decoded from its calldata, with addresses and
+ *         role identifiers named after the deployment's contracts, accounts and roles.
+ *
+ *         simulateBatch sends each call from the impersonated multisig on a local chain (a fork
+ *         or a local node) and diffs the state of every contract before and after. The Safe
+ *         executes a batch through MultiSend, but each call still reaches its target with the
+ *         multisig as msg.sender, which is what the simulation reproduces.
+ */
+
+const { Interface, ZeroHash, getAddress, keccak256, toUtf8Bytes } = require('ethers');
+const { collectReferences, resolveArgs, roleId } = require('./manifestResolver');
+const { describeRevert } = require('./revertDecoder');
+const { exportActions } = require('./componentRedeployer');
+const { readDeploymentState } = require('./contractState');
+
+const TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Turns the manifest's postDeployment steps into calls, leaving out the ones already sent
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @param {Object} context - Resolution context
+ * @param {Object<string, string>} context.addresses - Contract name to deployed address
+ * @param {Object<string, string>} context.accounts - Account name to address
+ * @param {Object[]} [context.transactions=[]] - Registry transactions of the deployment; configure
+ *        transactions with the same contract, method and arguments count as sent
+ * @returns {{ actions: Object[], unavailable: Object[] }} configure actions in manifest order, and
+ *          the steps that need a contract missing from the address book
+ */
+function configurationActions(plan, context) {
+  const { addresses, accounts, transactions = [] } = context;
+  const sent = new Set(transactions
+    .filter(tx => tx.type === 'configure')
+    .map(tx => JSON.stringify([tx.contract, tx.method, tx.args])));
+
+  const actions = [];
+  const unavailable = [];
+  for (const step of plan.postDeployment) {
+    const missing = [step.contract, ...collectReferences(step.args)].filter(name => !addresses[name]);
+    if (missing.length > 0) {
+      unavailable.push({ contract: step.contract, method: step.method, missing });
+      continue;
+    }
+    const action = {
+      kind: 'configure',
+      contract: step.contract,
+      method: step.method,
+      signature: step.signature,
+      args: resolveArgs(step.args, { accounts, addresses })
+    };
+    if (!sent.has(JSON.stringify([action.contract, action.method, action.args]))) actions.push(action);
+  }
+  return { actions, unavailable };
+}
+
+/**
+ * Collects the names used to describe calls
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @param {Object<string, string>} addresses - Contract name to deployed address
+ * @param {Object<string, string>} [accounts={}] - Account name to address, e.g. { deployer, safe }
+ * @returns {{ contracts: Map, names: Map, roles: Map }} Interfaces and names by lower-cased
+ *          address, role names by identifier
+ */
+function buildLabels(plan, addresses, accounts = {}) {
+  const contracts = new Map();
+  const names = new Map();
+  const roles = new Map([[ZeroHash, 'DEFAULT_ADMIN_ROLE']]);
+
+  for (const entry of plan.contracts) {
+    const iface = new Interface(entry.abi);
+    iface.forEachFunction((fragment) => {
+      if (fragment.name.endsWith('_ROLE') && fragment.inputs.length === 0) {
+        roles.set(roleId(fragment.name), fragment.name);
+      }
+    });
+    if (!addresses[entry.name]) continue;
+    contracts.set(addresses[entry.name].toLowerCase(), { name: entry.name, iface });
+    names.set(addresses[entry.name].toLowerCase(), entry.name);
+  }
+  for (const [name, address] of Object.entries(accounts)) {
+    if (address && !names.has(address.toLowerCase())) names.set(address.toLowerCase(), name);
+  }
+  return { contracts, names, roles };
+}
+
+/**
+ * Formats a decoded argument, naming known addresses and roles
+ * @param {*} value - Decoded value
+ * @param {Object} param - ethers ParamType
+ * @param {Object} labels - Labels returned by buildLabels
+ * @returns {string} Readable value
+ */
+function formatValue(value, param, labels) {
+  if (param.isArray()) {
+    return `[${Array.from(value).map(item => formatValue(item, param.arrayChildren, labels)).join(', ')}]`;
+  }
+  if (param.isTuple()) {
+    return `(${param.components.map((component, index) => formatValue(value[index], component, labels)).join(', ')})`;
+  }
+  if (param.type === 'address') {
+    const name = labels.names.get(value.toLowerCase());
+    return name ? `${name} (${value})` : value;
+  }
+  if (param.type === 'bytes32' && labels.roles.has(value)) {
+    return labels.roles.get(value);
+  }
+  return String(value);
+}
+
+/**
+ * Decodes a call into a readable description
+ * @param {Object} call - { to, data, value }
+ * @param {Object} labels - Labels returned by buildLabels
+ * @returns {string} e.g. "SoulboundNFT.grantMinterRole(minter: AINodeRegistry (0x...))"
+ */
+function describeCall(call, labels) {
+  const target = labels.contracts.get(call.to.toLowerCase());
+  const value = call.value && BigInt(call.value) > 0n ? ` with ${call.value} wei` : '';
+  if (!target) return `Call ${call.to} with data ${call.data.slice(0, 10)}${value}`;
+
+  const parsed = target.iface.parseTransaction({ data: call.data });
+  if (!parsed) return `${target.name}: unknown function ${call.data.slice(0, 10)}${value}`;
+  const args = parsed.fragment.inputs.map((input, index) =>
+    `${input.name || `arg${index}`}: ${formatValue(parsed.args[index], input, labels)}`
+  );
+  return `${target.name}.${parsed.name}(${args.join(', ')})${value}`;
+}
+
+/**
+ * Converts a value into JSON-friendly form (bigints as strings)
+ * @param {*} value - Value
+ * @returns {*} Serializable value
+ */
+function toJson(value) {
+  if (Array.isArray(value)) return value.map(toJson);
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Encodes actions as calls with calldata and a description
+ * @param {Object[]} actions - Actions ({ contract, method, signature, args })
+ * @param {Object} plan - Plan returned by resolveManifest
+ * @param {Object<string, string>} addresses - Contract name to deployed address
+ * @param {Object} labels - Labels returned by buildLabels
+ * @returns {Object[]} { to, value, data, contract, method, signature, args, description } per action
+ */
+function encodeCalls(actions, plan, addresses, labels) {
+  return exportActions(actions, plan, addresses).map(call => ({
+    to: call.to,
+    value: '0',
+    data: call.data,
+    contract: call.contract,
+    method: call.method,
+    signature: call.signature,
+    args: toJson(call.args),
+    description: describeCall({ to: call.to, data: call.data }, labels)
+  }));
+}
+
+/**
+ * Serializes JSON the way the Safe Transaction Builder does to checksum a batch: object keys
+ * sorted and listed before the values
+ * @param {*} json - Value to serialize
+ * @returns {string} Serialized value
+ */
+function serializeForChecksum(json) {
+  const replacer = (key, value) => (value === undefined ? null : value);
+  if (Array.isArray(json)) {
+    return `[${json.map(serializeForChecksum).join(',')}]`;
+  }
+  if (json && typeof json === 'object') {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map(key => `${serializeForChecksum(json[key])},`).join('')}}`;
+  }
+  return JSON.stringify(json, replacer);
+}
+
+/**
+ * Computes the checksum the Safe Transaction Builder checks on import (the batch name is excluded)
+ * @param {Object} batch - Safe batch, with or without meta.checksum
+ * @returns {string} keccak256 checksum
+ */
+function batchChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return keccak256(toUtf8Bytes(serializeForChecksum({ ...batch, meta: { ...meta, name: null } })));
+}
+
+/**
+ * Converts a decoded argument into a Transaction Builder input value
+ * @param {*} value - Argument
+ * @returns {string} Input value (arrays and tuples as JSON)
+ */
+function toInputValue(value) {
+  if (Array.isArray(value)) return JSON.stringify(toJson(value));
+  return String(value);
+}
+
+/**
+ * Builds a Safe Transaction Builder batch from encoded calls
+ * @param {Object} options - Batch options
+ * @param {number|string} options.chainId - Chain the Safe is on
+ * @param {string} options.safe - Safe address
+ * @param {Object[]} options.calls - Calls returned by encodeCalls
+ * @param {Object} options.plan - Plan returned by resolveManifest
+ * @param {string} options.name - Batch name shown in the Safe UI
+ * @param {string} [options.description] - Batch description; the call descriptions are appended
+ * @param {number} [options.createdAt=Date.now()] - Creation time in milliseconds
+ * @returns {Object} Batch file with meta.checksum
+ */
+function toSafeBatch(options) {
+  const { chainId, safe, calls, plan, name, description, createdAt = Date.now() } = options;
+
+  const transactions = calls.map((call) => {
+    const entry = plan.contracts.find(candidate => candidate.name === call.contract);
+    // The raw ABI item keeps internalType, which the Transaction Builder shows
+    const abiItem = entry.abi.find(item =>
+      item.type === 'function' && new Interface([item]).getFunction(item.name).format('sighash') === call.signature
+    );
+    return {
+      to: call.to,
+      value: call.value,
+      data: null,
+      contractMethod: {
+        inputs: abiItem.inputs.map(input => ({ internalType: input.internalType, name: input.name, type: input.type })),
+        name: abiItem.name,
+        payable: abiItem.stateMutability === 'payable'
+      },
+      contractInputsValues: Object.fromEntries(abiItem.inputs.map((input, index) => [input.name, toInputValue(call.args[index])]))
+    };
+  });
+
+  const lines = calls.map((call, index) => `${index + 1}. ${call.description}`);
+  const batch = {
+    version: '1.0',
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: [description, ...lines].filter(Boolean).join('\n'),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: getAddress(safe),
+      createdFromOwnerAddress: ''
+    },
+    transactions
+  };
+  batch.meta.checksum = batchChecksum(batch);
+  return batch;
+}
+
+/**
+ * Converts a Transaction Builder input value back into an argument
+ * @param {string} value - Input value
+ * @param {string} type - Solidity type
+ * @returns {*} Argument for encodeFunctionData
+ */
+function fromInputValue(value, type) {
+  if (type.endsWith(']') || type.startsWith('tuple')) return JSON.parse(value);
+  if (type === 'bool') return value === true || value === 'true';
+  return value;
+}
+
+/**
+ * Reads the calls of an exported file: a Safe batch or a calldata list
+ * @param {Object} file - Parsed JSON file
+ * @returns {{ safe: string|null, chainId: string|null, calls: Object[] }} Calls with to, value and data
+ * @throws {Error} If the file is neither, or a Safe batch fails its checksum
+ */
+function readBatch(file) {
+  if (Array.isArray(file.transactions)) {
+    if (file.meta && file.meta.checksum && batchChecksum(file) !== file.meta.checksum) {
+      throw new Error('The Safe batch checksum does not match its contents; it was edited after export');
+    }
+    const calls = file.transactions.map((tx, index) => {
+      if (tx.data && tx.data !== '0x') return { to: getAddress(tx.to), value: String(tx.value || '0'), data: tx.data };
+      if (!tx.contractMethod) throw new Error(`Transaction ${index + 1} has neither data nor contractMethod`);
+      const { name, inputs, payable } = tx.contractMethod;
+      const iface = new Interface([{ type: 'function', name, inputs, outputs: [], stateMutability: payable ? 'payable' : 'nonpayable' }]);
+      const args = inputs.map(input => fromInputValue(tx.contractInputsValues[input.name], input.type));
+      return { to: getAddress(tx.to), value: String(tx.value || '0'), data: iface.encodeFunctionData(name, args) };
+    });
+    return { safe: (file.meta && file.meta.createdFromSafeAddress) || null, chainId: file.chainId || null, calls };
+  }
+  if (Array.isArray(file.calls)) {
+    return {
+      safe: file.safe || null,
+      chainId: file.chainId ? String(file.chainId) : null,
+      calls: file.calls.map(call => ({ to: getAddress(call.to), value: String(call.value || '0'), data: call.data }))
+    };
+  }
+  throw new Error('Not a Safe Transaction Builder batch or calldata list');
+}
+
+/**
+ * Lists the differences between two state snapshots
+ * @param {Object} before - Snapshot returned by readDeploymentState
+ * @param {Object} after - Snapshot returned by readDeploymentState
+ * @returns {Object[]} { contract, field, before, after } per changed value, and
+ *          { contract, role, granted, revoked } per changed role
+ */
+function diffState(before, after) {
+  const changes = [];
+  for (const [contract, state] of Object.entries(after)) {
+    const previous = before[contract] || { values: {}, roles: {} };
+    for (const [field, value] of Object.entries(state.values)) {
+      if (JSON.stringify(previous.values[field]) !== JSON.stringify(value)) {
+        changes.push({ contract, field, before: previous.values[field], after: value });
+      }
+    }
+    for (const [role, holders] of Object.entries(state.roles)) {
+      const previousHolders = previous.roles[role] || [];
+      const granted = holders.filter(holder => !previousHolders.includes(holder));
+      const revoked = previousHolders.filter(holder => !holders.includes(holder));
+      if (granted.length > 0 || revoked.length > 0) changes.push({ contract, role, granted, revoked });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Formats a state diff, naming known addresses
+ * @param {Object[]} changes - Changes returned by diffState
+ * @param {Object} labels - Labels returned by buildLabels
+ * @returns {string} One line per change
+ */
+function formatStateDiff(changes, labels) {
+  const show = value => (typeof value === 'string' && labels.names.get(value.toLowerCase())) || JSON.stringify(value);
+  return changes.map((change) => {
+    if (change.role) {
+      return [
+        ...change.granted.map(holder => `  ${change.contract}.${change.role}: + ${holder}`),
+        ...change.revoked.map(holder => `  ${change.contract}.${change.role}: - ${holder}`)
+      ].join('\n');
+    }
+    return `  ${change.contract}.${change.field}: ${show(change.before)} -> ${show(change.after)}`;
+  }).join('\n');
+}
+
+/**
+ * Sends a batch from the impersonated multisig and diffs the deployment state around it. Only
+ * works on chains that allow impersonation (the in-process chain, a fork or a local node).
+ * @param {Object} options - Simulation options
+ * @param {Object} options.ethers - hardhat-ethers instance (hre.ethers)
+ * @param {Object[]} options.calls - Calls returned by readBatch
+ * @param {string} options.safe - Multisig address
+ * @param {Object} options.instances - Contract name to ethers Contract, whose state is diffed
+ * @param {Object<string, string>} [options.accounts={}] - Named accounts checked for roles
+ * @param {Object} options.labels - Labels returned by buildLabels
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<{ results: Object[], changes: Object[] }>} Outcome of every call, in order,
+ *          and the state changes
+ */
+async function simulateBatch(options) {
+  const { ethers, calls, safe, instances, accounts = {}, labels, log = console.log } = options;
+  const { provider } = ethers;
+  const holders = { ...accounts, safe };
+
+  const before = await readDeploymentState(instances, holders);
+  await provider.send('hardhat_impersonateAccount', [safe]);
+  const results = [];
+  try {
+    const balance = await provider.getBalance(safe);
+    const needed = calls.reduce((total, call) => total + BigInt(call.value), 0n) + ethers.parseEther('1');
+    if (balance < needed) await provider.send('hardhat_setBalance', [safe, ethers.toQuantity(needed)]);
+
+    const signer = await ethers.getSigner(safe);
+    for (const [index, call] of calls.entries()) {
+      const description = describeCall(call, labels);
+      try {
+        const tx = await signer.sendTransaction({ to: call.to, data: call.data, value: call.value });
+        const receipt = await tx.wait();
+        results.push({ index, description, status: 'success', gasUsed: receipt.gasUsed.toString() });
+        log(`  ok      ${index + 1}. ${description}`);
+      } catch (error) {
+        const target = labels.contracts.get(call.to.toLowerCase());
+        const reason = describeRevert(error, target ? target.iface : undefined);
+        results.push({ index, description, status: 'failed', error: reason });
+        log(`  FAILED  ${index + 1}. ${description}: ${reason}`);
+      }
+    }
+  } finally {
+    await provider.send('hardhat_stopImpersonatingAccount', [safe]);
+  }
+
+  const after = await readDeploymentState(instances, holders);
+  return { results, changes: diffState(before, after) };
+}
+
+module.exports = {
+  configurationActions,
+  buildLabels,
+  formatValue,
+  describeCall,
+  encodeCalls,
+  batchChecksum,
+  toSafeBatch,
+  readBatch,
+  diffState,
+  formatStateDiff,
+  simulateBatch
+};
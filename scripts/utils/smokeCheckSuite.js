@@ -0,0 +1,229 @@
+/**
+ * @title D-Loop Protocol Smoke Check Suite
+ * @dev Runs read-only post-deployment checks against any network and deployment record
+ * @notice Checks live in per-contract modules under scripts/smoke-checks/. Each module names the
+ *         contract it covers and lists its checks:
+ *
+ *         module.exports = {
+ *           contract: 'DLoopToken',
+ *           checks: [
+ *             { name: 'has 18 decimals', run: async ({ contract, expect }) => expect(await contract.decimals()).to.equal(18n) },
+ *             { name: 'ProtocolDAO can mint', requires: ['ProtocolDAO'], run: async ({ contract, addresses }) => ... }
+ *           ]
+ *         };
+ *
+ *         A module runs when the deployment contains a contract with that name or artifact; a check
+ *         is skipped when a contract it requires is not part of the deployment. Results can be
+ *         written as JSON or as JUnit XML for CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+
+const DEFAULT_CHECK_DIRECTORY = path.join(__dirname, '..', 'smoke-checks');
+
+const STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Validates a check module
+ * @param {Object} checkModule - Module exports
+ * @param {string} source - Where it was loaded from, for error messages
+ * @returns {Object} The module
+ * @throws {Error} If the module does not name a contract or has a malformed check
+ */
+function validateModule(checkModule, source) {
+  if (typeof checkModule.contract !== 'string' || !Array.isArray(checkModule.checks)) {
+    throw new Error(`${source} must export { contract, checks }`);
+  }
+  for (const check of checkModule.checks) {
+    if (typeof check.name !== 'string' || typeof check.run !== 'function') {
+      throw new Error(`${source}: every check needs a name and a run function`);
+    }
+  }
+  return checkModule;
+}
+
+/**
+ * Loads every check module in a directory
+ * @param {string} [directory] - Check module directory
+ * @returns {Object[]} Modules, ordered by file name
+ */
+function loadCheckModules(directory = DEFAULT_CHECK_DIRECTORY) {
+  return fs.readdirSync(directory)
+    .filter(fileName => fileName.endsWith('.js'))
+    .sort()
+    .map((fileName) => {
+      const filePath = path.join(directory, fileName);
+      return validateModule(require(filePath), filePath);
+    });
+}
+
+/**
+ * Finds the contract a module covers, by deployment name or by artifact name
+ * @param {Object<string, { address: string, artifact: string }>} contracts - Deployed contracts
+ * @param {string} contractName - Contract named by the module
+ * @returns {string[]} Names of the matching deployed contracts
+ */
+function matchingContracts(contracts, contractName) {
+  return Object.keys(contracts).filter((name) => {
+    const artifact = contracts[name].artifact || name;
+    return name === contractName || artifact.split(':').pop() === contractName;
+  });
+}
+
+/**
+ * Lists the tokens the manifest whitelists in ProtocolDAO
+ * @param {Object} manifest - Deployment manifest
+ * @param {Object<string, string>} addresses - Contract name to deployed address
+ * @returns {Object<string, string>} Token name to address, for the tokens that were deployed
+ */
+function configuredTokens(manifest, addresses) {
+  const tokens = {};
+  for (const step of manifest.postDeployment || []) {
+    const [token, whitelisted] = step.args || [];
+    if (step.method !== 'whitelistToken' || whitelisted !== true || !token || !token.ref) continue;
+    if (addresses[token.ref]) tokens[token.ref] = addresses[token.ref];
+  }
+  return tokens;
+}
+
+/**
+ * Runs every check of every module whose contract is deployed
+ * @param {Object} options - Run options
+ * @param {Object} options.ethers - Hardhat ethers (hre.ethers)
+ * @param {Object[]} options.modules - Check modules (see loadCheckModules)
+ * @param {Object<string, { address: string, artifact: string }>} options.contracts - Deployed contracts
+ * @param {Object<string, string>} [options.tokens={}] - Token name to address (see configuredTokens)
+ * @param {Function} [options.log=console.log] - Progress logger
+ * @returns {Promise<Object[]>} One { suite, contract, name, status, duration, error? } per check
+ */
+async function runSmokeChecks(options) {
+  const { ethers, modules, contracts, tokens = {}, log = console.log } = options;
+  const addresses = Object.fromEntries(Object.entries(contracts).map(([name, info]) => [name, info.address]));
+
+  const instances = {};
+  for (const [name, info] of Object.entries(contracts)) {
+    instances[name] = await ethers.getContractAt(info.artifact || name, info.address);
+  }
+
+  const results = [];
+  for (const checkModule of modules) {
+    const names = matchingContracts(contracts, checkModule.contract);
+    if (names.length === 0) {
+      log(`- ${checkModule.contract}: not part of this deployment, skipped`);
+      continue;
+    }
+
+    for (const name of names) {
+      const context = { contract: instances[name], name, instances, addresses, tokens, ethers, expect };
+      for (const check of checkModule.checks) {
+        const result = { suite: checkModule.contract, contract: name, name: check.name };
+        const missing = (check.requires || []).filter(required => !addresses[required]);
+        if (missing.length > 0) {
+          results.push({ ...result, status: STATUS.SKIPPED, duration: 0, error: `requires ${missing.join(', ')}` });
+          log(`- ${name}: ${check.name} (skipped, requires ${missing.join(', ')})`);
+          continue;
+        }
+
+        const started = Date.now();
+        try {
+          await check.run(context);
+          results.push({ ...result, status: STATUS.PASSED, duration: Date.now() - started });
+          log(`✅ ${name}: ${check.name}`);
+        } catch (error) {
+          results.push({ ...result, status: STATUS.FAILED, duration: Date.now() - started, error: error.message });
+          log(`❌ ${name}: ${check.name}\n   ${error.message}`);
+        }
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Counts results by status
+ * @param {Object[]} results - Results returned by runSmokeChecks
+ * @returns {{ total: number, passed: number, failed: number, skipped: number }} Counts
+ */
+function summarizeResults(results) {
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    total: results.length,
+    passed: count(STATUS.PASSED),
+    failed: count(STATUS.FAILED),
+    skipped: count(STATUS.SKIPPED)
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats a smoke check report as JUnit XML, one testsuite per deployed contract
+ * @param {Object} report - { network, deploymentId, timestamp, results }
+ * @returns {string} JUnit XML document
+ */
+function toJUnitXml(report) {
+  const { network, deploymentId, timestamp, results } = report;
+  const suites = new Map();
+  for (const result of results) {
+    if (!suites.has(result.contract)) suites.set(result.contract, []);
+    suites.get(result.contract).push(result);
+  }
+
+  const seconds = milliseconds => (milliseconds / 1000).toFixed(3);
+  const totals = summarizeResults(results);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`smoke-checks ${network}${deploymentId ? ` ${deploymentId}` : ''}`)}" ` +
+      `tests="${totals.total}" failures="${totals.failed}" skipped="${totals.skipped}" ` +
+      `time="${seconds(results.reduce((sum, result) => sum + result.duration, 0))}">`
+  ];
+  for (const [contract, suiteResults] of suites) {
+    const counts = summarizeResults(suiteResults);
+    lines.push(
+      `  <testsuite name="${escapeXml(contract)}" tests="${counts.total}" failures="${counts.failed}" ` +
+      `skipped="${counts.skipped}" timestamp="${escapeXml(timestamp)}" ` +
+      `time="${seconds(suiteResults.reduce((sum, result) => sum + result.duration, 0))}">`
+    );
+    for (const result of suiteResults) {
+      const open = `    <testcase classname="${escapeXml(`${network}.${contract}`)}" name="${escapeXml(result.name)}" ` +
+        `time="${seconds(result.duration)}"`;
+      if (result.status === STATUS.PASSED) {
+        lines.push(`${open}/>`);
+      } else if (result.status === STATUS.SKIPPED) {
+        lines.push(`${open}>`, `      <skipped message="${escapeXml(result.error)}"/>`, '    </testcase>');
+      } else {
+        lines.push(
+          `${open}>`,
+          `      <failure message="${escapeXml(result.error)}">${escapeXml(result.error)}</failure>`,
+          '    </testcase>'
+        );
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  STATUS,
+  DEFAULT_CHECK_DIRECTORY,
+  loadCheckModules,
+  configuredTokens,
+  runSmokeChecks,
+  summarizeResults,
+  toJUnitXml
+};
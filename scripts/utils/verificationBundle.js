@@ -0,0 +1,207 @@
+/**
+ * @title D-Loop Protocol Verification Bundles
+ * @dev Self-contained records of everything a block explorer needs to verify a deployed contract
+ * @notice A bundle holds the Solidity standard-JSON input (only the sources the contract was
+ *         compiled from, taken from the Hardhat build-info), the compiler version and settings,
+ *         the ABI-encoded constructor arguments and the library links. It can be submitted
+ *         later, by anyone, without the repository or a compiler, and two bundles can be
+ *         compared to prove two deployments were built from identical sources and settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Interface, keccak256, isAddress } = require('ethers');
+
+const BUNDLE_FORMAT = 'dloop-verification-bundle-1';
+const DEFAULT_BUNDLE_DIRECTORY = path.join(__dirname, '..', '..', 'verification-bundles');
+
+/**
+ * Finds the address of every library the bytecode links against
+ * @param {Object} linkReferences - Artifact linkReferences ({ sourceName: { libraryName: offsets } })
+ * @param {Object<string, string>} libraries - Library addresses keyed by "source.sol:Library" or "Library"
+ * @returns {Object<string, Object<string, string>>} Standard-JSON settings.libraries
+ * @throws {Error} If a linked library has no address
+ */
+function resolveLibraries(linkReferences, libraries) {
+  const resolved = {};
+  const missing = [];
+  for (const [sourceName, references] of Object.entries(linkReferences || {})) {
+    for (const libraryName of Object.keys(references)) {
+      const address = libraries[`${sourceName}:${libraryName}`] || libraries[libraryName];
+      if (!address || !isAddress(address)) {
+        missing.push(`${sourceName}:${libraryName}`);
+        continue;
+      }
+      resolved[sourceName] = { ...resolved[sourceName], [libraryName]: address };
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`No address for linked librar${missing.length === 1 ? 'y' : 'ies'} ${missing.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Builds the verification bundle of one deployed contract
+ * @param {Object} options - Bundle options
+ * @param {Object} options.artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {string} options.name - Contract name in the deployment record
+ * @param {string} options.artifact - Artifact name or fully qualified name
+ * @param {string} options.address - Deployed address
+ * @param {Array} [options.args=[]] - Constructor arguments
+ * @param {Object<string, string>} [options.libraries={}] - Linked library addresses
+ * @param {Object} [options.deployment={}] - Where it was deployed: network, chainId, deploymentId, transaction
+ * @returns {Promise<Object>} Bundle
+ * @throws {Error} If the artifact has no build-info (not compiled in this checkout) or a library is unlinked
+ */
+async function buildVerificationBundle(options) {
+  const { artifacts, name, artifact, address, args = [], libraries = {}, deployment = {} } = options;
+  const compiled = await artifacts.readArtifact(artifact);
+  const fullyQualifiedName = `${compiled.sourceName}:${compiled.contractName}`;
+  let buildInfo;
+  try {
+    buildInfo = await artifacts.getBuildInfo(fullyQualifiedName);
+  } catch (error) {
+    // The debug file points at a build-info that is no longer on disk
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}; run \`npx hardhat compile\` first`);
+  }
+
+  const output = buildInfo.output.contracts[compiled.sourceName][compiled.contractName];
+  const metadata = JSON.parse(output.metadata);
+  // The metadata lists exactly the sources this contract was compiled from
+  const sourceNames = Object.keys(metadata.sources).sort();
+  const linkedLibraries = resolveLibraries(compiled.linkReferences, libraries);
+  const settings = { ...buildInfo.input.settings, libraries: linkedLibraries };
+
+  return {
+    format: BUNDLE_FORMAT,
+    contract: { name, fullyQualifiedName },
+    deployment: { ...deployment, address },
+    compiler: {
+      version: `v${buildInfo.solcLongVersion}`,
+      optimizer: settings.optimizer || { enabled: false },
+      evmVersion: settings.evmVersion || null,
+      viaIR: Boolean(settings.viaIR)
+    },
+    constructorArguments: new Interface(compiled.abi).encodeDeploy(args).slice(2),
+    libraries: linkedLibraries,
+    sourceHashes: Object.fromEntries(sourceNames.map(sourceName => [sourceName, metadata.sources[sourceName].keccak256])),
+    bytecodeHash: keccak256(compiled.bytecode),
+    input: {
+      language: buildInfo.input.language,
+      sources: Object.fromEntries(sourceNames.map(sourceName => [sourceName, buildInfo.input.sources[sourceName]])),
+      settings
+    }
+  };
+}
+
+/**
+ * Returns where the bundles of a deployment are written
+ * @param {string} networkName - Network name
+ * @param {string} deploymentId - Deployment registry id
+ * @param {string} [directory] - Bundle root directory
+ * @returns {string} Bundle directory
+ */
+function bundleDirectory(networkName, deploymentId, directory = DEFAULT_BUNDLE_DIRECTORY) {
+  return path.join(directory, networkName, deploymentId);
+}
+
+/**
+ * Writes bundles as <directory>/<Contract>.json
+ * @param {string} directory - Bundle directory
+ * @param {Object[]} bundles - Bundles returned by buildVerificationBundle
+ * @returns {string[]} Written files
+ */
+function writeBundles(directory, bundles) {
+  fs.mkdirSync(directory, { recursive: true });
+  return bundles.map((bundle) => {
+    const filePath = path.join(directory, `${bundle.contract.name}.json`);
+    fs.writeFileSync(filePath, `${JSON.stringify(bundle, null, 2)}\n`);
+    return filePath;
+  });
+}
+
+/**
+ * Reads the bundles in a file or directory
+ * @param {string} location - Bundle file, or directory of bundle files
+ * @returns {Object<string, Object>} Contract name to bundle
+ * @throws {Error} If a file is not a verification bundle
+ */
+function loadBundles(location) {
+  const files = fs.statSync(location).isDirectory()
+    ? fs.readdirSync(location).filter(fileName => fileName.endsWith('.json')).sort().map(fileName => path.join(location, fileName))
+    : [location];
+
+  const bundles = {};
+  for (const filePath of files) {
+    const bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (bundle.format !== BUNDLE_FORMAT) {
+      throw new Error(`${filePath} is not a verification bundle (format ${bundle.format}, expected ${BUNDLE_FORMAT})`);
+    }
+    bundles[bundle.contract.name] = bundle;
+  }
+  return bundles;
+}
+
+/**
+ * Lists what differs between the builds of two bundles. Where and when they were deployed is ignored.
+ * @param {Object} a - Bundle
+ * @param {Object} b - Bundle
+ * @returns {{ field: string, a: *, b: * }[]} Differences; empty when both were built identically
+ */
+function diffBundles(a, b) {
+  const differences = [];
+  const compare = (field, valueA, valueB) => {
+    if (JSON.stringify(valueA) !== JSON.stringify(valueB)) differences.push({ field, a: valueA, b: valueB });
+  };
+
+  compare('contract', a.contract.fullyQualifiedName, b.contract.fullyQualifiedName);
+  compare('compiler.version', a.compiler.version, b.compiler.version);
+  compare('settings', { ...a.input.settings, libraries: undefined }, { ...b.input.settings, libraries: undefined });
+  for (const sourceName of [...new Set([...Object.keys(a.sourceHashes), ...Object.keys(b.sourceHashes)])].sort()) {
+    compare(`sources.${sourceName}`, a.sourceHashes[sourceName] || null, b.sourceHashes[sourceName] || null);
+  }
+  compare('bytecodeHash', a.bytecodeHash, b.bytecodeHash);
+  compare('constructorArguments', a.constructorArguments, b.constructorArguments);
+  compare('libraries', a.libraries, b.libraries);
+  return differences;
+}
+
+/**
+ * Submits a bundle to an Etherscan-compatible explorer and waits for the result
+ * @param {Object} bundle - Bundle to submit
+ * @param {Object} etherscan - hardhat-verify Etherscan instance for the bundle's chain
+ * @returns {Promise<{ status: string, message: string, url: string }>} 'verified', 'already-verified' or 'failed'
+ */
+async function submitBundle(bundle, etherscan) {
+  const { address } = bundle.deployment;
+  const url = etherscan.getContractUrl(address);
+  if (await etherscan.isVerified(address)) {
+    return { status: 'already-verified', message: 'Already verified', url };
+  }
+
+  const response = await etherscan.verify(
+    address,
+    JSON.stringify(bundle.input),
+    bundle.contract.fullyQualifiedName,
+    bundle.compiler.version,
+    bundle.constructorArguments
+  );
+  // Polls while the explorer processes the submission
+  const result = await etherscan.getVerificationStatus(response.message);
+  return { status: result.isSuccess() ? 'verified' : 'failed', message: result.message, url };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  DEFAULT_BUNDLE_DIRECTORY,
+  buildVerificationBundle,
+  bundleDirectory,
+  writeBundles,
+  loadBundles,
+  diffBundles,
+  submitBundle
+};
@@ -0,0 +1,335 @@
+/**
+ * @title D-Loop Protocol AssetDAO SDK
+ * @dev Client for the AssetDAO investment flows: createAsset, invest, divest and rageQuit
+ * @notice Every flow is checked before anything is sent: the pause flag, the asset's state, the
+ *         fee from FeeCalculator, the investor's balance, allowance and shares, and whether
+ *         AssetDAO can pay the fee. A failed check throws an AssetDAOError with a stable `code`;
+ *         the preview* methods return the same checks without throwing. Results are parsed
+ *         from the AssetCreated, InvestmentMade and DivestmentMade events.
+ *
+ *         AssetDAO pays the fees out of its own D-AI balance (FeeProcessor pulls them with an
+ *         allowance from AssetDAO) and pulls only the net amount from the investor, so an
+ *         investment needs allowance and balance for the amount minus the fee.
+ */
+
+const { contractAt, erc20At, findEvent, sendAndWait } = require('./contracts');
+
+/** @typedef {import('../typechain-types').AssetDAO} AssetDAOContract */
+/** @typedef {import('../typechain-types').FeeCalculator} FeeCalculatorContract */
+
+const ASSET_STATES = ['Inactive', 'Active', 'Liquidating', 'Closed'];
+
+/**
+ * @typedef {Object} Check
+ * @property {string} code - PAUSED, ASSET_NOT_FOUND, ASSET_NOT_ACTIVE, INVALID_AMOUNT,
+ *           INSUFFICIENT_BALANCE, INSUFFICIENT_ALLOWANCE, INSUFFICIENT_SHARES, FEE_NOT_FUNDED,
+ *           INSUFFICIENT_LIQUIDITY or TOKEN_NOT_WHITELISTED
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} FlowPreview
+ * @property {bigint} assetId
+ * @property {string} account - Investor the preview is for
+ * @property {string|null} state - Asset state name, null if the asset does not exist
+ * @property {bigint} amount - Amount invested, or shares redeemed
+ * @property {bigint} fee - Fee FeeCalculator charges on it
+ * @property {bigint} net - Tokens the investor transfers (invest) or receives (divest, rageQuit)
+ * @property {Check[]} issues - Failed checks; empty when the call should succeed
+ */
+
+/**
+ * @typedef {Object} InvestmentResult
+ * @property {bigint} assetId
+ * @property {string} investor
+ * @property {bigint} amount - Amount requested
+ * @property {bigint} fee - Invest fee
+ * @property {bigint} invested - Net amount credited to the asset (InvestmentMade amount)
+ * @property {bigint} shares - Shares minted
+ * @property {string|null} approval - Hash of the approval sent first, if any
+ * @property {string} hash - Transaction hash
+ * @property {number} blockNumber
+ */
+
+/**
+ * @typedef {Object} DivestmentResult
+ * @property {bigint} assetId
+ * @property {string} investor
+ * @property {bigint} shares - Shares redeemed
+ * @property {bigint} fee - Divest or ragequit fee
+ * @property {bigint} received - Tokens paid out (DivestmentMade amount)
+ * @property {boolean} rageQuit - Whether this was a rage quit
+ * @property {string} hash - Transaction hash
+ * @property {number} blockNumber
+ */
+
+/**
+ * Error raised when a flow would revert, before anything is sent
+ */
+class AssetDAOError extends Error {
+  /**
+   * @param {Check[]} issues - Failed checks; the first one gives the code
+   */
+  constructor(issues) {
+    super(issues.map(issue => issue.message).join('; '));
+    this.name = 'AssetDAOError';
+    this.code = issues[0].code;
+    this.issues = issues;
+  }
+}
+
+class AssetDAOClient {
+  /**
+   * @param {Object} contracts - Contracts connected to the same runner
+   * @param {AssetDAOContract} contracts.assetDAO
+   * @param {FeeCalculatorContract} contracts.feeCalculator
+   * @param {Object} contracts.feeProcessor - FeeProcessor
+   * @param {Object} contracts.protocolDAO - ProtocolDAO
+   * @param {Object} contracts.token - ERC-20 AssetDAO invests (its daiToken)
+   */
+  constructor(contracts) {
+    this.assetDAO = contracts.assetDAO;
+    this.feeCalculator = contracts.feeCalculator;
+    this.feeProcessor = contracts.feeProcessor;
+    this.protocolDAO = contracts.protocolDAO;
+    this.token = contracts.token;
+    this.runner = contracts.assetDAO.runner;
+  }
+
+  /**
+   * Connects to an AssetDAO and discovers its token, fee contracts and ProtocolDAO
+   * @param {string} address - AssetDAO address
+   * @param {Object} runner - ethers Signer (to send) or Provider (to preview only)
+   * @returns {Promise<AssetDAOClient>} Client
+   */
+  static async connect(address, runner) {
+    const assetDAO = contractAt('AssetDAO', address, runner);
+    const [token, feeProcessor, protocolDAO] = await Promise.all([
+      assetDAO.daiToken(),
+      assetDAO.feeProcessor(),
+      assetDAO.protocolDAO()
+    ]);
+    const processor = contractAt('FeeProcessor', feeProcessor, runner);
+    return new AssetDAOClient({
+      assetDAO,
+      feeCalculator: contractAt('FeeCalculator', await processor.feeCalculator(), runner),
+      feeProcessor: processor,
+      protocolDAO: contractAt('ProtocolDAO', protocolDAO, runner),
+      token: erc20At(token, runner)
+    });
+  }
+
+  /**
+   * @param {string} [account] - Account to act for; defaults to the signer
+   * @returns {Promise<string>} Account address
+   */
+  async account(account) {
+    if (account) return account;
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw new Error('The client is connected to a provider; pass the account to preview for');
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * Checks shared by every flow: pause flag, asset existence, amount and asset state
+   * @returns {Promise<{ state: string|null, issues: Check[] }>}
+   */
+  async checkAsset(assetId, amount, allowedStates) {
+    const issues = [];
+    if (await this.assetDAO.paused()) issues.push({ code: 'PAUSED', message: 'AssetDAO is paused' });
+    if (amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: 'The amount must be greater than zero' });
+    if (!(await this.assetDAO.assetExists(assetId))) {
+      issues.push({ code: 'ASSET_NOT_FOUND', message: `Asset ${assetId} does not exist` });
+      return { state: null, issues };
+    }
+    const state = ASSET_STATES[Number(await this.assetDAO.getAssetState(assetId))];
+    if (allowedStates && !allowedStates.includes(state)) {
+      issues.push({ code: 'ASSET_NOT_ACTIVE', message: `Asset ${assetId} is ${state}; this needs ${allowedStates.join(' or ')}` });
+    }
+    return { state, issues };
+  }
+
+  /**
+   * Checks that AssetDAO can pay a fee and, when paying out, the payout
+   * @returns {Promise<Check[]>}
+   */
+  async checkFunding(fee, payout) {
+    const issues = [];
+    const assetDAO = await this.assetDAO.getAddress();
+    const [balance, allowance] = await Promise.all([
+      this.token.balanceOf(assetDAO),
+      this.token.allowance(assetDAO, await this.feeProcessor.getAddress())
+    ]);
+    if (fee > 0n && (balance < fee || allowance < fee)) {
+      issues.push({ code: 'FEE_NOT_FUNDED', message: `AssetDAO cannot pay the ${fee} fee (balance ${balance}, FeeProcessor allowance ${allowance})` });
+    } else if (balance < fee + payout) {
+      issues.push({ code: 'INSUFFICIENT_LIQUIDITY', message: `AssetDAO holds ${balance}, less than the ${fee + payout} this needs` });
+    }
+    return issues;
+  }
+
+  /**
+   * Checks an investment without sending it
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} amount - Amount to invest, in token units
+   * @param {string} [investor] - Investor; defaults to the signer
+   * @returns {Promise<FlowPreview>} Preview
+   */
+  async previewInvest(assetId, amount, investor) {
+    const account = await this.account(investor);
+    const { state, issues } = await this.checkAsset(assetId, amount, ['Active']);
+    const fee = amount > 0n ? await this.feeCalculator.calculateInvestFee(amount) : 0n;
+    const net = amount - fee;
+    const [balance, allowance] = await Promise.all([
+      this.token.balanceOf(account),
+      this.token.allowance(account, await this.assetDAO.getAddress())
+    ]);
+    if (balance < net) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${account} holds ${balance}, needs ${net}` });
+    if (allowance < net) issues.push({ code: 'INSUFFICIENT_ALLOWANCE', message: `${account} allows AssetDAO ${allowance}, needs ${net}` });
+    issues.push(...await this.checkFunding(fee, 0n));
+    return { assetId: BigInt(assetId), account, state, amount, fee, net, issues };
+  }
+
+  /**
+   * Checks a divestment or rage quit without sending it
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} shares - Shares to redeem
+   * @param {string} [investor] - Investor; defaults to the signer
+   * @param {Object} [options] - Preview options
+   * @param {boolean} [options.rageQuit=false] - Preview a rage quit (any asset state, ragequit fee)
+   * @returns {Promise<FlowPreview>} Preview
+   */
+  async previewDivest(assetId, shares, investor, options = {}) {
+    const account = await this.account(investor);
+    const { rageQuit = false } = options;
+    const { state, issues } = await this.checkAsset(assetId, shares, rageQuit ? null : ['Active', 'Liquidating']);
+    let fee = 0n;
+    if (shares > 0n) {
+      fee = rageQuit ? await this.feeCalculator.calculateRagequitFee(shares) : await this.feeCalculator.calculateDivestFee(shares);
+    }
+    if (state) {
+      const held = await this.assetDAO.getInvestorShares(assetId, account);
+      if (held < shares) issues.push({ code: 'INSUFFICIENT_SHARES', message: `${account} holds ${held} shares of asset ${assetId}, not ${shares}` });
+    }
+    if (rageQuit) {
+      try {
+        if (!(await this.protocolDAO.isTokenWhitelisted(await this.token.getAddress()))) {
+          issues.push({ code: 'TOKEN_NOT_WHITELISTED', message: 'ProtocolDAO does not whitelist the asset token' });
+        }
+      } catch (error) {
+        // AssetDAO goes ahead when the whitelist cannot be read
+      }
+    }
+    issues.push(...await this.checkFunding(fee, shares - fee));
+    return { assetId: BigInt(assetId), account, state, amount: shares, fee, net: shares - fee, issues };
+  }
+
+  /**
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} shares - Shares to redeem
+   * @param {string} [investor] - Investor; defaults to the signer
+   * @returns {Promise<FlowPreview>} Preview
+   */
+  async previewRageQuit(assetId, shares, investor) {
+    return this.previewDivest(assetId, shares, investor, { rageQuit: true });
+  }
+
+  /**
+   * Creates an asset
+   * @param {string} name - Asset name
+   * @param {string} description - Asset description
+   * @returns {Promise<{ assetId: bigint, name: string, creator: string, hash: string, blockNumber: number }>}
+   */
+  async createAsset(name, description) {
+    if (!name) throw new AssetDAOError([{ code: 'INVALID_AMOUNT', message: 'An asset needs a name' }]);
+    if (await this.assetDAO.paused()) throw new AssetDAOError([{ code: 'PAUSED', message: 'AssetDAO is paused' }]);
+    const receipt = await sendAndWait(() => this.assetDAO.createAsset(name, description), this.assetDAO.interface);
+    const event = await findEvent(receipt, this.assetDAO, 'AssetCreated');
+    return { assetId: event.args.assetId, name: event.args.name, creator: event.args.creator, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Invests in an asset, approving AssetDAO first if needed
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} amount - Amount to invest, in token units
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.approve=true] - Approve the missing allowance instead of failing
+   * @returns {Promise<InvestmentResult>} Result
+   * @throws {AssetDAOError} If a check fails
+   */
+  async invest(assetId, amount, options = {}) {
+    const { approve = true } = options;
+    const preview = await this.previewInvest(assetId, amount);
+    const blocking = preview.issues.filter(issue => !(approve && issue.code === 'INSUFFICIENT_ALLOWANCE'));
+    if (blocking.length > 0) throw new AssetDAOError(blocking);
+
+    let approval = null;
+    if (blocking.length < preview.issues.length) {
+      const spender = await this.assetDAO.getAddress();
+      const receipt = await sendAndWait(() => this.token.approve(spender, preview.net));
+      approval = receipt.hash;
+    }
+    const receipt = await sendAndWait(() => this.assetDAO.invest(assetId, amount), this.assetDAO.interface);
+    const event = await findEvent(receipt, this.assetDAO, 'InvestmentMade');
+    return {
+      assetId: event.args.assetId,
+      investor: event.args.investor,
+      amount,
+      fee: amount - event.args.amount,
+      invested: event.args.amount,
+      shares: event.args.shares,
+      approval,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+
+  /**
+   * Redeems shares of an asset
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} shares - Shares to redeem
+   * @returns {Promise<DivestmentResult>} Result
+   * @throws {AssetDAOError} If a check fails
+   */
+  async divest(assetId, shares) {
+    return this.redeem(assetId, shares, false);
+  }
+
+  /**
+   * Redeems shares of an asset in any state, paying the ragequit fee
+   * @param {bigint|number} assetId - Asset id
+   * @param {bigint} shares - Shares to redeem
+   * @returns {Promise<DivestmentResult>} Result
+   * @throws {AssetDAOError} If a check fails
+   */
+  async rageQuit(assetId, shares) {
+    return this.redeem(assetId, shares, true);
+  }
+
+  async redeem(assetId, shares, rageQuit) {
+    const preview = await this.previewDivest(assetId, shares, undefined, { rageQuit });
+    if (preview.issues.length > 0) throw new AssetDAOError(preview.issues);
+    const receipt = await sendAndWait(
+      () => (rageQuit ? this.assetDAO.rageQuit(assetId, shares) : this.assetDAO.divest(assetId, shares)),
+      this.assetDAO.interface
+    );
+    const event = await findEvent(receipt, this.assetDAO, 'DivestmentMade');
+    return {
+      assetId: event.args.assetId,
+      investor: event.args.investor,
+      shares: event.args.shares,
+      fee: event.args.shares - event.args.amount,
+      received: event.args.amount,
+      rageQuit,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+}
+
+module.exports = {
+  ASSET_STATES,
+  AssetDAOError,
+  AssetDAOClient
+};
@@ -0,0 +1,117 @@
+/**
+ * @title D-Loop Protocol SDK Contract Bindings
+ * @dev Creates ethers v6 contracts for the protocol from the compiled Hardhat artifacts
+ * @notice Runtime ABIs come from artifacts/. Editor and type-checker types come from the
+ *         typechain ethers-v6 bindings that `npx hardhat compile` generates into
+ *         typechain-types/; the SDK modules reference them with JSDoc imports only.
+ */
+
+const { Contract } = require('ethers');
+const { decodeRevert, formatRevert } = require('../scripts/utils/revertDecoder');
+
+const ARTIFACTS = {
+  AssetDAO: 'core/AssetDAO.sol/AssetDAO.json',
+  ProtocolDAO: 'core/ProtocolDAO.sol/ProtocolDAO.json',
+  FeeCalculator: 'fees/FeeCalculator.sol/FeeCalculator.json',
+  FeeProcessor: 'fees/FeeProcessor.sol/FeeProcessor.json',
+  Treasury: 'fees/Treasury.sol/Treasury.json',
+  AINodeRegistry: 'governance/AINodeRegistry.sol/AINodeRegistry.json',
+  AINodeGovernance: 'governance/AINodeGovernance.sol/AINodeGovernance.json',
+  SoulboundNFT: 'identity/SoulboundNFT.sol/SoulboundNFT.json',
+  DLoopToken: 'token/DLoopToken.sol/DLoopToken.json',
+  PriceOracle: 'oracles/PriceOracle.sol/PriceOracle.json',
+  ChainlinkPriceOracle: 'oracles/ChainlinkPriceOracle.sol/ChainlinkPriceOracle.json'
+};
+
+// The SDK only needs these of the tokens AssetDAO and the node contracts move
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+/**
+ * @param {string} name - Contract name, a key of ARTIFACTS
+ * @returns {Object[]} ABI
+ */
+function abiOf(name) {
+  if (!ARTIFACTS[name]) throw new Error(`The SDK has no binding for ${name}`);
+  return require(`../artifacts/contracts/${ARTIFACTS[name]}`).abi;
+}
+
+/**
+ * @param {string} name - Contract name, a key of ARTIFACTS
+ * @param {string} address - Contract address
+ * @param {Object} runner - ethers Signer (to send) or Provider (to read)
+ * @returns {Contract} Contract
+ */
+function contractAt(name, address, runner) {
+  return new Contract(address, abiOf(name), runner);
+}
+
+/**
+ * @param {string} address - Token address
+ * @param {Object} runner - ethers Signer or Provider
+ * @returns {Contract} ERC-20 contract
+ */
+function erc20At(address, runner) {
+  return new Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * Sends a transaction and waits for it; a revert is rethrown with the decoded custom error
+ * @param {Function} send - Returns the transaction promise, e.g. () => contract.invest(id, amount)
+ * @param {Object} [iface] - Interface of the contract called, preferred to decode its errors
+ * @returns {Promise<Object>} Receipt
+ * @throws {Error} The original error; on a revert its message names the error and `decodedRevert` holds it
+ */
+async function sendAndWait(send, iface) {
+  try {
+    return await (await send()).wait();
+  } catch (error) {
+    const decoded = decodeRevert(error, { iface });
+    if (decoded) {
+      error.decodedRevert = decoded;
+      error.message = `${error.shortMessage || 'Transaction reverted'}: ${formatRevert(decoded)}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds an event emitted by a contract in a receipt
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} contract - Contract that emitted it
+ * @param {string} name - Event name
+ * @returns {Promise<Object>} Parsed log
+ * @throws {Error} If the contract did not emit the event in the transaction
+ */
+async function findEvent(receipt, contract, name) {
+  const address = (await contract.getAddress()).toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) return parsed;
+  }
+  throw new Error(`Transaction ${receipt.hash} did not emit ${name}`);
+}
+
+/**
+ * @param {string|null} a - Address
+ * @param {string|null} b - Address
+ * @returns {boolean} Whether both are set and equal, ignoring the checksum case
+ */
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+  abiOf,
+  contractAt,
+  erc20At,
+  sendAndWait,
+  findEvent,
+  sameAddress
+};
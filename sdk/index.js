@@ -0,0 +1,47 @@
+/**
+ * @title D-Loop Protocol JavaScript SDK
+ * @dev Clients for the protocol contracts, built on ethers v6
+ * @notice const { AssetDAOClient, ProposalManager, NodeOperator, VotingPowerManager,
+ *         PriceOracleClient, TreasuryManager } = require('./sdk');
+ *         const client = await AssetDAOClient.connect(assetDAOAddress, signer);
+ *         const proposals = ProposalManager.connect('ProtocolDAO', protocolDAOAddress, signer);
+ *         const operator = await NodeOperator.connect(registryAddress, signer, { governance });
+ *         const votingPower = VotingPowerManager.connect(addressBook, signer);
+ *         const oracle = PriceOracleClient.connect('ChainlinkPriceOracle', oracleAddress, provider);
+ *         const treasury = TreasuryManager.connect(treasuryAddress, signer);
+ */
+
+const { ASSET_STATES, AssetDAOError, AssetDAOClient } = require('./assetDAO');
+const { EFFECTIVE_STATES, ProposalError, ProposalManager, evaluateProposal } = require('./proposals');
+const { NODE_STATES, NODE_TYPES, APPROVAL_PATHS, NodeOperatorError, NodeOperator } = require('./nodeOperator');
+const { DELEGATION_SYSTEMS, DelegationError, VotingPowerManager } = require('./votingPower');
+const { PRICE_SOURCES, PriceOracleClient } = require('./priceOracle');
+const { LEDGER_ACCOUNTS, TreasuryError, TreasuryManager, ledgerToCsv } = require('./treasury');
+const { abiOf, contractAt, erc20At } = require('./contracts');
+
+module.exports = {
+  ASSET_STATES,
+  AssetDAOError,
+  AssetDAOClient,
+  EFFECTIVE_STATES,
+  ProposalError,
+  ProposalManager,
+  evaluateProposal,
+  NODE_STATES,
+  NODE_TYPES,
+  APPROVAL_PATHS,
+  NodeOperatorError,
+  NodeOperator,
+  DELEGATION_SYSTEMS,
+  DelegationError,
+  VotingPowerManager,
+  PRICE_SOURCES,
+  PriceOracleClient,
+  LEDGER_ACCOUNTS,
+  TreasuryError,
+  TreasuryManager,
+  ledgerToCsv,
+  abiOf,
+  contractAt,
+  erc20At
+};
@@ -0,0 +1,623 @@
+/**
+ * @title D-Loop Protocol AI Node Operator SDK
+ * @dev Registers, stakes and monitors an AI node in AINodeRegistry and AINodeGovernance
+ * @notice AINodeRegistry keys its stake functions on the caller: increaseNodeStake,
+ *         decreaseNodeStake and deregisterNodeWithRefund act on the node whose address is
+ *         msg.sender. A node registered under any other address is staked at registration but
+ *         can never be topped up, reduced or refunded, which NodeOperator warns about.
+ *
+ *         Every registration path pulls the requirement amount with transferFrom, so each one
+ *         needs the operator's allowance to the registry first:
+ *
+ *         standard   registerNodeWithStaking
+ *         safe       registerNodeWithSafeApproval. Its approval reset only clears the registry's
+ *                    own allowance, so NodeOperator resets whatever the operator still allows
+ *                    the registry afterwards.
+ *         optimized  registerNodeWithOptimizedApproval with an optimizer exposing
+ *                    optimizeApproval(token, spender, amount). The contract does not check that
+ *                    the requirement is active, so NodeOperator does.
+ *
+ *         status() combines the registry record (state, reputation, activeUntil, stake and
+ *         SoulboundNFT token) with the AINodeGovernance node (type, stake and delegations), and
+ *         warns when the registration is about to expire.
+ */
+
+const { ZeroAddress, id } = require('ethers');
+const { contractAt, erc20At, sameAddress, sendAndWait } = require('./contracts');
+const { formatDuration } = require('./proposals');
+const { decodeRevert } = require('../scripts/utils/revertDecoder');
+
+/** @typedef {import('../typechain-types').AINodeRegistry} AINodeRegistryContract */
+/** @typedef {import('../typechain-types').AINodeGovernance} AINodeGovernanceContract */
+/** @typedef {import('../typechain-types').SoulboundNFT} SoulboundNFTContract */
+
+const NODE_STATES = ['Inactive', 'Active', 'Suspended', 'Penalized'];
+const NODE_TYPES = ['GovernanceNode', 'InvestmentNode'];
+const APPROVAL_PATHS = ['standard', 'safe', 'optimized'];
+const EXPIRY_WARNING = 7 * 86400;
+// decreaseNodeStake enforces the first active requirement for the staked token among ids 1-10
+const STAKE_REQUIREMENT_IDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+// PUSH4 of optimizeApproval(IERC20,address,uint256), as AINodeRegistry calls it, in a dispatcher
+const OPTIMIZE_APPROVAL_DISPATCH = `63${id('optimizeApproval(address,address,uint256)').slice(2, 10)}`;
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} code - NOT_REGISTERED, NOT_OWNER, ALREADY_REGISTERED, ZERO_ADDRESS,
+ *           REQUIREMENT_INACTIVE, INVALID_AMOUNT, INSUFFICIENT_BALANCE, INSUFFICIENT_ALLOWANCE,
+ *           INSUFFICIENT_STAKE, BELOW_MINIMUM_STAKE, NO_STAKED_TOKEN, MINT_NOT_ALLOWED,
+ *           REVOKE_NOT_ALLOWED, SOULBOUND_REVOKED, OPTIMIZER_MISSING, OPTIMIZER_INCOMPATIBLE,
+ *           STAKE_TOO_LOW, REGISTRY_NOT_ADMIN or REGISTRY_NODE_EXISTS; status warnings use
+ *           EXPIRED, EXPIRING, NOT_ACTIVE, SOULBOUND_REVOKED, STAKE_BELOW_MINIMUM,
+ *           NOT_SELF_OPERATED, GOVERNANCE_INACTIVE and GOVERNANCE_IDLE
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} RegistryNode
+ * @property {string} owner
+ * @property {string} metadata
+ * @property {number} registeredAt - Unix time
+ * @property {number} activeUntil - Unix time; the registry counts the node active up to it
+ * @property {string} state - One of NODE_STATES
+ * @property {bigint} reputation
+ * @property {boolean} active - AINodeRegistry.isNodeActive
+ * @property {bigint} soulboundTokenId
+ * @property {boolean} soulboundValid - Whether the SoulboundNFT token exists and is not revoked
+ * @property {string} stakedToken - ZeroAddress if registered without a stake
+ * @property {bigint} stakedAmount
+ * @property {bigint} minimumStake - Stake decreaseNodeStake keeps, from the token requirements
+ */
+
+/**
+ * @typedef {Object} GovernanceNode
+ * @property {string} nodeType - One of NODE_TYPES
+ * @property {bigint} stake
+ * @property {bigint} delegatedAmount
+ * @property {bigint} reputation
+ * @property {number} lastActivity - Unix time
+ * @property {number} inactiveAfter - Unix time after which AINodeGovernance counts the node inactive
+ * @property {boolean} active - AINodeGovernance.isNodeActive
+ * @property {bigint} votingPower - Stake plus delegations
+ * @property {Array<{ delegator: string, amount: bigint, startTime: number, withdrawableAt: number }>} delegations
+ */
+
+/**
+ * @typedef {Object} NodeStatus
+ * @property {string} node - Node address
+ * @property {number} now - Block time it was evaluated at
+ * @property {RegistryNode|null} registry - null if the node is not in AINodeRegistry
+ * @property {GovernanceNode|null} governance - null if not an active AINodeGovernance node
+ * @property {number|null} expiresIn - Seconds until activeUntil, negative once past
+ * @property {Issue[]} warnings
+ */
+
+/**
+ * Error raised when an operator action would revert, before anything is sent
+ */
+class NodeOperatorError extends Error {
+  /**
+   * @param {Issue[]} issues - Failed checks; the first one gives the code
+   */
+  constructor(issues) {
+    super(issues.map(issue => issue.message).join('; '));
+    this.name = 'NodeOperatorError';
+    this.code = issues[0].code;
+    this.issues = issues;
+  }
+}
+
+/**
+ * @param {Error} error - Error thrown by a registry read
+ * @returns {boolean} Whether the registry reverted NodeNotRegistered()
+ */
+function isNotRegistered(error) {
+  const decoded = decodeRevert(error);
+  return Boolean(decoded && decoded.name === 'NodeNotRegistered');
+}
+
+class NodeOperator {
+  /**
+   * @param {Object} contracts - Contracts connected to the same runner
+   * @param {AINodeRegistryContract} contracts.registry
+   * @param {SoulboundNFTContract} contracts.soulboundNFT - The registry's SoulboundNFT
+   * @param {AINodeGovernanceContract|null} contracts.governance
+   */
+  constructor(contracts) {
+    this.registry = contracts.registry;
+    this.soulboundNFT = contracts.soulboundNFT;
+    this.governance = contracts.governance || null;
+    this.runner = contracts.registry.runner;
+    this.provider = this.runner.provider || this.runner;
+  }
+
+  /**
+   * Connects to an AINodeRegistry and discovers its SoulboundNFT
+   * @param {string} address - AINodeRegistry address
+   * @param {Object} runner - ethers Signer (to send) or Provider (to read)
+   * @param {Object} [options] - Options
+   * @param {string} [options.governance] - AINodeGovernance address, for node types and delegations
+   * @returns {Promise<NodeOperator>} Operator
+   */
+  static async connect(address, runner, options = {}) {
+    const registry = contractAt('AINodeRegistry', address, runner);
+    return new NodeOperator({
+      registry,
+      soulboundNFT: contractAt('SoulboundNFT', await registry.getSoulboundNFTAddress(), runner),
+      governance: options.governance ? contractAt('AINodeGovernance', options.governance, runner) : null
+    });
+  }
+
+  /**
+   * @param {string} [account] - Account to act for; defaults to the signer
+   * @returns {Promise<string>} Account address
+   */
+  async account(account) {
+    if (account) return account;
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw new Error('The operator is connected to a provider; pass the node or account to check');
+    }
+    return this.runner.getAddress();
+  }
+
+  async now() {
+    return (await this.provider.getBlock('latest')).timestamp;
+  }
+
+  /**
+   * @param {bigint|number} requirementId - Token requirement id
+   * @returns {Promise<{ requirementId: bigint, token: string, amount: bigint, isActive: boolean }>}
+   */
+  async requirement(requirementId) {
+    const [token, amount, isActive] = await this.registry.getTokenRequirement(requirementId);
+    return { requirementId: BigInt(requirementId), token, amount, isActive };
+  }
+
+  /**
+   * The stake decreaseNodeStake keeps for a token
+   * @param {string} token - Staked token
+   * @returns {Promise<bigint>} Amount of the first active requirement for the token, 0 if none
+   */
+  async minimumStake(token) {
+    for (const requirementId of STAKE_REQUIREMENT_IDS) {
+      const requirement = await this.requirement(requirementId);
+      if (requirement.isActive && sameAddress(requirement.token, token)) return requirement.amount;
+    }
+    return 0n;
+  }
+
+  /**
+   * @param {string} node - Node address
+   * @returns {Promise<RegistryNode|null>} Registry record, null if not registered
+   */
+  async registryNode(node) {
+    let details;
+    try {
+      details = await this.registry.getNodeDetails(node);
+    } catch (error) {
+      if (isNotRegistered(error)) return null;
+      throw error;
+    }
+    const [stake, active] = await Promise.all([this.registry.getNodeStakeDetails(node), this.registry.isNodeActive(node)]);
+    const tokenId = details.soulboundTokenId;
+    return {
+      owner: details.nodeOwner,
+      metadata: details.metadata,
+      registeredAt: Number(details.registeredAt),
+      activeUntil: Number(details.activeUntil),
+      state: NODE_STATES[Number(details.state)],
+      reputation: details.reputation,
+      active,
+      soulboundTokenId: tokenId,
+      soulboundValid: tokenId > 0n ? await this.soulboundNFT.isTokenValid(tokenId) : false,
+      stakedToken: stake.stakedToken,
+      stakedAmount: stake.stakedAmount,
+      minimumStake: stake.stakedToken === ZeroAddress ? 0n : await this.minimumStake(stake.stakedToken)
+    };
+  }
+
+  /**
+   * @param {string} node - Node address
+   * @returns {Promise<GovernanceNode|null>} AINodeGovernance node, null if not active there or
+   *          if the operator was connected without AINodeGovernance
+   */
+  async governanceNode(node) {
+    if (!this.governance) return null;
+    const details = await this.governance.getNodeDetails(node);
+    if (!details.isActive) return null;
+    const [active, votingPower, delegators, cooldown, inactivityThreshold] = await Promise.all([
+      this.governance.isNodeActive(node),
+      this.governance.getNodeVotingPower(node),
+      this.governance.getNodeDelegators(node),
+      this.governance.delegationCooldown(),
+      this.governance.inactivityThreshold()
+    ]);
+    const delegations = await Promise.all(delegators.map(async delegator => {
+      const delegation = await this.governance.getDelegationDetails(delegator, node);
+      const startTime = Number(delegation.startTime);
+      return { delegator, amount: delegation.amount, startTime, withdrawableAt: startTime + Number(cooldown) };
+    }));
+    const lastActivity = Number(details.lastActivity);
+    return {
+      nodeType: NODE_TYPES[Number(details.nodeType)],
+      stake: details.stake,
+      delegatedAmount: details.delegatedAmount,
+      reputation: details.reputation,
+      lastActivity,
+      inactiveAfter: lastActivity + Number(inactivityThreshold),
+      active,
+      votingPower,
+      delegations
+    };
+  }
+
+  /**
+   * Reads a node from both contracts and lists what needs attention
+   * @param {string} [node] - Node address; defaults to the signer
+   * @param {Object} [options] - Options
+   * @param {number} [options.warnWithin=604800] - Warn this many seconds before expiry or inactivity
+   * @param {number} [options.now] - Time to evaluate at; defaults to the latest block time
+   * @returns {Promise<NodeStatus>} Status
+   */
+  async status(node, options = {}) {
+    const address = await this.account(node);
+    const { warnWithin = EXPIRY_WARNING } = options;
+    const now = options.now !== undefined ? options.now : await this.now();
+    const [registry, governance] = await Promise.all([this.registryNode(address), this.governanceNode(address)]);
+    const warnings = [];
+
+    if (registry) {
+      const remaining = registry.activeUntil - now;
+      if (registry.state !== 'Active') {
+        warnings.push({ code: 'NOT_ACTIVE', message: `The node is ${registry.state} in AINodeRegistry` });
+      } else if (remaining < 0) {
+        warnings.push({ code: 'EXPIRED', message: `The registration expired ${formatDuration(-remaining)} ago; the registry admin can extend it with extendNodePeriod` });
+      } else if (remaining <= warnWithin) {
+        warnings.push({ code: 'EXPIRING', message: `The registration expires in ${formatDuration(remaining)}; ask the registry admin to extend it with extendNodePeriod` });
+      }
+      if (registry.soulboundTokenId > 0n && !registry.soulboundValid) {
+        warnings.push({ code: 'SOULBOUND_REVOKED', message: `SoulboundNFT token ${registry.soulboundTokenId} is revoked` });
+      }
+      // A deregistered node is Inactive with its stake refunded
+      if (registry.state !== 'Inactive' && registry.stakedAmount < registry.minimumStake) {
+        warnings.push({ code: 'STAKE_BELOW_MINIMUM', message: `The stake of ${registry.stakedAmount} is below the ${registry.minimumStake} token requirement` });
+      }
+      if (!sameAddress(registry.owner, address)) {
+        warnings.push({
+          code: 'NOT_SELF_OPERATED',
+          message: `${registry.owner} owns the node, but the stake functions act on the caller's own address, so its stake cannot be changed or refunded`
+        });
+      }
+    }
+    if (governance) {
+      if (!governance.active) {
+        warnings.push({ code: 'GOVERNANCE_INACTIVE', message: `AINodeGovernance counts the node inactive: no activity recorded for ${formatDuration(now - governance.lastActivity)}` });
+      } else if (governance.inactiveAfter - now <= warnWithin) {
+        warnings.push({ code: 'GOVERNANCE_IDLE', message: `AINodeGovernance counts the node inactive in ${formatDuration(governance.inactiveAfter - now)} unless activity is recorded` });
+      }
+    }
+
+    return { node: address, now, registry, governance, expiresIn: registry ? registry.activeUntil - now : null, warnings };
+  }
+
+  /**
+   * Checks a staked registration without sending it
+   * @param {Object} options - Registration
+   * @param {bigint|number} options.requirementId - Token requirement to stake
+   * @param {string} [options.node] - Node address; defaults to the operator's own address
+   * @param {string} [options.approval='standard'] - One of APPROVAL_PATHS
+   * @param {string} [options.optimizer] - Optimizer contract, for the optimized path
+   * @param {string} [options.account] - Operator; defaults to the signer
+   * @returns {Promise<{ node: string, account: string, requirement: Object, approval: string, issues: Issue[], warnings: Issue[] }>}
+   */
+  async previewRegistration(options) {
+    const { requirementId, approval = 'standard', optimizer } = options;
+    if (!APPROVAL_PATHS.includes(approval)) {
+      throw new Error(`Unknown approval path ${approval}; use ${APPROVAL_PATHS.join(', ')}`);
+    }
+    const account = await this.account(options.account);
+    const node = options.node || account;
+    const registryAddress = await this.registry.getAddress();
+    const requirement = await this.requirement(requirementId);
+    const issues = [];
+    const warnings = [];
+
+    if (node === ZeroAddress) issues.push({ code: 'ZERO_ADDRESS', message: 'The node address is the zero address' });
+    else if (await this.registryNode(node)) issues.push({ code: 'ALREADY_REGISTERED', message: `${node} is already a registered node` });
+    if (!requirement.isActive || requirement.token === ZeroAddress) {
+      issues.push({ code: 'REQUIREMENT_INACTIVE', message: `Token requirement ${requirement.requirementId} is not active` });
+    } else {
+      const token = erc20At(requirement.token, this.runner);
+      const [balance, allowance] = await Promise.all([token.balanceOf(account), token.allowance(account, registryAddress)]);
+      if (balance < requirement.amount) {
+        issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${account} holds ${balance}, needs ${requirement.amount}` });
+      }
+      if (allowance < requirement.amount) {
+        issues.push({ code: 'INSUFFICIENT_ALLOWANCE', message: `${account} allows AINodeRegistry ${allowance}, needs ${requirement.amount}` });
+      }
+    }
+    const [isMinter, isAdmin] = await Promise.all([this.soulboundNFT.isMinter(registryAddress), this.soulboundNFT.isAdmin(registryAddress)]);
+    if (!isMinter && !isAdmin) {
+      issues.push({ code: 'MINT_NOT_ALLOWED', message: 'SoulboundNFT does not let AINodeRegistry mint, so registration reverts' });
+    }
+    if (approval === 'optimized') {
+      if (!optimizer) {
+        issues.push({ code: 'OPTIMIZER_MISSING', message: 'The optimized path needs an optimizer address' });
+      } else if (!(await this.provider.getCode(optimizer)).includes(OPTIMIZE_APPROVAL_DISPATCH)) {
+        // TokenApprovalOptimizer takes (token, owner, spender, amount) and fails this check
+        issues.push({ code: 'OPTIMIZER_INCOMPATIBLE', message: `${optimizer} does not implement optimizeApproval(token, spender, amount) as AINodeRegistry calls it` });
+      }
+    }
+    if (!sameAddress(node, account)) {
+      warnings.push({
+        code: 'NOT_SELF_OPERATED',
+        message: `The stake functions act on the caller's own address, so the stake of ${node} can never be changed or refunded by ${account}`
+      });
+    }
+    return { node, account, requirement, approval, issues, warnings };
+  }
+
+  /**
+   * Registers a node with a stake, approving the registry first if needed
+   * @param {Object} options - previewRegistration options, plus:
+   * @param {string} [options.metadata=''] - Metadata URI, also the SoulboundNFT token URI
+   * @param {boolean} [options.approve=true] - Approve the requirement amount instead of failing
+   * @returns {Promise<Object>} node, owner, requirementId, token, staked, soulboundTokenId,
+   *          approval and cleared (hashes of the approvals sent, or null), hash, blockNumber
+   * @throws {NodeOperatorError} If a check fails
+   */
+  async register(options) {
+    const { metadata = '', approve = true } = options;
+    const preview = await this.previewRegistration(options);
+    const blocking = preview.issues.filter(issue => !(approve && issue.code === 'INSUFFICIENT_ALLOWANCE'));
+    if (blocking.length > 0) throw new NodeOperatorError(blocking);
+
+    const { node, requirement } = preview;
+    const token = erc20At(requirement.token, this.runner);
+    const spender = await this.registry.getAddress();
+    let approval = null;
+    if (blocking.length < preview.issues.length) {
+      approval = (await sendAndWait(() => token.approve(spender, requirement.amount))).hash;
+    }
+    const send = {
+      standard: () => this.registry.registerNodeWithStaking(node, metadata, requirement.requirementId),
+      safe: () => this.registry.registerNodeWithSafeApproval(node, metadata, requirement.requirementId),
+      optimized: () => this.registry.registerNodeWithOptimizedApproval(node, metadata, requirement.requirementId, options.optimizer)
+    }[preview.approval];
+    const receipt = await sendAndWait(send, this.registry.interface);
+
+    let cleared = null;
+    if (preview.approval === 'safe' && await token.allowance(preview.account, spender) > 0n) {
+      cleared = (await sendAndWait(() => token.approve(spender, 0n))).hash;
+    }
+    return {
+      node,
+      owner: preview.account,
+      requirementId: requirement.requirementId,
+      token: requirement.token,
+      staked: requirement.amount,
+      soulboundTokenId: await this.registry.getNodeSoulboundTokenId(node),
+      approval,
+      cleared,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+
+  /**
+   * Checks that an account operates its own node, as the stake functions require
+   * @returns {Promise<{ node: RegistryNode|null, issues: Issue[] }>}
+   */
+  async checkOwnNode(account) {
+    const node = await this.registryNode(account);
+    if (!node) {
+      return { node, issues: [{ code: 'NOT_REGISTERED', message: `${account} is not a registered node; the stake functions act on the caller's own node` }] };
+    }
+    if (!sameAddress(node.owner, account)) {
+      return { node, issues: [{ code: 'NOT_OWNER', message: `${node.owner} owns node ${account}, so ${account} cannot change it` }] };
+    }
+    return { node, issues: [] };
+  }
+
+  /**
+   * Checks a stake change of the operator's own node without sending it
+   * @param {bigint} amount - Amount to add or withdraw, in token units
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.decrease=false] - Preview decreaseNodeStake instead of increaseNodeStake
+   * @param {string} [options.account] - Operator; defaults to the signer
+   * @returns {Promise<{ node: string, token: string|null, staked: bigint, remaining: bigint, minimum: bigint, issues: Issue[] }>}
+   */
+  async previewStakeChange(amount, options = {}) {
+    const { decrease = false } = options;
+    const account = await this.account(options.account);
+    const { node, issues } = await this.checkOwnNode(account);
+    const staked = node ? node.stakedAmount : 0n;
+    const minimum = node ? node.minimumStake : 0n;
+    let remaining = staked;
+
+    if (amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: 'The amount must be greater than zero' });
+    if (node && node.stakedToken === ZeroAddress) {
+      issues.push({ code: 'NO_STAKED_TOKEN', message: 'The node was registered without a stake, so it has no staked token' });
+    } else if (node && decrease) {
+      if (amount > staked) {
+        issues.push({ code: 'INSUFFICIENT_STAKE', message: `The node stakes ${staked}, less than ${amount}` });
+      } else {
+        remaining = staked - amount;
+        if (remaining < minimum) {
+          issues.push({ code: 'BELOW_MINIMUM_STAKE', message: `That leaves ${remaining}, below the ${minimum} token requirement` });
+        }
+      }
+    } else if (node) {
+      remaining = staked + amount;
+      const token = erc20At(node.stakedToken, this.runner);
+      const [balance, allowance] = await Promise.all([token.balanceOf(account), token.allowance(account, await this.registry.getAddress())]);
+      if (balance < amount) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${account} holds ${balance}, needs ${amount}` });
+      if (allowance < amount) issues.push({ code: 'INSUFFICIENT_ALLOWANCE', message: `${account} allows AINodeRegistry ${allowance}, needs ${amount}` });
+    }
+    return { node: account, token: node ? node.stakedToken : null, staked, remaining, minimum, issues };
+  }
+
+  /**
+   * Adds to the stake of the operator's own node, approving the registry first if needed
+   * @param {bigint} amount - Amount to add, in token units
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.approve=true] - Approve the amount instead of failing
+   * @returns {Promise<{ node: string, token: string, staked: bigint, approval: string|null, hash: string, blockNumber: number }>}
+   * @throws {NodeOperatorError} If a check fails
+   */
+  async increaseStake(amount, options = {}) {
+    const { approve = true } = options;
+    const preview = await this.previewStakeChange(amount);
+    const blocking = preview.issues.filter(issue => !(approve && issue.code === 'INSUFFICIENT_ALLOWANCE'));
+    if (blocking.length > 0) throw new NodeOperatorError(blocking);
+
+    let approval = null;
+    if (blocking.length < preview.issues.length) {
+      const spender = await this.registry.getAddress();
+      approval = (await sendAndWait(() => erc20At(preview.token, this.runner).approve(spender, amount))).hash;
+    }
+    const receipt = await sendAndWait(() => this.registry.increaseNodeStake(amount), this.registry.interface);
+    return { node: preview.node, token: preview.token, staked: preview.remaining, approval, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Withdraws part of the stake of the operator's own node
+   * @param {bigint} amount - Amount to withdraw, in token units
+   * @returns {Promise<{ node: string, token: string, staked: bigint, hash: string, blockNumber: number }>}
+   * @throws {NodeOperatorError} If a check fails
+   */
+  async decreaseStake(amount) {
+    const preview = await this.previewStakeChange(amount, { decrease: true });
+    if (preview.issues.length > 0) throw new NodeOperatorError(preview.issues);
+    const receipt = await sendAndWait(() => this.registry.decreaseNodeStake(amount), this.registry.interface);
+    return { node: preview.node, token: preview.token, staked: preview.remaining, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Checks deregisterNodeWithRefund without sending it
+   * @param {string} [account] - Operator; defaults to the signer
+   * @returns {Promise<{ node: string, token: string|null, refund: bigint, soulboundTokenId: bigint, issues: Issue[] }>}
+   */
+  async previewDeregistration(account) {
+    const address = await this.account(account);
+    const { node, issues } = await this.checkOwnNode(address);
+    if (node && node.soulboundTokenId > 0n) {
+      if (!node.soulboundValid) {
+        issues.push({ code: 'SOULBOUND_REVOKED', message: `SoulboundNFT token ${node.soulboundTokenId} is already revoked, so deregistering reverts` });
+      } else if (!(await this.soulboundNFT.isAdmin(await this.registry.getAddress()))) {
+        issues.push({
+          code: 'REVOKE_NOT_ALLOWED',
+          message: `AINodeRegistry lacks the SoulboundNFT ADMIN_ROLE it needs to revoke token ${node.soulboundTokenId}, so deregistering reverts`
+        });
+      }
+    }
+    return {
+      node: address,
+      token: node ? node.stakedToken : null,
+      refund: node ? node.stakedAmount : 0n,
+      soulboundTokenId: node ? node.soulboundTokenId : 0n,
+      issues
+    };
+  }
+
+  /**
+   * Deactivates the operator's own node, refunds its stake and revokes its SoulboundNFT token
+   * @returns {Promise<{ node: string, token: string, refunded: bigint, soulboundTokenId: bigint, hash: string, blockNumber: number }>}
+   * @throws {NodeOperatorError} If a check fails
+   */
+  async deregister() {
+    const preview = await this.previewDeregistration();
+    if (preview.issues.length > 0) throw new NodeOperatorError(preview.issues);
+    const receipt = await sendAndWait(() => this.registry.deregisterNodeWithRefund(), this.registry.interface);
+    return {
+      node: preview.node,
+      token: preview.token,
+      refunded: preview.refund,
+      soulboundTokenId: preview.soulboundTokenId,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+
+  /**
+   * Checks an AINodeGovernance registration without sending it. AINodeGovernance registers the
+   * caller in its AINodeRegistry too, which only the registry admin or owner may do.
+   * @param {string|number} nodeType - One of NODE_TYPES, or its index
+   * @param {bigint} stake - DLOOP to stake, in token units
+   * @param {string} [account] - Operator; defaults to the signer
+   * @returns {Promise<{ account: string, nodeType: string, stake: bigint, minimumStake: bigint, token: string, issues: Issue[] }>}
+   */
+  async previewGovernanceRegistration(nodeType, stake, account) {
+    if (!this.governance) throw new Error('Connect with options.governance to register in AINodeGovernance');
+    const index = typeof nodeType === 'number' ? nodeType : NODE_TYPES.indexOf(nodeType);
+    if (!NODE_TYPES[index]) throw new Error(`Unknown node type ${nodeType}; use ${NODE_TYPES.join(' or ')}`);
+    const address = await this.account(account);
+    const governanceAddress = await this.governance.getAddress();
+    const [details, minimumStake, tokenAddress, registryAddress] = await Promise.all([
+      this.governance.getNodeDetails(address),
+      this.governance.minNodeStake(),
+      this.governance.dloopToken(),
+      this.governance.aiNodeRegistry()
+    ]);
+    const issues = [];
+
+    if (details.isActive) issues.push({ code: 'ALREADY_REGISTERED', message: `${address} is already an AINodeGovernance node` });
+    if (stake < minimumStake) issues.push({ code: 'STAKE_TOO_LOW', message: `AINodeGovernance needs a stake of at least ${minimumStake}, got ${stake}` });
+    const token = erc20At(tokenAddress, this.runner);
+    const [balance, allowance] = await Promise.all([token.balanceOf(address), token.allowance(address, governanceAddress)]);
+    if (balance < stake) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${address} holds ${balance} DLOOP, needs ${stake}` });
+    if (allowance < stake) issues.push({ code: 'INSUFFICIENT_ALLOWANCE', message: `${address} allows AINodeGovernance ${allowance}, needs ${stake}` });
+
+    if (registryAddress !== ZeroAddress) {
+      const registry = contractAt('AINodeRegistry', registryAddress, this.runner);
+      const [admin, owner] = await Promise.all([registry.admin(), registry.owner()]);
+      if (!sameAddress(admin, governanceAddress) && !sameAddress(owner, governanceAddress)) {
+        issues.push({
+          code: 'REGISTRY_NOT_ADMIN',
+          message: `AINodeGovernance is not the admin of its AINodeRegistry ${registryAddress}, so its registerNode call reverts CallerNotAdmin`
+        });
+      }
+      try {
+        await registry.getNodeOwner(address);
+        issues.push({ code: 'REGISTRY_NODE_EXISTS', message: `${address} is already a node in AINodeRegistry, so AINodeGovernance cannot register it there` });
+      } catch (error) {
+        if (!isNotRegistered(error)) throw error;
+      }
+    }
+    return { account: address, nodeType: NODE_TYPES[index], stake, minimumStake, token: tokenAddress, issues };
+  }
+
+  /**
+   * Registers the operator as an AINodeGovernance node, approving the DLOOP stake first if needed
+   * @param {string|number} nodeType - One of NODE_TYPES, or its index
+   * @param {bigint} stake - DLOOP to stake, in token units
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.approve=true] - Approve the stake instead of failing
+   * @returns {Promise<{ node: string, nodeType: string, stake: bigint, approval: string|null, hash: string, blockNumber: number }>}
+   * @throws {NodeOperatorError} If a check fails
+   */
+  async registerGovernanceNode(nodeType, stake, options = {}) {
+    const { approve = true } = options;
+    const preview = await this.previewGovernanceRegistration(nodeType, stake);
+    const blocking = preview.issues.filter(issue => !(approve && issue.code === 'INSUFFICIENT_ALLOWANCE'));
+    if (blocking.length > 0) throw new NodeOperatorError(blocking);
+
+    let approval = null;
+    if (blocking.length < preview.issues.length) {
+      const spender = await this.governance.getAddress();
+      approval = (await sendAndWait(() => erc20At(preview.token, this.runner).approve(spender, stake))).hash;
+    }
+    const receipt = await sendAndWait(
+      () => this.governance.registerNode(NODE_TYPES.indexOf(preview.nodeType), stake),
+      this.governance.interface
+    );
+    return { node: preview.account, nodeType: preview.nodeType, stake, approval, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+}
+
+module.exports = {
+  NODE_STATES,
+  NODE_TYPES,
+  APPROVAL_PATHS,
+  NodeOperatorError,
+  NodeOperator
+};
@@ -0,0 +1,359 @@
+/**
+ * @title D-Loop Protocol Price Oracle SDK
+ * @dev Reports where an oracle price comes from and how old it is, for PriceOracle and ChainlinkPriceOracle
+ * @notice getAssetPrice returns a bare number. PriceOracleClient reads the state behind it and
+ *         names its source:
+ *
+ *         aggregator  ChainlinkPriceOracle reads the token's feed (FeedInfo) with latestRoundData.
+ *                     A feed older than its maxStaleness makes getAssetPrice revert with
+ *                     FallbackPriceStale; the oracle does not fall back while a feed is set.
+ *         fallback    ChainlinkPriceOracle has no feed for the token and uses setFallbackPrice,
+ *                     valid for fallbackStaleness after it was set.
+ *         direct      PriceOracle returns the last setPrice, updatePrice or setDirectPrice. It
+ *                     does not expose when that was, so the age comes from its PriceUpdated events
+ *                     (unknown when the last one is before fromBlock).
+ *         default     PriceOracle has no price for the token and returns 1 USD.
+ *
+ *         Prices are reported in 18 decimals, as both oracles return them, next to the raw value
+ *         and decimals they were published with. History is rebuilt from events: PriceUpdated and
+ *         DirectPriceUpdated on PriceOracle; FeedSet, FeedRemoved, FallbackPriceSet, FallbackUsed
+ *         and PriceStale on ChainlinkPriceOracle, with the feed's own PriceUpdated
+ *         (MockAggregatorV3) or AnswerUpdated (Chainlink) rounds. ChainlinkPriceOracle declares
+ *         FallbackUsed and PriceStale but its price functions are views and never emit them.
+ */
+
+const { Contract, ZeroAddress } = require('ethers');
+const { contractAt } = require('./contracts');
+const { formatDuration } = require('./proposals');
+const { decodeRevert } = require('../scripts/utils/revertDecoder');
+
+/** @typedef {import('../typechain-types').PriceOracle} PriceOracleContract */
+/** @typedef {import('../typechain-types').ChainlinkPriceOracle} ChainlinkPriceOracleContract */
+
+const PRICE_SOURCES = ['aggregator', 'fallback', 'direct', 'default'];
+
+// What PriceOracle.getPrice returns for a token without a price: 1 USD
+const DEFAULT_PRICE = 10n ** 18n;
+
+// What ChainlinkPriceOracle calls on a feed, and the round events of MockAggregatorV3 and Chainlink
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function description() view returns (string)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'event PriceUpdated(int256 price, uint256 timestamp, uint80 roundId)',
+  'event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt)'
+];
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} code - STALE, HEARTBEAT_MISSED, INVALID_ANSWER or NO_PRICE
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} PriceReport
+ * @property {string} token
+ * @property {string} oracle - PriceOracle or ChainlinkPriceOracle
+ * @property {string} source - One of PRICE_SOURCES
+ * @property {bigint} price - Price in USD with `decimals` decimals
+ * @property {number} decimals - Always 18
+ * @property {bigint} rawPrice - Price as published (feed answer, fallback or setDirectPrice value)
+ * @property {number} rawDecimals - Decimals it was published with
+ * @property {number|null} updatedAt - When it was published; null for the default price, or for a
+ *           direct price with no PriceUpdated event since fromBlock
+ * @property {number|null} age - Seconds since then, at `now`
+ * @property {number|null} maxStaleness - Age after which the oracle considers it stale
+ * @property {number|null} heartbeat - Expected feed update interval (aggregator only)
+ * @property {number|null} reliabilityScore - 0-100 score of the feed (aggregator only)
+ * @property {string|null} aggregator - Feed address (aggregator only)
+ * @property {bigint|null} roundId - Feed round (aggregator only)
+ * @property {boolean} stale
+ * @property {string|null} reverts - Custom error getAssetPrice reverts with at the latest block, if any
+ * @property {Issue[]} warnings
+ */
+
+/**
+ * @typedef {Object} PriceEvent
+ * @property {string} event - Event name
+ * @property {string} source - Contract that emitted it: the oracle, or 'aggregator' for feed rounds
+ * @property {number} blockNumber
+ * @property {number} timestamp - Block time
+ * @property {string} transactionHash
+ * @property {bigint|null} price - New price in 18 decimals, when the event sets one
+ * @property {Object} args - Event arguments
+ */
+
+function normalize(value, decimals) {
+  if (decimals === 18) return value;
+  if (decimals > 18) return value / 10n ** BigInt(decimals - 18);
+  return value * 10n ** BigInt(18 - decimals);
+}
+
+function freshness(report, now, staleMessage) {
+  report.age = now - report.updatedAt;
+  report.stale = report.age > report.maxStaleness;
+  if (report.stale) {
+    report.warnings.push({ code: 'STALE', message: `${staleMessage}: ${formatDuration(report.age)} old, allowed ${formatDuration(report.maxStaleness)}` });
+  }
+  return report;
+}
+
+// Oracle-specific reads; PriceOracleClient only goes through these
+const ADAPTERS = {
+  ChainlinkPriceOracle: {
+    async price(client, token, now) {
+      const oracle = client.oracle;
+      const feed = await oracle.feeds(token);
+      const report = { token, oracle: 'ChainlinkPriceOracle', decimals: 18, heartbeat: null, reliabilityScore: null, aggregator: null, roundId: null, warnings: [] };
+
+      if (feed.exists) {
+        const aggregator = client.aggregatorAt(feed.aggregator);
+        const [round, rawDecimals] = await Promise.all([aggregator.latestRoundData(), aggregator.decimals()]);
+        Object.assign(report, {
+          source: 'aggregator',
+          aggregator: feed.aggregator,
+          roundId: round.roundId,
+          rawPrice: round.answer,
+          rawDecimals: Number(rawDecimals),
+          updatedAt: Number(round.updatedAt),
+          maxStaleness: Number(feed.maxStaleness),
+          heartbeat: Number(feed.heartbeat),
+          reliabilityScore: Number(feed.reliabilityScore)
+        });
+        if (round.answer <= 0n || round.updatedAt === 0n) {
+          Object.assign(report, { price: 0n, age: null, stale: false });
+          report.warnings.push({ code: 'INVALID_ANSWER', message: `Feed ${feed.aggregator} answers ${round.answer} updated at ${round.updatedAt}` });
+          return report;
+        }
+        report.price = normalize(round.answer, report.rawDecimals);
+        freshness(report, now, `The feed ${feed.aggregator} is stale and getAssetPrice reverts`);
+        if (!report.stale && report.age > report.heartbeat) {
+          report.warnings.push({ code: 'HEARTBEAT_MISSED', message: `The feed has not updated for ${formatDuration(report.age)}, past its ${formatDuration(report.heartbeat)} heartbeat` });
+        }
+        return report;
+      }
+
+      const [rawPrice, rawDecimals, updatedAt, maxStaleness, defaultDecimals] = await Promise.all([
+        oracle.fallbackPrices(token),
+        oracle.fallbackDecimals(token),
+        oracle.fallbackLastUpdated(token),
+        oracle.fallbackStaleness(),
+        oracle.defaultDecimals()
+      ]);
+      // Fallback prices set with zero decimals use defaultDecimals
+      const decimals = Number(rawDecimals) === 0 ? Number(defaultDecimals) : Number(rawDecimals);
+      Object.assign(report, {
+        source: 'fallback',
+        rawPrice,
+        rawDecimals: decimals,
+        price: normalize(rawPrice, decimals),
+        updatedAt: Number(updatedAt),
+        maxStaleness: Number(maxStaleness)
+      });
+      if (updatedAt === 0n) {
+        Object.assign(report, { updatedAt: null, age: null, stale: true });
+        report.warnings.push({ code: 'NO_PRICE', message: `ChainlinkPriceOracle has neither a feed nor a fallback price for ${token}` });
+        return report;
+      }
+      return freshness(report, now, 'The fallback price is stale and getAssetPrice reverts');
+    },
+
+    async events(client, token, fromBlock) {
+      const oracle = client.oracle;
+      const names = ['FeedSet', 'FeedRemoved', 'FallbackPriceSet', 'FallbackUsed', 'PriceStale'];
+      const [logs, defaultDecimals] = await Promise.all([
+        Promise.all(names.map(name => oracle.queryFilter(oracle.filters[name](token), fromBlock))).then(results => results.flat()),
+        oracle.defaultDecimals()
+      ]);
+      // Fallback prices set with zero decimals use defaultDecimals, as in price()
+      const fallbackDecimals = decimals => (Number(decimals) === 0 ? Number(defaultDecimals) : Number(decimals));
+      const entries = logs.map(log => ({
+        log,
+        source: 'ChainlinkPriceOracle',
+        price: ['FallbackPriceSet', 'FallbackUsed'].includes(log.fragment.name) ? normalize(log.args.price, fallbackDecimals(log.args.decimals)) : null
+      }));
+
+      // Rounds of every feed the token has had
+      const feeds = [...new Set(logs.filter(log => log.fragment.name === 'FeedSet').map(log => log.args.aggregator))];
+      for (const address of feeds) {
+        const aggregator = client.aggregatorAt(address);
+        const decimals = Number(await aggregator.decimals());
+        const rounds = (await Promise.all([
+          aggregator.queryFilter(aggregator.filters.PriceUpdated(), fromBlock),
+          aggregator.queryFilter(aggregator.filters.AnswerUpdated(), fromBlock)
+        ])).flat();
+        entries.push(...rounds.map(log => ({
+          log,
+          source: 'aggregator',
+          price: normalize(log.fragment.name === 'PriceUpdated' ? log.args.price : log.args.current, decimals)
+        })));
+      }
+      return entries;
+    },
+
+    async reverts(client, token) {
+      try {
+        await client.oracle.getAssetPrice(token);
+        return null;
+      } catch (error) {
+        const decoded = decodeRevert(error, { iface: client.oracle.interface });
+        if (!decoded) throw error;
+        return decoded.name;
+      }
+    }
+  },
+
+  PriceOracle: {
+    async price(client, token, now, fromBlock) {
+      const oracle = client.oracle;
+      const [[price, rawDecimals], maxStaleness, updates] = await Promise.all([
+        oracle.getTokenPriceWithDecimals(token),
+        oracle.DEFAULT_STALENESS_PERIOD(),
+        oracle.queryFilter(oracle.filters.PriceUpdated(token), fromBlock)
+      ]);
+      const report = { token, oracle: 'PriceOracle', price, decimals: 18, maxStaleness: Number(maxStaleness), heartbeat: null, reliabilityScore: null, aggregator: null, roundId: null, warnings: [] };
+      const last = updates[updates.length - 1];
+      // getPrice returns 1 USD while the stored price is zero
+      if (last ? last.args.newPrice === 0n : price === DEFAULT_PRICE) {
+        Object.assign(report, { source: 'default', rawPrice: price, rawDecimals: 18, updatedAt: null, age: null, stale: false });
+        report.warnings.push({ code: 'NO_PRICE', message: `PriceOracle has no price for ${token} and returns the 1 USD default` });
+        return report;
+      }
+      // A price set before fromBlock: stored, but with no event to date it
+      if (!last) {
+        Object.assign(report, { source: 'direct', rawPrice: price, rawDecimals: Number(rawDecimals), updatedAt: null, age: null, stale: false });
+        return report;
+      }
+      // setDirectPrice stores the decimals it was given but returns the price in 18 decimals
+      const direct = (await oracle.queryFilter(oracle.filters.DirectPriceUpdated(token), last.blockNumber, last.blockNumber))
+        .find(log => log.transactionHash === last.transactionHash);
+      Object.assign(report, {
+        source: 'direct',
+        rawPrice: direct ? direct.args.price : price,
+        rawDecimals: direct ? Number(direct.args.decimals) : Number(rawDecimals),
+        updatedAt: await client.blockTime(last.blockNumber)
+      });
+      freshness(report, now, 'The price is stale; PriceOracle returns it regardless');
+      return report;
+    },
+
+    async events(client, token, fromBlock) {
+      const oracle = client.oracle;
+      const [updates, direct] = await Promise.all([
+        oracle.queryFilter(oracle.filters.PriceUpdated(token), fromBlock),
+        oracle.queryFilter(oracle.filters.DirectPriceUpdated(token), fromBlock)
+      ]);
+      // setDirectPrice emits both; keep the DirectPriceUpdated with its raw price and decimals
+      const directTransactions = new Set(direct.map(log => log.transactionHash));
+      return [
+        ...updates.filter(log => !directTransactions.has(log.transactionHash)).map(log => ({ log, source: 'PriceOracle', price: log.args.newPrice })),
+        ...direct.map(log => ({ log, source: 'PriceOracle', price: normalize(log.args.price, Number(log.args.decimals)) }))
+      ];
+    },
+
+    // PriceOracle never reverts on a price read
+    async reverts() {
+      return null;
+    }
+  }
+};
+
+class PriceOracleClient {
+  /**
+   * @param {string} kind - PriceOracle or ChainlinkPriceOracle
+   * @param {PriceOracleContract|ChainlinkPriceOracleContract} oracle - Oracle contract
+   */
+  constructor(kind, oracle) {
+    this.kind = kind;
+    this.adapter = ADAPTERS[kind];
+    this.oracle = oracle;
+    this.runner = oracle.runner;
+    this.provider = this.runner.provider || this.runner;
+    this.blockTimes = new Map();
+  }
+
+  /**
+   * @param {string} kind - PriceOracle or ChainlinkPriceOracle
+   * @param {string} address - Oracle address
+   * @param {Object} runner - ethers Provider or Signer
+   * @returns {PriceOracleClient} Client
+   */
+  static connect(kind, address, runner) {
+    if (!ADAPTERS[kind]) throw new Error(`Unknown oracle ${kind}; use ${Object.keys(ADAPTERS).join(' or ')}`);
+    return new PriceOracleClient(kind, contractAt(kind, address, runner));
+  }
+
+  aggregatorAt(address) {
+    return new Contract(address, AGGREGATOR_ABI, this.runner);
+  }
+
+  async blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      this.blockTimes.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+
+  async now() {
+    return (await this.provider.getBlock('latest')).timestamp;
+  }
+
+  /**
+   * Reads a token's price with its source and freshness
+   * @param {string} token - Token address
+   * @param {Object} [options] - Options
+   * @param {number} [options.now] - Time to evaluate the age at; defaults to the latest block time
+   * @param {number} [options.fromBlock=0] - First block to search for PriceOracle updates
+   * @returns {Promise<PriceReport>} Report
+   */
+  async price(token, options = {}) {
+    if (token === ZeroAddress) throw new Error('The token is the zero address');
+    const { fromBlock = 0 } = options;
+    const now = options.now !== undefined ? options.now : await this.now();
+    const [report, reverts] = await Promise.all([
+      this.adapter.price(this, token, now, fromBlock),
+      this.adapter.reverts(this, token)
+    ]);
+    return { ...report, reverts };
+  }
+
+  /**
+   * @param {string[]} tokens - Token addresses
+   * @param {Object} [options] - price() options
+   * @returns {Promise<PriceReport[]>} Reports, in the order of the tokens
+   */
+  async prices(tokens, options = {}) {
+    const now = options.now !== undefined ? options.now : await this.now();
+    return Promise.all(tokens.map(token => this.price(token, { ...options, now })));
+  }
+
+  /**
+   * Rebuilds a token's price history from oracle and feed events
+   * @param {string} token - Token address
+   * @param {Object} [options] - Options
+   * @param {number} [options.fromBlock=0] - First block to search
+   * @param {number} [options.limit] - Keep only the latest `limit` events
+   * @returns {Promise<PriceEvent[]>} Events, oldest first
+   */
+  async history(token, options = {}) {
+    const { fromBlock = 0, limit } = options;
+    const entries = await this.adapter.events(this, token, fromBlock);
+    entries.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+    const kept = limit !== undefined ? entries.slice(Math.max(0, entries.length - limit)) : entries;
+    return Promise.all(kept.map(async ({ log, source, price }) => ({
+      event: log.fragment.name,
+      source,
+      blockNumber: log.blockNumber,
+      timestamp: await this.blockTime(log.blockNumber),
+      transactionHash: log.transactionHash,
+      price,
+      args: Object.fromEntries(log.fragment.inputs.map((input, index) => [input.name, log.args[index]]))
+    })));
+  }
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  AGGREGATOR_ABI,
+  PriceOracleClient
+};
@@ -0,0 +1,503 @@
+/**
+ * @title D-Loop Protocol Proposal Lifecycle SDK
+ * @dev One lifecycle API over the AssetDAO and ProtocolDAO proposal functions
+ * @notice The two DAOs name and store proposals differently (AssetDAO `vote` with DLOOP-weighted
+ *         votes and a vote-change buffer, ProtocolDAO `castVote` with one vote per address and
+ *         target calls). ProposalManager reads either one into the same record. It then derives
+ *         the proposal's effective state from that record and the latest block time:
+ *
+ *         pending     created after the evaluated time (AssetDAO never assigns Pending itself)
+ *         active      voting is open
+ *         expired     voting ended and the vote failed; the proposal can never execute
+ *         queued      the vote passed; the execution delay (AssetDAO timelock) is running
+ *         succeeded   the vote passed and the delay is over, but something else blocks execution
+ *                     (AssetDAO is paused)
+ *         executable  executeProposal would succeed in the next block
+ *         executed    executed
+ *         canceled    canceled
+ *
+ *         Every state but executable comes with `blockers` explaining what stands in the way.
+ *         The pass rules mirror the contracts: AssetDAO needs yes votes above no votes and at
+ *         least `quorum` basis points of the votes cast; ProtocolDAO needs at least `quorum`
+ *         percent of the votes cast in favour.
+ */
+
+const { contractAt, findEvent, sendAndWait } = require('./contracts');
+const { readProposalCalls } = require('../scripts/utils/proposalCalldata');
+const { traceCalls } = require('../scripts/utils/revertDecoder');
+
+/** @typedef {import('../typechain-types').AssetDAO} AssetDAOContract */
+/** @typedef {import('../typechain-types').ProtocolDAO} ProtocolDAOContract */
+
+const EFFECTIVE_STATES = ['pending', 'active', 'expired', 'queued', 'succeeded', 'executable', 'executed', 'canceled'];
+const ASSET_PROPOSAL_TYPES = ['Investment', 'Divestment', 'ParameterChange', 'Other'];
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+/**
+ * @typedef {Object} Blocker
+ * @property {string} code - NOT_FOUND, EXECUTED, CANCELED, VOTING_OPEN, VOTING_CLOSED,
+ *           NO_VOTES, QUORUM_NOT_REACHED, MAJORITY_NOT_REACHED, DELAY_REMAINING, PAUSED,
+ *           ALREADY_VOTED, VOTE_BUFFER or CALL_REVERTED
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} ProposalRecord
+ * @property {string} dao - AssetDAO or ProtocolDAO
+ * @property {number} id
+ * @property {string} proposer
+ * @property {string} description
+ * @property {number} createdAt - Unix time
+ * @property {number} votingEnds - Unix time; voting is open up to and including it
+ * @property {number} executableAt - First block time executeProposal accepts
+ * @property {bigint} forVotes - AssetDAO: DLOOP weight, ProtocolDAO: voter count
+ * @property {bigint} againstVotes
+ * @property {boolean} executed
+ * @property {boolean} canceled
+ * @property {string} [type] - AssetDAO proposal type
+ * @property {string} [asset] - AssetDAO proposal asset address
+ * @property {bigint} [amount] - AssetDAO proposal amount
+ */
+
+/**
+ * @typedef {Object} Lifecycle
+ * @property {string} state - One of EFFECTIVE_STATES
+ * @property {Blocker[]} blockers - Why the proposal cannot execute now; empty when executable
+ * @property {number} now - Block time it was evaluated at
+ * @property {number} secondsUntilExecutable - 0 when executable or never executable
+ */
+
+/**
+ * Error raised when a lifecycle step would revert, before anything is sent, or when the calls of
+ * an executed ProtocolDAO proposal revert
+ */
+class ProposalError extends Error {
+  /**
+   * @param {Blocker[]} blockers - Failed checks; the first one gives the code
+   */
+  constructor(blockers) {
+    super(blockers.map(blocker => blocker.message).join('; '));
+    this.name = 'ProposalError';
+    this.code = blockers[0].code;
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * @param {number} seconds - Duration
+ * @returns {string} Duration such as 1d 2h 30m or 45s
+ */
+function formatDuration(seconds) {
+  const parts = [];
+  let rest = Math.max(0, Math.ceil(seconds));
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  if (rest > 0 || parts.length === 0) parts.push(`${rest}s`);
+  return parts.join(' ');
+}
+
+// DAO-specific reads, rules and calls; ProposalManager only goes through these
+const ADAPTERS = {
+  AssetDAO: {
+    async settings(contract) {
+      const [quorum, timelockPeriod, minVotingBuffer, paused] = await Promise.all([
+        contract.quorum(), contract.timelockPeriod(), contract.minVotingBuffer(), contract.paused()
+      ]);
+      return { quorum, timelockPeriod: Number(timelockPeriod), voteChangeBuffer: Number(minVotingBuffer), paused };
+    },
+
+    async count(contract) {
+      return Number(await contract.proposalCounter());
+    },
+
+    async load(contract, id, settings) {
+      const proposal = await contract.getProposal(id);
+      const votingEnds = Number(proposal.votingEnds);
+      // timelockEnds is not exposed; it is fixed at creation and timelockPeriod has no setter
+      return {
+        dao: 'AssetDAO',
+        id: Number(proposal.id),
+        proposer: proposal.proposer,
+        description: proposal.description,
+        createdAt: Number(proposal.createdAt),
+        votingEnds,
+        executableAt: Math.max(votingEnds + 1, votingEnds + settings.timelockPeriod),
+        forVotes: proposal.yesVotes,
+        againstVotes: proposal.noVotes,
+        executed: proposal.executed,
+        // executeProposal does not check the status, but the lifecycle treats Canceled as final
+        canceled: Number(proposal.status) === 5,
+        type: ASSET_PROPOSAL_TYPES[Number(proposal.proposalType)],
+        asset: proposal.assetAddress,
+        amount: proposal.amount
+      };
+    },
+
+    tally(proposal, settings) {
+      const blockers = [];
+      const total = proposal.forVotes + proposal.againstVotes;
+      const needed = total * settings.quorum / 10000n;
+      if (proposal.forVotes < needed) {
+        blockers.push({ code: 'QUORUM_NOT_REACHED', message: `Quorum not reached: ${proposal.forVotes} yes votes of ${needed} needed (${settings.quorum} bps of ${total} cast)` });
+      }
+      if (proposal.forVotes <= proposal.againstVotes) {
+        blockers.push(total === 0n
+          ? { code: 'NO_VOTES', message: 'No votes cast' }
+          : { code: 'MAJORITY_NOT_REACHED', message: `Majority not reached: ${proposal.forVotes} yes against ${proposal.againstVotes} no` });
+      }
+      return blockers;
+    },
+
+    async voteStatus(contract, proposal, voter, settings, now) {
+      if (!(await contract.hasVoted(proposal.id, voter))) return { voted: false, blockers: [] };
+      // lastVoteTime is not exposed; the voter's latest VoteCast event carries it
+      const events = await contract.queryFilter(contract.filters.VoteCast(proposal.id, voter));
+      const last = events[events.length - 1];
+      const votedAt = (await last.getBlock()).timestamp;
+      const nextVoteAt = votedAt + settings.voteChangeBuffer;
+      const blockers = now < nextVoteAt
+        ? [{ code: 'VOTE_BUFFER', message: `${voter} can change their vote in ${formatDuration(nextVoteAt - now)} (minVotingBuffer)` }]
+        : [];
+      return { voted: true, support: last.args.support, votedAt, nextVoteAt, blockers };
+    },
+
+    propose(contract, { type, asset, amount = 0n, description }) {
+      const index = ASSET_PROPOSAL_TYPES.indexOf(type);
+      if (index === -1) throw new Error(`AssetDAO proposal type must be one of ${ASSET_PROPOSAL_TYPES.join(', ')}, got ${type}`);
+      return contract.createProposal(index, asset, amount, description);
+    },
+
+    vote: (contract, id, support) => contract.vote(id, support),
+    cancelers: 'the proposer, the admin or the owner'
+  },
+
+  ProtocolDAO: {
+    async settings(contract) {
+      const [quorum, executionDelay] = await Promise.all([contract.quorum(), contract.executionDelay()]);
+      return { quorum, executionDelay: Number(executionDelay), paused: false };
+    },
+
+    async count(contract) {
+      return Number(await contract.getProposalCount());
+    },
+
+    async load(contract, id, settings) {
+      const proposal = await contract.proposals(id);
+      if (proposal.proposer === '0x0000000000000000000000000000000000000000') throw new Error('not found');
+      const votingEnds = Number(proposal.votingEnds);
+      return {
+        dao: 'ProtocolDAO',
+        id: Number(proposal.id),
+        proposer: proposal.proposer,
+        description: proposal.description,
+        createdAt: Number(proposal.createdAt),
+        votingEnds,
+        executableAt: Math.max(votingEnds + 1, votingEnds + settings.executionDelay),
+        forVotes: proposal.forVotes,
+        againstVotes: proposal.againstVotes,
+        executed: proposal.executed,
+        canceled: proposal.canceled
+      };
+    },
+
+    tally(proposal, settings) {
+      const total = proposal.forVotes + proposal.againstVotes;
+      if (total === 0n) return [{ code: 'NO_VOTES', message: 'No votes cast' }];
+      const percentage = proposal.forVotes * 100n / total;
+      return percentage < settings.quorum
+        ? [{ code: 'QUORUM_NOT_REACHED', message: `Quorum not reached: ${percentage}% of ${total} votes in favour, ${settings.quorum}% needed` }]
+        : [];
+    },
+
+    async voteStatus(contract, proposal, voter) {
+      if (!(await contract.hasVoted(proposal.id, voter))) return { voted: false, blockers: [] };
+      return { voted: true, blockers: [{ code: 'ALREADY_VOTED', message: `${voter} already voted; ProtocolDAO votes cannot be changed` }] };
+    },
+
+    propose(contract, { description, actions = [] }) {
+      return contract.createProposal(
+        description,
+        actions.map(action => action.target),
+        actions.map(action => action.value || 0n),
+        actions.map(action => action.data || '0x')
+      );
+    },
+
+    vote: (contract, id, support) => contract.castVote(id, support),
+    cancelers: 'the admin'
+  }
+};
+
+/**
+ * Derives the effective state of a proposal at a block time
+ * @param {ProposalRecord} proposal - Proposal read by ProposalManager
+ * @param {Object} settings - DAO settings read by ProposalManager
+ * @param {number} now - Block time (seconds)
+ * @returns {Lifecycle} Lifecycle
+ */
+function evaluateProposal(proposal, settings, now) {
+  const adapter = ADAPTERS[proposal.dao];
+  const result = (state, blockers, until = 0) => ({ state, blockers, now, secondsUntilExecutable: until });
+
+  if (proposal.executed) return result('executed', [{ code: 'EXECUTED', message: `Proposal ${proposal.id} was already executed` }]);
+  if (proposal.canceled) return result('canceled', [{ code: 'CANCELED', message: `Proposal ${proposal.id} was canceled` }]);
+
+  const tally = adapter.tally(proposal, settings);
+  const until = proposal.executableAt - now;
+  if (now < proposal.createdAt) {
+    return result('pending', [{ code: 'VOTING_OPEN', message: `Voting has not started; it opens in ${formatDuration(proposal.createdAt - now)}` }], until);
+  }
+  if (now <= proposal.votingEnds) {
+    const open = { code: 'VOTING_OPEN', message: `Voting is open for another ${formatDuration(proposal.votingEnds - now + 1)}` };
+    return result('active', [open, ...tally], until);
+  }
+  if (tally.length > 0) return result('expired', tally);
+  if (until > 0) {
+    return result('queued', [{ code: 'DELAY_REMAINING', message: `Execution delay remaining: ${formatDuration(until)}` }], until);
+  }
+  if (settings.paused) return result('succeeded', [{ code: 'PAUSED', message: `${proposal.dao} is paused` }]);
+  return result('executable', []);
+}
+
+class ProposalManager {
+  /**
+   * @param {string} dao - AssetDAO or ProtocolDAO
+   * @param {AssetDAOContract|ProtocolDAOContract} contract - DAO contract with a runner
+   */
+  constructor(dao, contract) {
+    if (!ADAPTERS[dao]) throw new Error(`Unknown DAO ${dao}; use ${Object.keys(ADAPTERS).join(' or ')}`);
+    this.dao = dao;
+    this.adapter = ADAPTERS[dao];
+    this.contract = contract;
+    this.runner = contract.runner;
+    this.provider = contract.runner.provider || contract.runner;
+  }
+
+  /**
+   * @param {string} dao - AssetDAO or ProtocolDAO
+   * @param {string} address - DAO address
+   * @param {Object} runner - ethers Signer (to send) or Provider (to read)
+   * @returns {ProposalManager} Manager
+   */
+  static connect(dao, address, runner) {
+    if (!ADAPTERS[dao]) throw new Error(`Unknown DAO ${dao}; use ${Object.keys(ADAPTERS).join(' or ')}`);
+    return new ProposalManager(dao, contractAt(dao, address, runner));
+  }
+
+  async now() {
+    return (await this.provider.getBlock('latest')).timestamp;
+  }
+
+  /**
+   * @returns {Promise<Object>} Quorum, delays and pause flag the lifecycle depends on
+   */
+  async settings() {
+    return this.adapter.settings(this.contract);
+  }
+
+  /**
+   * Reads a proposal and derives its effective state
+   * @param {number} id - Proposal id
+   * @returns {Promise<ProposalRecord & Lifecycle>} Proposal with its lifecycle
+   * @throws {ProposalError} NOT_FOUND if the proposal does not exist
+   */
+  async get(id) {
+    const [settings, now] = await Promise.all([this.settings(), this.now()]);
+    const proposal = await this.load(id, settings);
+    return { ...proposal, ...evaluateProposal(proposal, settings, now) };
+  }
+
+  async load(id, settings) {
+    try {
+      return await this.adapter.load(this.contract, id, settings);
+    } catch (error) {
+      if (Number(id) < 1 || Number(id) > await this.adapter.count(this.contract)) {
+        throw new ProposalError([{ code: 'NOT_FOUND', message: `${this.dao} has no proposal ${id}` }]);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} [options] - Filter
+   * @param {string[]} [options.states] - Only proposals in these effective states
+   * @returns {Promise<Array<ProposalRecord & Lifecycle>>} Every proposal of the DAO
+   */
+  async list(options = {}) {
+    const [settings, now, count] = await Promise.all([this.settings(), this.now(), this.adapter.count(this.contract)]);
+    const proposals = [];
+    for (let id = 1; id <= count; id++) {
+      const proposal = await this.adapter.load(this.contract, id, settings);
+      const entry = { ...proposal, ...evaluateProposal(proposal, settings, now) };
+      if (!options.states || options.states.includes(entry.state)) proposals.push(entry);
+    }
+    return proposals;
+  }
+
+  /**
+   * Creates a proposal
+   * @param {Object} params - AssetDAO: { type, asset, amount, description };
+   *        ProtocolDAO: { description, actions: [{ target, value, data }] }
+   * @returns {Promise<{ id: number, proposer: string, hash: string, blockNumber: number }>}
+   */
+  async propose(params) {
+    const receipt = await sendAndWait(() => this.adapter.propose(this.contract, params), this.contract.interface);
+    const event = await findEvent(receipt, this.contract, 'ProposalCreated');
+    return { id: Number(event.args.proposalId), proposer: event.args.proposer, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Whether an account has voted and whether it may vote (again) now
+   * @param {number} id - Proposal id
+   * @param {string} [voter] - Voter; defaults to the signer
+   * @returns {Promise<{ voted: boolean, canVote: boolean, blockers: Blocker[] }>}
+   */
+  async voteStatus(id, voter) {
+    const account = voter || await this.runner.getAddress();
+    const [settings, now] = await Promise.all([this.settings(), this.now()]);
+    const proposal = await this.load(id, settings);
+    const lifecycle = evaluateProposal(proposal, settings, now);
+    const status = await this.adapter.voteStatus(this.contract, proposal, account, settings, now);
+    const blockers = [...status.blockers];
+    if (lifecycle.state !== 'active') {
+      blockers.unshift(lifecycle.state === 'executed' || lifecycle.state === 'canceled'
+        ? lifecycle.blockers[0]
+        : { code: 'VOTING_CLOSED', message: `Voting on proposal ${id} ended ${formatDuration(now - proposal.votingEnds)} ago` });
+    }
+    return { ...status, canVote: blockers.length === 0, blockers };
+  }
+
+  /**
+   * Votes, or changes an AssetDAO vote once minVotingBuffer has passed
+   * @param {number} id - Proposal id
+   * @param {boolean} support - For or against
+   * @returns {Promise<{ hash: string, blockNumber: number }>}
+   * @throws {ProposalError} If the vote would revert
+   */
+  async vote(id, support) {
+    const status = await this.voteStatus(id);
+    if (!status.canVote) throw new ProposalError(status.blockers);
+    const receipt = await sendAndWait(() => this.adapter.vote(this.contract, id, support), this.contract.interface);
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Cancels a proposal
+   * @param {number} id - Proposal id
+   * @returns {Promise<{ hash: string, blockNumber: number }>}
+   * @throws {ProposalError} If the proposal is already executed or canceled
+   */
+  async cancel(id) {
+    const proposal = await this.get(id);
+    if (proposal.state === 'executed' || proposal.state === 'canceled') throw new ProposalError(proposal.blockers);
+    try {
+      const receipt = await sendAndWait(() => this.contract.cancelProposal(id), this.contract.interface);
+      return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      throw new Error(`Cannot cancel ${this.dao} proposal ${id}; only ${this.adapter.cancelers} may (${error.message})`);
+    }
+  }
+
+  /**
+   * Executes a proposal that is executable now
+   * @param {number} id - Proposal id
+   * @returns {Promise<{ hash: string, blockNumber: number }>}
+   * @throws {ProposalError} With the blockers if it is not executable, or CALL_REVERTED for each
+   *         ProtocolDAO proposal call that reverts (ProtocolDAO itself only reports OperationFailed)
+   */
+  async execute(id) {
+    const proposal = await this.get(id);
+    if (proposal.state !== 'executable') throw new ProposalError(proposal.blockers);
+    let receipt;
+    try {
+      receipt = await sendAndWait(() => this.contract.executeProposal(id), this.contract.interface);
+    } catch (error) {
+      if (this.dao === 'ProtocolDAO' && error.decodedRevert && error.decodedRevert.name === 'OperationFailed') {
+        const failed = (await this.traceProposalCalls(id)).filter(call => call.reverted);
+        if (failed.length > 0) {
+          throw new ProposalError(failed.map(call => ({ code: 'CALL_REVERTED', message: `Call ${call.index + 1} to ${call.to} reverts: ${call.reason}` })));
+        }
+      }
+      throw error;
+    }
+    await findEvent(receipt, this.contract, 'ProposalExecuted');
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Replays each call of a ProtocolDAO proposal from the ProtocolDAO address
+   * @param {number} id - Proposal id
+   * @returns {Promise<Object[]>} traceCalls results, one per call
+   */
+  async traceProposalCalls(id) {
+    if (this.dao !== 'ProtocolDAO') throw new Error('Only ProtocolDAO proposals carry calls');
+    const { targets, values, calldatas } = await readProposalCalls(this.contract, id);
+    return traceCalls({
+      provider: this.provider,
+      from: this.contract.target,
+      calls: targets.map((to, index) => ({ to, value: values[index], data: calldatas[index] }))
+    });
+  }
+
+  /**
+   * Waits until a proposal is executable. On a local chain it advances time instead of waiting.
+   * @param {number} id - Proposal id
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.advanceTime] - Advance time with evm_setNextBlockTimestamp;
+   *        defaults to true on Hardhat chain ids (31337, 1337)
+   * @param {number} [options.pollInterval=15000] - Milliseconds between checks when waiting
+   * @param {number} [options.timeout] - Milliseconds to wait at most; no limit by default
+   * @returns {Promise<ProposalRecord & Lifecycle>} The executable proposal
+   * @throws {ProposalError} If the proposal can no longer become executable, or on timeout
+   */
+  async waitUntilExecutable(id, options = {}) {
+    const { pollInterval = 15000, timeout } = options;
+    const advanceTime = options.advanceTime !== undefined
+      ? options.advanceTime
+      : LOCAL_CHAIN_IDS.includes((await this.provider.getNetwork()).chainId);
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+
+    for (;;) {
+      const proposal = await this.get(id);
+      if (proposal.state === 'executable') return proposal;
+      // Time only fixes open votes and running delays
+      if (!['pending', 'active', 'queued'].includes(proposal.state)) throw new ProposalError(proposal.blockers);
+
+      const target = proposal.state === 'queued' ? proposal.executableAt
+        : proposal.state === 'active' ? proposal.votingEnds + 1
+          : proposal.createdAt;
+      if (advanceTime) {
+        await this.provider.send('evm_setNextBlockTimestamp', [target]);
+        await this.provider.send('evm_mine', []);
+      } else {
+        if (Date.now() + pollInterval > deadline) {
+          throw new ProposalError([{ code: 'TIMEOUT', message: `Proposal ${id} is still ${proposal.state} after waiting ${timeout}ms` }, ...proposal.blockers]);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+      }
+    }
+  }
+
+  /**
+   * Waits until a proposal is executable (see waitUntilExecutable), then executes it
+   * @param {number} id - Proposal id
+   * @param {Object} [options] - waitUntilExecutable options
+   * @returns {Promise<{ hash: string, blockNumber: number }>}
+   */
+  async executeWhenReady(id, options = {}) {
+    await this.waitUntilExecutable(id, options);
+    return this.execute(id);
+  }
+}
+
+module.exports = {
+  EFFECTIVE_STATES,
+  ProposalError,
+  ProposalManager,
+  evaluateProposal,
+  formatDuration
+};
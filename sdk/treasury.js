@@ -0,0 +1,611 @@
+/**
+ * @title D-Loop Protocol Treasury SDK
+ * @dev Books of the Treasury built from its events, and checked deposit, withdraw,
+ *      distributeRewards and batchApprove calls that each carry a memo
+ * @notice ledger() posts every movement of one token as a debit and a credit between these
+ *         accounts, so the debits and credits of a ledger always add up to the same total:
+ *
+ *         treasury     what the Treasury holds; debits are inflows, credits outflows
+ *         opening      the Treasury balance before the first block read
+ *         deposits     Deposit (the FundsReceived that deposit() emits with it is not posted again)
+ *         receipts     FundsReceived without a Deposit: ETH sent to the Treasury directly
+ *         transfers    token Transfers to or from the Treasury that no Treasury event records,
+ *                      such as the fee share FeeProcessor sends
+ *         withdrawals  Withdrawal
+ *         rewards      FundsDistributed
+ *         protocol,    DelegatedTransferExecuted: tokens the Treasury moved from a protocol
+ *         delegated    contract (credit protocol) to a recipient (debit delegated); the Treasury
+ *                      balance does not change
+ *
+ *         Approvals change no balance and are listed apart, from the token's Approval events for
+ *         the Treasury. Those cover allowTokenTransfer (which also emits TokenApprovalOptimized)
+ *         and batchApprove, which emits no Treasury event. reconcile() compares the treasury
+ *         account with getBalance at the same block.
+ *
+ *         Only deposit() has a memo parameter. withdraw, distributeRewards and batchApprove are
+ *         sent with the memo appended to their calldata, which the ABI decoder ignores, and the
+ *         ledger reads it back when the transaction called the Treasury directly (not through a
+ *         proposal or a multisig). The Withdrawal event itself always says "Treasury withdrawal".
+ */
+
+const { Interface, ZeroAddress, concat, dataLength, dataSlice, formatUnits, getAddress, hexlify, toUtf8Bytes, toUtf8String, zeroPadValue } = require('ethers');
+const { contractAt, erc20At, sameAddress, sendAndWait } = require('./contracts');
+const { decodeRevert, formatRevert } = require('../scripts/utils/revertDecoder');
+
+/** @typedef {import('../typechain-types').Treasury} TreasuryContract */
+
+const LEDGER_ACCOUNTS = ['treasury', 'opening', 'deposits', 'receipts', 'transfers', 'withdrawals', 'rewards', 'protocol', 'delegated'];
+const MEMO_PREFIX = 'memo:';
+const CSV_COLUMNS = ['date', 'block', 'transaction', 'log_index', 'event', 'debit', 'credit', 'amount', 'token', 'from', 'to', 'memo'];
+
+// Treasury balances move with the token's Transfer events; batchApprove only shows in its Approval events
+const TOKEN_EVENTS = new Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+]);
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} code - MEMO_REQUIRED, INVALID_AMOUNT, ZERO_ADDRESS, ETH_NOT_SUPPORTED,
+ *           NO_PAYMENTS, UNAUTHORIZED, INSUFFICIENT_BALANCE or REVERTS; warnings use APPROVAL,
+ *           EVENT_MEMO and ALLOWANCE_UNCHANGED, and reconcile() UNRECORDED_INFLOW and
+ *           UNRECORDED_OUTFLOW
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} event - Opening, Deposit, FundsReceived, Transfer, Withdrawal,
+ *           FundsDistributed or DelegatedTransferExecuted
+ * @property {string} debit - Account debited, one of LEDGER_ACCOUNTS
+ * @property {string} credit - Account credited
+ * @property {bigint} amount
+ * @property {string|null} from - Where the tokens came from
+ * @property {string|null} to - Where they went
+ * @property {string|null} memo - Event memo or purpose, or the memo appended to the calldata
+ * @property {number} blockNumber
+ * @property {number} logIndex - -1 for the opening balance
+ * @property {string|null} transactionHash
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} Ledger
+ * @property {string} token - Token address, ZeroAddress for ETH
+ * @property {string} treasury - Treasury address
+ * @property {number} fromBlock
+ * @property {number} toBlock
+ * @property {LedgerEntry[]} entries - In chain order
+ * @property {Array<{ spender: string, amount: bigint, memo: string|null, blockNumber: number,
+ *           transactionHash: string, timestamp: number }>} approvals - Allowances the Treasury
+ *           set, the last one of each transaction and spender
+ * @property {Object<string, { debit: bigint, credit: bigint, balance: bigint }>} accounts -
+ *           Totals of the accounts used; balance is debit minus credit
+ * @property {bigint} balance - Balance of the treasury account
+ */
+
+/**
+ * @typedef {Object} TreasuryPlan
+ * @property {string} action - deposit, withdraw, distributeRewards or batchApprove
+ * @property {string} account - Account the calls are for
+ * @property {string} memo
+ * @property {Array<{ to: string, value: bigint, data: string, description: string, simulate: boolean }>}
+ *           transactions - Calls to send from the account, in order; simulate is false for a
+ *           call that needs an earlier one mined first (a deposit after its approval)
+ * @property {Issue[]} issues - Why the calls would revert; empty when they should succeed
+ * @property {Issue[]} warnings
+ */
+
+/**
+ * Error raised when a Treasury call would revert, before anything is sent
+ */
+class TreasuryError extends Error {
+  /**
+   * @param {Issue[]} issues - Failed checks; the first one gives the code
+   */
+  constructor(issues) {
+    super(issues.map(issue => issue.message).join('; '));
+    this.name = 'TreasuryError';
+    this.code = issues[0].code;
+    this.issues = issues;
+  }
+}
+
+/**
+ * @param {string} data - Calldata
+ * @param {string} memo - Memo
+ * @returns {string} Calldata with the memo appended
+ */
+function withMemo(data, memo) {
+  return hexlify(concat([data, toUtf8Bytes(`${MEMO_PREFIX}${memo}`)]));
+}
+
+/**
+ * @param {Interface} iface - Interface of the contract called
+ * @param {string} data - Calldata
+ * @returns {string|null} Memo appended by withMemo, if any
+ */
+function readMemo(iface, data) {
+  try {
+    const parsed = iface.parseTransaction({ data });
+    if (!parsed) return null;
+    const length = dataLength(iface.encodeFunctionData(parsed.fragment, parsed.args));
+    if (dataLength(data) <= length) return null;
+    const text = toUtf8String(dataSlice(data, length));
+    return text.startsWith(MEMO_PREFIX) ? text.slice(MEMO_PREFIX.length) : null;
+  } catch (error) {
+    // Not a call to a known function, or trailing bytes that are not a memo
+    return null;
+  }
+}
+
+function checkMemo(memo, issues) {
+  if (typeof memo !== 'string' || memo.trim() === '') {
+    issues.push({ code: 'MEMO_REQUIRED', message: 'Every Treasury operation needs a memo' });
+  }
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell; text a spreadsheet would run as a formula is prefixed with '
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports ledger entries as CSV, one row per entry
+ * @param {Ledger} ledger - Ledger from TreasuryManager#ledger
+ * @param {Object} [options] - Options
+ * @param {number} [options.decimals] - Token decimals; amounts are in token units when given
+ * @returns {string} CSV with a header row
+ */
+function ledgerToCsv(ledger, options = {}) {
+  const { decimals } = options;
+  const rows = ledger.entries.map(entry => [
+    new Date(entry.timestamp * 1000).toISOString(),
+    entry.blockNumber,
+    entry.transactionHash,
+    entry.logIndex < 0 ? '' : entry.logIndex,
+    entry.event,
+    entry.debit,
+    entry.credit,
+    decimals === undefined ? entry.amount : formatUnits(entry.amount, decimals),
+    ledger.token,
+    entry.from,
+    entry.to,
+    entry.memo
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+class TreasuryManager {
+  /**
+   * @param {Object} contracts - Contracts connected to the same runner
+   * @param {TreasuryContract} contracts.treasury
+   */
+  constructor(contracts) {
+    this.treasury = contracts.treasury;
+    this.runner = contracts.treasury.runner;
+    this.provider = this.runner.provider || this.runner;
+    this.blockTimes = new Map();
+    this.memos = new Map();
+  }
+
+  /**
+   * @param {string} address - Treasury address
+   * @param {Object} runner - ethers Signer (to send) or Provider (to read and prepare)
+   * @returns {TreasuryManager} Manager
+   */
+  static connect(address, runner) {
+    return new TreasuryManager({ treasury: contractAt('Treasury', address, runner) });
+  }
+
+  /**
+   * @param {string} [account] - Account to act for; defaults to the signer
+   * @returns {Promise<string>} Account address
+   */
+  async account(account) {
+    if (account) return account;
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw new Error('The manager is connected to a provider; pass the account');
+    }
+    return this.runner.getAddress();
+  }
+
+  async blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      this.blockTimes.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+
+  /**
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<string|null>} Memo appended to the calldata, when the transaction called the Treasury
+   */
+  async memoOf(hash) {
+    if (!this.memos.has(hash)) {
+      const transaction = await this.provider.getTransaction(hash);
+      const direct = transaction && sameAddress(transaction.to, await this.treasury.getAddress());
+      this.memos.set(hash, direct ? readMemo(this.treasury.interface, transaction.data) : null);
+    }
+    return this.memos.get(hash);
+  }
+
+  /**
+   * Builds the books of one token
+   * @param {string} token - Token address, ZeroAddress for ETH
+   * @param {Object} [options] - Options
+   * @param {number} [options.fromBlock=0] - First block; later than 0 it opens with the balance
+   *        before it, which needs a node that serves historical state
+   * @param {number} [options.toBlock] - Last block; defaults to the latest
+   * @returns {Promise<Ledger>} Ledger
+   */
+  async ledger(token, options = {}) {
+    token = getAddress(token);
+    const { fromBlock = 0 } = options;
+    const toBlock = options.toBlock !== undefined ? options.toBlock : await this.provider.getBlockNumber();
+    const treasury = getAddress(await this.treasury.getAddress());
+    const entries = [];
+
+    if (fromBlock > 0) {
+      const opening = await this.treasury.getBalance(token, { blockTag: fromBlock - 1 });
+      if (opening > 0n) {
+        entries.push({ event: 'Opening', debit: 'treasury', credit: 'opening', amount: opening, from: null, to: treasury, memo: null, blockNumber: fromBlock - 1, logIndex: -1, transactionHash: null });
+      }
+    }
+
+    const logs = (await this.provider.getLogs({ address: treasury, fromBlock, toBlock }))
+      .map(log => ({ log, parsed: this.treasury.interface.parseLog(log) }))
+      .filter(({ parsed }) => parsed && parsed.args.token !== undefined && sameAddress(parsed.args.token, token));
+    const deposits = logs
+      .filter(({ parsed }) => parsed.name === 'Deposit')
+      .map(({ log, parsed }) => `${log.transactionHash}:${parsed.args.from}:${parsed.args.amount}`);
+
+    for (const { log, parsed } of logs) {
+      const { args } = parsed;
+      const position = { blockNumber: log.blockNumber, logIndex: log.index, transactionHash: log.transactionHash };
+      switch (parsed.name) {
+        case 'Deposit':
+          entries.push({ event: 'Deposit', debit: 'treasury', credit: 'deposits', amount: args.amount, from: args.from, to: treasury, memo: args.memo, ...position });
+          break;
+        case 'FundsReceived': {
+          const from = args.length > 2 ? args.from : null;
+          const paired = deposits.indexOf(`${log.transactionHash}:${from}:${args.amount}`);
+          if (paired >= 0) {
+            deposits.splice(paired, 1);
+            break;
+          }
+          entries.push({ event: 'FundsReceived', debit: 'treasury', credit: 'receipts', amount: args.amount, from, to: treasury, memo: null, ...position });
+          break;
+        }
+        case 'Withdrawal':
+          entries.push({ event: 'Withdrawal', debit: 'withdrawals', credit: 'treasury', amount: args.amount, from: treasury, to: args.to, memo: (await this.memoOf(log.transactionHash)) || args.memo, ...position });
+          break;
+        case 'FundsDistributed':
+          entries.push({ event: 'FundsDistributed', debit: 'rewards', credit: 'treasury', amount: args.amount, from: treasury, to: args.recipient, memo: await this.memoOf(log.transactionHash), ...position });
+          break;
+        case 'DelegatedTransferExecuted':
+          entries.push({ event: 'DelegatedTransferExecuted', debit: 'delegated', credit: 'protocol', amount: args.amount, from: args.from, to: args.to, memo: args.purpose, ...position });
+          break;
+        default:
+          // TokenApprovalOptimized is read from the token's Approval events with the other approvals
+          break;
+      }
+    }
+
+    const approvals = [];
+    if (token !== ZeroAddress) {
+      const [transfers, approvalLogs] = await this.tokenLogs(token, treasury, fromBlock, toBlock);
+      entries.push(...this.unrecordedTransfers(entries, transfers, treasury));
+      const latest = new Map();
+      for (const log of approvalLogs) {
+        const { args } = TOKEN_EVENTS.parseLog(log);
+        latest.set(`${log.transactionHash}:${args.spender}`, { spender: args.spender, amount: args.value, blockNumber: log.blockNumber, logIndex: log.index, transactionHash: log.transactionHash });
+      }
+      for (const approval of latest.values()) {
+        approvals.push({ ...approval, memo: await this.memoOf(approval.transactionHash) });
+      }
+    }
+
+    entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    approvals.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    for (const item of [...entries, ...approvals]) item.timestamp = await this.blockTime(item.blockNumber);
+
+    const accounts = {};
+    for (const entry of entries) {
+      for (const [name, side] of [[entry.debit, 'debit'], [entry.credit, 'credit']]) {
+        accounts[name] = accounts[name] || { debit: 0n, credit: 0n, balance: 0n };
+        accounts[name][side] += entry.amount;
+        accounts[name].balance += side === 'debit' ? entry.amount : -entry.amount;
+      }
+    }
+    return { token, treasury, fromBlock, toBlock, entries, approvals, accounts, balance: accounts.treasury ? accounts.treasury.balance : 0n };
+  }
+
+  /**
+   * @returns {Promise<[Object[], Object[]]>} The token's Transfer logs to or from the Treasury, and its Approval logs by the Treasury
+   */
+  async tokenLogs(token, treasury, fromBlock, toBlock) {
+    const topic = zeroPadValue(treasury, 32);
+    const transfer = TOKEN_EVENTS.getEvent('Transfer').topicHash;
+    const approval = TOKEN_EVENTS.getEvent('Approval').topicHash;
+    const query = topics => this.provider.getLogs({ address: token, fromBlock, toBlock, topics });
+    const [incoming, outgoing, approvals] = await Promise.all([
+      query([transfer, null, topic]),
+      query([transfer, topic]),
+      query([approval, topic])
+    ]);
+    return [[...incoming, ...outgoing], approvals];
+  }
+
+  /**
+   * Posts the Transfers that no Treasury event accounts for
+   * @param {LedgerEntry[]} entries - Entries from the Treasury events
+   * @param {Object[]} transfers - Transfer logs to or from the Treasury
+   * @param {string} treasury - Treasury address
+   * @returns {LedgerEntry[]} Entries for the other Transfers
+   */
+  unrecordedTransfers(entries, transfers, treasury) {
+    const recorded = entries
+      .filter(entry => entry.transactionHash && (entry.debit === 'treasury' || entry.credit === 'treasury'))
+      .map(entry => `${entry.transactionHash}:${entry.from}:${entry.to}:${entry.amount}`);
+    const unrecorded = [];
+    for (const log of transfers) {
+      const { args } = TOKEN_EVENTS.parseLog(log);
+      if (sameAddress(args.from, args.to)) continue;
+      const index = recorded.indexOf(`${log.transactionHash}:${args.from}:${args.to}:${args.value}`);
+      if (index >= 0) {
+        recorded.splice(index, 1);
+        continue;
+      }
+      const incoming = sameAddress(args.to, treasury);
+      unrecorded.push({
+        event: 'Transfer',
+        debit: incoming ? 'treasury' : 'transfers',
+        credit: incoming ? 'transfers' : 'treasury',
+        amount: args.value,
+        from: args.from,
+        to: args.to,
+        memo: null,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash
+      });
+    }
+    return unrecorded;
+  }
+
+  /**
+   * Compares the ledger with getBalance at its last block
+   * @param {string} token - Token address, ZeroAddress for ETH
+   * @param {Object} [options] - ledger() options
+   * @returns {Promise<{ token: string, block: number, ledgerBalance: bigint, balance: bigint,
+   *          difference: bigint, reconciled: boolean, warnings: Issue[], ledger: Ledger }>}
+   *          difference is getBalance minus the ledger balance
+   */
+  async reconcile(token, options = {}) {
+    const ledger = await this.ledger(token, options);
+    const balance = await this.treasury.getBalance(ledger.token, { blockTag: ledger.toBlock });
+    const difference = balance - ledger.balance;
+    const warnings = [];
+    const cause = ledger.token === ZeroAddress
+      ? 'ETH that arrived without calling the Treasury (selfdestruct or block rewards)'
+      : 'a token that changes balances without Transfer events';
+    if (difference > 0n) {
+      warnings.push({ code: 'UNRECORDED_INFLOW', message: `getBalance is ${difference} more than the ledger; likely ${cause}` });
+    } else if (difference < 0n) {
+      warnings.push({ code: 'UNRECORDED_OUTFLOW', message: `getBalance is ${-difference} less than the ledger; likely ${cause}` });
+    }
+    return { token: ledger.token, block: ledger.toBlock, ledgerBalance: ledger.balance, balance, difference, reconciled: difference === 0n, warnings, ledger };
+  }
+
+  /**
+   * Checks that an account may call an onlyAdmin function (admin or owner)
+   * @returns {Promise<Issue[]>}
+   */
+  async checkAdmin(account, method) {
+    const [admin, owner] = await Promise.all([this.treasury.admin(), this.treasury.owner()]);
+    if (sameAddress(account, admin) || sameAddress(account, owner)) return [];
+    return [{ code: 'UNAUTHORIZED', message: `Treasury.${method} is restricted to its admin ${admin} and owner ${owner}` }];
+  }
+
+  /**
+   * Prepares a deposit, approving the Treasury first when a token allowance is missing
+   * @param {Object} params - Deposit
+   * @param {string} params.token - Token address, ZeroAddress for ETH
+   * @param {bigint} params.amount - Amount, in token units
+   * @param {string} params.memo - Memo for the Deposit event
+   * @param {string} [params.account] - Depositor; defaults to the signer
+   * @returns {Promise<TreasuryPlan>} Plan
+   */
+  async prepareDeposit(params) {
+    const { token, amount, memo } = params;
+    const account = await this.account(params.account);
+    const treasury = await this.treasury.getAddress();
+    const issues = [];
+    const warnings = [];
+    const transactions = [];
+    checkMemo(memo, issues);
+    if (amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: 'The amount must be greater than zero' });
+    if (token === ZeroAddress) {
+      const balance = await this.provider.getBalance(account);
+      if (balance < amount) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${account} holds ${balance} wei, less than ${amount}` });
+    } else {
+      const erc20 = erc20At(token, this.provider);
+      const [balance, allowance] = await Promise.all([erc20.balanceOf(account), erc20.allowance(account, treasury)]);
+      if (balance < amount) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `${account} holds ${balance} of ${token}, less than ${amount}` });
+      if (allowance < amount) {
+        warnings.push({ code: 'APPROVAL', message: `${account} allows the Treasury ${allowance}; the plan approves ${amount} first` });
+        transactions.push({ to: token, value: 0n, data: erc20.interface.encodeFunctionData('approve', [treasury, amount]), description: `${token}.approve(Treasury, ${amount})`, simulate: true });
+      }
+    }
+    transactions.push({
+      to: treasury,
+      value: token === ZeroAddress ? amount : 0n,
+      data: this.treasury.interface.encodeFunctionData('deposit', [token, amount, memo || '']),
+      description: `Treasury.deposit(${token}, ${amount}, "${memo}")`,
+      simulate: transactions.length === 0
+    });
+    return { action: 'deposit', account, memo, transactions, issues, warnings };
+  }
+
+  /**
+   * Prepares a withdrawal, which only the Treasury owner can make
+   * @param {Object} params - Withdrawal
+   * @param {string} params.token - Token address, ZeroAddress for ETH
+   * @param {string} params.to - Recipient
+   * @param {bigint} params.amount - Amount, in token units
+   * @param {string} params.memo - Memo, appended to the calldata
+   * @param {string} [params.account] - Sender; defaults to the signer
+   * @returns {Promise<TreasuryPlan>} Plan
+   */
+  async prepareWithdraw(params) {
+    const { token, to, amount, memo } = params;
+    const account = await this.account(params.account);
+    const issues = [];
+    checkMemo(memo, issues);
+    if (amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: 'The amount must be greater than zero' });
+    if (to === ZeroAddress) issues.push({ code: 'ZERO_ADDRESS', message: 'The recipient is the zero address' });
+    const [owner, balance] = await Promise.all([this.treasury.owner(), this.treasury.getBalance(token)]);
+    if (!sameAddress(account, owner)) issues.push({ code: 'UNAUTHORIZED', message: `Treasury.withdraw is restricted to its owner ${owner}` });
+    if (balance < amount) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `The Treasury holds ${balance}, less than ${amount}` });
+    const transactions = [{
+      to: await this.treasury.getAddress(),
+      value: 0n,
+      data: withMemo(this.treasury.interface.encodeFunctionData('withdraw', [token, to, amount]), memo || ''),
+      description: `Treasury.withdraw(${token}, ${to}, ${amount})`,
+      simulate: true
+    }];
+    const warnings = [{ code: 'EVENT_MEMO', message: 'The Withdrawal event records "Treasury withdrawal"; the memo travels in the calldata' }];
+    return { action: 'withdraw', account, memo, transactions, issues, warnings };
+  }
+
+  /**
+   * Prepares a reward distribution
+   * @param {Object} params - Distribution
+   * @param {string} params.token - Token address; distributeRewards does not pay ETH
+   * @param {Array<{ to: string, amount: bigint }>} params.payments - Recipients and amounts
+   * @param {string} params.memo - Memo, appended to the calldata
+   * @param {string} [params.account] - Sender; defaults to the signer
+   * @returns {Promise<TreasuryPlan>} Plan
+   */
+  async prepareDistribution(params) {
+    const { token, payments, memo } = params;
+    const account = await this.account(params.account);
+    const issues = [];
+    checkMemo(memo, issues);
+    if (token === ZeroAddress) issues.push({ code: 'ETH_NOT_SUPPORTED', message: 'distributeRewards pays ERC-20 tokens only' });
+    if (payments.length === 0) issues.push({ code: 'NO_PAYMENTS', message: 'The distribution has no recipients' });
+    for (const payment of payments) {
+      if (payment.to === ZeroAddress) issues.push({ code: 'ZERO_ADDRESS', message: 'A recipient is the zero address' });
+      if (payment.amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: `The amount for ${payment.to} must be greater than zero` });
+    }
+    issues.push(...await this.checkAdmin(account, 'distributeRewards'));
+    const total = payments.reduce((sum, payment) => sum + payment.amount, 0n);
+    if (token !== ZeroAddress) {
+      const balance = await this.treasury.getBalance(token);
+      if (balance < total) issues.push({ code: 'INSUFFICIENT_BALANCE', message: `The Treasury holds ${balance}, less than the ${total} to distribute` });
+    }
+    const args = [token, payments.map(payment => payment.to), payments.map(payment => payment.amount)];
+    const transactions = [{
+      to: await this.treasury.getAddress(),
+      value: 0n,
+      data: withMemo(this.treasury.interface.encodeFunctionData('distributeRewards', args), memo || ''),
+      description: `Treasury.distributeRewards(${token}, ${payments.length} recipient(s), ${total})`,
+      simulate: true
+    }];
+    return { action: 'distributeRewards', account, memo, transactions, issues, warnings: [] };
+  }
+
+  /**
+   * Prepares allowances from the Treasury to one spender
+   * @param {Object} params - Approvals
+   * @param {string} params.spender - Spender
+   * @param {Array<{ token: string, amount: bigint }>} params.allowances - Allowance to set per token; 0 revokes
+   * @param {string} params.memo - Memo, appended to the calldata
+   * @param {string} [params.account] - Sender; defaults to the signer
+   * @returns {Promise<TreasuryPlan>} Plan
+   */
+  async prepareBatchApprove(params) {
+    const { spender, allowances, memo } = params;
+    const account = await this.account(params.account);
+    const treasury = await this.treasury.getAddress();
+    const issues = [];
+    const warnings = [];
+    checkMemo(memo, issues);
+    if (spender === ZeroAddress) issues.push({ code: 'ZERO_ADDRESS', message: 'The spender is the zero address' });
+    if (allowances.length === 0) issues.push({ code: 'NO_PAYMENTS', message: 'No token to approve' });
+    for (const { token, amount } of allowances) {
+      if (token === ZeroAddress) {
+        issues.push({ code: 'ETH_NOT_SUPPORTED', message: 'ETH cannot be approved' });
+        continue;
+      }
+      if (spender !== ZeroAddress && (await erc20At(token, this.provider).allowance(treasury, spender)) === amount) {
+        warnings.push({ code: 'ALLOWANCE_UNCHANGED', message: `The Treasury already allows ${spender} ${amount} of ${token}` });
+      }
+    }
+    issues.push(...await this.checkAdmin(account, 'batchApprove'));
+    const args = [allowances.map(allowance => allowance.token), spender, allowances.map(allowance => allowance.amount)];
+    const transactions = [{
+      to: treasury,
+      value: 0n,
+      data: withMemo(this.treasury.interface.encodeFunctionData('batchApprove', args), memo || ''),
+      description: `Treasury.batchApprove(${allowances.length} token(s), ${spender})`,
+      simulate: true
+    }];
+    return { action: 'batchApprove', account, memo, transactions, issues, warnings };
+  }
+
+  /**
+   * Simulates the calls of a plan from its account
+   * @param {TreasuryPlan} plan - Plan from a prepare* method
+   * @returns {Promise<Issue[]>} REVERTS issues with the decoded error; empty when every call succeeds
+   */
+  async simulate(plan) {
+    const issues = [];
+    for (const transaction of plan.transactions) {
+      if (!transaction.simulate) continue;
+      try {
+        await this.provider.call({ from: plan.account, to: transaction.to, value: transaction.value, data: transaction.data });
+      } catch (error) {
+        const decoded = decodeRevert(error, { iface: this.treasury.interface });
+        issues.push({ code: 'REVERTS', message: `${transaction.description} reverts: ${decoded ? formatRevert(decoded) : error.shortMessage || error.message}` });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Simulates and sends a plan
+   * @param {TreasuryPlan} plan - Plan from a prepare* method
+   * @returns {Promise<string[]>} Transaction hashes
+   * @throws {TreasuryError} If the plan has issues or a call would revert
+   */
+  async execute(plan) {
+    if (plan.issues.length > 0) throw new TreasuryError(plan.issues);
+    const signer = this.runner;
+    if (!sameAddress(await signer.getAddress(), plan.account)) {
+      throw new Error(`The plan is for ${plan.account}; connect with its signer`);
+    }
+    const reverts = await this.simulate(plan);
+    if (reverts.length > 0) throw new TreasuryError(reverts);
+    const hashes = [];
+    for (const transaction of plan.transactions) {
+      const receipt = await sendAndWait(() => signer.sendTransaction({ to: transaction.to, value: transaction.value, data: transaction.data }), this.treasury.interface);
+      hashes.push(receipt.hash);
+    }
+    return hashes;
+  }
+}
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  TreasuryError,
+  TreasuryManager,
+  ledgerToCsv,
+  readMemo
+};
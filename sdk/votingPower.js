@@ -0,0 +1,408 @@
+/**
+ * @title D-Loop Protocol Delegation and Voting Power SDK
+ * @dev One view of the three delegation systems and of the voting power each DAO counts
+ * @notice The protocol has three independent delegation systems:
+ *
+ *         DLoopToken        delegateTokens / withdrawDelegation. Bookkeeping only: the tokens
+ *                           stay with the delegator, and transfers do not check delegations, so
+ *                           a delegator can end up with less than it has delegated.
+ *         AINodeGovernance  delegateToNode / withdrawDelegation. The DLOOP moves into
+ *                           AINodeGovernance and counts towards getNodeVotingPower; a withdrawal
+ *                           waits for delegationCooldown after the last delegation to that node.
+ *         SoulboundNFT      delegateVote with an expiry. The mapping cannot be enumerated, so
+ *                           delegations are found from VoteDelegated events.
+ *
+ *         Neither DAO reads any of them. AssetDAO weighs a vote by the voter's DLOOP balanceOf,
+ *         so DLOOP staked or delegated in AINodeGovernance does not count there, and ProtocolDAO
+ *         counts one vote per address. `effective` reports exactly that, next to each system.
+ */
+
+const { ZeroAddress } = require('ethers');
+const { contractAt, erc20At, sameAddress, sendAndWait } = require('./contracts');
+const { formatDuration } = require('./proposals');
+const { NODE_TYPES } = require('./nodeOperator');
+
+/** @typedef {import('../typechain-types').DLoopToken} DLoopTokenContract */
+/** @typedef {import('../typechain-types').AINodeGovernance} AINodeGovernanceContract */
+/** @typedef {import('../typechain-types').SoulboundNFT} SoulboundNFTContract */
+
+const DELEGATION_SYSTEMS = ['token', 'node'];
+const EXPIRY_WARNING = 7 * 86400;
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} code - INVALID_AMOUNT, SAME_TARGET, ZERO_ADDRESS, SELF_DELEGATION,
+ *           NO_DELEGATION, INSUFFICIENT_DELEGATION, COOLDOWN, NODE_NOT_ACTIVE or
+ *           BELOW_MINIMUM_DELEGATION; overview warnings use OVER_DELEGATED, NODE_INACTIVE,
+ *           SOULBOUND_EXPIRING and SOULBOUND_NO_TOKEN
+ * @property {string} message - Explanation
+ */
+
+/**
+ * @typedef {Object} VotingPowerOverview
+ * @property {string} account
+ * @property {number} now - Block time it was evaluated at
+ * @property {bigint} balance - DLOOP balance
+ * @property {Object} token - DLoopToken delegations: delegatedOut [{ to, amount }],
+ *           delegatedIn [{ from, amount }], totalOut, totalIn and available (balance not yet delegated)
+ * @property {Object|null} node - AINodeGovernance: delegatedOut [{ node, amount, startTime,
+ *           withdrawableAt, nodeActive }], totalOut, and own (the account's node: nodeType, stake,
+ *           delegatedIn [{ from, amount, startTime }], votingPower) or null; null without AINodeGovernance
+ * @property {Object|null} soulbound - SoulboundNFT: hasValidToken, delegatedOut [{ to, expiresAt }]
+ *           and delegatedIn [{ from, expiresAt }], unexpired only; null without SoulboundNFT
+ * @property {bigint} heldByGovernance - DLOOP of the account inside AINodeGovernance (own stake and
+ *           delegations), which AssetDAO does not count
+ * @property {{ AssetDAO: bigint, ProtocolDAO: bigint, AINodeGovernance: bigint }} effective - Vote
+ *           weight AssetDAO counts, votes ProtocolDAO counts, and node voting power
+ * @property {Issue[]} warnings
+ */
+
+/**
+ * @typedef {Object} RebalancePlan
+ * @property {string} system - One of DELEGATION_SYSTEMS
+ * @property {string} account - Delegator
+ * @property {string} from - Delegatee or node the amount leaves
+ * @property {string} to - Delegatee or node it moves to
+ * @property {bigint} amount
+ * @property {Array<{ to: string, value: bigint, data: string, description: string }>} transactions
+ *           - Calls to send from the account, in order
+ * @property {Issue[]} issues - Why the calls would revert; empty when they should succeed
+ * @property {Issue[]} warnings - COOLDOWN_RESET: delegateToNode restarts the cooldown of the
+ *           whole delegation to the new node
+ */
+
+/**
+ * Error raised when a rebalance would revert, before anything is sent
+ */
+class DelegationError extends Error {
+  /**
+   * @param {Issue[]} issues - Failed checks; the first one gives the code
+   */
+  constructor(issues) {
+    super(issues.map(issue => issue.message).join('; '));
+    this.name = 'DelegationError';
+    this.code = issues[0].code;
+    this.issues = issues;
+  }
+}
+
+function sum(entries) {
+  return entries.reduce((total, entry) => total + entry.amount, 0n);
+}
+
+class VotingPowerManager {
+  /**
+   * @param {Object} contracts - Contracts connected to the same runner
+   * @param {DLoopTokenContract} contracts.dloopToken
+   * @param {AINodeGovernanceContract|null} contracts.governance
+   * @param {SoulboundNFTContract|null} contracts.soulboundNFT
+   */
+  constructor(contracts) {
+    this.dloopToken = contracts.dloopToken;
+    this.governance = contracts.governance || null;
+    this.soulboundNFT = contracts.soulboundNFT || null;
+    this.runner = contracts.dloopToken.runner;
+    this.provider = this.runner.provider || this.runner;
+  }
+
+  /**
+   * @param {Object<string, string>} addresses - Address book with DLoopToken and, optionally,
+   *        AINodeGovernance and SoulboundNFT (e.g. DeploymentRegistry#addressBook())
+   * @param {Object} runner - ethers Signer (to send) or Provider (to read)
+   * @returns {VotingPowerManager} Manager
+   */
+  static connect(addresses, runner) {
+    if (!addresses.DLoopToken) throw new Error('The address book has no DLoopToken');
+    return new VotingPowerManager({
+      dloopToken: contractAt('DLoopToken', addresses.DLoopToken, runner),
+      governance: addresses.AINodeGovernance ? contractAt('AINodeGovernance', addresses.AINodeGovernance, runner) : null,
+      soulboundNFT: addresses.SoulboundNFT ? contractAt('SoulboundNFT', addresses.SoulboundNFT, runner) : null
+    });
+  }
+
+  /**
+   * @param {string} [account] - Account to act for; defaults to the signer
+   * @returns {Promise<string>} Account address
+   */
+  async account(account) {
+    if (account) return account;
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw new Error('The manager is connected to a provider; pass the account');
+    }
+    return this.runner.getAddress();
+  }
+
+  async now() {
+    return (await this.provider.getBlock('latest')).timestamp;
+  }
+
+  /**
+   * @param {string} account - Account
+   * @returns {Promise<Object>} DLoopToken delegations in and out
+   */
+  async tokenDelegations(account) {
+    const token = this.dloopToken;
+    const [delegatees, delegators] = await Promise.all([token.getDelegatees(account), token.getDelegators(account)]);
+    const delegatedOut = await Promise.all(delegatees.map(async to => ({ to, amount: await token.getDelegatedAmount(account, to) })));
+    const delegatedIn = await Promise.all(delegators.map(async from => ({ from, amount: await token.getDelegatedAmount(from, account) })));
+    return { delegatedOut, delegatedIn, totalOut: sum(delegatedOut), totalIn: sum(delegatedIn) };
+  }
+
+  /**
+   * @param {string} account - Account
+   * @returns {Promise<Object|null>} AINodeGovernance delegations and the account's own node
+   */
+  async nodeDelegations(account) {
+    const governance = this.governance;
+    if (!governance) return null;
+    const [nodes, cooldown, details] = await Promise.all([
+      governance.getDelegatedNodes(account),
+      governance.delegationCooldown(),
+      governance.getNodeDetails(account)
+    ]);
+    const delegatedOut = await Promise.all(nodes.map(async node => {
+      const [delegation, nodeActive] = await Promise.all([governance.getDelegationDetails(account, node), governance.isNodeActive(node)]);
+      const startTime = Number(delegation.startTime);
+      return { node, amount: delegation.amount, startTime, withdrawableAt: startTime + Number(cooldown), nodeActive };
+    }));
+
+    let own = null;
+    if (details.isActive) {
+      const delegators = await governance.getNodeDelegators(account);
+      const delegatedIn = await Promise.all(delegators.map(async from => {
+        const delegation = await governance.getDelegationDetails(from, account);
+        return { from, amount: delegation.amount, startTime: Number(delegation.startTime) };
+      }));
+      own = {
+        nodeType: NODE_TYPES[Number(details.nodeType)],
+        stake: details.stake,
+        delegatedIn,
+        votingPower: await governance.getNodeVotingPower(account)
+      };
+    }
+    return { delegatedOut, totalOut: sum(delegatedOut), own };
+  }
+
+  /**
+   * Finds the unexpired SoulboundNFT delegations of an account from VoteDelegated events
+   * @param {string} account - Account
+   * @param {Object} [options] - Options
+   * @param {number} [options.fromBlock=0] - First block to search for VoteDelegated events
+   * @returns {Promise<Object|null>} hasValidToken, delegatedOut and delegatedIn
+   */
+  async soulboundDelegations(account, options = {}) {
+    const soulbound = this.soulboundNFT;
+    if (!soulbound) return null;
+    const { fromBlock = 0 } = options;
+    const [outEvents, inEvents, hasValidToken] = await Promise.all([
+      soulbound.queryFilter(soulbound.filters.VoteDelegated(account), fromBlock),
+      soulbound.queryFilter(soulbound.filters.VoteDelegated(null, account), fromBlock),
+      soulbound.hasValidToken(account)
+    ]);
+    // The latest delegateVote of a pair sets its expiry; delegatedUntil returns 0 once it passed
+    const current = async (events, key) => {
+      const counterparts = [...new Set(events.map(event => event.args[key]))];
+      const entries = await Promise.all(counterparts.map(async counterpart => {
+        const [from, to] = key === 'to' ? [account, counterpart] : [counterpart, account];
+        return { [key]: counterpart, expiresAt: Number(await soulbound.delegatedUntil(from, to)) };
+      }));
+      return entries.filter(entry => entry.expiresAt > 0);
+    };
+    return { hasValidToken, delegatedOut: await current(outEvents, 'to'), delegatedIn: await current(inEvents, 'from') };
+  }
+
+  /**
+   * Shows an account's delegations in and out of every system and the voting power each DAO counts
+   * @param {string} [account] - Account; defaults to the signer
+   * @param {Object} [options] - Options
+   * @param {number} [options.warnWithin=604800] - Warn about SoulboundNFT delegations expiring this soon
+   * @param {number} [options.now] - Time to evaluate at; defaults to the latest block time
+   * @param {number} [options.fromBlock=0] - First block to search for SoulboundNFT delegations
+   * @returns {Promise<VotingPowerOverview>} Overview
+   */
+  async overview(account, options = {}) {
+    const address = await this.account(account);
+    const { warnWithin = EXPIRY_WARNING } = options;
+    const now = options.now !== undefined ? options.now : await this.now();
+    const [balance, token, node, soulbound] = await Promise.all([
+      this.dloopToken.balanceOf(address),
+      this.tokenDelegations(address),
+      this.nodeDelegations(address),
+      this.soulboundDelegations(address, options)
+    ]);
+    const warnings = [];
+
+    token.available = balance > token.totalOut ? balance - token.totalOut : 0n;
+    if (balance < token.totalOut) {
+      warnings.push({ code: 'OVER_DELEGATED', message: `${address} has delegated ${token.totalOut} DLOOP in DLoopToken but holds only ${balance}` });
+    }
+    if (node) {
+      for (const delegation of node.delegatedOut.filter(entry => !entry.nodeActive)) {
+        warnings.push({ code: 'NODE_INACTIVE', message: `Node ${delegation.node} holds ${delegation.amount} DLOOP delegated by ${address} but is no longer active` });
+      }
+    }
+    if (soulbound) {
+      const expiring = [
+        ...soulbound.delegatedOut.map(entry => ({ ...entry, text: `to ${entry.to}` })),
+        ...soulbound.delegatedIn.map(entry => ({ ...entry, text: `from ${entry.from}` }))
+      ].filter(entry => entry.expiresAt > now && entry.expiresAt - now <= warnWithin);
+      // A later options.now than the chain's can pass delegations that are listed but already over
+      for (const entry of expiring) {
+        warnings.push({ code: 'SOULBOUND_EXPIRING', message: `The SoulboundNFT vote delegation ${entry.text} expires in ${formatDuration(entry.expiresAt - now)}` });
+      }
+      if (soulbound.delegatedOut.length > 0 && !soulbound.hasValidToken) {
+        warnings.push({ code: 'SOULBOUND_NO_TOKEN', message: `${address} delegates SoulboundNFT votes but no longer holds a valid token` });
+      }
+    }
+
+    const ownStake = node && node.own ? node.own.stake : 0n;
+    return {
+      account: address,
+      now,
+      balance,
+      token,
+      node,
+      soulbound,
+      heldByGovernance: ownStake + (node ? node.totalOut : 0n),
+      effective: {
+        AssetDAO: balance,
+        ProtocolDAO: 1n,
+        AINodeGovernance: node && node.own ? node.own.votingPower : 0n
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Prepares the calls that move a delegation from one delegatee or node to another, without
+   * sending them
+   * @param {Object} params - Rebalance
+   * @param {string} params.system - 'token' (DLoopToken) or 'node' (AINodeGovernance)
+   * @param {string} params.from - Delegatee or node to take the amount from
+   * @param {string} params.to - Delegatee or node to give it to
+   * @param {bigint} params.amount - DLOOP to move, in token units
+   * @param {string} [params.account] - Delegator; defaults to the signer
+   * @param {number} [params.now] - Time to check the cooldown at; defaults to the latest block time
+   * @returns {Promise<RebalancePlan>} Plan
+   */
+  async prepareRebalance(params) {
+    const { system, from, to, amount } = params;
+    if (!DELEGATION_SYSTEMS.includes(system)) throw new Error(`Unknown delegation system ${system}; use ${DELEGATION_SYSTEMS.join(' or ')}`);
+    const account = await this.account(params.account);
+    const issues = [];
+    const warnings = [];
+    if (amount <= 0n) issues.push({ code: 'INVALID_AMOUNT', message: 'The amount must be greater than zero' });
+    if (sameAddress(from, to)) issues.push({ code: 'SAME_TARGET', message: 'The delegation already goes there' });
+    if (to === ZeroAddress) issues.push({ code: 'ZERO_ADDRESS', message: 'The new delegatee is the zero address' });
+
+    const plan = system === 'token'
+      ? await this.prepareTokenRebalance(account, from, to, amount, issues)
+      : await this.prepareNodeRebalance(account, from, to, amount, issues, warnings, params.now);
+    return { system, account, from, to, amount, transactions: plan, issues, warnings };
+  }
+
+  async prepareTokenRebalance(account, from, to, amount, issues) {
+    const token = this.dloopToken;
+    const tokenAddress = await token.getAddress();
+    const delegated = await token.getDelegatedAmount(account, from);
+    if (delegated === 0n) issues.push({ code: 'NO_DELEGATION', message: `${account} has no DLoopToken delegation to ${from}` });
+    else if (delegated < amount) issues.push({ code: 'INSUFFICIENT_DELEGATION', message: `${account} delegates ${delegated} to ${from}, less than ${amount}` });
+    if (sameAddress(to, account)) issues.push({ code: 'SELF_DELEGATION', message: 'DLoopToken does not allow delegating to yourself' });
+    return [
+      {
+        to: tokenAddress,
+        value: 0n,
+        data: token.interface.encodeFunctionData('withdrawDelegation', [from, amount]),
+        description: `DLoopToken.withdrawDelegation(${from}, ${amount})`
+      },
+      {
+        to: tokenAddress,
+        value: 0n,
+        data: token.interface.encodeFunctionData('delegateTokens', [to, amount]),
+        description: `DLoopToken.delegateTokens(${to}, ${amount})`
+      }
+    ];
+  }
+
+  async prepareNodeRebalance(account, from, to, amount, issues, warnings, now) {
+    const governance = this.governance;
+    if (!governance) throw new Error('The address book has no AINodeGovernance');
+    const governanceAddress = await governance.getAddress();
+    const [delegation, existing, cooldown, minimum, target, time] = await Promise.all([
+      governance.getDelegationDetails(account, from),
+      governance.getDelegationDetails(account, to),
+      governance.delegationCooldown(),
+      governance.minDelegationAmount(),
+      governance.getNodeDetails(to),
+      now !== undefined ? now : this.now()
+    ]);
+
+    if (!delegation.isActive) {
+      issues.push({ code: 'NO_DELEGATION', message: `${account} has no AINodeGovernance delegation to ${from}` });
+    } else {
+      if (delegation.amount < amount) {
+        issues.push({ code: 'INSUFFICIENT_DELEGATION', message: `${account} delegates ${delegation.amount} to ${from}, less than ${amount}` });
+      }
+      const withdrawableAt = Number(delegation.startTime) + Number(cooldown);
+      // withdrawDelegation runs in a later block than the one this is checked against
+      if (time + 1 < withdrawableAt) {
+        issues.push({ code: 'COOLDOWN', message: `The delegation to ${from} can be withdrawn in ${formatDuration(withdrawableAt - time)}` });
+      }
+    }
+    if (!target.isActive) issues.push({ code: 'NODE_NOT_ACTIVE', message: `${to} is not an active AINodeGovernance node` });
+    if (amount < minimum) issues.push({ code: 'BELOW_MINIMUM_DELEGATION', message: `AINodeGovernance delegations are at least ${minimum}` });
+    const locked = existing.isActive ? `All ${existing.amount + amount} DLOOP delegated` : 'The moved DLOOP';
+    warnings.push({ code: 'COOLDOWN_RESET', message: `${locked} to ${to} cannot be withdrawn for ${formatDuration(Number(cooldown))}` });
+
+    const transactions = [{
+      to: governanceAddress,
+      value: 0n,
+      data: governance.interface.encodeFunctionData('withdrawDelegation', [from, amount]),
+      description: `AINodeGovernance.withdrawDelegation(${from}, ${amount})`
+    }];
+    // The withdrawal returns the DLOOP to the account; delegateToNode pulls it back with transferFrom
+    const dloop = erc20At(await governance.dloopToken(), this.runner);
+    if (await dloop.allowance(account, governanceAddress) < amount) {
+      transactions.push({
+        to: await dloop.getAddress(),
+        value: 0n,
+        data: dloop.interface.encodeFunctionData('approve', [governanceAddress, amount]),
+        description: `DLOOP.approve(AINodeGovernance, ${amount})`
+      });
+    }
+    transactions.push({
+      to: governanceAddress,
+      value: 0n,
+      data: governance.interface.encodeFunctionData('delegateToNode', [to, amount]),
+      description: `AINodeGovernance.delegateToNode(${to}, ${amount})`
+    });
+    return transactions;
+  }
+
+  /**
+   * Sends the calls of a rebalance plan from the signer, in order
+   * @param {RebalancePlan} plan - Plan from prepareRebalance
+   * @returns {Promise<string[]>} Transaction hashes
+   * @throws {DelegationError} If the plan has issues
+   */
+  async rebalance(plan) {
+    if (plan.issues.length > 0) throw new DelegationError(plan.issues);
+    const signer = this.runner;
+    if (!sameAddress(await signer.getAddress(), plan.account)) {
+      throw new Error(`The plan is for ${plan.account}; connect with its signer`);
+    }
+    const iface = plan.system === 'token' ? this.dloopToken.interface : this.governance.interface;
+    const hashes = [];
+    for (const transaction of plan.transactions) {
+      const receipt = await sendAndWait(() => signer.sendTransaction({ to: transaction.to, value: transaction.value, data: transaction.data }), iface);
+      hashes.push(receipt.hash);
+    }
+    return hashes;
+  }
+}
+
+module.exports = {
+  DELEGATION_SYSTEMS,
+  DelegationError,
+  VotingPowerManager
+};
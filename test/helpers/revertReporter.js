@@ -0,0 +1,27 @@
+/**
+ * @title Revert reporter for mocha
+ * @dev Root hook that appends the decoded custom error and its explanation to the message of a
+ *      failed test whose error carries revert data (see scripts/utils/revertDecoder.js).
+ *      Registered as mocha.rootHooks in hardhat.config.js; it must not require hardhat.
+ */
+
+const { decodeRevert, formatRevert } = require("../../scripts/utils/revertDecoder");
+
+exports.mochaHooks = {
+  afterEach() {
+    const test = this.currentTest;
+    if (!test || test.state !== "failed" || !test.err || test.err.revertReported) return;
+    const decoded = decodeRevert(test.err);
+    if (!decoded) return;
+    const err = test.err;
+    const original = String(err.message);
+    const annotated = `${original}\n      Reverted with ${formatRevert(decoded)}`;
+    err.revertReported = true;
+    // The reporter prints the stack (or err.inspect(), which Hardhat's SolidityError derives from
+    // it), so the line has to go into the stack as well as the message
+    if (typeof err.stack === "string" && err.stack.includes(original)) {
+      err.stack = err.stack.replace(original, annotated);
+    }
+    err.message = annotated;
+  }
+};
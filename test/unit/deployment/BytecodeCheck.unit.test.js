@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const {
+  STATUS,
+  metadataOffset,
+  compareBytecode,
+  checkDeployedBytecode
+} = require("../../../scripts/utils/bytecodeCheck");
+
+describe("BytecodeCheck", function() {
+  const ARTIFACT = "ChainlinkPriceOracle";
+
+  let deployer;
+  let deployedCode;
+
+  async function setCode(code) {
+    const address = hre.ethers.Wallet.createRandom().address;
+    await hre.network.provider.request({ method: "hardhat_setCode", params: [address, code] });
+    return address;
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    const contract = await hre.ethers.deployContract(ARTIFACT, [deployer.address]);
+    deployedCode = await hre.ethers.provider.getCode(await contract.getAddress());
+  });
+
+  it("Should classify deployed code as matching, metadata-only, mismatching or missing", async function() {
+    // Flip the last byte of the metadata hash, just before the CBOR length
+    const metadataChanged = `${deployedCode.slice(0, -6)}${deployedCode.slice(-6, -4) === "00" ? "01" : "00"}${deployedCode.slice(-4)}`;
+    const otherCode = (await hre.artifacts.readArtifact("MockAggregator")).deployedBytecode;
+    const contracts = {
+      Original: { address: await setCode(deployedCode), artifact: ARTIFACT },
+      Recompiled: { address: await setCode(metadataChanged), artifact: ARTIFACT },
+      Replaced: { address: await setCode(otherCode), artifact: ARTIFACT },
+      Missing: { address: hre.ethers.Wallet.createRandom().address, artifact: ARTIFACT },
+      Unknown: { address: deployer.address, artifact: "NoSuchContract" }
+    };
+
+    const results = await checkDeployedBytecode({ provider: hre.ethers.provider, artifacts: hre.artifacts, contracts });
+
+    expect(results.map(result => [result.name, result.status])).to.deep.equal([
+      ["Original", STATUS.MATCH],
+      ["Recompiled", STATUS.METADATA_ONLY],
+      ["Replaced", STATUS.MISMATCH],
+      ["Missing", STATUS.NO_CODE],
+      ["Unknown", STATUS.ERROR]
+    ]);
+    expect(results[2].detail).to.match(/^code differs from byte \d+/);
+  });
+
+  it("Should mask immutable values and library links but nothing else", function() {
+    const metadata = deployedCode.slice(2 + metadataOffset(deployedCode.slice(2)));
+    const prefix = "6080604052".repeat(4);
+    const immutable = hre.ethers.zeroPadValue(deployer.address, 32).slice(2);
+    const library = hre.ethers.Wallet.createRandom().address.slice(2).toLowerCase();
+    const placeholder = `__$${"ab".repeat(17)}$__`;
+
+    const compiled = `0x${prefix}${"00".repeat(32)}5b${placeholder}5b${metadata}`;
+    const onChain = `0x${prefix}${immutable}5b${library}5b${metadata}`;
+    const immutableReferences = { 42: [{ start: 20, length: 32 }] };
+    const linkReferences = { "contracts/Lib.sol": { Lib: [{ start: 53, length: 20 }] } };
+
+    expect(compareBytecode({ onChain, deployedBytecode: compiled, immutableReferences, linkReferences }).status)
+      .to.equal(STATUS.MATCH);
+    expect(compareBytecode({ onChain, deployedBytecode: compiled, linkReferences }).status).to.equal(STATUS.MISMATCH);
+    // A change outside the masked ranges is still caught
+    const tampered = onChain.replace(`5b${library}5b`, `5a${library}5b`);
+    expect(compareBytecode({ onChain: tampered, deployedBytecode: compiled, immutableReferences, linkReferences }).status)
+      .to.equal(STATUS.MISMATCH);
+  });
+});
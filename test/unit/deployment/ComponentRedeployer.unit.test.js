@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DESIRED_STATE = require("../../../scripts/config/desiredState");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { resolveDesiredState, detectDrift, formatDrift, applyDrift } = require("../../../scripts/utils/configReconciler");
+const {
+  deployComponent,
+  planRewiring,
+  remainingReferences,
+  exportActions
+} = require("../../../scripts/utils/componentRedeployer");
+
+describe("ComponentRedeployer", function() {
+  const silent = () => {};
+
+  let deployer;
+  let plan;
+  let desired;
+  let accounts;
+  let addresses;
+
+  async function redeploy(name) {
+    const oldAddress = addresses[name];
+    const entry = plan.contracts.find(candidate => candidate.name === name);
+    const deployed = await deployComponent({ ethers: hre.ethers, entry, signer: deployer, addresses, accounts });
+    addresses = { ...addresses, [name]: deployed.address };
+    const rewiring = await planRewiring({ ethers: hre.ethers, plan, desired, name, oldAddress, addresses, accounts });
+    return { oldAddress, ...rewiring };
+  }
+
+  function describeActions(actions) {
+    return actions.map(action => `${action.kind} ${action.contract}.${action.signature}`);
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    accounts = { deployer: deployer.address };
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+    desired = resolveDesiredState(DESIRED_STATE, plan);
+  });
+
+  beforeEach(async function() {
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    addresses = deployment.addresses;
+  });
+
+  it("Should rewire every contract that points at a redeployed Treasury", async function() {
+    const { oldAddress, actions, unresolved } = await redeploy("Treasury");
+
+    expect(describeActions(actions)).to.include.members([
+      "manifest ProtocolDAO.updateTreasury(address)",
+      "set FeeCalculator.updateTreasury(address)",
+      "set FeeProcessor.updateTreasury(address)"
+    ]);
+    expect(unresolved.map(reference => reference.reason)).to.deep.equal(["GovernanceRewards.treasury() has no setter"]);
+
+    const { failures } = await applyDrift({ ethers: hre.ethers, plan, results: [{ actions }], addresses, signer: deployer, log: silent });
+    expect(failures).to.be.empty;
+
+    const remaining = await remainingReferences({ ethers: hre.ethers, plan, addresses, target: oldAddress });
+    expect(remaining).to.deep.equal(["GovernanceRewards.treasury()"]);
+    const drift = await detectDrift({ ethers: hre.ethers, plan, desired, addresses, accounts });
+    expect(drift.filter(result => !result.inSync), formatDrift(drift)).to.be.empty;
+  });
+
+  it("Should move roles held by the old instance and skip roles the new one already has", async function() {
+    const { oldAddress, actions } = await redeploy("ProtocolDAO");
+    const dloopToken = await hre.ethers.getContractAt("DLoopToken", addresses.DLoopToken);
+    const minterRole = await dloopToken.MINTER_ROLE();
+
+    expect(describeActions(actions)).to.include.members([
+      "manifest DLoopToken.grantRole(bytes32,address)",
+      "set AINodeRegistry.updateGovernanceContract(address)",
+      "set Treasury.updateProtocolDAO(address)",
+      "revoke DLoopToken.revokeRole(bytes32,address)"
+    ]);
+
+    await applyDrift({ ethers: hre.ethers, plan, results: [{ actions }], addresses, signer: deployer, log: silent });
+
+    expect(await dloopToken.hasRole(minterRole, addresses.ProtocolDAO)).to.equal(true);
+    expect(await dloopToken.hasRole(minterRole, oldAddress)).to.equal(false);
+    expect(await remainingReferences({ ethers: hre.ethers, plan, addresses, target: oldAddress }))
+      .to.deep.equal(["AssetDAO.protocolDAO()"]);
+
+    // Rewiring again finds nothing left to do
+    const again = await planRewiring({ ethers: hre.ethers, plan, desired, name: "ProtocolDAO", oldAddress, addresses, accounts });
+    expect(describeActions(again.actions).filter(action => !action.startsWith("manifest"))).to.be.empty;
+  });
+
+  it("Should export rewiring calls with their calldata", async function() {
+    const { actions } = await redeploy("PriceOracle");
+    const calls = exportActions(actions, plan, addresses);
+    const assetDAO = await hre.ethers.getContractAt("AssetDAO", addresses.AssetDAO);
+
+    expect(calls).to.have.length(1);
+    expect(calls[0].to).to.equal(addresses.AssetDAO);
+    expect(assetDAO.interface.decodeFunctionData("updatePriceOracle", calls[0].data)[0]).to.equal(addresses.PriceOracle);
+  });
+});
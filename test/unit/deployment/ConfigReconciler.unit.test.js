@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DESIRED_STATE = require("../../../scripts/config/desiredState");
+const { ref, ManifestError, resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const {
+  resolveDesiredState,
+  detectDrift,
+  formatDrift,
+  applyDrift
+} = require("../../../scripts/utils/configReconciler");
+
+describe("ConfigReconciler", function() {
+  const silent = () => {};
+
+  let deployer;
+  let plan;
+  let desired;
+  let deployment;
+  let accounts;
+
+  async function drift() {
+    return detectDrift({ ethers: hre.ethers, plan, desired, addresses: deployment.addresses, accounts });
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    accounts = { deployer: deployer.address };
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+    desired = resolveDesiredState(DESIRED_STATE, plan);
+  });
+
+  beforeEach(async function() {
+    deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+  });
+
+  it("Should report a freshly deployed protocol as in sync", async function() {
+    const results = await drift();
+
+    expect(results.filter(result => !result.inSync), formatDrift(results)).to.be.empty;
+    expect(results).to.have.length(DESIRED_STATE.roles.length + DESIRED_STATE.values.length);
+  });
+
+  it("Should detect drift and converge with only the transactions needed", async function() {
+    const { instances, addresses } = deployment;
+    const minterRole = await instances.DLoopToken.MINTER_ROLE();
+    await instances.ProtocolDAO.whitelistToken(addresses.DAIToken, false);
+    await instances.DLoopToken.grantRole(minterRole, addresses.Treasury);
+    await instances.AssetDAO.updatePriceOracle(addresses.Treasury);
+
+    const drifted = (await drift()).filter(result => !result.inSync);
+    expect(drifted.map(result => result.id)).to.deep.equal([
+      "role:DLoopToken.MINTER_ROLE",
+      "value:ProtocolDAO.isTokenWhitelisted(DAIToken)",
+      "value:AssetDAO.priceOracle()"
+    ]);
+    expect(drifted[0].actual).to.include("Treasury");
+    expect(drifted[2]).to.include({ expected: "PriceOracle", actual: "Treasury" });
+    expect(formatDrift(drifted)).to.include("- Treasury");
+
+    const { sent, failures } = await applyDrift({
+      ethers: hre.ethers,
+      plan,
+      results: drifted,
+      addresses,
+      signer: deployer,
+      log: silent
+    });
+
+    expect(failures).to.be.empty;
+    expect(sent.map(action => `${action.contract}.${action.method}`)).to.deep.equal([
+      "ProtocolDAO.whitelistToken",
+      "AssetDAO.updatePriceOracle",
+      "DLoopToken.revokeRole"
+    ]);
+    expect((await drift()).every(result => result.inSync)).to.be.true;
+  });
+
+  it("Should grant missing roles through the configured method", async function() {
+    const { instances, addresses } = deployment;
+    await instances.SoulboundNFT.revokeMinterRole(addresses.AINodeRegistry);
+
+    const [result] = (await drift()).filter(check => !check.inSync);
+    expect(result.id).to.equal("role:SoulboundNFT.MINTER_ROLE");
+    expect(result.actions).to.deep.equal([{
+      kind: "grant",
+      contract: "SoulboundNFT",
+      method: "grantMinterRole",
+      signature: "grantMinterRole(address)",
+      args: [addresses.AINodeRegistry]
+    }]);
+  });
+
+  it("Should report checks whose contracts are missing from the deployment", async function() {
+    const { FeeProcessor, ...addresses } = deployment.addresses;
+    const results = await detectDrift({ ethers: hre.ethers, plan, desired, addresses, accounts });
+
+    const missing = results.filter(result => result.error);
+    expect(missing.map(result => result.id)).to.include("role:FeeProcessor.AUTHORIZED_CONTRACT_ROLE");
+    expect(missing.every(result => result.actions.length === 0)).to.be.true;
+  });
+
+  it("Should reject specs that do not match the ABIs", function() {
+    const spec = {
+      roles: [{ contract: "Treasury", role: "MINTER_ROLE", holders: [ref("Ghost")] }],
+      values: [{ contract: "ProtocolDAO", read: "treasury", expect: ref("Treasury"), set: { method: "updateQuorum", args: [ref("Treasury")] } }]
+    };
+
+    try {
+      resolveDesiredState(spec, plan);
+      expect.fail("Expected the spec to be rejected");
+    } catch (error) {
+      expect(error).to.be.instanceOf(ManifestError);
+      expect(error.message).to.include("Invalid desired configuration state");
+      expect(error.issues).to.include("Treasury.MINTER_ROLE references unknown contract Ghost");
+      expect(error.issues.some(issue => /hasRole does not exist/.test(issue))).to.be.true;
+      expect(error.issues.some(issue => /_newQuorum is an address reference/.test(issue))).to.be.true;
+    }
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ref, account, resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan, summarizeGas } = require("../../../scripts/utils/manifestDeployer");
+const { DeploymentRegistry } = require("../../../scripts/utils/deploymentRegistry");
+const {
+  summarizeCosts,
+  findMatchingDryRun,
+  buildCostReport,
+  formatCostReport,
+  backfillCosts
+} = require("../../../scripts/utils/deploymentCosts");
+
+describe("DeploymentCosts", function() {
+  const PROTOCOL_DAO = "contracts/core/ProtocolDAO.sol:ProtocolDAO";
+  const MANIFEST = { name: "d-loop-protocol", version: "1.0.0" };
+  const silent = () => {};
+
+  let deployer;
+  let directory;
+  let record;
+
+  const plan = () => resolveManifest({
+    contracts: [
+      { name: "ProtocolDAO", artifact: PROTOCOL_DAO, args: [account("deployer"), account("deployer"), 3600, 0, 51] },
+      { name: "Treasury", args: [account("deployer"), ref("ProtocolDAO")] }
+    ],
+    postDeployment: [
+      { contract: "ProtocolDAO", method: "updateTreasury", args: [ref("Treasury")] }
+    ]
+  }, hre.artifacts);
+
+  function result(timestamp, extra = {}) {
+    return {
+      network: { name: "sepolia", chainId: 11155111, deployer: deployer.address, timestamp },
+      manifest: MANIFEST,
+      ...record,
+      ...extra
+    };
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan: plan(),
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    record = deployment.record;
+  });
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-costs-"));
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should record the gas price and cost of every transaction and total them per contract and phase", function() {
+    for (const tx of record.transactions) {
+      expect(BigInt(tx.cost)).to.equal(BigInt(tx.gasUsed) * BigInt(tx.effectiveGasPrice));
+      expect(tx.blockNumber).to.be.a("number");
+    }
+
+    const costs = summarizeCosts({ transactions: record.transactions });
+    const totalCost = record.transactions.reduce((sum, tx) => sum + BigInt(tx.cost), 0n);
+    expect(costs.total).to.deep.equal({
+      transactions: 3,
+      gasUsed: summarizeGas(record.transactions).total,
+      cost: totalCost.toString()
+    });
+    expect(Object.keys(costs.phases)).to.deep.equal(["deploy", "configure"]);
+    expect(costs.phases.configure.transactions).to.equal(1);
+    expect(costs.contracts.ProtocolDAO.calls.transactions).to.equal(1);
+    expect(BigInt(costs.contracts.ProtocolDAO.total.cost) + BigInt(costs.contracts.Treasury.total.cost)).to.equal(totalCost);
+    expect(costs.unmetered).to.be.empty;
+  });
+
+  it("Should compare a deployment with the matching dry run and flag steps above the estimate", function() {
+    const registry = DeploymentRegistry.load("sepolia", { directory });
+    const gasUsed = summarizeGas(record.transactions);
+    // An estimate of an older manifest version, and one where Treasury came out 20% cheaper
+    registry.record(result("2025-06-01T09:00:00.000Z", { dryRun: true, manifest: { ...MANIFEST, version: "0.9.0" }, gasUsed }));
+    const treasuryEstimate = (BigInt(gasUsed.deployment.Treasury) * 80n / 100n).toString();
+    const estimate = registry.record(result("2025-06-01T10:00:00.000Z", {
+      dryRun: true,
+      gasUsed: { ...gasUsed, deployment: { ...gasUsed.deployment, Treasury: treasuryEstimate } }
+    }));
+    const deployment = registry.record(result("2025-06-02T10:00:00.000Z"));
+    registry.record(result("2025-06-03T10:00:00.000Z", { dryRun: true, gasUsed }));
+
+    const dryRun = findMatchingDryRun(registry, deployment);
+    expect(dryRun.id).to.equal(estimate.id);
+
+    const report = buildCostReport({ network: "sepolia", deployment, dryRun });
+    expect(report.comparison.regressions).to.deep.equal(["Treasury"]);
+    const treasury = report.comparison.rows.find(row => row.key === "Treasury");
+    expect(treasury.estimated).to.equal(treasuryEstimate);
+    expect(treasury.actual).to.equal(gasUsed.deployment.Treasury);
+    expect(report.comparison.rows.find(row => row.key === "ProtocolDAO.updateTreasury").ratio).to.equal(1);
+    // The estimate is priced at the deployment's own gas price
+    expect(report.comparison.estimatedCost).to.equal(
+      (BigInt(report.comparison.estimatedGas) * BigInt(report.averageGasPrice)).toString()
+    );
+
+    const markdown = formatCostReport(report);
+    expect(markdown).to.include("## Per phase");
+    expect(markdown).to.include("| deploy Treasury |");
+    expect(markdown).to.include("⚠️ Above the estimate: Treasury");
+  });
+
+  it("Should budget a dry run at a given gas price and backfill costs from receipts", async function() {
+    const dryRun = { id: "dry", dryRun: true, timestamp: "2025-06-01T10:00:00.000Z", manifest: MANIFEST, ...record };
+    const gasPrice = hre.ethers.parseUnits("20", "gwei");
+    const report = buildCostReport({ network: "sepolia", deployment: dryRun, gasPrice });
+    expect(report.budget.cost).to.equal((BigInt(report.total.gasUsed) * gasPrice).toString());
+    expect(report.comparison).to.equal(null);
+
+    // Deployments recorded before costs were tracked only have hashes
+    const legacy = { transactions: record.transactions.map(tx => ({ hash: tx.hash, type: tx.type, contract: tx.contract })) };
+    expect(summarizeCosts(legacy).unmetered).to.have.length(3);
+    const updated = await backfillCosts(legacy, hash => hre.ethers.provider.getTransactionReceipt(hash));
+    expect(updated).to.equal(3);
+    expect(summarizeCosts(legacy).total).to.deep.equal(summarizeCosts({ transactions: record.transactions }).total);
+  });
+});
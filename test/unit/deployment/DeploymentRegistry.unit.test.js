@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  REGISTRY_SCHEMA_VERSION,
+  DeploymentRegistry,
+  parseLegacyFileName,
+  migrateDirectory
+} = require("../../../scripts/utils/deploymentRegistry");
+
+describe("DeploymentRegistry", function() {
+  const silent = () => {};
+  const TREASURY_V1 = ethers.Wallet.createRandom().address;
+  const TREASURY_V2 = ethers.Wallet.createRandom().address;
+  const DAO = ethers.Wallet.createRandom().address;
+
+  let directory;
+
+  function deploymentResult(timestamp, contracts, extra = {}) {
+    return {
+      network: { name: "sepolia", chainId: 11155111, deployer: DAO, timestamp },
+      contracts,
+      transactions: Object.entries(contracts).map(([name, info]) => ({
+        hash: info.transaction,
+        type: "deploy",
+        contract: name,
+        blockNumber: info.blockNumber
+      })),
+      ...extra
+    };
+  }
+
+  function load() {
+    return DeploymentRegistry.load("sepolia", { directory });
+  }
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-registry-"));
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("Queries", function() {
+    beforeEach(function() {
+      const registry = load();
+      registry.record(deploymentResult("2025-05-01T10:00:00.000Z", {
+        ProtocolDAO: { address: DAO, transaction: "0x01", blockNumber: 100 },
+        Treasury: { address: TREASURY_V1, transaction: "0x02", blockNumber: 101 }
+      }));
+      // Partial redeployment of Treasury only
+      registry.record(deploymentResult("2025-06-01T10:00:00.000Z", {
+        Treasury: { address: TREASURY_V2, transaction: "0x03", blockNumber: 500 }
+      }));
+      registry.record(deploymentResult("2025-07-01T10:00:00.000Z", {
+        Treasury: { address: ethers.Wallet.createRandom().address, transaction: "0x04", blockNumber: 3 }
+      }, { dryRun: true }));
+    });
+
+    it("Should persist a versioned registry per network", function() {
+      const saved = JSON.parse(fs.readFileSync(path.join(directory, "sepolia.json"), "utf8"));
+
+      expect(saved.schemaVersion).to.equal(REGISTRY_SCHEMA_VERSION);
+      expect(saved.chainId).to.equal(11155111);
+      expect(saved.deployments.map(deployment => deployment.id)).to.deep.equal([
+        "2025-05-01T10-00-00.000Z",
+        "2025-06-01T10-00-00.000Z",
+        "2025-07-01T10-00-00.000Z"
+      ]);
+    });
+
+    it("Should resolve current addresses from the latest deployment of each contract", function() {
+      const registry = load();
+
+      expect(registry.currentAddress("Treasury")).to.equal(TREASURY_V2);
+      expect(registry.currentAddress("ProtocolDAO")).to.equal(DAO);
+      expect(registry.currentAddress("AssetDAO")).to.equal(null);
+      expect(registry.addressBook()).to.deep.equal({ ProtocolDAO: DAO, Treasury: TREASURY_V2 });
+    });
+
+    it("Should list the deployment history of a contract without dry runs", function() {
+      const history = load().history("Treasury");
+
+      expect(history.map(record => record.address)).to.deep.equal([TREASURY_V1, TREASURY_V2]);
+      expect(history[1].deploymentId).to.equal("2025-06-01T10-00-00.000Z");
+      expect(load().deployments({ includeDryRuns: true })).to.have.length(3);
+    });
+
+    it("Should tell deployments apart from entries that only record transactions", function() {
+      const registry = load();
+      registry.record(deploymentResult("2025-06-02T10:00:00.000Z", {}, {
+        transactions: [{ hash: "0x05", type: "reconcile", contract: "ProtocolDAO", method: "updateTreasury", blockNumber: 510 }]
+      }));
+
+      expect(registry.latest().id).to.equal("2025-06-02T10-00-00.000Z");
+      expect(registry.latest({ withContracts: true }).id).to.equal("2025-06-01T10-00-00.000Z");
+      expect(registry.addressBook()).to.deep.equal({ ProtocolDAO: DAO, Treasury: TREASURY_V2 });
+    });
+
+    it("Should answer which deployment was live at a block", function() {
+      const registry = load();
+
+      expect(registry.deploymentAtBlock(99)).to.equal(null);
+      expect(registry.deploymentAtBlock(499).id).to.equal("2025-05-01T10-00-00.000Z");
+      expect(registry.deploymentAtBlock(500).id).to.equal("2025-06-01T10-00-00.000Z");
+      expect(registry.addressBookAtBlock(100)).to.deep.equal({ ProtocolDAO: DAO });
+      expect(registry.addressBookAtBlock(499)).to.deep.equal({ ProtocolDAO: DAO, Treasury: TREASURY_V1 });
+    });
+  });
+
+  it("Should reject registries that do not match the schema", function() {
+    fs.writeFileSync(
+      path.join(directory, "sepolia.json"),
+      JSON.stringify({ schemaVersion: 99, network: "sepolia", deployments: [{ id: "x", contracts: { A: { address: "0x1" } } }] })
+    );
+
+    expect(() => load()).to.throw(/Unsupported schema version 99[\s\S]*A.address is not an address/);
+  });
+
+  describe("Migration", function() {
+    function writeLegacy(fileName, data) {
+      fs.writeFileSync(path.join(directory, fileName), JSON.stringify(data));
+    }
+
+    it("Should recognize every legacy file name", function() {
+      expect(parseLegacyFileName("sepolia-deployment-2025-04-15T22-38-02.087Z.json")).to.deep.equal({ network: "sepolia", dryRun: false });
+      expect(parseLegacyFileName("deployment-sepolina-2025-04-15T22-38-02.087Z.json")).to.deep.equal({ network: "sepolina", dryRun: false });
+      expect(parseLegacyFileName("dry-run-localhost-2025-04-15T22-05-18.864Z.json")).to.deep.equal({ network: "localhost", dryRun: true });
+      expect(parseLegacyFileName("sepolia.json")).to.equal(null);
+      expect(parseLegacyFileName("sepolia-journal.json")).to.equal(null);
+    });
+
+    it("Should convert legacy files once and fill in block numbers", async function() {
+      writeLegacy("sepolia-deployment-2025-04-15T22-38-02.087Z.json", {
+        network: { name: "sepolia", chainId: 11155111, deployer: DAO, timestamp: "2025-04-15T22:35:04.803Z" },
+        contracts: { Treasury: { address: TREASURY_V1, args: [], transaction: "0xaa" } },
+        transactions: [{ hash: "0xaa", type: "deployment", contract: "Treasury" }]
+      });
+      writeLegacy("dry-run-sepolia-2025-04-15T22-05-18.864Z.json", {
+        network: { name: "sepolia", deployer: DAO, timestamp: "2025-04-15T22:05:18.722Z" },
+        contracts: { Treasury: { address: TREASURY_V2, args: [], gasEstimate: "100" } },
+        transactions: [{ type: "deployment", contract: "Treasury", gasEstimate: "100" }]
+      });
+
+      const lookupBlock = async (networkName, hash) => (hash === "0xaa" ? 4242 : null);
+      const first = await migrateDirectory({ directory, lookupBlock, log: silent });
+      const second = await migrateDirectory({ directory, prune: true, log: silent });
+
+      expect(first.map(result => result.skipped)).to.deep.equal([false, false]);
+      expect(second.map(result => result.skipped)).to.deep.equal([true, true]);
+      expect(fs.readdirSync(directory)).to.deep.equal(["sepolia.json"]);
+
+      const registry = load();
+      expect(registry.deployments({ includeDryRuns: true })).to.have.length(2);
+      expect(registry.currentAddress("Treasury")).to.equal(TREASURY_V1);
+      expect(registry.latest().transactions[0].type).to.equal("deploy");
+      expect(registry.latest().source).to.equal("sepolia-deployment-2025-04-15T22-38-02.087Z.json");
+      expect(registry.deploymentAtBlock(4242).id).to.equal("2025-04-15T22-35-04.803Z");
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DETERMINISTIC_DEPLOYER = require("../../../scripts/config/deterministicDeployer");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { deployComponent } = require("../../../scripts/utils/componentRedeployer");
+const {
+  CREATE2_PROXY,
+  contractSalts,
+  factoryAddress,
+  predictAddresses,
+  findCollisions,
+  installFactory,
+  prepareDeterministic,
+  FactorySigner,
+  contractSalt,
+  actingSigner
+} = require("../../../scripts/utils/deterministicDeployment");
+
+describe("DeterministicDeployment", function() {
+  const silent = () => {};
+
+  let deployer;
+  let other;
+  let plan;
+  let snapshot;
+
+  async function deploy(options = {}) {
+    const { signer, create2Salts } = await prepareDeterministic({ deployer, manifest: DEPLOYMENT_MANIFEST, plan, networkName: "hardhat", log: silent });
+    return executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      create2Salts,
+      log: silent,
+      ...options
+    });
+  }
+
+  before(async function() {
+    [deployer, other] = await hre.ethers.getSigners();
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+  });
+
+  beforeEach(async function() {
+    snapshot = await takeSnapshot();
+  });
+
+  afterEach(async function() {
+    await snapshot.restore();
+  });
+
+  it("Should pin the DeterministicDeployer build of the repository", async function() {
+    const artifact = await hre.artifacts.readArtifact("DeterministicDeployer");
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+
+    expect(artifact.sourceName).to.equal(DETERMINISTIC_DEPLOYER.source);
+    expect(`v${buildInfo.solcLongVersion}`).to.equal(DETERMINISTIC_DEPLOYER.compiler);
+    expect(buildInfo.input.settings).to.deep.include(DETERMINISTIC_DEPLOYER.settings);
+    expect(artifact.bytecode).to.equal(DETERMINISTIC_DEPLOYER.bytecode);
+  });
+
+  it("Should deploy every contract at its predicted address whatever the deployer's nonce", async function() {
+    const prediction = await predictAddresses({ artifacts: hre.artifacts, plan, manifest: DEPLOYMENT_MANIFEST, owner: deployer.address });
+    const predicted = Object.fromEntries(prediction.contracts.map(contract => [contract.name, contract.address]));
+    expect(prediction.factory).to.equal(factoryAddress(deployer.address));
+    expect(await findCollisions(hre.ethers.provider, prediction.contracts)).to.be.empty;
+
+    const first = await deploy();
+    expect(first.failures).to.be.empty;
+    expect(first.addresses).to.deep.equal(predicted);
+    expect(first.record.contracts.Treasury.salt).to.equal(prediction.contracts.find(c => c.name === "Treasury").salt);
+
+    // Rights granted to msg.sender belong to the factory, and the deployer uses them through it
+    expect(await first.instances.ProtocolDAO.owner()).to.equal(prediction.factory);
+    const minterRole = await first.instances.SoulboundNFT.MINTER_ROLE();
+    expect(await first.instances.SoulboundNFT.hasRole(minterRole, first.addresses.AINodeRegistry)).to.equal(true);
+
+    // Same addresses on a chain where the deployer has already sent transactions
+    await snapshot.restore();
+    await deployer.sendTransaction({ to: other.address, value: 1 });
+    await deployer.sendTransaction({ to: other.address, value: 1 });
+    expect((await deploy()).addresses).to.deep.equal(predicted);
+  });
+
+  it("Should install the CREATE2 proxy only on development networks", async function() {
+    await hre.network.provider.request({ method: "hardhat_setCode", params: [CREATE2_PROXY.address, "0x"] });
+    await expect(installFactory({ signer: deployer, networkName: "sepolia", log: silent }))
+      .to.be.rejectedWith("is not deployed on sepolia");
+
+    const { address, receipt } = await installFactory({ signer: deployer, networkName: "hardhat", log: silent });
+    expect(address).to.equal(factoryAddress(deployer.address));
+    expect(receipt).to.not.equal(null);
+    expect((await installFactory({ signer: deployer, networkName: "hardhat", log: silent })).receipt).to.equal(null);
+    const setup = await prepareDeterministic({ deployer, manifest: DEPLOYMENT_MANIFEST, plan, networkName: "hardhat", log: silent });
+    expect(setup.record).to.deep.equal({ proxy: CREATE2_PROXY.address, factory: address, owner: deployer.address });
+    expect(setup.transaction).to.equal(null);
+    expect(setup.create2Salts).to.deep.equal(contractSalts(DEPLOYMENT_MANIFEST, plan));
+
+    // Another owner gets another factory, and cannot use this one
+    expect(factoryAddress(other.address)).to.not.equal(address);
+    const factory = new FactorySigner(other, address);
+    await expect(factory.sendTransaction({ to: other.address, data: "0x" })).to.be.rejected;
+  });
+
+  it("Should detect salts that are already used", async function() {
+    const prediction = await predictAddresses({ artifacts: hre.artifacts, plan, manifest: DEPLOYMENT_MANIFEST, owner: deployer.address });
+    await deploy();
+
+    const collisions = await findCollisions(hre.ethers.provider, prediction.contracts);
+    expect(collisions.map(contract => contract.name)).to.deep.equal(plan.contracts.map(contract => contract.name));
+    await expect(deploy()).to.be.rejectedWith(/Deploying SoulboundNFT failed: Salt 0x[0-9a-f]{64} is already used/);
+
+    // A new manifest version gives new salts and new addresses
+    const nextVersion = { ...DEPLOYMENT_MANIFEST, version: "1.0.1" };
+    const next = await predictAddresses({ artifacts: hre.artifacts, plan, manifest: nextVersion, owner: deployer.address });
+    expect(await findCollisions(hre.ethers.provider, next.contracts)).to.be.empty;
+    const redeployed = await deploy({ create2Salts: contractSalts(nextVersion, plan) });
+    expect(redeployed.addresses.SoulboundNFT).to.equal(next.contracts[0].address);
+  });
+
+  it("Should act through the factory of a recorded deterministic deployment", async function() {
+    const first = await deploy();
+    const factory = factoryAddress(deployer.address);
+    expect(actingSigner(deployer, { deployer: deployer.address })).to.equal(deployer);
+    const signer = actingSigner(deployer, { deployer: factory, deterministic: { factory } });
+    expect(await signer.getAddress()).to.equal(factory);
+
+    // A redeployed instance gets its own salt, so the same creation code gets a new address
+    const entry = plan.contracts.find(contract => contract.name === "Treasury");
+    const accounts = { deployer: factory };
+    const salt = contractSalt(DEPLOYMENT_MANIFEST, "Treasury", 1);
+    expect(salt).to.not.equal(contractSalt(DEPLOYMENT_MANIFEST, "Treasury"));
+    const redeployed = await deployComponent({ ethers: hre.ethers, entry, signer, addresses: first.addresses, accounts, salt });
+    expect(redeployed.address).to.not.equal(first.addresses.Treasury);
+    expect(await redeployed.contract.owner()).to.equal(factory);
+    await expect(deployComponent({ ethers: hre.ethers, entry, signer, addresses: first.addresses, accounts, salt }))
+      .to.be.rejectedWith("Deploying Treasury failed: Salt");
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const {
+  devnetManifest,
+  validateSeed,
+  seedDevnet,
+  accountKeys,
+  takeSnapshot,
+  restoreSnapshot
+} = require("../../../scripts/utils/devnet");
+
+describe("Devnet", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+
+  let signers;
+  let plan;
+
+  before(async function() {
+    signers = await hre.ethers.getSigners();
+    plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+  });
+
+  it("Should deploy the stack with mock feeds and seed it", async function() {
+    expect(validateSeed(DEVNET_SEED, plan, signers.length)).to.deep.equal([]);
+    const [deployer] = signers;
+    const { instances, addresses, failures } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    expect(failures).to.be.empty;
+
+    const summary = await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    const { AssetDAO, AINodeRegistry, ChainlinkPriceOracle, DLoopToken } = instances;
+    const { alice, bob, node1 } = summary.accounts;
+
+    // AssetDAO reads fresh prices from the mock feeds
+    expect(await AssetDAO.priceOracle()).to.equal(addresses.ChainlinkPriceOracle);
+    expect(await ChainlinkPriceOracle.getAssetPrice(addresses.DAIToken)).to.equal(hre.ethers.parseEther("1"));
+    expect((await ChainlinkPriceOracle.feeds(addresses.DAIToken)).maxStaleness).to.equal(BigInt(DEVNET_SEED.feeds[0].maxStaleness));
+
+    const investFee = hre.ethers.parseEther("12000") * BigInt(parameters.fees.invest) / 10000n;
+    expect(await AssetDAO.getInvestorShares(1, alice)).to.equal(hre.ethers.parseEther("12000") - investFee);
+    expect(await AINodeRegistry.isNodeActive(node1)).to.equal(true);
+    expect(await DLoopToken.getTotalDelegatedToAmount(node1)).to.equal(hre.ethers.parseEther("15000"));
+    expect(await DLoopToken.getDelegatedAmount(bob, node1)).to.equal(hre.ethers.parseEther("5000"));
+
+    // Executed proposals are created first; status is the ProposalState index
+    const states = { Active: 1n, Executed: 4n, Canceled: 5n };
+    expect(summary.proposals.map(proposal => proposal.state)).to.deep.equal(["Executed", "Canceled", "Active", "Active"]);
+    for (const proposal of summary.proposals) {
+      expect((await AssetDAO.getProposal(proposal.id)).status, proposal.description).to.equal(states[proposal.state]);
+    }
+  });
+
+  it("Should reject seeds that reference unknown accounts, contracts or states", function() {
+    const seed = {
+      ...DEVNET_SEED,
+      accounts: { ...DEVNET_SEED.accounts, erin: 1, frank: 40 },
+      balances: { mallory: { DAIToken: "1" } },
+      feeds: [{ token: "WETH", description: "WETH / USD", decimals: 8, price: "1", heartbeat: 60 }],
+      proposals: [{ ...DEVNET_SEED.proposals[0], state: "Rejected" }, { ...DEVNET_SEED.proposals[0], type: "Grant" }]
+    };
+    expect(validateSeed(seed, plan, signers.length)).to.deep.equal([
+      "accounts alice and erin are both account 1",
+      "account frank must be a node account index between 0 and 19, got 40",
+      "feeds[0] is for WETH, which the manifest does not deploy",
+      "feeds[0] maxStaleness must be an integer (seconds)",
+      "balances references unknown account mallory",
+      "proposals[0] state Rejected is never assigned by AssetDAO; use Active, Executed, Canceled",
+      "proposals[1] type must be one of Investment, Divestment, ParameterChange, Other, got Grant"
+    ]);
+  });
+
+  it("Should restore named snapshots and forget the ones taken after them", async function() {
+    const { provider } = hre.network;
+    const [, holder] = signers;
+    const state = { snapshots: {} };
+    const balance = () => hre.ethers.provider.getBalance(holder.address);
+    const setBalance = value => provider.send("hardhat_setBalance", [holder.address, hre.ethers.toQuantity(value)]);
+    const start = await balance();
+
+    await takeSnapshot(provider, state, "seeded");
+    await setBalance(1n);
+    await takeSnapshot(provider, state, "drained");
+    await setBalance(2n);
+
+    expect(await restoreSnapshot(provider, state, "drained")).to.deep.equal([]);
+    expect(await balance()).to.equal(1n);
+    // Restoring twice works: the snapshot is taken again after each revert
+    await setBalance(3n);
+    await restoreSnapshot(provider, state, "drained");
+    expect(await balance()).to.equal(1n);
+
+    expect(await restoreSnapshot(provider, state, "seeded")).to.deep.equal(["drained"]);
+    expect(await balance()).to.equal(start);
+    expect(Object.keys(state.snapshots)).to.deep.equal(["seeded"]);
+    await expect(restoreSnapshot(provider, state, "drained")).to.be.rejectedWith("Unknown snapshot drained; available: seeded");
+
+    // Funded account list keys match the node's accounts
+    const keys = accountKeys(hre.config.networks.hardhat.accounts, [0, 5]);
+    expect(new hre.ethers.Wallet(keys[5]).address).to.equal(signers[5].address);
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const HANDOFF_POLICY = require("../../../scripts/config/governanceHandoffPolicy");
+const DESIRED_STATE = require("../../../scripts/config/desiredState");
+const { ManifestError } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { deployComponent } = require("../../../scripts/utils/componentRedeployer");
+const { DeploymentRegistry } = require("../../../scripts/utils/deploymentRegistry");
+const {
+  resolveDesiredState,
+  detectDrift,
+  formatDrift,
+  toRegistryTransactions
+} = require("../../../scripts/utils/configReconciler");
+const {
+  resolveHandoffPolicy,
+  followHandoff,
+  isHandedOff,
+  applyHandoff,
+  verifyHandoff
+} = require("../../../scripts/utils/governanceHandoff");
+
+describe("GovernanceHandoff", function() {
+  const silent = () => {};
+
+  let deployer;
+  let handoff;
+  let accounts;
+  let addresses;
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    accounts = { deployer: deployer.address };
+    handoff = resolveHandoffPolicy(HANDOFF_POLICY, DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+  });
+
+  beforeEach(async function() {
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan: { ...handoff.plan, contracts: handoff.plan.contracts.filter(entry => !handoff.recipients.includes(entry)) },
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    addresses = { ...deployment.addresses };
+    for (const entry of handoff.recipients) {
+      addresses[entry.name] = (await deployComponent({ ethers: hre.ethers, entry, signer: deployer, addresses, accounts })).address;
+    }
+  });
+
+  it("Should reject policies with unknown methods or unexplained exceptions", function() {
+    const policy = {
+      ...HANDOFF_POLICY,
+      values: [{ contract: "PriceOracle", read: "owner", expect: { ref: "ProtocolDAO" }, set: { method: "transferOwnership", args: [{ ref: "ProtocolDAO" }] } }],
+      accepted: [{ contract: "Treasury", read: "owner" }]
+    };
+
+    expect(() => resolveHandoffPolicy(policy, DEPLOYMENT_MANIFEST, hre.artifacts))
+      .to.throw(ManifestError, /Invalid governance handoff policy[\s\S]*transferOwnership does not exist/);
+    expect(() => resolveHandoffPolicy({ ...HANDOFF_POLICY, accepted: policy.accepted }, DEPLOYMENT_MANIFEST, hre.artifacts))
+      .to.throw(ManifestError, /accepted\[0\] Treasury.owner\(\) needs a reason/);
+  });
+
+  it("Should report every privilege the deployer holds before the handoff", async function() {
+    const { drift, privileges } = await verifyHandoff({ ethers: hre.ethers, handoff, addresses, accounts });
+
+    expect(drift).to.not.be.empty;
+    expect(privileges).to.include.members([
+      "AssetDAO.owner()",
+      "FeeProcessor.feeAdmin()",
+      "DLoopToken.DEFAULT_ADMIN_ROLE",
+      "SimplifiedAdminControls.DEPLOYER_ROLE"
+    ]);
+  });
+
+  it("Should leave the deployer with only the privileges the policy accepts", async function() {
+    const { failures } = await applyHandoff({ ethers: hre.ethers, handoff, addresses, accounts, signer: deployer, log: silent });
+    const { drift, privileges, accepted } = await verifyHandoff({ ethers: hre.ethers, handoff, addresses, accounts });
+
+    expect(failures).to.be.empty;
+    expect(drift).to.be.empty;
+    expect(privileges).to.be.empty;
+    expect(accepted.map(entry => entry.privilege)).to.have.members([
+      "PriceOracle.owner()",
+      "PriceOracle.admin()",
+      "AINodeGovernance.owner()",
+      "AINodeGovernance.admin()"
+    ]);
+
+    const dloopToken = await hre.ethers.getContractAt("DLoopToken", addresses.DLoopToken);
+    const assetDAO = await hre.ethers.getContractAt("AssetDAO", addresses.AssetDAO);
+    expect(await assetDAO.owner()).to.equal(addresses.ProtocolDAO);
+    expect(await dloopToken.hasRole(await dloopToken.DEFAULT_ADMIN_ROLE(), addresses.ProtocolDAO)).to.equal(true);
+    expect(await dloopToken.hasRole(await dloopToken.DEFAULT_ADMIN_ROLE(), deployer.address)).to.equal(false);
+  });
+
+  it("Should reconcile a handed-off deployment without drift", async function() {
+    const { sent } = await applyHandoff({ ethers: hre.ethers, handoff, addresses, accounts, signer: deployer, log: silent });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-handoff-"));
+    try {
+      const registry = DeploymentRegistry.load("hardhat", { directory });
+      expect(isHandedOff(registry)).to.equal(false);
+      registry.record({
+        network: { name: "hardhat", chainId: 31337, deployer: deployer.address, timestamp: new Date().toISOString() },
+        contracts: {},
+        transactions: toRegistryTransactions(sent, "handoff")
+      });
+      expect(isHandedOff(registry)).to.equal(true);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    const reconcile = async spec => (await detectDrift({
+      ethers: hre.ethers,
+      plan: handoff.plan,
+      desired: resolveDesiredState(spec, handoff.plan),
+      addresses,
+      accounts
+    })).filter(result => !result.inSync);
+
+    expect((await reconcile(DESIRED_STATE)).map(result => result.id)).to.deep.equal([
+      "role:DLoopToken.DEFAULT_ADMIN_ROLE",
+      "role:DLoopToken.MINTER_ROLE",
+      "role:SoulboundNFT.MINTER_ROLE"
+    ]);
+    const drift = await reconcile(followHandoff(DESIRED_STATE, HANDOFF_POLICY));
+    expect(drift, formatDrift(drift)).to.be.empty;
+  });
+});
@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { DeploymentRegistry } = require("../../../scripts/utils/deploymentRegistry");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const {
+  CREATE2_PROXY,
+  contractSalts,
+  installFactory,
+  FactorySigner
+} = require("../../../scripts/utils/deterministicDeployment");
+
+describe("Hardhat tasks", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+
+  let instances;
+  let accounts;
+  let directory;
+  let addresses;
+  let deployer;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    ({ instances } = deployment);
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    accounts = Object.fromEntries(Object.entries(DEVNET_SEED.accounts).map(([name, index]) => [name, signers[index]]));
+
+    // Same shape as devnet/addresses.json
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-tasks-"));
+    addresses = path.join(directory, "addresses.json");
+    fs.writeFileSync(addresses, JSON.stringify({ network: "hardhat", contracts: deployment.addresses }));
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Runs a task with the test address book, keeping its output
+  async function run(name, args = {}) {
+    const output = [];
+    const { log, error } = console;
+    console.log = line => output.push(line);
+    console.error = line => output.push(line);
+    try {
+      const result = await hre.run(name, { addresses, ...args });
+      return { result, output };
+    } finally {
+      Object.assign(console, { log, error });
+    }
+  }
+
+  it("Should read the protocol state through the read-only tasks", async function() {
+    expect((await run("dloop:addresses")).result.AssetDAO).to.equal(instances.AssetDAO.target);
+
+    const { result: assets, output } = await run("dloop:asset:list", { state: "Active" });
+    expect(assets.assets.map(asset => asset.name)).to.deep.equal(["Renewable Energy Basket", "AI Compute Index"]);
+    expect(output[0]).to.match(/^ {3}1 {2}Active {6}[\d.]+ DAI +Renewable Energy Basket$/);
+    const { result: asset } = await run("dloop:asset:state", { assetId: 1 });
+    expect(asset).to.include({ name: "Renewable Energy Basket", state: "Active", creator: deployer.address });
+
+    const { result: proposals } = await run("dloop:proposal:list", { state: "executed,canceled" });
+    expect(proposals.proposals.map(proposal => [proposal.id, proposal.state])).to.deep.equal([[1, "executed"], [2, "canceled"]]);
+
+    const { result: fees } = await run("dloop:fees:show");
+    expect(fees).to.include({ invest: 10n, divest: 5n, ragequit: 30n, treasuryShare: 7000n, rewardShare: 3000n });
+
+    const { result: node } = await run("dloop:node:info", { node: accounts.node1.address });
+    expect(node.registry.state).to.equal("Active");
+
+    const { result: prices } = await run("dloop:oracle:price");
+    expect(prices.oracle).to.equal("ChainlinkPriceOracle");
+    expect(prices.prices.map(report => report.price)).to.deep.equal([hre.ethers.parseUnits("1", 18), hre.ethers.parseUnits("2.5", 18)]);
+
+    const { result: roles, output: rolesOutput } = await run("dloop:roles:show");
+    expect(roles.contracts.DLoopToken.roles.MINTER_ROLE).to.include("deployer");
+    expect(roles.contracts.ProtocolDAO.admins.admin).to.equal("deployer");
+    expect(roles.skipped).to.include("DLoopTokenFeed");
+    expect(rolesOutput).to.include(`Skipped (no artifact): ${roles.skipped.join(", ")}`);
+
+    const { result: balances } = await run("dloop:treasury:balance", { tokens: "ETH,DAIToken" });
+    expect(balances.balances.map(entry => entry.symbol)).to.deep.equal(["ETH", "DAI"]);
+
+    const { result: power } = await run("dloop:voting:power", { account: accounts.alice.address });
+    expect(power.token.totalOut).to.equal(hre.ethers.parseUnits("10000", 18));
+
+    const { output: json } = await run("dloop:fees:show", { json: true });
+    expect(JSON.parse(json.join("\n")).invest).to.equal("10");
+  });
+
+  it("Should simulate, confirm and send fee updates", async function() {
+    await expect(run("dloop:fees:set", { invest: 20 })).to.eventually.be.rejectedWith(/pass --yes/);
+    await expect(run("dloop:fees:set", { invest: 20, account: 1, yes: true })).to.eventually.be.rejectedWith(/updateInvestFeePercentage\(20\) reverts: Unauthorized\(\)/);
+    await expect(run("dloop:fees:set", { treasuryShare: 12000, yes: true })).to.eventually.be.rejectedWith(/add up to 10000/);
+
+    const { result: dryRun, output } = await run("dloop:fees:set", { invest: 20, dryRun: true });
+    expect(dryRun.transactions[0].data).to.equal(instances.FeeCalculator.interface.encodeFunctionData("updateInvestFeePercentage", [20]));
+    expect(output[0]).to.equal("1. FeeCalculator.updateInvestFeePercentage(20)");
+    expect(await instances.FeeCalculator.getInvestFeePercentage()).to.equal(10n);
+
+    const { result } = await run("dloop:fees:set", { invest: 20, divest: 5, treasuryShare: 6000, yes: true });
+    expect(result.transactions.map(transaction => transaction.description)).to.deep.equal([
+      "FeeCalculator.updateInvestFeePercentage(20)",
+      "FeeCalculator.updateDistributionPercentages(6000, 4000)"
+    ]);
+    expect(result.fees).to.include({ invest: 20n, divest: 5n, treasuryShare: 6000n, rewardShare: 4000n });
+    expect((await run("dloop:fees:set", { invest: 20, yes: true })).result.changed).to.equal(false);
+  });
+
+  it("Should create assets and set oracle feeds", async function() {
+    const { result: created } = await run("dloop:asset:create", { name: "Storage Basket", description: "Decentralized storage", yes: true });
+    expect(created.assetId).to.equal(3);
+    expect((await run("dloop:asset:state", { assetId: 3 })).result.name).to.equal("Storage Basket");
+    await expect(run("dloop:asset:state", { assetId: 9 })).to.eventually.be.rejectedWith("AssetDAO has no asset 9");
+
+    const { result } = await run("dloop:oracle:set-feed", { token: "DAIToken", aggregator: "DLoopTokenFeed", maxStaleness: 3600, heartbeat: 600, reliability: 90, yes: true });
+    expect(result.price).to.include({ source: "aggregator", aggregator: instances.DLoopTokenFeed.target, reliabilityScore: 90, maxStaleness: 3600 });
+    expect(result.price.price).to.equal(hre.ethers.parseUnits("2.5", 18));
+    await expect(run("dloop:oracle:set-feed", { token: "DAIToken", aggregator: "Treasury", maxStaleness: 3600, heartbeat: 600, yes: true }))
+      .to.eventually.be.rejectedWith(/is not a usable AggregatorV3 feed/);
+  });
+
+  it("Should run Treasury operations with a memo and keep the ledger reconciled", async function() {
+    const { alice, bob } = accounts;
+    await expect(run("dloop:treasury:deposit", { token: "DAIToken", amount: "25", yes: true })).to.eventually.be.rejectedWith(/memo/);
+
+    const { result: dryRun } = await run("dloop:treasury:deposit", { token: "DAIToken", amount: "25", memo: "Top-up", account: 1, dryRun: true });
+    expect(dryRun.transactions.map(transaction => transaction.to)).to.deep.equal([instances.DAIToken.target, instances.Treasury.target]);
+    await run("dloop:treasury:deposit", { token: "DAIToken", amount: "25", memo: "Top-up", account: 1, yes: true });
+
+    await expect(run("dloop:treasury:withdraw", { token: "DAIToken", to: bob.address, amount: "5", memo: "Refund", account: 1, yes: true }))
+      .to.eventually.be.rejectedWith(/Treasury.withdraw is restricted to its owner/);
+    await run("dloop:treasury:withdraw", { token: "DAIToken", to: bob.address, amount: "5", memo: "Refund", yes: true });
+    const { result: approved } = await run("dloop:treasury:approve", { spender: "GovernanceRewards", allowances: ["DAIToken=12.5"], memo: "Epoch 1", yes: true });
+    expect(approved.allowances[0]).to.include({ allowance: hre.ethers.parseUnits("12.5", 18), symbol: "DAI" });
+
+    const csv = path.join(directory, "ledger.csv");
+    const { result: ledger } = await run("dloop:treasury:ledger", { token: "DAIToken", csv });
+    expect(ledger.entries.filter(entry => entry.memo).map(entry => [entry.event, entry.from, entry.memo])).to.deep.equal([
+      ["Deposit", alice.address, "Top-up"],
+      ["Withdrawal", instances.Treasury.target, "Refund"]
+    ]);
+    expect(fs.readFileSync(csv, "utf8").trim().split("\n")).to.have.lengthOf(ledger.entries.length + 1);
+
+    const { result: reconciliation, output } = await run("dloop:treasury:reconcile");
+    expect(reconciliation.reconciled).to.equal(true);
+    expect(reconciliation.tokens.map(token => token.token)).to.deep.equal([hre.ethers.ZeroAddress, instances.DAIToken.target, instances.DLoopToken.target]);
+    expect(output[2]).to.match(/^ {2}DAI {6}reconciled {2}ledger /);
+  });
+
+  it("Should send as the DeterministicDeployer of a deterministic deployment", async function() {
+    const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters });
+    const factory = await installFactory({ signer: deployer, networkName: "hardhat", log: silent });
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: new FactorySigner(deployer, factory.address),
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      create2Salts: contractSalts(DEPLOYMENT_MANIFEST, plan),
+      log: silent
+    });
+    const registry = DeploymentRegistry.load("hardhat", { directory });
+    registry.record({
+      network: { name: "hardhat", chainId: 31337, deployer: factory.address, timestamp: new Date().toISOString() },
+      contracts: deployment.record.contracts,
+      transactions: deployment.record.transactions,
+      deterministic: { proxy: CREATE2_PROXY.address, factory: factory.address, owner: deployer.address }
+    });
+
+    const { result } = await run("dloop:fees:set", { addresses: registry.filePath, invest: 20, yes: true });
+    expect(result.from).to.equal(factory.address);
+    expect(await deployment.instances.FeeCalculator.getInvestFeePercentage()).to.equal(20n);
+  });
+});
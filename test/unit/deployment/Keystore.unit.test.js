@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createKeystore,
+  importKeystore,
+  keystoreAddress,
+  listKeystores,
+  loadKeystore,
+  rotateKeystore,
+  configuredDeployerAddress,
+  getDeployer
+} = require("../../../scripts/utils/keystore");
+
+describe("Keystore", function() {
+  const PASSWORD = "correct horse battery";
+  // Cheap scrypt parameters so the tests do not spend seconds per keystore
+  const SCRYPT = { N: 1024, r: 8, p: 1 };
+
+  let directory;
+  let options;
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-keystore-"));
+    options = { directory, scrypt: SCRYPT };
+  });
+
+  afterEach(function() {
+    delete process.env.KEYSTORE_PASSWORD_FILE;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should create, list and decrypt a keystore without storing the key in plaintext", async function() {
+    const created = await createKeystore("deployer", PASSWORD, options);
+
+    const content = fs.readFileSync(created.path, "utf8");
+    expect(content).to.not.include(created.wallet.privateKey.slice(2));
+    expect(fs.statSync(created.path).mode & 0o777).to.equal(0o600);
+    expect(keystoreAddress("deployer", { directory })).to.equal(created.address);
+    expect(listKeystores({ directory })).to.deep.equal([{ name: "deployer", address: created.address, path: created.path }]);
+
+    const wallet = await loadKeystore("deployer", PASSWORD, { directory });
+    expect(wallet.privateKey).to.equal(created.wallet.privateKey);
+    await expect(loadKeystore("deployer", "wrong password", { directory }))
+      .to.be.rejectedWith("Incorrect password for keystore deployer");
+    await expect(createKeystore("deployer", PASSWORD, options)).to.be.rejectedWith("already exists");
+    await expect(createKeystore("../deployer", PASSWORD, options)).to.be.rejectedWith("Invalid keystore name");
+  });
+
+  it("Should import a private key or a mnemonic and rotate a keystore into the archive", async function() {
+    const keyWallet = ethers.Wallet.createRandom();
+    const fromKey = await importKeystore("operator", keyWallet.privateKey.slice(2), PASSWORD, options);
+    expect(fromKey.address).to.equal(keyWallet.address);
+
+    const mnemonicWallet = ethers.Wallet.createRandom();
+    const fromMnemonic = await importKeystore("mnemonic", mnemonicWallet.mnemonic.phrase, PASSWORD, options);
+    expect(fromMnemonic.address).to.equal(mnemonicWallet.address);
+    await expect(importKeystore("invalid", "not a key", PASSWORD, options)).to.be.rejectedWith("neither");
+
+    const rotated = await rotateKeystore("operator", "new password", options);
+    expect(rotated.previous).to.equal(keyWallet.address);
+    expect(rotated.address).to.not.equal(keyWallet.address);
+    expect(keystoreAddress("operator", { directory })).to.equal(rotated.address);
+    // The archived keystore still opens with the old password
+    const archived = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(rotated.archivedTo, "utf8"), PASSWORD);
+    expect(archived.address).to.equal(keyWallet.address);
+    expect(listKeystores({ directory }).map(keystore => keystore.name)).to.deep.equal(["mnemonic", "operator"]);
+  });
+
+  it("Should resolve the deployer of a network from its keystore", async function() {
+    const created = await createKeystore("deployer", PASSWORD, options);
+    const passwordFile = path.join(directory, "password.txt");
+    fs.writeFileSync(passwordFile, `${PASSWORD}\n`);
+    process.env.KEYSTORE_PASSWORD_FILE = passwordFile;
+
+    expect(configuredDeployerAddress({ keystore: "deployer" }, { directory })).to.equal(created.address);
+    expect(configuredDeployerAddress({ accounts: [created.wallet.privateKey] })).to.equal(created.address);
+    expect(configuredDeployerAddress({ accounts: "remote" })).to.equal(null);
+
+    const fakeHre = { network: { name: "sepolia", config: { keystore: "deployer" } }, ethers: hre.ethers };
+    const deployer = await getDeployer(fakeHre, { directory });
+    expect(await deployer.getAddress()).to.equal(created.address);
+    expect(deployer.provider).to.equal(hre.ethers.provider);
+
+    // Without a keystore, the first Hardhat signer is used
+    const [signer] = await hre.ethers.getSigners();
+    expect(await (await getDeployer(hre)).getAddress()).to.equal(signer.address);
+  });
+});
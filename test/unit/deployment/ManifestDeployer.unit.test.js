@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ref, account, role, resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { DeploymentJournal, findMissingCode } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan, summarizeGas } = require("../../../scripts/utils/manifestDeployer");
+const { readDeploymentState } = require("../../../scripts/utils/contractState");
+
+describe("ManifestDeployer", function() {
+  const PROTOCOL_DAO = "contracts/core/ProtocolDAO.sol:ProtocolDAO";
+  const silent = () => {};
+
+  let deployer;
+  let journalDir;
+  let journalPath;
+
+  function manifest(votingPeriod) {
+    return {
+      contracts: [
+        { name: "SoulboundNFT", args: [] },
+        { name: "ProtocolDAO", artifact: PROTOCOL_DAO, args: [account("deployer"), account("deployer"), votingPeriod, 0, 51] },
+        { name: "Treasury", args: [account("deployer"), ref("ProtocolDAO")] },
+        { name: "DLoopToken", args: ["D-Loop Protocol Token", "DLOOP", 0, 18, 1000, account("deployer")] }
+      ],
+      postDeployment: [
+        { contract: "ProtocolDAO", method: "updateTreasury", args: [ref("Treasury")] },
+        { contract: "DLoopToken", method: "grantRole", args: [role("MINTER_ROLE"), ref("ProtocolDAO")] }
+      ]
+    };
+  }
+
+  function createJournal() {
+    return DeploymentJournal.create(journalPath, { network: "hardhat", chainId: 31337, deployer: deployer.address });
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+  });
+
+  beforeEach(function() {
+    journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-journal-"));
+    journalPath = path.join(journalDir, "hardhat-journal.json");
+  });
+
+  afterEach(function() {
+    fs.rmSync(journalDir, { recursive: true, force: true });
+  });
+
+  it("Should checkpoint every deployment and configuration step", async function() {
+    const plan = resolveManifest(manifest(3600), hre.artifacts);
+    const journal = createJournal();
+
+    const result = await executePlan({ ethers: hre.ethers, plan, signer: deployer, journal, log: silent });
+
+    const saved = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+    expect(saved.steps.map(step => step.id)).to.deep.equal([
+      "deploy:SoulboundNFT",
+      "deploy:ProtocolDAO",
+      "deploy:Treasury",
+      "deploy:DLoopToken",
+      "configure:0:ProtocolDAO.updateTreasury(address)",
+      "configure:1:DLoopToken.grantRole(bytes32,address)"
+    ]);
+    expect(saved.completedAt).to.not.equal(null);
+    expect(result.failures).to.be.empty;
+    expect(await result.instances.ProtocolDAO.treasury()).to.equal(result.addresses.Treasury);
+    expect(result.record.contracts.Treasury.address).to.equal(result.addresses.Treasury);
+  });
+
+  it("Should keep confirmed steps when a deployment fails and resume after them", async function() {
+    // DLoopToken reverts when the initial supply exceeds the max supply
+    const failing = manifest(3600);
+    failing.contracts[3].args[2] = 2000;
+    const journal = createJournal();
+
+    await expect(
+      executePlan({ ethers: hre.ethers, plan: resolveManifest(failing, hre.artifacts), signer: deployer, journal, log: silent })
+    ).to.be.rejectedWith("Deploying DLoopToken failed");
+
+    const partial = DeploymentJournal.load(journalPath);
+    expect(partial.deployments().map(step => step.contract)).to.deep.equal(["SoulboundNFT", "ProtocolDAO", "Treasury"]);
+    expect(partial.data.completedAt).to.equal(null);
+    expect(() => createJournal()).to.throw("unfinished deployment journal");
+    expect(await findMissingCode(partial, hre.ethers.provider)).to.be.empty;
+
+    const treasuryBefore = partial.get("deploy:Treasury").address;
+    const nonceBefore = await hre.ethers.provider.getTransactionCount(deployer.address);
+
+    const result = await executePlan({
+      ethers: hre.ethers,
+      plan: resolveManifest(manifest(3600), hre.artifacts),
+      signer: deployer,
+      journal: partial,
+      log: silent
+    });
+
+    // Only DLoopToken and the two configuration calls are sent again
+    expect(await hre.ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 3);
+    expect(result.addresses.Treasury).to.equal(treasuryBefore);
+    expect(DeploymentJournal.load(journalPath).data.completedAt).to.not.equal(null);
+  });
+
+  it("Should refuse to resume when the manifest arguments changed", async function() {
+    const journal = createJournal();
+    await executePlan({ ethers: hre.ethers, plan: resolveManifest(manifest(3600), hre.artifacts), signer: deployer, journal, log: silent });
+
+    await expect(
+      executePlan({ ethers: hre.ethers, plan: resolveManifest(manifest(7200), hre.artifacts), signer: deployer, journal, log: silent })
+    ).to.be.rejectedWith("resume is not safe");
+  });
+
+  it("Should report recorded addresses without code", async function() {
+    const journal = createJournal();
+    journal.record({ id: "deploy:Ghost", type: "deploy", contract: "Ghost", address: hre.ethers.Wallet.createRandom().address });
+
+    expect(await findMissingCode(journal, hre.ethers.provider)).to.deep.equal(["Ghost"]);
+  });
+
+  describe("Dry run", function() {
+    function inMemoryJournal() {
+      return DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address });
+    }
+
+    it("Should report a failed deployment and skip the steps that depend on it", async function() {
+      const failing = manifest(3600);
+      failing.contracts[3].args[2] = 2000;
+      failing.postDeployment.push({ contract: "ProtocolDAO", method: "whitelistToken", args: [ref("DLoopToken"), true] });
+
+      const result = await executePlan({
+        ethers: hre.ethers,
+        plan: resolveManifest(failing, hre.artifacts),
+        signer: deployer,
+        journal: inMemoryJournal(),
+        stopOnDeployFailure: false,
+        log: silent
+      });
+
+      const status = Object.fromEntries(result.steps.map(step => [step.id, step.status]));
+      expect(status).to.deep.equal({
+        "deploy:SoulboundNFT": "success",
+        "deploy:ProtocolDAO": "success",
+        "deploy:Treasury": "success",
+        "deploy:DLoopToken": "failed",
+        "configure:0:ProtocolDAO.updateTreasury(address)": "success",
+        "configure:1:DLoopToken.grantRole(bytes32,address)": "skipped",
+        "configure:2:ProtocolDAO.whitelistToken(address,bool)": "skipped"
+      });
+      expect(result.failures).to.have.length(1);
+      expect(result.failures[0].error).to.equal("InitialSupplyExceedsMaxSupply(2000, 1000)");
+    });
+
+    it("Should decode custom errors raised by configuration calls", async function() {
+      const reverting = manifest(3600);
+      // Quorum above 100 is rejected by updateQuorum
+      reverting.postDeployment = [{ contract: "ProtocolDAO", method: "updateQuorum", args: [500] }];
+
+      const result = await executePlan({
+        ethers: hre.ethers,
+        plan: resolveManifest(reverting, hre.artifacts),
+        signer: deployer,
+        journal: inMemoryJournal(),
+        stopOnDeployFailure: false,
+        log: silent
+      });
+
+      const [failure] = result.failures;
+      expect(failure.id).to.equal("configure:0:ProtocolDAO.updateQuorum(uint256)");
+      expect(failure.error).to.match(/^InvalidAmount\(\): an amount or parameter is zero/);
+    });
+
+    it("Should never write an in-memory journal to disk", async function() {
+      const journal = inMemoryJournal();
+      await executePlan({ ethers: hre.ethers, plan: resolveManifest(manifest(3600), hre.artifacts), signer: deployer, journal, log: silent });
+
+      expect(journal.filePath).to.equal(null);
+      expect(journal.data.completedAt).to.not.equal(null);
+      expect(fs.readdirSync(journalDir)).to.be.empty;
+    });
+
+    it("Should total gas and summarize roles in the final state", async function() {
+      const result = await executePlan({
+        ethers: hre.ethers,
+        plan: resolveManifest(manifest(3600), hre.artifacts),
+        signer: deployer,
+        journal: inMemoryJournal(),
+        log: silent
+      });
+
+      const gasUsed = summarizeGas(result.record.transactions);
+      const sum = result.record.transactions.reduce((total, tx) => total + BigInt(tx.gasUsed), 0n);
+      expect(gasUsed.total).to.equal(sum.toString());
+      expect(Object.keys(gasUsed.deployment)).to.deep.equal(["SoulboundNFT", "ProtocolDAO", "Treasury", "DLoopToken"]);
+
+      const state = await readDeploymentState(result.instances, { deployer: deployer.address });
+      expect(state.ProtocolDAO.values.treasury).to.equal(result.addresses.Treasury);
+      expect(state.DLoopToken.roles.MINTER_ROLE).to.include("ProtocolDAO");
+      expect(state.DLoopToken.roles.DEFAULT_ADMIN_ROLE).to.deep.equal(["deployer"]);
+    });
+  });
+});
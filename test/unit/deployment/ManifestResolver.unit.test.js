@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const {
+  ref,
+  account,
+  role,
+  ManifestError,
+  orderContracts,
+  resolveManifest,
+  resolveArgs
+} = require("../../../scripts/utils/manifestResolver");
+
+describe("ManifestResolver", function() {
+  const TREASURY = "Treasury";
+  const PROTOCOL_DAO = "contracts/core/ProtocolDAO.sol:ProtocolDAO";
+
+  function expectIssue(manifest, pattern) {
+    try {
+      resolveManifest(manifest, hre.artifacts);
+    } catch (error) {
+      expect(error).to.be.instanceOf(ManifestError);
+      expect(error.issues.some(issue => pattern.test(issue)), error.message).to.be.true;
+      return;
+    }
+    expect.fail("Expected the manifest to be rejected");
+  }
+
+  describe("Protocol manifest", function() {
+    it("Should resolve against the compiled artifacts", function() {
+      const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts);
+
+      expect(plan.contracts).to.have.length(DEPLOYMENT_MANIFEST.contracts.length);
+      expect(plan.postDeployment).to.have.length(DEPLOYMENT_MANIFEST.postDeployment.length);
+    });
+
+    it("Should deploy every contract after the contracts it references", function() {
+      const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts);
+      const position = new Map(plan.contracts.map((entry, index) => [entry.name, index]));
+
+      for (const entry of plan.contracts) {
+        for (const arg of entry.args) {
+          if (arg && arg.ref) {
+            expect(position.get(arg.ref), `${entry.name} -> ${arg.ref}`).to.be.lessThan(position.get(entry.name));
+          }
+        }
+      }
+    });
+  });
+
+  describe("Ordering", function() {
+    it("Should keep declaration order for independent contracts", function() {
+      const { order, issues } = orderContracts({
+        contracts: [
+          { name: "B", args: [ref("A")] },
+          { name: "A", args: [] },
+          { name: "C", args: [] }
+        ]
+      });
+
+      expect(issues).to.be.empty;
+      expect(order.map(entry => entry.name)).to.deep.equal(["A", "B", "C"]);
+    });
+
+    it("Should report the contracts forming a cycle", function() {
+      const { issues } = orderContracts({
+        contracts: [
+          { name: "A", args: [ref("B")] },
+          { name: "B", args: [ref("C")] },
+          { name: "C", args: [ref("A")] }
+        ]
+      });
+
+      expect(issues).to.deep.equal(["Dependency cycle detected: A -> B -> C -> A"]);
+    });
+
+    it("Should report references to undeclared contracts", function() {
+      const { issues } = orderContracts({ contracts: [{ name: "A", args: [[ref("Missing")]] }] });
+
+      expect(issues).to.deep.equal(["A constructor references unknown contract Missing"]);
+    });
+  });
+
+  describe("ABI validation", function() {
+    it("Should reject a wrong constructor argument count", function() {
+      expectIssue(
+        { contracts: [{ name: TREASURY, args: [account("deployer")] }] },
+        /Treasury constructor expects 2 argument\(s\)/
+      );
+    });
+
+    it("Should reject a reference passed where the ABI expects a number", function() {
+      expectIssue(
+        {
+          contracts: [
+            { name: TREASURY, args: [account("deployer"), account("deployer")] },
+            { name: "ProtocolDAO", artifact: PROTOCOL_DAO, args: [account("deployer"), account("deployer"), ref(TREASURY), 1, 51] }
+          ]
+        },
+        /_votingPeriod is an address reference but the ABI expects uint256/
+      );
+    });
+
+    it("Should reject literal values that cannot be encoded", function() {
+      expectIssue(
+        { contracts: [{ name: TREASURY, args: ["not-an-address", account("deployer")] }] },
+        /Treasury constructor arguments do not match the ABI/
+      );
+    });
+
+    it("Should reject unknown artifacts and accounts", function() {
+      expectIssue({ contracts: [{ name: "Ghost", args: [] }] }, /Ghost uses artifact Ghost which could not be loaded/);
+      expectIssue(
+        { contracts: [{ name: TREASURY, args: [account("stranger"), account("deployer")] }] },
+        /references unknown account stranger/
+      );
+    });
+
+    it("Should reject post-deployment calls to missing methods", function() {
+      expectIssue(
+        {
+          contracts: [{ name: TREASURY, args: [account("deployer"), account("deployer")] }],
+          postDeployment: [{ contract: TREASURY, method: "setRegistry", args: [] }]
+        },
+        /Treasury.setRegistry does not exist in the Treasury ABI/
+      );
+    });
+
+    it("Should reject post-deployment calls to view functions and undeclared targets", function() {
+      expectIssue(
+        {
+          contracts: [{ name: TREASURY, args: [account("deployer"), account("deployer")] }],
+          postDeployment: [{ contract: TREASURY, method: "admin", args: [] }]
+        },
+        /is a view function/
+      );
+      expectIssue(
+        {
+          contracts: [{ name: TREASURY, args: [account("deployer"), account("deployer")] }],
+          postDeployment: [{ contract: "FeeProcessor", method: "updateTreasury", args: [ref(TREASURY)] }]
+        },
+        /targets unknown contract FeeProcessor/
+      );
+    });
+
+    it("Should record the full signature of post-deployment calls", function() {
+      const plan = resolveManifest(
+        {
+          contracts: [{ name: TREASURY, args: [account("deployer"), account("deployer")] }],
+          postDeployment: [{ contract: TREASURY, method: "updateAdmin", args: [account("deployer")] }]
+        },
+        hre.artifacts
+      );
+
+      expect(plan.postDeployment[0].signature).to.equal("updateAdmin(address)");
+    });
+  });
+
+  describe("Argument resolution", function() {
+    it("Should substitute references, accounts and roles", function() {
+      const deployer = ethers.Wallet.createRandom().address;
+      const dao = ethers.Wallet.createRandom().address;
+
+      const resolved = resolveArgs(
+        [ref("ProtocolDAO"), account("deployer"), role("MINTER_ROLE"), role("DEFAULT_ADMIN_ROLE"), [ref("ProtocolDAO")], 42],
+        { accounts: { deployer }, addresses: { ProtocolDAO: dao } }
+      );
+
+      expect(resolved).to.deep.equal([dao, deployer, ethers.id("MINTER_ROLE"), ethers.ZeroHash, [dao], 42]);
+    });
+
+    it("Should fail when a referenced contract has not been deployed", function() {
+      expect(() => resolveArgs([ref("Treasury")], { accounts: {}, addresses: {} }))
+        .to.throw("Treasury has not been deployed yet");
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const PARAMETER_PROFILES = require("../../../scripts/config/parameterProfiles");
+const { ManifestError, param, resolveManifest, resolveArgs } = require("../../../scripts/utils/manifestResolver");
+const {
+  validateProfile,
+  loadProfile,
+  selectProfile,
+  deploymentProfile
+} = require("../../../scripts/utils/parameterProfiles");
+
+describe("ParameterProfiles", function() {
+  function withParameters(overrides) {
+    const { parameters } = PARAMETER_PROFILES.profiles.testnet;
+    return {
+      description: "edited",
+      networks: ["hardhat"],
+      parameters: {
+        ...parameters,
+        ...Object.fromEntries(Object.entries(overrides).map(([group, values]) => [group, { ...parameters[group], ...values }]))
+      }
+    };
+  }
+
+  it("Should validate every configured profile and default", function() {
+    for (const [name, profile] of Object.entries(PARAMETER_PROFILES.profiles)) {
+      expect(validateProfile(name, profile), name).to.deep.equal([]);
+    }
+    for (const [network, name] of Object.entries(PARAMETER_PROFILES.defaults)) {
+      expect(loadProfile(name, { networkName: network }).name).to.equal(name);
+    }
+  });
+
+  it("Should reject profiles that break the schema", function() {
+    expect(validateProfile("x", withParameters({ governance: { quorum: 150 } })))
+      .to.deep.equal(["x governance.quorum must be between 1 and 100, got 150"]);
+    expect(validateProfile("x", withParameters({ fees: { rewardShare: 2000 } })))
+      .to.deep.equal(["x fees.treasuryShare and fees.rewardShare must add up to 10000"]);
+    expect(validateProfile("x", withParameters({ token: { initialSupply: 1000 }, rewards: { bonus: 1 } })))
+      .to.include.members(["x sets unknown parameter rewards.bonus", "x token.initialSupply must be a decimal string of wei, got 1000"]);
+
+    const profiles = { defaults: {}, profiles: { broken: withParameters({ governance: { votingPeriod: 0 } }) } };
+    expect(() => loadProfile("broken", { profiles })).to.throw(ManifestError, "governance.votingPeriod must be between 1");
+    expect(() => loadProfile("missing")).to.throw("Unknown parameter profile missing");
+  });
+
+  it("Should select a profile by flag, environment or network default, for the networks it lists", function() {
+    const argv = ["node", "deploy.js"];
+    expect(selectProfile("sepolia", { argv, env: {} }).name).to.equal("testnet");
+    expect(selectProfile("hardhat", { argv, env: {} }).name).to.equal("local-fast");
+    expect(selectProfile("hardhat", { argv, env: { DEPLOY_PROFILE: "production-like" } }).name).to.equal("production-like");
+    expect(selectProfile("hardhat", { argv: [...argv, "--profile", "production-like"], env: { DEPLOY_PROFILE: "testnet" } }).name)
+      .to.equal("production-like");
+    // A local rehearsal of a Sepolia deployment resolves the same arguments
+    expect(selectProfile("localhost", { argv: [...argv, "--profile", "testnet"], env: {} }).parameters)
+      .to.equal(selectProfile("sepolia", { argv, env: {} }).parameters);
+
+    expect(() => selectProfile("sepolia", { argv: [...argv, "--profile", "local-fast"], env: {} }))
+      .to.throw("Parameter profile local-fast is for hardhat, localhost, not sepolia");
+    expect(() => selectProfile("mainnet", { argv, env: {} })).to.throw("No default parameter profile for mainnet");
+
+    // Redeploys keep the profile recorded with the deployment unless one is given
+    const recorded = { profile: { name: "testnet", parameters: {} } };
+    expect(deploymentProfile("hardhat", recorded, { argv, env: {} })).to.equal(recorded.profile);
+    expect(deploymentProfile("hardhat", recorded, { argv, env: { DEPLOY_PROFILE: "local-fast" } }).name).to.equal("local-fast");
+  });
+
+  it("Should substitute the profile into the deployment plan", function() {
+    const { parameters } = loadProfile("local-fast");
+    const plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters });
+    const dao = plan.contracts.find(entry => entry.name === "ProtocolDAO");
+    expect(dao.args.slice(2)).to.deep.equal([300, 60, 10]);
+    const processor = plan.contracts.find(entry => entry.name === "FeeProcessor");
+    expect(processor.args.slice(-2)).to.deep.equal([7000, 3000]);
+
+    // Without a profile the plan still validates, but cannot be deployed
+    const unresolved = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts);
+    const token = unresolved.contracts.find(entry => entry.name === "DLoopToken");
+    expect(() => resolveArgs(token.args, { accounts: { deployer: hre.ethers.ZeroAddress }, addresses: {} }))
+      .to.throw("Parameter token.initialSupply has no value");
+
+    const manifest = {
+      contracts: [{ name: "DLoopToken", args: ["Token", "TKN", param("token.supply"), 18, param("token.maxSupply"), hre.ethers.ZeroAddress] }]
+    };
+    expect(() => resolveManifest(manifest, hre.artifacts, { parameters })).to.throw(ManifestError, "references unknown parameter token.supply");
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const { resolveManifest, roleId } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { buildLabels } = require("../../../scripts/utils/safeBatch");
+const {
+  parseAction,
+  buildProposal,
+  decodeProposal,
+  readProposalCalls
+} = require("../../../scripts/utils/proposalCalldata");
+
+describe("ProposalCalldata", function() {
+  const silent = () => {};
+
+  let deployer;
+  let plan;
+  let context;
+  let instances;
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+    const deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    instances = deployment.instances;
+    const accounts = { deployer: deployer.address };
+    context = { plan, addresses: deployment.addresses, accounts, labels: buildLabels(plan, deployment.addresses, accounts) };
+  });
+
+  it("Should parse written calls with nested lists and quoted strings", function() {
+    expect(parseAction("FeeCalculator.updateInvestFeePercentage(150)")).to.deep.include({ contract: "FeeCalculator", method: "updateInvestFeePercentage", args: ["150"] });
+    expect(parseAction("X.y([a, b], (1, \"two, three\"), [])").args).to.deep.equal([["a", "b"], ["1", "two, three"], []]);
+    expect(() => parseAction("FeeCalculator.updateInvestFeePercentage(150")).to.throw("Expected , or )");
+    expect(() => parseAction("updateQuorum(30)")).to.throw("is not a call");
+  });
+
+  it("Should build a proposal, submit it and decode it back from the chain", async function() {
+    const { addresses } = context;
+    const built = buildProposal([
+      "FeeCalculator.updateInvestFeePercentage(150)",
+      "AssetDAO.updateQuorum(30)",
+      "ProtocolDAO.whitelistToken(DAIToken, false)",
+      "DLoopToken.grantRole(MINTER_ROLE, Treasury)"
+    ], context);
+    expect(built.targets).to.deep.equal([addresses.FeeCalculator, addresses.AssetDAO, addresses.ProtocolDAO, addresses.DLoopToken]);
+    expect(built.values).to.deep.equal(["0", "0", "0", "0"]);
+    expect(built.calldatas[3]).to.equal(instances.DLoopToken.interface.encodeFunctionData("grantRole", [roleId("MINTER_ROLE"), addresses.Treasury]));
+    expect(built.calls[2].description).to.equal(`ProtocolDAO.whitelistToken(token: DAIToken (${addresses.DAIToken}), status: false)`);
+
+    await instances.ProtocolDAO.createProposal("Tune fees", built.targets, built.values, built.calldatas);
+    const id = Number(await instances.ProtocolDAO.getProposalCount());
+    const onChain = await readProposalCalls(instances.ProtocolDAO, id);
+    expect(onChain.description).to.equal("Tune fees");
+    expect(onChain.proposer).to.equal(deployer.address);
+
+    const decoded = decodeProposal(onChain, plan, context.labels);
+    expect(decoded.map(call => call.description)).to.deep.equal(built.calls.map(call => call.description));
+    expect(decoded.every(call => call.warnings.length === 0)).to.equal(true);
+    expect(decoded[1]).to.deep.include({ contract: "AssetDAO", method: "updateQuorum", signature: "updateQuorum(uint256)" });
+    expect(decoded[1].args).to.deep.equal([{ name: "_newQuorum", type: "uint256", value: "30" }]);
+  });
+
+  it("Should flag unknown targets and selectors outside the target's ABI", function() {
+    const { addresses } = context;
+    const stranger = "0x000000000000000000000000000000000000dEaD";
+    const quorum = instances.AssetDAO.interface.encodeFunctionData("updateQuorum", [30]);
+    const decoded = decodeProposal({
+      targets: [stranger, addresses.FeeCalculator, deployer.address],
+      values: [0, 0, 5],
+      calldatas: [quorum, quorum, "0x"]
+    }, plan, context.labels);
+
+    expect(decoded[0].warnings).to.have.length(1);
+    expect(decoded[0].warnings[0]).to.match(new RegExp(`^unknown target ${stranger}; selector 0x[0-9a-f]{8} matches .*AssetDAO\\.updateQuorum\\(uint256\\)`));
+    expect(decoded[1].warnings).to.deep.equal([`selector ${quorum.slice(0, 10)} is not in the FeeCalculator ABI`]);
+    expect(decoded[2].description).to.equal(`Send 5 wei to deployer (${deployer.address})`);
+    expect(decoded[2].warnings).to.deep.equal([]);
+  });
+
+  it("Should report every action that cannot be built", function() {
+    expect(() => buildProposal([
+      "Nope.run()",
+      "FeeCalculator.updateInvestFeePercentage()",
+      "FeeCalculator.updateInvestFeePercentage(1.5)",
+      "ProtocolDAO.whitelistToken(WETH, yes)",
+      { contract: "AssetDAO", method: "launch" }
+    ], context)).to.throw([
+      "Invalid proposal:",
+      "  - actions[0] \"Nope.run()\": unknown contract Nope",
+      "  - actions[1] \"FeeCalculator.updateInvestFeePercentage()\": FeeCalculator.updateInvestFeePercentage takes 1 argument(s), got 0",
+      "  - actions[2] \"FeeCalculator.updateInvestFeePercentage(1.5)\": argument _newPercentage: uint256 must be an integer, got 1.5",
+      "  - actions[3] \"ProtocolDAO.whitelistToken(WETH, yes)\": argument token: WETH is neither an address nor a deployed contract or known account",
+      "  - actions[4]: AssetDAO has no function launch"
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { AbiCoder, Interface, id } = require("ethers");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const {
+  loadErrorTable,
+  findRevertData,
+  decodeRevertData,
+  decodeRevert,
+  formatRevert,
+  explainError
+} = require("../../../scripts/utils/revertDecoder");
+const { ProposalManager, ProposalError } = require("../../../sdk");
+
+describe("RevertDecoder", function() {
+  const coder = AbiCoder.defaultAbiCoder();
+  const selector = signature => id(signature).slice(0, 10);
+  const encode = (signature, types, values) => selector(signature) + coder.encode(types, values).slice(2);
+
+  describe("Decoding", function() {
+    it("Should decode protocol errors with their arguments, explanation and declaring contracts", function() {
+      const entries = loadErrorTable().get(selector("ProposalNotFound()"));
+      expect(entries.map(entry => entry.signature)).to.deep.equal(["ProposalNotFound()"]);
+
+      const decoded = decodeRevertData(encode("InitialSupplyExceedsMaxSupply(uint256,uint256)", ["uint256", "uint256"], [5n, 3n]));
+      expect(decoded.name).to.equal("InitialSupplyExceedsMaxSupply");
+      expect(decoded.args.map(arg => arg.value)).to.deep.equal([5n, 3n]);
+      expect(decoded.declaredIn).to.include("DLoopToken");
+
+      expect(formatRevert(decodeRevertData(selector("VotingPeriodEnded()")))).to.equal("VotingPeriodEnded(): voting on this proposal has ended");
+      expect(formatRevert(decodeRevertData("0xdeadbeef"))).to.equal("unknown custom error 0xdeadbeef");
+      expect(decodeRevertData("0x")).to.equal(null);
+    });
+
+    it("Should decode Error(string), Panic and revert data nested in a bytes argument", function() {
+      expect(formatRevert(decodeRevertData(encode("Error(string)", ["string"], ["not allowed"])))).to.equal("Error: not allowed");
+      expect(formatRevert(decodeRevertData(encode("Panic(uint256)", ["uint256"], [0x11n])))).to.equal("Panic(0x11): arithmetic overflow or underflow");
+
+      const iface = new Interface(["error CallFailed(uint256 index, bytes reason)"]);
+      const inner = selector("CallerNotAdmin()");
+      const decoded = decodeRevertData(iface.encodeErrorResult("CallFailed", [2, inner]), { iface });
+      expect(decoded.nested.name).to.equal("CallerNotAdmin");
+      expect(formatRevert(decoded)).to.match(/^CallFailed\(2, 0x[0-9a-f]{8}\) <- CallerNotAdmin\(\): only the contract admin/);
+    });
+
+    it("Should find revert data on nested errors and in provider messages", function() {
+      const data = selector("ZeroAddress()");
+      expect(findRevertData({ error: { data } })).to.equal(data);
+      expect(findRevertData({ info: { error: { data } } })).to.equal(data);
+      expect(findRevertData(new Error(`reverted with an unrecognized custom error (return data: ${data})`))).to.equal(data);
+      expect(decodeRevert(new Error("timeout"))).to.equal(null);
+
+      const error = new Error("execution reverted");
+      error.data = data;
+      expect(explainError(error)).to.equal("execution reverted\n  Reverted with ZeroAddress(): an address argument is the zero address");
+      expect(explainError(new Error("timeout"))).to.equal("timeout");
+    });
+  });
+
+  describe("Proposal calls", function() {
+    const silent = () => {};
+    const { parameters } = loadProfile("local-fast");
+
+    let instances;
+    let signers;
+    let snapshot;
+
+    before(async function() {
+      signers = await hre.ethers.getSigners();
+      const [deployer] = signers;
+      const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+      ({ instances } = await executePlan({
+        ethers: hre.ethers,
+        plan,
+        signer: deployer,
+        journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+        log: silent
+      }));
+      await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+      snapshot = await hre.network.provider.send("evm_snapshot", []);
+    });
+
+    after(async function() {
+      await hre.network.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should name the proposal call that makes ProtocolDAO.executeProposal fail", async function() {
+      const alice = signers[DEVNET_SEED.accounts.alice];
+      const manager = ProposalManager.connect("ProtocolDAO", instances.ProtocolDAO.target, alice);
+      const protocolDAO = instances.ProtocolDAO;
+      const { id: proposalId } = await manager.propose({
+        description: "Raise quorum from the DAO itself",
+        actions: [
+          { target: alice.address, value: 0n, data: "0x" },
+          { target: protocolDAO.target, value: 0n, data: protocolDAO.interface.encodeFunctionData("updateQuorum", [30]) }
+        ]
+      });
+      await manager.vote(proposalId, true);
+
+      // The DAO is not its own admin, so the second call reverts and executeProposal raises OperationFailed()
+      const trace = await manager.traceProposalCalls(proposalId);
+      expect(trace.map(call => call.reverted)).to.deep.equal([false, true]);
+      expect(trace[1].revert.name).to.equal("CallerNotAdmin");
+
+      await manager.waitUntilExecutable(proposalId);
+      const error = await manager.execute(proposalId).catch(caught => caught);
+      expect(error).to.be.instanceOf(ProposalError);
+      expect(error.code).to.equal("CALL_REVERTED");
+      expect(error.message).to.include(`Call 2 to ${protocolDAO.target} reverts: CallerNotAdmin(): only the contract admin`);
+    });
+  });
+});
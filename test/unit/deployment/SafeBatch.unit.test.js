@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const {
+  configurationActions,
+  buildLabels,
+  encodeCalls,
+  batchChecksum,
+  toSafeBatch,
+  readBatch,
+  simulateBatch
+} = require("../../../scripts/utils/safeBatch");
+
+describe("SafeBatch", function() {
+  const silent = () => {};
+
+  let deployer;
+  let stranger;
+  let plan;
+  let accounts;
+  let deployment;
+
+  before(async function() {
+    [deployer, stranger] = await hre.ethers.getSigners();
+    accounts = { deployer: deployer.address };
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+  });
+
+  beforeEach(async function() {
+    // Deploy without sending the postDeployment steps; those go to the multisig
+    deployment = await executePlan({
+      ethers: hre.ethers,
+      plan: { ...plan, postDeployment: [] },
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+  });
+
+  function exportCalls(safe, transactions) {
+    const { addresses } = deployment;
+    const { actions } = configurationActions(plan, { addresses, accounts, transactions });
+    const labels = buildLabels(plan, addresses, { ...accounts, safe });
+    return { labels, calls: encodeCalls(actions, plan, addresses, labels) };
+  }
+
+  it("Should export the pending postDeployment steps with decoded descriptions", function() {
+    const { addresses } = deployment;
+    const { calls } = exportCalls(stranger.address);
+    expect(calls.map(call => `${call.contract}.${call.method}`)).to.deep.equal(plan.postDeployment.map(step => `${step.contract}.${step.method}`));
+    expect(calls[0].to).to.equal(addresses.SoulboundNFT);
+    expect(calls[0].description).to.match(new RegExp(`^SoulboundNFT\\.grantMinterRole\\(\\w+: AINodeRegistry \\(${addresses.AINodeRegistry}\\)\\)$`));
+    expect(calls[1].description).to.equal(`DLoopToken.grantRole(role: MINTER_ROLE, account: ProtocolDAO (${addresses.ProtocolDAO}))`);
+
+    // Steps already recorded in the registry are left out
+    const sent = [{ type: "configure", contract: "SoulboundNFT", method: "grantMinterRole", args: [addresses.AINodeRegistry] }];
+    expect(exportCalls(stranger.address, sent).calls).to.have.length(plan.postDeployment.length - 1);
+
+    // So are steps that need a contract the address book lacks
+    const { DAIToken, ...withoutDai } = addresses;
+    const { actions, unavailable } = configurationActions(plan, { addresses: withoutDai, accounts });
+    expect(actions).to.have.length(plan.postDeployment.length - 1);
+    expect(unavailable).to.deep.equal([{ contract: "ProtocolDAO", method: "whitelistToken", missing: ["DAIToken"] }]);
+  });
+
+  it("Should round-trip a Safe Transaction Builder batch and reject edited ones", function() {
+    const { calls } = exportCalls(stranger.address);
+    const batch = toSafeBatch({ chainId: 31337, safe: stranger.address, calls, plan, name: "hardhat post-deployment", createdAt: 1 });
+
+    expect(batch.chainId).to.equal("31337");
+    expect(batch.meta.createdFromSafeAddress).to.equal(stranger.address);
+    expect(batch.meta.description).to.include(`1. ${calls[0].description}`);
+    expect(batch.transactions[3].contractMethod.name).to.equal("whitelistToken");
+    expect(batch.transactions[3].contractInputsValues).to.deep.include({ status: "true" });
+
+    const read = readBatch(JSON.parse(JSON.stringify(batch)));
+    expect(read.safe).to.equal(stranger.address);
+    expect(read.calls.map(call => call.data)).to.deep.equal(calls.map(call => call.data));
+    expect(readBatch({ safe: stranger.address, chainId: 31337, calls }).calls).to.deep.equal(read.calls);
+
+    // The name may be changed in the Safe UI; anything else breaks the checksum
+    expect(batchChecksum({ ...batch, meta: { ...batch.meta, name: "renamed" } })).to.equal(batch.meta.checksum);
+    const edited = JSON.parse(JSON.stringify(batch));
+    edited.transactions[0].to = stranger.address;
+    expect(() => readBatch(edited)).to.throw("checksum does not match");
+  });
+
+  it("Should simulate the batch as the multisig and report the state diff", async function() {
+    const { instances, addresses } = deployment;
+
+    // A Safe without the deployer's rights cannot execute anything
+    const strangerRun = await simulateBatch({ ethers: hre.ethers, ...exportCalls(stranger.address), safe: stranger.address, instances, accounts, log: silent });
+    expect(strangerRun.results.every(result => result.status === "failed")).to.equal(true);
+    expect(strangerRun.changes).to.be.empty;
+
+    // The deployer's address stands in for a Safe that holds the admin rights
+    const { labels, calls } = exportCalls(deployer.address);
+    const { results, changes } = await simulateBatch({ ethers: hre.ethers, calls, labels, safe: deployer.address, instances, accounts, log: silent });
+    expect(results.map(result => result.status)).to.deep.equal(calls.map(() => "success"));
+    expect(changes).to.deep.include({ contract: "SoulboundNFT", role: "MINTER_ROLE", granted: ["AINodeRegistry"], revoked: [] });
+    expect(changes).to.deep.include({ contract: "ProtocolDAO", field: "treasury", before: deployer.address, after: addresses.Treasury });
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const {
+  STATUS,
+  loadCheckModules,
+  configuredTokens,
+  runSmokeChecks,
+  summarizeResults,
+  toJUnitXml
+} = require("../../../scripts/utils/smokeCheckSuite");
+
+describe("SmokeCheckSuite", function() {
+  const silent = () => {};
+
+  let deployer;
+  let plan;
+  let deployment;
+  let contracts;
+
+  function run(options = {}) {
+    return runSmokeChecks({
+      ethers: hre.ethers,
+      modules: loadCheckModules(),
+      contracts,
+      tokens: configuredTokens(DEPLOYMENT_MANIFEST, deployment.addresses),
+      log: silent,
+      ...options
+    });
+  }
+
+  before(async function() {
+    [deployer] = await hre.ethers.getSigners();
+    plan = resolveManifest(DEPLOYMENT_MANIFEST, hre.artifacts, { parameters: loadProfile("local-fast").parameters });
+  });
+
+  beforeEach(async function() {
+    deployment = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    });
+    contracts = Object.fromEntries(plan.contracts.map(({ name, artifact }) =>
+      [name, { address: deployment.addresses[name], artifact }]
+    ));
+  });
+
+  it("Should pass every check on a freshly deployed protocol", async function() {
+    const results = await run();
+    const failed = results.filter(result => result.status !== STATUS.PASSED);
+
+    expect(failed, JSON.stringify(failed, null, 2)).to.be.empty;
+    expect(results.map(result => `${result.contract}: ${result.name}`)).to.include.members([
+      "DLoopToken: has 18 decimals",
+      "AINodeRegistry: uses the deployed SoulboundNFT",
+      "FeeCalculator: distribution percentages sum to 10000 basis points"
+    ]);
+  });
+
+  it("Should fail the checks that no longer hold and skip those missing a contract", async function() {
+    const { instances, addresses } = deployment;
+    await instances.ProtocolDAO.whitelistToken(addresses.DAIToken, false);
+    await instances.AINodeRegistry.updateSoulboundNFT(addresses.Treasury);
+
+    // A Chainlink oracle with a fallback price for DAI only, matched through its artifact name
+    const oracle = await hre.ethers.deployContract("ChainlinkPriceOracle", [deployer.address]);
+    await oracle.setFallbackPrice(addresses.DAIToken, hre.ethers.parseUnits("1", 8), 8);
+    const withoutTreasury = Object.fromEntries(Object.entries(contracts).filter(([name]) => name !== "Treasury"));
+    const results = await run({
+      contracts: { ...withoutTreasury, Oracle: { address: await oracle.getAddress(), artifact: "ChainlinkPriceOracle" } }
+    });
+
+    const byName = Object.fromEntries(results.map(result => [`${result.contract}: ${result.name}`, result]));
+    expect(byName["ProtocolDAO: whitelists every configured token"].error).to.contain("DAIToken is not whitelisted");
+    expect(byName["AINodeRegistry: uses the deployed SoulboundNFT"].status).to.equal(STATUS.FAILED);
+    expect(byName["Oracle: supports every configured token"].error).to.contain("no feed or fallback price for DLoopToken");
+    expect(byName["ProtocolDAO: uses the deployed Treasury"]).to.include({ status: STATUS.SKIPPED, error: "requires Treasury" });
+    expect(results.some(result => result.contract === "Treasury")).to.equal(false);
+    expect(summarizeResults(results)).to.include({ failed: 3 });
+  });
+
+  it("Should write JUnit XML with a testsuite per contract", function() {
+    const results = [
+      { suite: "DLoopToken", contract: "DLoopToken", name: "has 18 decimals", status: STATUS.PASSED, duration: 12 },
+      { suite: "FeeCalculator", contract: "FeeCalculator", name: "sum <= 10000", status: STATUS.FAILED, duration: 3, error: "expected 9000n to equal 10000n" },
+      { suite: "FeeCalculator", contract: "FeeCalculator", name: "uses Treasury", status: STATUS.SKIPPED, duration: 0, error: "requires Treasury" }
+    ];
+    const xml = toJUnitXml({ network: "localhost", deploymentId: null, timestamp: "2025-06-01T10:00:00.000Z", results });
+
+    expect(xml).to.contain('<testsuites name="smoke-checks localhost" tests="3" failures="1" skipped="1" time="0.015">');
+    expect(xml).to.contain('<testsuite name="FeeCalculator" tests="2" failures="1" skipped="1"');
+    expect(xml).to.contain('<testcase classname="localhost.DLoopToken" name="has 18 decimals" time="0.012"/>');
+    expect(xml).to.contain('name="sum &lt;= 10000"');
+    expect(xml).to.contain('<failure message="expected 9000n to equal 10000n">');
+    expect(xml).to.contain('<skipped message="requires Treasury"/>');
+  });
+
+  it("Should reject check modules without a contract or run function", function() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-smoke-checks-"));
+    try {
+      fs.writeFileSync(path.join(directory, "Broken.js"), "module.exports = { contract: 'X', checks: [{ name: 'no run' }] };");
+      expect(() => loadCheckModules(directory)).to.throw("every check needs a name and a run function");
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
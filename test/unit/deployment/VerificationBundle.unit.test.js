@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  BUNDLE_FORMAT,
+  buildVerificationBundle,
+  writeBundles,
+  loadBundles,
+  diffBundles,
+  submitBundle
+} = require("../../../scripts/utils/verificationBundle");
+
+describe("VerificationBundle", function() {
+  const ARTIFACT = "ChainlinkPriceOracle";
+  const SOURCE = "contracts/oracles/ChainlinkPriceOracle.sol";
+
+  let deployer;
+  let other;
+  let address;
+  let directory;
+
+  function bundle(args) {
+    return buildVerificationBundle({
+      artifacts: hre.artifacts,
+      name: "PriceFeed",
+      artifact: ARTIFACT,
+      address,
+      args,
+      deployment: { network: "sepolia", chainId: 11155111, deploymentId: "2025-06-01T10-00-00.000Z" }
+    });
+  }
+
+  before(async function() {
+    [deployer, other] = await hre.ethers.getSigners();
+    const contract = await hre.ethers.deployContract(ARTIFACT, [deployer.address]);
+    address = await contract.getAddress();
+  });
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "dloop-bundles-"));
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should bundle the standard-JSON input, compiler settings and encoded constructor arguments", async function() {
+    const result = await bundle([deployer.address]);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${SOURCE}:${ARTIFACT}`);
+
+    expect(result.format).to.equal(BUNDLE_FORMAT);
+    expect(result.contract.fullyQualifiedName).to.equal(`${SOURCE}:${ARTIFACT}`);
+    expect(result.compiler.version).to.equal(`v${buildInfo.solcLongVersion}`);
+    expect(result.compiler.optimizer).to.deep.equal(buildInfo.input.settings.optimizer);
+    expect(result.input.settings.evmVersion).to.equal(buildInfo.input.settings.evmVersion);
+    // Only the sources the contract was compiled from, not the whole compilation job
+    expect(result.input.sources).to.have.property(SOURCE);
+    expect(result.input.sources).to.not.have.property("contracts/mocks/MockAggregator.sol");
+    expect(Object.keys(result.sourceHashes)).to.deep.equal(Object.keys(result.input.sources));
+    expect(result.input.sources[SOURCE].content).to.equal(fs.readFileSync(SOURCE, "utf8"));
+
+    // Exactly what follows the creation code in the deployment transaction
+    const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+    expect(`0x${result.constructorArguments}`).to.equal(coder.encode(["address"], [deployer.address]));
+    expect(result.deployment.address).to.equal(address);
+  });
+
+  it("Should report identical builds as identical and list what differs otherwise", async function() {
+    writeBundles(path.join(directory, "a"), [await bundle([deployer.address])]);
+    writeBundles(path.join(directory, "b"), [await bundle([deployer.address])]);
+    const [a] = Object.values(loadBundles(path.join(directory, "a")));
+    const b = loadBundles(path.join(directory, "b", "PriceFeed.json")).PriceFeed;
+    // Where it was deployed does not matter
+    b.deployment.address = other.address;
+    expect(diffBundles(a, b)).to.deep.equal([]);
+
+    const changed = await bundle([other.address]);
+    changed.sourceHashes[SOURCE] = hre.ethers.ZeroHash;
+    changed.input.settings = { ...changed.input.settings, optimizer: { enabled: true, runs: 1000 } };
+    expect(diffBundles(a, changed).map(difference => difference.field)).to.deep.equal([
+      "settings",
+      `sources.${SOURCE}`,
+      "constructorArguments"
+    ]);
+
+    fs.writeFileSync(path.join(directory, "a", "other.json"), JSON.stringify({ format: "something-else" }));
+    expect(() => loadBundles(path.join(directory, "a"))).to.throw("is not a verification bundle");
+  });
+
+  it("Should submit a bundle to the explorer unless it is already verified", async function() {
+    const result = await bundle([deployer.address]);
+    const submissions = [];
+    const explorer = verified => ({
+      getContractUrl: contractAddress => `https://sepolia.etherscan.io/address/${contractAddress}#code`,
+      isVerified: async () => verified,
+      verify: async (...submission) => {
+        submissions.push(submission);
+        return { message: "guid" };
+      },
+      getVerificationStatus: async () => ({ message: "Pass - Verified", isSuccess: () => true })
+    });
+
+    expect((await submitBundle(result, explorer(true))).status).to.equal("already-verified");
+    expect(submissions).to.be.empty;
+
+    expect((await submitBundle(result, explorer(false))).status).to.equal("verified");
+    const [[submittedAddress, sourceCode, contractName, compilerVersion, constructorArguments]] = submissions;
+    expect(submittedAddress).to.equal(address);
+    expect(JSON.parse(sourceCode)).to.deep.equal(result.input);
+    expect(contractName).to.equal(`${SOURCE}:${ARTIFACT}`);
+    expect(compilerVersion).to.equal(result.compiler.version);
+    expect(constructorArguments).to.equal(result.constructorArguments);
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { AssetDAOClient, AssetDAOError } = require("../../../sdk");
+
+describe("AssetDAOClient", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const { parseEther } = hre.ethers;
+  const fee = (amount, bps) => amount * BigInt(bps) / 10000n;
+
+  let instances;
+  let signers;
+  let snapshot;
+
+  before(async function() {
+    signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const connect = signer => AssetDAOClient.connect(instances.AssetDAO.target, signer);
+
+  it("Should create an asset, invest with approval and report the fee", async function() {
+    const dave = signers[DEVNET_SEED.accounts.dave];
+    const client = await connect(dave);
+
+    const created = await client.createAsset("Water Rights", "Desalination capacity");
+    expect(created.creator).to.equal(dave.address);
+    expect(created.name).to.equal("Water Rights");
+
+    const amount = parseEther("1000");
+    const preview = await client.previewInvest(created.assetId, amount);
+    expect(preview.fee).to.equal(fee(amount, parameters.fees.invest));
+    expect(preview.net).to.equal(amount - preview.fee);
+    expect(preview.issues.map(issue => issue.code)).to.deep.equal(["INSUFFICIENT_ALLOWANCE"]);
+
+    const result = await client.invest(created.assetId, amount);
+    expect(result.approval).to.be.a("string");
+    expect(result.fee).to.equal(preview.fee);
+    expect(result.invested).to.equal(preview.net);
+    expect(result.shares).to.equal(preview.net);
+    expect(await instances.AssetDAO.getInvestorShares(created.assetId, dave.address)).to.equal(result.shares);
+  });
+
+  it("Should divest and rage quit with the fees from FeeCalculator", async function() {
+    const alice = signers[DEVNET_SEED.accounts.alice];
+    const client = await connect(alice);
+    const shares = parseEther("1000");
+    const before = await instances.DAIToken.balanceOf(alice.address);
+
+    const divested = await client.divest(1, shares);
+    expect(divested.fee).to.equal(fee(shares, parameters.fees.divest));
+    expect(divested.received).to.equal(shares - divested.fee);
+    expect(divested.rageQuit).to.equal(false);
+
+    const preview = await client.previewRageQuit(1, shares);
+    expect(preview.fee).to.equal(fee(shares, parameters.fees.ragequit));
+    expect(preview.issues).to.deep.equal([]);
+    const quit = await client.rageQuit(1, shares);
+    expect(quit.rageQuit).to.equal(true);
+    expect(quit.received).to.equal(preview.net);
+    expect(await instances.DAIToken.balanceOf(alice.address)).to.equal(before + divested.received + quit.received);
+  });
+
+  it("Should refuse flows that would revert before sending them", async function() {
+    const [deployer] = signers;
+    const dave = signers[DEVNET_SEED.accounts.dave];
+    const client = await connect(dave);
+
+    await expect(client.invest(1, parseEther("1000"), { approve: false }))
+      .to.be.rejectedWith(AssetDAOError, /allows AssetDAO/);
+    await expect(client.invest(1, parseEther("100000"))).to.be.rejectedWith(/holds/)
+      .and.eventually.have.property("code", "INSUFFICIENT_BALANCE");
+    await expect(client.divest(1, 1n)).to.eventually.be.rejected.and.have.property("code", "INSUFFICIENT_SHARES");
+    await expect(client.invest(99, 1n)).to.eventually.be.rejected.and.have.property("code", "ASSET_NOT_FOUND");
+
+    await instances.AssetDAO.connect(deployer).updateAssetState(2, 3);
+    await expect(client.divest(2, 1n)).to.eventually.be.rejected.and.have.property("code", "ASSET_NOT_ACTIVE");
+
+    await instances.AssetDAO.connect(deployer).pause();
+    const preview = await client.previewInvest(1, parseEther("10"));
+    expect(preview.issues[0].code).to.equal("PAUSED");
+    await expect(client.createAsset("Paused", "")).to.eventually.be.rejected.and.have.property("code", "PAUSED");
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { NodeOperator, NodeOperatorError } = require("../../../sdk");
+
+describe("NodeOperator", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const dloop = amount => hre.ethers.parseUnits(amount, 18);
+  const codes = issues => issues.map(issue => issue.code);
+  const DAY = 86400;
+
+  let instances;
+  let accounts;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    accounts = Object.fromEntries(Object.entries(DEVNET_SEED.accounts).map(([name, index]) => [name, signers[index]]));
+    accounts.deployer = deployer;
+    await instances.AINodeRegistry.connect(deployer).setTokenRequirement(1, instances.DLoopToken.target, dloop("1000"));
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const operator = signer => NodeOperator.connect(instances.AINodeRegistry.target, signer, { governance: instances.AINodeGovernance.target });
+
+  it("Should register, restake and deregister a node through the approval path", async function() {
+    const alice = await operator(accounts.alice);
+    const preview = await alice.previewRegistration({ requirementId: 1 });
+    expect(codes(preview.issues)).to.deep.equal(["INSUFFICIENT_ALLOWANCE"]);
+
+    const registered = await alice.register({ requirementId: 1, metadata: "ipfs://alice-node" });
+    expect(registered.node).to.equal(accounts.alice.address);
+    expect(registered.approval).to.be.a("string");
+    expect(registered.soulboundTokenId).to.be.greaterThan(0n);
+
+    let status = await alice.status();
+    expect(status.registry.state).to.equal("Active");
+    expect(status.registry.stakedAmount).to.equal(dloop("1000"));
+    expect(status.expiresIn).to.be.closeTo(30 * DAY, 5);
+    expect(status.warnings).to.deep.equal([]);
+
+    expect((await alice.increaseStake(dloop("500"))).staked).to.equal(dloop("1500"));
+    await expect(alice.decreaseStake(dloop("600"))).to.eventually.be.rejectedWith(NodeOperatorError).and.have.property("code", "BELOW_MINIMUM_STAKE");
+    expect((await alice.decreaseStake(dloop("500"))).staked).to.equal(dloop("1000"));
+
+    // The manifest only makes the registry a SoulboundNFT minter, but deregistering revokes the token
+    await expect(alice.deregister()).to.eventually.be.rejected.and.have.property("code", "REVOKE_NOT_ALLOWED");
+    await instances.SoulboundNFT.connect(accounts.deployer).grantAdminRole(instances.AINodeRegistry.target);
+    const before = await instances.DLoopToken.balanceOf(accounts.alice.address);
+    expect((await alice.deregister()).refunded).to.equal(dloop("1000"));
+    expect(await instances.DLoopToken.balanceOf(accounts.alice.address)).to.equal(before + dloop("1000"));
+
+    status = await alice.status();
+    expect(codes(status.warnings)).to.deep.equal(["NOT_ACTIVE", "SOULBOUND_REVOKED"]);
+  });
+
+  it("Should warn before and after a registration expires", async function() {
+    const reader = await operator(hre.ethers.provider);
+    const node1 = accounts.node1.address;
+    const { registry } = await reader.status(node1);
+
+    let status = await reader.status(node1, { now: registry.activeUntil - 3 * DAY });
+    expect(codes(status.warnings)).to.deep.equal(["EXPIRING"]);
+    expect(status.warnings[0].message).to.include("expires in 3d");
+    status = await reader.status(node1, { now: registry.activeUntil + DAY });
+    expect(codes(status.warnings)).to.deep.equal(["EXPIRED"]);
+
+    // node2 is owned by carol, so nobody can change its stake
+    status = await reader.status(accounts.node2.address);
+    expect(codes(status.warnings)).to.deep.equal(["NOT_SELF_OPERATED"]);
+    const carol = await operator(accounts.carol);
+    expect(codes((await carol.previewStakeChange(dloop("1"))).issues)).to.deep.equal(["NOT_REGISTERED"]);
+    expect(codes((await (await operator(accounts.node1)).previewStakeChange(dloop("1"))).issues)).to.deep.equal(["NO_STAKED_TOKEN"]);
+  });
+
+  it("Should reset the leftover allowance on the safe path and reject incompatible optimizers", async function() {
+    const bob = await operator(accounts.bob);
+    await instances.DLoopToken.connect(accounts.bob).approve(instances.AINodeRegistry.target, dloop("5000"));
+    const registered = await bob.register({ requirementId: 1, approval: "safe" });
+    expect(registered.approval).to.equal(null);
+    expect(registered.cleared).to.be.a("string");
+    expect(await instances.DLoopToken.allowance(accounts.bob.address, instances.AINodeRegistry.target)).to.equal(0n);
+
+    const alice = await operator(accounts.alice);
+    const preview = await alice.previewRegistration({ requirementId: 1, approval: "optimized", optimizer: instances.DLoopToken.target, node: accounts.dave.address });
+    expect(codes(preview.issues)).to.deep.equal(["INSUFFICIENT_ALLOWANCE", "OPTIMIZER_INCOMPATIBLE"]);
+    expect(codes(preview.warnings)).to.deep.equal(["NOT_SELF_OPERATED"]);
+    await expect(alice.register({ requirementId: 2 })).to.eventually.be.rejected.and.have.property("code", "REQUIREMENT_INACTIVE");
+  });
+
+  it("Should register an AINodeGovernance node and show its delegations", async function() {
+    const alice = await operator(accounts.alice);
+    const stake = dloop("10000");
+    expect(codes((await alice.previewGovernanceRegistration("InvestmentNode", stake)).issues))
+      .to.deep.equal(["INSUFFICIENT_ALLOWANCE", "REGISTRY_NOT_ADMIN"]);
+    await expect(alice.registerGovernanceNode("InvestmentNode", dloop("10"))).to.eventually.be.rejected.and.have.property("code", "STAKE_TOO_LOW");
+
+    await instances.AINodeRegistry.connect(accounts.deployer).updateAdmin(instances.AINodeGovernance.target);
+    const registered = await alice.registerGovernanceNode("InvestmentNode", stake);
+    expect(registered.nodeType).to.equal("InvestmentNode");
+
+    await instances.DLoopToken.connect(accounts.bob).approve(instances.AINodeGovernance.target, dloop("200"));
+    await instances.AINodeGovernance.connect(accounts.bob).delegateToNode(accounts.alice.address, dloop("200"));
+
+    const { governance, registry } = await alice.status();
+    expect(governance.nodeType).to.equal("InvestmentNode");
+    expect(governance.votingPower).to.equal(stake + dloop("200"));
+    expect(governance.delegations.map(delegation => [delegation.delegator, delegation.amount])).to.deep.equal([[accounts.bob.address, dloop("200")]]);
+    expect(governance.delegations[0].withdrawableAt).to.equal(governance.delegations[0].startTime + 7 * DAY);
+    // AINodeGovernance registers the node in the registry as well, without a stake
+    expect(registry.owner).to.equal(accounts.alice.address);
+    expect(registry.stakedAmount).to.equal(0n);
+  });
+});
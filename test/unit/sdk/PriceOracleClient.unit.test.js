@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { PriceOracleClient } = require("../../../sdk");
+
+describe("PriceOracleClient", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const codes = issues => issues.map(issue => issue.code);
+  const HOUR = 3600;
+  const DAY = 86400;
+
+  let instances;
+  let deployer;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const wait = async seconds => {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine", []);
+  };
+
+  it("Should report MockAggregatorV3 prices with their age, heartbeat and staleness", async function() {
+    const client = PriceOracleClient.connect("ChainlinkPriceOracle", instances.ChainlinkPriceOracle.target, hre.ethers.provider);
+    const [dai, dloop] = await client.prices([instances.DAIToken.target, instances.DLoopToken.target]);
+    expect(dai).to.include({
+      source: "aggregator",
+      aggregator: instances.DAITokenFeed.target,
+      price: hre.ethers.parseUnits("1", 18),
+      decimals: 18,
+      rawPrice: 100000000n,
+      rawDecimals: 8,
+      heartbeat: HOUR,
+      maxStaleness: DEVNET_SEED.feeds[0].maxStaleness,
+      reliabilityScore: 100,
+      stale: false,
+      reverts: null
+    });
+    expect(dai.age).to.be.lessThan(60);
+    expect(dai.warnings).to.deep.equal([]);
+    expect(dloop.price).to.equal(hre.ethers.parseUnits("2.5", 18));
+    expect(dloop.price).to.equal(await instances.ChainlinkPriceOracle.getAssetPrice(instances.DLoopToken.target));
+
+    await wait(2 * HOUR);
+    expect(codes((await client.price(instances.DAIToken.target)).warnings)).to.deep.equal(["HEARTBEAT_MISSED"]);
+
+    await wait(DEVNET_SEED.feeds[0].maxStaleness);
+    const stale = await client.price(instances.DAIToken.target);
+    expect(stale.stale).to.equal(true);
+    expect(codes(stale.warnings)).to.deep.equal(["STALE"]);
+    // A stale feed makes the oracle revert rather than use a fallback price
+    expect(stale.reverts).to.equal("FallbackPriceStale");
+  });
+
+  it("Should report fallback prices and rebuild the history of a token", async function() {
+    const oracle = instances.ChainlinkPriceOracle.connect(deployer);
+    const client = PriceOracleClient.connect("ChainlinkPriceOracle", oracle.target, hre.ethers.provider);
+    const dai = instances.DAIToken.target;
+    await instances.DAITokenFeed.connect(deployer).setPrice(101000000);
+    await oracle.removeFeed(dai);
+    await oracle.setFallbackPrice(dai, 99000000, 8);
+
+    const report = await client.price(dai);
+    expect(report).to.include({ source: "fallback", price: hre.ethers.parseUnits("0.99", 18), rawDecimals: 8, maxStaleness: DAY, stale: false, reverts: null });
+    expect(report.heartbeat).to.equal(null);
+
+    const history = await client.history(dai);
+    expect(history.map(entry => [entry.event, entry.source])).to.deep.equal([
+      ["FeedSet", "ChainlinkPriceOracle"],
+      ["PriceUpdated", "aggregator"],
+      ["PriceUpdated", "aggregator"],
+      ["FeedRemoved", "ChainlinkPriceOracle"],
+      ["FallbackPriceSet", "ChainlinkPriceOracle"]
+    ]);
+    expect(history.map(entry => entry.price)).to.deep.equal([
+      null,
+      hre.ethers.parseUnits("1", 18),
+      hre.ethers.parseUnits("1.01", 18),
+      null,
+      hre.ethers.parseUnits("0.99", 18)
+    ]);
+    expect(history[0].args.heartbeat).to.equal(BigInt(HOUR));
+    expect((await client.history(dai, { limit: 2 })).map(entry => entry.event)).to.deep.equal(["FeedRemoved", "FallbackPriceSet"]);
+
+    // Zero decimals stand for the oracle's defaultDecimals, in the history as in the price
+    await oracle.setFallbackPrice(dai, 98000000, 0);
+    const [latest] = await client.history(dai, { limit: 1 });
+    expect(latest).to.include({ event: "FallbackPriceSet", price: hre.ethers.parseUnits("0.98", 18) });
+    expect((await client.price(dai)).price).to.equal(latest.price);
+
+    const unknown = await client.price(instances.Treasury.target);
+    expect(codes(unknown.warnings)).to.deep.equal(["NO_PRICE"]);
+    expect(unknown.reverts).to.equal("FallbackPriceStale");
+  });
+
+  it("Should tell direct PriceOracle prices from its default and date them from events", async function() {
+    const oracle = instances.PriceOracle.connect(deployer);
+    const client = PriceOracleClient.connect("PriceOracle", oracle.target, hre.ethers.provider);
+    const dai = instances.DAIToken.target;
+    const dloop = instances.DLoopToken.target;
+
+    let report = await client.price(dai);
+    expect(report).to.include({ source: "default", price: hre.ethers.parseUnits("1", 18), updatedAt: null });
+    expect(codes(report.warnings)).to.deep.equal(["NO_PRICE"]);
+
+    await oracle.setPrice(dai, hre.ethers.parseUnits("1.01", 18));
+    await oracle.setDirectPrice(dloop, 250000000, 8);
+    const updatedAt = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    report = await client.price(dloop);
+    expect(report).to.include({ source: "direct", price: hre.ethers.parseUnits("2.5", 18), rawPrice: 250000000n, rawDecimals: 8, updatedAt, stale: false });
+    expect((await client.price(dai)).price).to.equal(hre.ethers.parseUnits("1.01", 18));
+    // A price set before fromBlock is still the stored one, only undated
+    const undated = await client.price(dai, { fromBlock: (await hre.ethers.provider.getBlockNumber()) + 1 });
+    expect(undated).to.include({ source: "direct", price: hre.ethers.parseUnits("1.01", 18), updatedAt: null, age: null });
+    expect(undated.warnings).to.deep.equal([]);
+
+    await wait(2 * DAY);
+    report = await client.price(dloop);
+    expect(codes(report.warnings)).to.deep.equal(["STALE"]);
+    // PriceOracle keeps returning stale prices
+    expect(report.reverts).to.equal(null);
+
+    await oracle.setPrice(dloop, hre.ethers.parseUnits("3", 18));
+    const history = await client.history(dloop);
+    expect(history.map(entry => [entry.event, entry.price])).to.deep.equal([
+      ["DirectPriceUpdated", hre.ethers.parseUnits("2.5", 18)],
+      ["PriceUpdated", hre.ethers.parseUnits("3", 18)]
+    ]);
+    expect(history[0].timestamp).to.equal(updatedAt);
+  });
+});
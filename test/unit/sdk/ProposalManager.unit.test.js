@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { ProposalManager, ProposalError, evaluateProposal } = require("../../../sdk");
+const { formatDuration } = require("../../../sdk/proposals");
+
+describe("ProposalManager", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const codes = proposal => proposal.blockers.map(blocker => blocker.code);
+
+  let instances;
+  let accounts;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    accounts = Object.fromEntries(Object.entries(DEVNET_SEED.accounts).map(([name, index]) => [name, signers[index]]));
+    accounts.deployer = deployer;
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const manager = (dao, signer) => ProposalManager.connect(dao, instances[dao].target, signer);
+
+  it("Should follow an AssetDAO proposal from vote to execution", async function() {
+    const alice = manager("AssetDAO", accounts.alice);
+    const { id } = await alice.propose({ type: "Investment", asset: instances.DAIToken.target, amount: 1000n, description: "Fund the basket" });
+
+    await alice.vote(id, true);
+    await manager("AssetDAO", accounts.bob).vote(id, false);
+    let proposal = await alice.get(id);
+    expect(proposal.state).to.equal("active");
+    expect(proposal.type).to.equal("Investment");
+    expect(codes(proposal)).to.deep.equal(["VOTING_OPEN"]);
+
+    // Vote changes wait for minVotingBuffer
+    await expect(alice.vote(id, false)).to.eventually.be.rejectedWith(ProposalError).and.have.property("code", "VOTE_BUFFER");
+    expect((await alice.voteStatus(id)).support).to.equal(true);
+
+    await hre.network.provider.send("evm_setNextBlockTimestamp", [proposal.votingEnds + 1]);
+    await hre.network.provider.send("evm_mine", []);
+    proposal = await alice.get(id);
+    expect(proposal.state).to.equal("queued");
+    expect(proposal.blockers[0].message).to.equal("Execution delay remaining: 23h 59m 59s");
+    await expect(alice.execute(id)).to.eventually.be.rejected.and.have.property("code", "DELAY_REMAINING");
+    expect((await alice.voteStatus(id)).blockers[0].code).to.equal("VOTING_CLOSED");
+
+    await alice.executeWhenReady(id);
+    expect((await alice.get(id)).state).to.equal("executed");
+    expect(await instances.AssetDAO.getProposal(id).then(result => result.executed)).to.equal(true);
+  });
+
+  it("Should report failed votes as expired and canceled proposals as final", async function() {
+    const bob = manager("AssetDAO", accounts.bob);
+    const { id } = await bob.propose({ type: "Other", asset: instances.DAIToken.target, description: "Rename the basket" });
+    await manager("AssetDAO", accounts.alice).vote(id, false);
+    await expect(bob.waitUntilExecutable(id)).to.eventually.be.rejected.and.have.property("code", "QUORUM_NOT_REACHED");
+    expect((await bob.get(id)).state).to.equal("expired");
+
+    const seeded = await bob.list({ states: ["canceled"] });
+    expect(seeded.map(proposal => proposal.description)).to.deep.equal([DEVNET_SEED.proposals[1].description]);
+    await expect(bob.get(99)).to.eventually.be.rejected.and.have.property("code", "NOT_FOUND");
+  });
+
+  it("Should run a ProtocolDAO proposal through castVote and the execution delay", async function() {
+    const { governance } = parameters;
+    const alice = manager("ProtocolDAO", accounts.alice);
+    const { id } = await alice.propose({
+      description: "Ping",
+      actions: [{ target: accounts.dave.address, value: 0n, data: "0x" }]
+    });
+    await alice.vote(id, true);
+    await manager("ProtocolDAO", accounts.bob).vote(id, true);
+    await manager("ProtocolDAO", accounts.carol).vote(id, false);
+    await expect(alice.vote(id, false)).to.eventually.be.rejected.and.have.property("code", "ALREADY_VOTED");
+
+    const proposal = await alice.get(id);
+    expect(proposal.executableAt).to.equal(proposal.votingEnds + governance.executionDelay);
+    const result = await alice.executeWhenReady(id);
+    expect(result.hash).to.be.a("string");
+    expect((await alice.get(id)).state).to.equal("executed");
+
+    const { id: canceled } = await alice.propose({ description: "Never", actions: [{ target: accounts.dave.address }] });
+    await expect(alice.cancel(canceled)).to.be.rejectedWith("only the admin may");
+    await manager("ProtocolDAO", accounts.deployer).cancel(canceled);
+    expect(codes(await alice.get(canceled))).to.deep.equal(["CANCELED"]);
+  });
+
+  it("Should derive states from the record and block time alone", function() {
+    const proposal = {
+      dao: "ProtocolDAO", id: 1, createdAt: 1000, votingEnds: 1300, executableAt: 1360,
+      forVotes: 1n, againstVotes: 9n, executed: false, canceled: false
+    };
+    const settings = { quorum: 10n, executionDelay: 60, paused: false };
+    expect(evaluateProposal(proposal, settings, 900).state).to.equal("pending");
+    expect(codes(evaluateProposal(proposal, settings, 1300))).to.deep.equal(["VOTING_OPEN"]);
+    expect(evaluateProposal(proposal, settings, 1330).secondsUntilExecutable).to.equal(30);
+    expect(evaluateProposal(proposal, settings, 1360).state).to.equal("executable");
+    expect(codes(evaluateProposal({ ...proposal, forVotes: 0n }, settings, 1400))).to.deep.equal(["QUORUM_NOT_REACHED"]);
+
+    const assetProposal = { ...proposal, dao: "AssetDAO", forVotes: 5n, againstVotes: 5n };
+    const assetSettings = { quorum: 1000n, paused: true };
+    expect(codes(evaluateProposal(assetProposal, assetSettings, 1400))).to.deep.equal(["MAJORITY_NOT_REACHED"]);
+    expect(evaluateProposal({ ...assetProposal, forVotes: 6n }, assetSettings, 1400).state).to.equal("succeeded");
+    expect(formatDuration(90061)).to.equal("1d 1h 1m 1s");
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { TreasuryManager, TreasuryError, ledgerToCsv } = require("../../../sdk");
+
+describe("TreasuryManager", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const dai = amount => hre.ethers.parseUnits(amount, 18);
+  const codes = issues => issues.map(issue => issue.code);
+  const ETH = hre.ethers.ZeroAddress;
+
+  let instances;
+  let accounts;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    accounts = Object.fromEntries(Object.entries(DEVNET_SEED.accounts).map(([name, index]) => [name, signers[index]]));
+    accounts.deployer = deployer;
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const managerFor = signer => TreasuryManager.connect(instances.Treasury.target, signer);
+
+  it("Should post every Treasury movement twice and reconcile with getBalance", async function() {
+    const { deployer, alice, bob, carol, dave } = accounts;
+    const token = instances.DAIToken.target;
+    const treasury = instances.Treasury.target;
+    const admin = managerFor(deployer);
+
+    const deposit = await managerFor(alice).prepareDeposit({ token, amount: dai("100"), memo: "Seed capital" });
+    expect(codes(deposit.warnings)).to.deep.equal(["APPROVAL"]);
+    expect(deposit.transactions.map(transaction => transaction.simulate)).to.deep.equal([true, false]);
+    await managerFor(alice).execute(deposit);
+    await managerFor(alice).execute(await managerFor(alice).prepareDeposit({ token: ETH, amount: dai("2"), memo: "ETH reserve" }));
+    await alice.sendTransaction({ to: treasury, value: dai("1") });
+    await instances.DAIToken.connect(carol).transfer(treasury, dai("3"));
+
+    await admin.execute(await admin.prepareDistribution({ token, payments: [{ to: bob.address, amount: dai("10") }, { to: carol.address, amount: dai("5") }], memo: "Q3 rewards" }));
+    await admin.execute(await admin.prepareWithdraw({ token, to: dave.address, amount: dai("20"), memo: "Audit invoice" }));
+    await instances.DAIToken.connect(alice).approve(treasury, dai("7"));
+    await instances.Treasury.withdrawFromProtocol(token, alice.address, bob.address, dai("7"), "Grant");
+    await admin.execute(await admin.prepareBatchApprove({ spender: instances.GovernanceRewards.target, allowances: [{ token, amount: dai("50") }], memo: "Epoch 1" }));
+
+    const reader = managerFor(hre.ethers.provider);
+    const ledger = await reader.ledger(token);
+    const posted = ledger.entries.filter(entry => entry.event !== "Transfer" || entry.from === carol.address);
+    expect(posted.map(entry => [entry.event, entry.debit, entry.credit, entry.amount, entry.memo])).to.deep.equal([
+      ["Deposit", "treasury", "deposits", dai("100"), "Seed capital"],
+      ["Transfer", "treasury", "transfers", dai("3"), null],
+      ["FundsDistributed", "rewards", "treasury", dai("10"), "Q3 rewards"],
+      ["FundsDistributed", "rewards", "treasury", dai("5"), "Q3 rewards"],
+      ["Withdrawal", "withdrawals", "treasury", dai("20"), "Audit invoice"],
+      ["DelegatedTransferExecuted", "delegated", "protocol", dai("7"), "Grant"]
+    ]);
+    // The seeded investments sent the Treasury its share of the fees, with no Treasury event
+    expect(ledger.entries.filter(entry => entry.event === "Transfer" && entry.from !== carol.address)).to.not.be.empty;
+    expect(ledger.approvals).to.have.lengthOf(1);
+    expect(ledger.approvals[0]).to.include({ spender: instances.GovernanceRewards.target, amount: dai("50"), memo: "Epoch 1" });
+
+    const totals = Object.values(ledger.accounts).reduce((sum, account) => ({ debit: sum.debit + account.debit, credit: sum.credit + account.credit }), { debit: 0n, credit: 0n });
+    expect(totals.debit).to.equal(totals.credit);
+    expect(ledger.balance).to.equal(await instances.Treasury.getBalance(token));
+
+    const reconciliation = await reader.reconcile(token);
+    expect(reconciliation).to.include({ reconciled: true, difference: 0n });
+    const eth = await reader.reconcile(ETH);
+    expect(eth.ledger.entries.map(entry => [entry.event, entry.credit, entry.from])).to.deep.equal([
+      ["Deposit", "deposits", alice.address],
+      ["FundsReceived", "receipts", alice.address]
+    ]);
+    expect(eth).to.include({ reconciled: true, balance: dai("3") });
+
+    // A ledger that starts later opens with the balance before its first block
+    const withdrawal = ledger.entries.find(entry => entry.event === "Withdrawal");
+    const later = await reader.ledger(token, { fromBlock: withdrawal.blockNumber });
+    expect(later.entries[0]).to.include({ event: "Opening", debit: "treasury", credit: "opening" });
+    expect(later.balance).to.equal(ledger.balance);
+  });
+
+  it("Should export the ledger as CSV without spreadsheet formulas", async function() {
+    const { alice } = accounts;
+    const token = instances.DAIToken.target;
+    const sender = managerFor(alice);
+    await sender.execute(await sender.prepareDeposit({ token, amount: dai("1"), memo: "=HYPERLINK(\"x\"), then more" }));
+
+    const csv = ledgerToCsv(await managerFor(hre.ethers.provider).ledger(token), { decimals: 18 });
+    const lines = csv.trim().split("\n");
+    expect(lines[0]).to.equal("date,block,transaction,log_index,event,debit,credit,amount,token,from,to,memo");
+    const deposit = lines.find(line => line.includes(",Deposit,"));
+    expect(deposit).to.match(/,Deposit,treasury,deposits,1\.0,/);
+    expect(deposit.endsWith(",\"'=HYPERLINK(\"\"x\"\"), then more\"")).to.equal(true);
+  });
+
+  it("Should stop operations without a memo, permission or funds before sending", async function() {
+    const { deployer, alice, bob } = accounts;
+    const token = instances.DAIToken.target;
+    const balance = await instances.Treasury.getBalance(token);
+
+    const withdraw = await managerFor(alice).prepareWithdraw({ token, to: bob.address, amount: balance + 1n, memo: " " });
+    expect(codes(withdraw.issues)).to.deep.equal(["MEMO_REQUIRED", "UNAUTHORIZED", "INSUFFICIENT_BALANCE"]);
+    await expect(managerFor(alice).execute(withdraw)).to.be.rejectedWith(TreasuryError, "Every Treasury operation needs a memo");
+
+    const distribution = await managerFor(deployer).prepareDistribution({ token: ETH, payments: [], memo: "Rewards" });
+    expect(codes(distribution.issues)).to.deep.equal(["ETH_NOT_SUPPORTED", "NO_PAYMENTS"]);
+
+    const admin = managerFor(deployer);
+    const plan = await admin.prepareWithdraw({ token, to: bob.address, amount: 1n, memo: "Refund" });
+    expect(plan.issues).to.be.empty;
+    expect(codes(plan.warnings)).to.deep.equal(["EVENT_MEMO"]);
+    const reverts = await admin.simulate({ ...plan, account: alice.address });
+    expect(reverts[0].message).to.equal(`Treasury.withdraw(${token}, ${bob.address}, 1) reverts: CallerNotOwner(): only the contract owner can call this`);
+
+    const unchanged = await admin.prepareBatchApprove({ spender: bob.address, allowances: [{ token, amount: 0n }], memo: "Revoke" });
+    expect(codes(unchanged.warnings)).to.deep.equal(["ALLOWANCE_UNCHANGED"]);
+    expect(await instances.Treasury.getBalance(token)).to.equal(balance);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const DEPLOYMENT_MANIFEST = require("../../../scripts/config/deploymentManifest");
+const DEVNET_SEED = require("../../../scripts/config/devnetSeed");
+const { resolveManifest } = require("../../../scripts/utils/manifestResolver");
+const { loadProfile } = require("../../../scripts/utils/parameterProfiles");
+const { DeploymentJournal } = require("../../../scripts/utils/deploymentJournal");
+const { executePlan } = require("../../../scripts/utils/manifestDeployer");
+const { devnetManifest, seedDevnet } = require("../../../scripts/utils/devnet");
+const { VotingPowerManager, DelegationError } = require("../../../sdk");
+
+describe("VotingPowerManager", function() {
+  const silent = () => {};
+  const { parameters } = loadProfile("local-fast");
+  const dloop = amount => hre.ethers.parseUnits(amount, 18);
+  const codes = issues => issues.map(issue => issue.code);
+  const DAY = 86400;
+
+  let instances;
+  let accounts;
+  let addresses;
+  let snapshot;
+
+  before(async function() {
+    const signers = await hre.ethers.getSigners();
+    const [deployer] = signers;
+    const plan = resolveManifest(devnetManifest(DEPLOYMENT_MANIFEST, DEVNET_SEED), hre.artifacts, { parameters });
+    ({ instances } = await executePlan({
+      ethers: hre.ethers,
+      plan,
+      signer: deployer,
+      journal: DeploymentJournal.inMemory({ network: "hardhat", chainId: 31337, deployer: deployer.address }),
+      log: silent
+    }));
+    await seedDevnet({ ethers: hre.ethers, seed: DEVNET_SEED, instances, signers, log: silent });
+    accounts = Object.fromEntries(Object.entries(DEVNET_SEED.accounts).map(([name, index]) => [name, signers[index]]));
+    accounts.deployer = deployer;
+    addresses = Object.fromEntries(Object.entries(instances).map(([name, instance]) => [name, instance.target]));
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function() {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    snapshot = await hre.network.provider.send("evm_snapshot", []);
+  });
+
+  const now = async () => (await hre.ethers.provider.getBlock("latest")).timestamp;
+
+  it("Should show delegations in and out of every system next to the DAO voting power", async function() {
+    const reader = VotingPowerManager.connect(addresses, hre.ethers.provider);
+    const { alice, bob, node1, carol, dave } = accounts;
+    // node1 and carol hold SoulboundNFTs as registered node owners
+    await instances.SoulboundNFT.connect(node1).delegateVote(alice.address, (await now()) + 3 * DAY);
+    await instances.SoulboundNFT.connect(carol).delegateVote(alice.address, (await now()) + 30 * DAY);
+
+    let overview = await reader.overview(alice.address);
+    expect(overview.balance).to.equal(dloop("40000"));
+    expect(overview.token.delegatedOut).to.deep.equal([{ to: node1.address, amount: dloop("10000") }]);
+    expect(overview.token.available).to.equal(dloop("30000"));
+    expect(overview.node.delegatedOut).to.deep.equal([]);
+    expect(overview.node.own).to.equal(null);
+    expect(overview.soulbound.hasValidToken).to.equal(false);
+    expect(overview.soulbound.delegatedIn.map(entry => entry.from)).to.deep.equal([node1.address, carol.address]);
+    expect(overview.effective).to.deep.equal({ AssetDAO: dloop("40000"), ProtocolDAO: 1n, AINodeGovernance: 0n });
+    expect(codes(overview.warnings)).to.deep.equal(["SOULBOUND_EXPIRING"]);
+    expect(overview.warnings[0].message).to.include(`from ${node1.address} expires in 2d 23h`);
+
+    // Past node1's expiry only carol's delegation is left to warn about
+    const later = await reader.overview(alice.address, { now: (await now()) + 25 * DAY });
+    expect(codes(later.warnings)).to.deep.equal(["SOULBOUND_EXPIRING"]);
+    expect(later.warnings[0].message).to.include(`from ${carol.address} expires in 4d 23h`);
+
+    const node = await reader.overview(node1.address);
+    expect(node.token.delegatedIn).to.deep.equal([{ from: alice.address, amount: dloop("10000") }, { from: bob.address, amount: dloop("5000") }]);
+    expect(node.token.totalIn).to.equal(dloop("15000"));
+    expect(node.soulbound.delegatedOut.map(entry => entry.to)).to.deep.equal([alice.address]);
+
+    // DLoopToken delegations do not lock tokens, and expired SoulboundNFT delegations drop out
+    await instances.DLoopToken.connect(alice).transfer(dave.address, dloop("35000"));
+    await hre.network.provider.send("evm_increaseTime", [4 * DAY]);
+    await hre.network.provider.send("evm_mine", []);
+    overview = await reader.overview(alice.address);
+    expect(overview.token.available).to.equal(0n);
+    expect(overview.soulbound.delegatedIn.map(entry => entry.from)).to.deep.equal([carol.address]);
+    expect(codes(overview.warnings)).to.deep.equal(["OVER_DELEGATED"]);
+  });
+
+  it("Should move a DLoopToken delegation between delegatees", async function() {
+    const { alice, bob, node1, node2 } = accounts;
+    const manager = VotingPowerManager.connect(addresses, bob);
+
+    let plan = await manager.prepareRebalance({ system: "token", from: node1.address, to: bob.address, amount: dloop("6000") });
+    expect(codes(plan.issues)).to.deep.equal(["INSUFFICIENT_DELEGATION", "SELF_DELEGATION"]);
+    await expect(manager.rebalance(plan)).to.eventually.be.rejectedWith(DelegationError).and.have.property("code", "INSUFFICIENT_DELEGATION");
+    plan = await manager.prepareRebalance({ system: "token", from: node2.address, to: node1.address, amount: dloop("1") });
+    expect(codes(plan.issues)).to.deep.equal(["NO_DELEGATION"]);
+
+    plan = await manager.prepareRebalance({ system: "token", from: node1.address, to: node2.address, amount: dloop("2000") });
+    expect(plan.issues).to.deep.equal([]);
+    expect(plan.transactions.map(transaction => transaction.description)).to.deep.equal([
+      `DLoopToken.withdrawDelegation(${node1.address}, ${dloop("2000")})`,
+      `DLoopToken.delegateTokens(${node2.address}, ${dloop("2000")})`
+    ]);
+    expect(await manager.rebalance(plan)).to.have.lengthOf(2);
+    expect(await instances.DLoopToken.getDelegatedAmount(bob.address, node1.address)).to.equal(dloop("3000"));
+    expect(await instances.DLoopToken.getDelegatedAmount(bob.address, node2.address)).to.equal(dloop("2000"));
+
+    const other = VotingPowerManager.connect(addresses, alice);
+    await expect(other.rebalance(plan)).to.eventually.be.rejectedWith(`The plan is for ${bob.address}`);
+  });
+
+  it("Should move an AINodeGovernance delegation between nodes once the cooldown passed", async function() {
+    const { alice, bob, carol, dave, deployer } = accounts;
+    const governance = instances.AINodeGovernance;
+    await instances.AINodeRegistry.connect(deployer).updateAdmin(governance.target);
+    await instances.DLoopToken.connect(deployer).transfer(dave.address, dloop("10000"));
+    for (const operator of [alice, dave]) {
+      await instances.DLoopToken.connect(operator).approve(governance.target, dloop("10000"));
+      await governance.connect(operator).registerNode(1, dloop("10000"));
+    }
+    await instances.DLoopToken.connect(bob).approve(governance.target, dloop("1000"));
+    await governance.connect(bob).delegateToNode(alice.address, dloop("1000"));
+
+    const manager = VotingPowerManager.connect(addresses, bob);
+    let plan = await manager.prepareRebalance({ system: "node", from: alice.address, to: dave.address, amount: dloop("400") });
+    expect(codes(plan.issues)).to.deep.equal(["COOLDOWN"]);
+    expect(plan.issues[0].message).to.include("can be withdrawn in 7d");
+    plan = await manager.prepareRebalance({ system: "node", from: alice.address, to: carol.address, amount: dloop("50") });
+    expect(codes(plan.issues)).to.deep.equal(["COOLDOWN", "NODE_NOT_ACTIVE", "BELOW_MINIMUM_DELEGATION"]);
+
+    await hre.network.provider.send("evm_increaseTime", [7 * DAY]);
+    await hre.network.provider.send("evm_mine", []);
+    plan = await manager.prepareRebalance({ system: "node", from: alice.address, to: dave.address, amount: dloop("400") });
+    expect(plan.issues).to.deep.equal([]);
+    expect(codes(plan.warnings)).to.deep.equal(["COOLDOWN_RESET"]);
+    expect(plan.transactions.map(transaction => transaction.description)).to.deep.equal([
+      `AINodeGovernance.withdrawDelegation(${alice.address}, ${dloop("400")})`,
+      `DLOOP.approve(AINodeGovernance, ${dloop("400")})`,
+      `AINodeGovernance.delegateToNode(${dave.address}, ${dloop("400")})`
+    ]);
+    await manager.rebalance(plan);
+
+    const overview = await manager.overview();
+    expect(overview.node.delegatedOut.map(entry => [entry.node, entry.amount])).to.deep.equal([
+      [alice.address, dloop("600")],
+      [dave.address, dloop("400")]
+    ]);
+    expect(overview.heldByGovernance).to.equal(dloop("1000"));
+    // AssetDAO counts the balance, which no longer includes the delegated DLOOP
+    expect(overview.effective.AssetDAO).to.equal(dloop("14000"));
+
+    const node = await manager.overview(dave.address);
+    expect(node.node.own.delegatedIn.map(entry => [entry.from, entry.amount])).to.deep.equal([[bob.address, dloop("400")]]);
+    expect(node.effective.AINodeGovernance).to.equal(dloop("10400"));
+    expect(node.heldByGovernance).to.equal(dloop("10000"));
+  });
+});